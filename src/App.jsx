@@ -1,4 +1,4 @@
-import { useState, useEffect, createContext, useContext, useCallback } from "react";
+import { useState, useEffect, useRef, createContext, useContext, useCallback, useMemo, useId } from "react";
 
 // ─── KaTeX dynamic loader ─────────────────────────────────────────────────────
 const KatexCtx = createContext(false);
@@ -48,46 +48,610 @@ function Dim({ tex }) {
 }
 
 // ─── Constants ────────────────────────────────────────────────────────────────
-const ACTIVATIONS = ["ReLU", "Sigmoid", "Tanh", "Linear"];
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
 
+// Abramowitz & Stegun 7.1.26, accurate to 1.5e-7 -- plenty for GELU's Gaussian CDF.
+function erf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return Math.sign(x) * y;
+}
+
+// Every entry takes its parameter values p (see actParams) alongside z; params lists the
+// per-layer sliders in the same form as LOSSES[k].params.
 const ACT = {
-  ReLU:    { color: "#fb923c", tex: "\\max(0,z)",
-             desc: () => <>Zeroes negative pre-activations; cheap and avoids saturation.</> },
-  Sigmoid: { color: "#22d3ee", tex: "\\dfrac{1}{1+e^{-z}}",
-             desc: () => <>Squashes to <T tex="(0,1)" />. Prone to vanishing gradients in deep nets.</> },
-  Tanh:    { color: "#c084fc", tex: "\\dfrac{e^{z}-e^{-z}}{e^{z}+e^{-z}}",
-             desc: () => <>Zero-centred squash to <T tex="(-1,1)" />. Stronger gradients than sigmoid.</> },
-  Linear:  { color: "#94a3b8", tex: "z",
-             desc: () => <>Identity &#8212; no non-linearity. Collapses to a single affine map.</> },
-  Softmax: { color: "#34d399", tex: "\\dfrac{e^{z_i}}{\\sum_j e^{z_j}}",
-             desc: () => <>Normalises logits to a probability simplex.</> },
+  ReLU:      { color: "#fb923c", params: [], tex: () => "\\max(0,z)",
+               fn: (z) => Math.max(0, z), df: (z) => (z > 0 ? 1 : 0),
+               desc: () => <>Zeroes negative pre-activations; cheap and avoids saturation.</> },
+  LeakyReLU: { color: "#fdba74", params: [{ key: "alpha", label: "\u03b1 (negative slope)", tex: "\\alpha", min: 0, max: 0.5, step: 0.01, default: 0.01 }],
+               tex: (p) => `\\max(${p.alpha}\\,z,\\; z)`,
+               fn: (z, p) => (z > 0 ? z : p.alpha * z), df: (z, p) => (z > 0 ? 1 : p.alpha),
+               desc: (p) => <>ReLU with a slope of <T tex={`\\alpha = ${p.alpha}`} /> for negative inputs, so a unit pushed below zero still gets a gradient and cannot die.</> },
+  ELU:       { color: "#fca5a5", params: [{ key: "alpha", label: "\u03b1 (saturation)", tex: "\\alpha", min: 0.1, max: 3, step: 0.1, default: 1 }],
+               tex: (p) => `\\begin{cases} z & z > 0 \\\\ ${p.alpha}\\,(e^{z}-1) & z \\le 0 \\end{cases}`,
+               fn: (z, p) => (z > 0 ? z : p.alpha * Math.expm1(z)), df: (z, p) => (z > 0 ? 1 : p.alpha * Math.exp(z)),
+               desc: (p) => <>Identity for positive inputs, a smooth exponential that saturates at <T tex={`-${p.alpha}`} /> for negative ones. Negative outputs pull the mean activation towards zero.</> },
+  GELU:      { color: "#86efac", params: [], tex: () => "z\\,\\Phi(z) = \\tfrac{z}{2}\\bigl(1 + \\operatorname{erf}(z/\\sqrt{2})\\bigr)",
+               fn: (z) => 0.5 * z * (1 + erf(z / Math.SQRT2)),
+               df: (z) => 0.5 * (1 + erf(z / Math.SQRT2)) + (z * Math.exp(-0.5 * z * z)) / Math.sqrt(2 * Math.PI),
+               desc: () => <>Scales each input by the probability <T tex="\Phi(z)" /> that a standard normal falls below it: a smooth ReLU with a small dip below zero. The default in BERT and GPT-style transformers.</> },
+  Swish:     { color: "#4ade80", params: [{ key: "beta", label: "\u03b2 (gate sharpness)", tex: "\\beta", min: 0.1, max: 5, step: 0.1, default: 1 }],
+               tex: (p) => `z\\,\\sigma(${p.beta === 1 ? "" : p.beta}z) = \\dfrac{z}{1+e^{-${p.beta === 1 ? "" : p.beta}z}}`,
+               fn: (z, p) => z * sigmoid(p.beta * z),
+               df: (z, p) => { const s = sigmoid(p.beta * z); return s + p.beta * z * s * (1 - s); },
+               desc: (p) => <>The input gates itself through a sigmoid. At <T tex="\beta = 1" /> this is SiLU, used in EfficientNet and LLaMA-style MLPs; as <T tex="\beta" /> grows it approaches ReLU{p.beta === 1 ? "" : <> (here <T tex={`\\beta = ${p.beta}`} />)</>}.</> },
+  Softplus:  { color: "#fde047", params: [], tex: () => "\\log\\bigl(1+e^{z}\\bigr)",
+               fn: (z) => Math.max(z, 0) + Math.log1p(Math.exp(-Math.abs(z))), df: (z) => sigmoid(z),
+               desc: () => <>A smooth ReLU that is never exactly zero; its derivative is the sigmoid.</> },
+  HardTanh:  { color: "#d8b4fe", params: [], tex: () => "\\max\\bigl(-1, \\min(1, z)\\bigr)",
+               fn: (z) => Math.max(-1, Math.min(1, z)), df: (z) => (z > -1 && z < 1 ? 1 : 0),
+               desc: () => <>Clips to <T tex="[-1,1]" />: a piecewise-linear Tanh that is cheap to compute but passes no gradient once saturated.</> },
+  Sigmoid:   { color: "#22d3ee", params: [], tex: () => "\\dfrac{1}{1+e^{-z}}",
+               fn: sigmoid, df: (z) => { const s = sigmoid(z); return s * (1 - s); },
+               desc: () => <>Squashes to <T tex="(0,1)" />. Prone to vanishing gradients in deep nets.</> },
+  Tanh:      { color: "#c084fc", params: [], tex: () => "\\dfrac{e^{z}-e^{-z}}{e^{z}+e^{-z}}",
+               fn: (z) => Math.tanh(z), df: (z) => 1 - Math.tanh(z) ** 2,
+               desc: () => <>Zero-centred squash to <T tex="(-1,1)" />. Stronger gradients than sigmoid.</> },
+  Linear:    { color: "#94a3b8", params: [], tex: () => "z",
+               fn: (z) => z, df: () => 1,
+               desc: () => <>Identity &#8212; no non-linearity. Collapses to a single affine map.</> },
+  Softmax:   { color: "#34d399", params: [], tex: () => "\\dfrac{e^{z_i}}{\\sum_j e^{z_j}}",
+               desc: () => <>Normalises logits to a probability simplex.</> },
 };
 
+// Softmax only ever heads the output layer.
+const ACTIVATIONS = Object.keys(ACT).filter(a => a !== "Softmax");
+
+// A layer's activation parameters: its own settings over the catalogue defaults.
+function actParams(layer) {
+  return Object.fromEntries((ACT[layer.activation]?.params ?? []).map(p => [p.key, layer.actParams?.[p.key] ?? p.default]));
+}
+
+// σ named with its parameter values, e.g. σ_{LeakyReLU, 0.1}, so two settings stay distinct.
+function actSymTex(layer) {
+  const vals = Object.values(actParams(layer));
+  return `\\sigma_{\\scriptscriptstyle\\text{${layer.activation}}${vals.length ? `,\\, ${vals.join(",")}` : ""}}`;
+}
+
+// "LeakyReLU (alpha = 0.1)" for tables and code comments.
+function actLabel(layer) {
+  const p = actParams(layer);
+  const vals = Object.entries(p).map(([k, v]) => `${k} = ${v}`);
+  return vals.length ? `${layer.activation} (${vals.join(", ")})` : layer.activation;
+}
+
+// The caps allow real-world shapes such as a 784-input MNIST net a dozen layers deep; the
+// graph samples MAX_NODES_SHOWN neurons per layer unless every neuron is asked for.
 const MAX_NODES_SHOWN = 6;
-const MAX_NODES  = 8;
+const MAX_NODES  = 1024;
 const MIN_NODES  = 1;
-const MAX_LAYERS = 6;
+const MAX_LAYERS = 16;
 
 function defaultLayers() {
   return [
-    { nodes: 3, activation: "Linear"  },
-    { nodes: 5, activation: "ReLU"    },
-    { nodes: 4, activation: "Tanh"    },
-    { nodes: 2, activation: "Softmax" },
+    { nodes: 3, activation: "Linear"                  },
+    { nodes: 5, activation: "ReLU",    init: "he"     },
+    { nodes: 4, activation: "Tanh",    init: "xavier" },
+    { nodes: 2, activation: "Softmax", init: "xavier" },
   ];
 }
 
+// ─── Initialisation catalogue ─────────────────────────────────────────────────
+// sample(rng, nin, nout) draws one weight; variance(nin, nout) is Var(W_ij).
+// Biases always start at zero — the scheme only governs W.
+const DEFAULT_INIT = "xavier";
+
+const INITS = {
+  zeros: {
+    label: "Zeros",
+    sample: () => 0,
+    variance: () => 0,
+    tex: () => `W_{ij} = 0`,
+    desc: () => <>Every neuron in the layer computes the same output and receives the same gradient, so the symmetry between them is never broken.</>,
+  },
+  uniform: {
+    label: "Uniform",
+    sample: (rng) => rng() * 2 - 1,
+    variance: () => 1 / 3,
+    tex: () => `W_{ij} \\sim \\mathcal{U}(-1, 1), \\quad \\mathrm{Var}(W_{ij}) = \\tfrac{1}{3}`,
+    desc: () => <>Fixed range, blind to layer width. Since <T tex="\mathrm{Var}(z_i) = n_{\text{in}} \mathrm{Var}(W)\,\mathbb{E}[a^2]" />, wider layers produce ever larger pre-activations.</>,
+  },
+  normal: {
+    label: "Normal",
+    sample: (rng) => gaussian(rng),
+    variance: () => 1,
+    tex: () => `W_{ij} \\sim \\mathcal{N}(0, 1), \\quad \\mathrm{Var}(W_{ij}) = 1`,
+    desc: () => <>Unit variance regardless of fan-in: each <T tex="z_i" /> sums <T tex="n_{\text{in}}" /> terms, so its variance grows linearly with width and saturating activations get pinned.</>,
+  },
+  xavier: {
+    label: "Xavier / Glorot",
+    sample: (rng, nin, nout) => (rng() * 2 - 1) * Math.sqrt(6 / (nin + nout)),
+    variance: (nin, nout) => 2 / (nin + nout),
+    tex: (nin, nout) => `W_{ij} \\sim \\mathcal{U}(-a, a), \\; a = \\sqrt{\\tfrac{6}{${nin} + ${nout}}} = ${fmtNum(Math.sqrt(6 / (nin + nout)))}, \\quad \\mathrm{Var}(W_{ij}) = \\tfrac{2}{${nin} + ${nout}} = ${fmtNum(2 / (nin + nout))}`,
+    desc: () => <>Balances fan-in and fan-out so activation variance (forward) and gradient variance (backward) both stay roughly constant. Derived for symmetric activations such as <strong>Tanh</strong> and <strong>Sigmoid</strong>.</>,
+  },
+  he: {
+    label: "He / Kaiming",
+    sample: (rng, nin) => gaussian(rng) * Math.sqrt(2 / nin),
+    variance: (nin) => 2 / nin,
+    tex: (nin) => `W_{ij} \\sim \\mathcal{N}\\!\\left(0, \\tfrac{2}{${nin}}\\right), \\quad \\mathrm{Var}(W_{ij}) = ${fmtNum(2 / nin)}`,
+    desc: () => <>ReLU zeroes half its inputs on average, halving the signal variance; the factor 2 in <T tex="2/n_{\text{in}}" /> compensates. The standard choice for <strong>ReLU</strong> networks.</>,
+  },
+};
+
+// ─── Layer types ──────────────────────────────────────────────────────────────
+// A layer object without a type is dense. shapes(nin, nout, layer, prev) lists the
+// tensors kept in weights[l]; trainable names the ones gradient descent updates as
+// [weight-like, bias-like], and backwardPass returns their gradients as "d" + name
+// (dW, dK, dgamma, ...). Types with fans(layer, prev) draw that weight-like tensor from
+// the layer's init scheme. infer(layer, prev) derives the output { nodes, shape } from
+// the layer before and explains any setting that does not fit it in error (see
+// syncLayers / shapeErrors). sameWidth types always keep the width of their input.
+// eqTex's skip argument is the residual term ("+ a^{(k)}") or an empty string.
+const DEFAULT_DROP = 0.5;
+const MAX_DROP     = 0.9;
+const NORM_EPS     = 1e-5;
+const BN_MOMENTUM  = 0.1;
+const SKIP_COLOR   = "#fbbf24";
+
+// Image inputs and the conv / pool settings offered in the layer cards.
+const MAX_SPATIAL  = 28;
+const MAX_CHANNELS = 3;
+const MAX_FILTERS  = 16;
+const MAX_KERNEL   = 5;
+const MAX_STRIDE   = 3;
+const MAX_PADDING  = 2;
+const DEFAULT_IMAGE = [1, 6, 6];
+
+const TENSOR_TEX = { W: "W", K: "K", b: "b", gamma: "\\gamma", beta: "\\beta", mean: "\\mu", var: "\\sigma^{2}" };
+
+const layerType = (layer) => layer.type ?? "dense";
+
+// Spatial activations stay flat arrays in channel-major order: entry (c, i, j) of a
+// c x h x w tensor sits at index (c * h + i) * w + j, as in PyTorch. layer.shape is
+// [c, h, w] for those layers and absent for plain vectors.
+const spaceTex  = (layer, B = null) => `\\mathbb{R}^{${B ? `${B}\\times ` : ""}${layer.shape ? layer.shape.join("\\times ") : layer.nodes}}`;
+// Mini-batch notation stacks B examples along a leading axis, so the vector a^(l) becomes
+// the matrix A^(l) with one example per row. B is null when a card shows a single example.
+const batchSym  = (sym, l, B) => `${B ? sym.toUpperCase() : sym}^{(${l})}`;
+// Batched gradients are of the batch-mean loss; row b of Δ^(l) is example b's δ^(l).
+const deltaRows = (l) => `\\Delta^{(${l})}_{b} = \\delta^{(${l})}_{[b]}`;
+const sizeLabel = (layer, times = "×") => (layer.shape ? layer.shape.join(times) : String(layer.nodes));
+
+// Side length after sliding a kernel over n inputs: floor((n + 2p - k) / s) + 1.
+const slideOut = (n, { kernel, stride, padding }) => Math.floor((n + 2 * padding - kernel) / stride) + 1;
+
+// Shared by Conv2D and the pools; channels is the output depth (null keeps the input's).
+// A layer fed by one that is already broken reports nothing, so errors do not cascade.
+function slideInfer(layer, prev, channels) {
+  if (!prev.nodes) return { nodes: 0 };
+  if (!prev.shape) return { nodes: 0, error: `needs an image-shaped input (c × h × w), but receives a vector of ${prev.nodes}` };
+  const [c, h, w] = prev.shape, { kernel: k, padding: p } = layer;
+  if (k > h + 2 * p || k > w + 2 * p) {
+    return { nodes: 0, error: `a ${k}×${k} window does not fit the ${h + 2 * p}×${w + 2 * p} input${p ? ` (${h}×${w} padded by ${p})` : ""}` };
+  }
+  const shape = [channels ?? c, slideOut(h, layer), slideOut(w, layer)];
+  return { nodes: shape[0] * shape[1] * shape[2], shape };
+}
+
+// Input coordinate that output index i reads through kernel offset u (0-based), e.g. "2i+u-1".
+const tapTex = (i, u, { stride, padding }) => `${stride === 1 ? "" : stride}${i}+${u}${padding ? `-${padding}` : ""}`;
+
+// Output size with the numbers filled in; one line when the input is square.
+function slideSizeTex(layer, prev) {
+  const [, h, w] = prev.shape, { kernel: k, stride: s, padding: p } = layer;
+  const line = (lhs, n) => `${lhs} = \\left\\lfloor \\frac{${n} + 2 \\cdot ${p} - ${k}}{${s}} \\right\\rfloor + 1 = ${slideOut(n, layer)}`;
+  return h === w
+    ? line("h_{\\text{out}} = w_{\\text{out}}", h)
+    : `${line("h_{\\text{out}}", h)}, \\qquad ${line("w_{\\text{out}}", w)}`;
+}
+
+// Rows and columns the window never reaches when the stride does not tile the input.
+function slideLeftover(layer, prev) {
+  const [, h, w] = prev.shape;
+  return [h, w].map(n => (n + 2 * layer.padding - layer.kernel) % layer.stride);
+}
+
+function leftoverNote(layer, prev) {
+  const [rows, cols] = slideLeftover(layer, prev);
+  return `The stride does not tile the input: the last ${rows} row(s) and ${cols} column(s) of the padded input are never read (the output size is floored).`;
+}
+
+// Max and average pooling differ only in how a window is reduced.
+function poolType({ label, short, color, max }) {
+  const op = max ? "\\max_{0 \\le u, v < k}" : "\\frac{1}{k^2} \\sum_{u=0}^{k-1} \\sum_{v=0}^{k-1}";
+  return {
+    label, short, color, sameWidth: false,
+    defaults: { activation: "Linear", kernel: 2, stride: 2, padding: 0 },
+    infer: (layer, prev) => {
+      const out = slideInfer(layer, prev, null);
+      if (out.error || !out.nodes || 2 * layer.padding <= layer.kernel) return out;
+      return { ...out, error: `padding ${layer.padding} is more than half the ${layer.kernel}×${layer.kernel} window` };
+    },
+    shapes: () => ({}),
+    trainable: [],
+    countTex: () => null,
+    cost: (layer) => ({ macs: 0, elem: layer.nodes * layer.kernel ** 2 }),
+    dimsTex: (l, nin, nout, layer, prev, B) => [
+      `${batchSym("a", l - 1, B)} \\in ${spaceTex(prev, B)}`,
+      `k = ${layer.kernel}, \\; s = ${layer.stride}, \\; p = ${layer.padding}`,
+      `${batchSym("a", l, B)} \\in ${spaceTex(layer, B)}`,
+    ],
+    eqTex: (l, layer, skip, prev, B) => [
+      slideSizeTex(layer, prev),
+      `${batchSym("a", l, B)}_{${B ? "b," : ""}c,i,j} = ${op} ${batchSym("a", l - 1, B)}_{${B ? "b," : ""}c,\\, ${tapTex("i", "u", layer)},\\, ${tapTex("j", "v", layer)}}${skip}`,
+    ],
+    backTex: (l) => `\\operatorname{unpool}_{\\text{${max ? "max" : "avg"}}}\\!\\bigl(\\delta^{(${l})}\\bigr)`,
+    gradTex: (l, layer, prev, B) => [B
+      ? (max
+        ? `\\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial A^{(${l - 1})}_{b,c,r,q}} = \\tfrac{1}{${B}} \\sum_{i,j} \\Delta^{(${l})}_{b,c,i,j} \\, \\bigl[(r, q) = \\operatorname{argmax} \\text{ of window } (i, j) \\text{ in example } b\\bigr], \\qquad ${deltaRows(l)}`
+        : `\\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial A^{(${l - 1})}_{b,c,r,q}} = \\tfrac{1}{${B}} \\cdot \\frac{1}{k^2} \\sum_{(i,j) \\,:\\, (r, q) \\in \\text{window } (i, j)} \\Delta^{(${l})}_{b,c,i,j}, \\qquad ${deltaRows(l)}`)
+      : max
+      ? `\\frac{\\partial \\mathcal{L}}{\\partial a^{(${l - 1})}_{c,r,q}} = \\sum_{i,j} \\delta^{(${l})}_{c,i,j} \\, \\bigl[(r, q) = \\operatorname{argmax} \\text{ of window } (i, j)\\bigr]`
+      : `\\frac{\\partial \\mathcal{L}}{\\partial a^{(${l - 1})}_{c,r,q}} = \\frac{1}{k^2} \\sum_{(i,j) \\,:\\, (r, q) \\in \\text{window } (i, j)} \\delta^{(${l})}_{c,i,j}`],
+    desc: (layer) => max
+      ? <>Keeps the largest value in every {layer.kernel}&times;{layer.kernel} window, channel by channel, moving {layer.stride} step{layer.stride > 1 ? "s" : ""} at a time. No parameters.</>
+      : <>Averages every {layer.kernel}&times;{layer.kernel} window, channel by channel, moving {layer.stride} step{layer.stride > 1 ? "s" : ""} at a time. No parameters.</>,
+    why: (l, layer, prev) => <>
+      Pooling shrinks each feature map so later layers see a wider part of the image per value and have fewer positions to process
+      {layer.stride === layer.kernel && <> &#8212; with stride equal to the window, each input value lands in exactly one window</>}.
+      {max
+        ? <> Max pooling asks only <em>whether</em> a feature fired somewhere in the window, which makes it tolerant of small shifts. Its gradient is sparse: each window passes <T tex={`\\delta^{(${l})}`} /> to its maximum and zero to the rest; padding counts as <T tex="-\infty" /> so it never wins.</>
+        : <> Average pooling keeps a smoothed summary and spreads every gradient evenly, <T tex="1/k^2" /> to each entry of the window; padded entries count as zeros in the average.</>}
+      {slideLeftover(layer, prev).some(Boolean) && <> {leftoverNote(layer, prev)}</>}
+    </>,
+  };
+}
+
+// BatchNorm and LayerNorm here normalise vectors (one statistic per feature), not feature maps.
+const normInfer = (_, prev) => ({ nodes: prev.nodes, ...(prev.shape ? { error: `normalises feature vectors, but receives a ${sizeLabel(prev)} tensor: add a Flatten layer before it` } : {}) });
+
+const LAYER_TYPES = {
+  dense: {
+    label: "Dense", short: "Dense", color: null, sameWidth: false,
+    defaults: { activation: "ReLU", init: "he" },
+    infer: (layer, prev) => ({ nodes: layer.nodes, ...(prev.shape ? { error: `needs a vector input, but receives a ${sizeLabel(prev)} tensor: add a Flatten layer before it` } : {}) }),
+    fans: (layer, prev) => [prev.nodes, layer.nodes],
+    shapes: (nin, nout) => ({ W: [nout, nin], b: [nout] }),
+    trainable: ["W", "b"],
+    countTex: (nin, nout) => `${nout}(${nin} + 1)`,
+    cost: (layer, prev) => ({ macs: prev.nodes * layer.nodes, elem: layer.nodes }),
+    dimsTex: (l, nin, nout, layer, prev, B) => [
+      `W^{(${l})} \\in \\mathbb{R}^{${nout}\\times${nin}}`,
+      `b^{(${l})} \\in \\mathbb{R}^{${nout}}`,
+      `${batchSym("a", l - 1, B)} \\in ${spaceTex({ nodes: nin }, B)}`,
+      `${batchSym("z", l, B)} \\in ${spaceTex({ nodes: nout }, B)}`,
+      `${batchSym("a", l, B)} \\in ${spaceTex({ nodes: nout }, B)}`,
+    ],
+    // Batched, the examples are rows: A W^T maps each row, and 1 b^T copies the bias into every row.
+    eqTex: (l, layer, skip, prev, B) => [
+      B ? `Z^{(${l})} = A^{(${l - 1})} W^{(${l})\\top} + \\mathbf{1}_{${B}}\\, b^{(${l})\\top}` : `z^{(${l})} = W^{(${l})} a^{(${l - 1})} + b^{(${l})}`,
+      `${batchSym("a", l, B)} = \\sigma\\!\\bigl(${batchSym("z", l, B)}\\bigr)${skip}, \\qquad \\sigma(z) = ${ACT[layer.activation]?.tex(actParams(layer)) ?? "z"}`,
+    ],
+    backTex: (l) => `W^{(${l})\\top} \\delta^{(${l})}`,
+    gradTex: (l, layer, prev, B) => [B
+      ? `\\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial W^{(${l})}} = \\tfrac{1}{${B}}\\, \\Delta^{(${l})\\top} A^{(${l - 1})}, \\qquad \\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial b^{(${l})}} = \\tfrac{1}{${B}}\\, \\Delta^{(${l})\\top} \\mathbf{1}_{${B}}, \\qquad \\Delta^{(${l})} = \\begin{bmatrix} \\delta^{(${l})\\top}_{[1]} \\\\ \\vdots \\\\ \\delta^{(${l})\\top}_{[${B}]} \\end{bmatrix}`
+      : `\\frac{\\partial \\mathcal{L}}{\\partial W^{(${l})}} = \\delta^{(${l})}\\, a^{(${l - 1})\\top}, \\qquad \\frac{\\partial \\mathcal{L}}{\\partial b^{(${l})}} = \\delta^{(${l})}`],
+  },
+  dropout: {
+    label: "Dropout", short: "Drop", color: "#eab308", sameWidth: true,
+    defaults: { activation: "Linear", rate: DEFAULT_DROP },
+    infer: (_, prev) => ({ nodes: prev.nodes, shape: prev.shape }),
+    shapes: () => ({}),
+    trainable: [],
+    countTex: () => null,
+    cost: (layer) => ({ macs: 0, elem: layer.nodes }),
+    dimsTex: (l, nin, nout, layer, prev, B) => [
+      `${batchSym("m", l, B)} \\in \\{0, 1\\}^{${B ? `${B}\\times ` : ""}${sizeLabel(prev, "\\times ")}}`,
+      `${batchSym("a", l - 1, B)} \\in ${spaceTex(prev, B)}`,
+      `${batchSym("a", l, B)} \\in ${spaceTex(prev, B)}`,
+    ],
+    eqTex: (l, layer, skip, prev, B) => [
+      `${batchSym("m", l, B)}_{${B ? "bj" : "j"}} \\sim \\operatorname{Bernoulli}(1 - p), \\quad p = ${layer.rate ?? DEFAULT_DROP}${B ? " \\quad \\text{(a fresh mask for every example)}" : ""}`,
+      `${batchSym("a", l, B)} = \\tfrac{1}{1-p}\\, ${batchSym("m", l, B)} \\odot ${batchSym("a", l - 1, B)}${skip} \\;\\;\\text{(training)}, \\qquad ${batchSym("a", l, B)} = ${batchSym("a", l - 1, B)}${skip} \\;\\;\\text{(inference)}`,
+    ],
+    backTex: (l) => `\\tfrac{1}{1-p}\\, m^{(${l})} \\odot \\delta^{(${l})}`,
+    gradTex: (l, layer, prev, B) => [B
+      ? `\\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial A^{(${l - 1})}} = \\tfrac{1}{${B}} \\cdot \\tfrac{1}{1-p}\\, M^{(${l})} \\odot \\Delta^{(${l})} \\;\\;\\text{(training)}, \\qquad \\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial A^{(${l - 1})}} = \\tfrac{1}{${B}}\\, \\Delta^{(${l})} \\;\\;\\text{(inference)}, \\qquad ${deltaRows(l)}`
+      : `\\frac{\\partial \\mathcal{L}}{\\partial a^{(${l - 1})}} = \\tfrac{1}{1-p}\\, m^{(${l})} \\odot \\delta^{(${l})} \\;\\;\\text{(training)}, \\qquad \\frac{\\partial \\mathcal{L}}{\\partial a^{(${l - 1})}} = \\delta^{(${l})} \\;\\;\\text{(inference)}`],
+    desc: (layer) => <>Zeroes each unit with probability <T tex={`p = ${layer.rate ?? DEFAULT_DROP}`} /> during training and rescales the survivors, so no unit can rely on any single other unit. At inference it is the identity; no parameters.</>,
+    why: (l) => <>Every training step samples a fresh mask <T tex={`m^{(${l})}`} />, so the network is effectively an ensemble of thinned sub-networks that share weights. Dividing by <T tex="1-p" /> (inverted dropout) keeps <T tex={`\\mathbb{E}\\bigl[a^{(${l})}\\bigr] = a^{(${l - 1})}`} />, which is why inference can simply skip the layer. The forward and backward pass shown on this page are the inference ones; the training panel samples masks.</>,
+  },
+  batchnorm: {
+    label: "BatchNorm", short: "BN", color: "#2dd4bf", sameWidth: true,
+    defaults: { activation: "Linear" },
+    infer: normInfer,
+    shapes: (n) => ({ gamma: [n], beta: [n], mean: [n], var: [n] }),
+    trainable: ["gamma", "beta"],
+    fresh: (n) => ({ gamma: Array(n).fill(1), beta: Array(n).fill(0), mean: Array(n).fill(0), var: Array(n).fill(1) }),
+    countTex: (_, n) => `2 \\cdot ${n}`,
+    cost: (layer) => ({ macs: 0, elem: 4 * layer.nodes }),   // subtract, scale, gamma, beta
+    dimsTex: (l, n, _, layer, prev, B) => [
+      `\\gamma^{(${l})}, \\beta^{(${l})} \\in \\mathbb{R}^{${n}}`,
+      `\\mu^{(${l})}, \\sigma^{2(${l})} \\in \\mathbb{R}^{${n}}`,
+      `${batchSym("a", l - 1, B)} \\in ${spaceTex({ nodes: n }, B)}`,
+      `${batchSym("a", l, B)} \\in ${spaceTex({ nodes: n }, B)}`,
+    ],
+    // Batched, the statistics run down each column and broadcast back over the rows.
+    eqTex: (l, _, skip, prev, B) => B ? [
+      `\\mu_j = \\tfrac{1}{${B}}\\sum_{b=1}^{${B}} A^{(${l - 1})}_{bj}, \\quad \\sigma^2_j = \\tfrac{1}{${B}}\\sum_{b=1}^{${B}}\\bigl(A^{(${l - 1})}_{bj} - \\mu_j\\bigr)^2 \\quad \\text{(down each column)}`,
+      `A^{(${l})} = \\bigl(A^{(${l - 1})} - \\mathbf{1}_{${B}}\\, \\mu^{\\top}\\bigr) \\operatorname{diag}\\!\\Bigl(\\dfrac{\\gamma^{(${l})}}{\\sqrt{\\sigma^2 + \\epsilon}}\\Bigr) + \\mathbf{1}_{${B}}\\, \\beta^{(${l})\\top}${skip}`,
+    ] : [
+      `\\mu_j = \\tfrac{1}{m}\\sum_{i=1}^{m} a^{(${l - 1})}_{ij}, \\quad \\sigma^2_j = \\tfrac{1}{m}\\sum_{i=1}^{m}\\bigl(a^{(${l - 1})}_{ij} - \\mu_j\\bigr)^2 \\quad \\text{(per feature, over the batch)}`,
+      `a^{(${l})} = \\gamma^{(${l})} \\odot \\dfrac{a^{(${l - 1})} - \\mu}{\\sqrt{\\sigma^2 + \\epsilon}} + \\beta^{(${l})}${skip}`,
+    ],
+    backTex: (l) => `\\dfrac{\\gamma^{(${l})}}{\\sqrt{\\sigma^2 + \\epsilon}} \\odot \\delta^{(${l})}`,
+    // Batched, γ and β sum their per-example gradients down the columns, like b in a dense layer,
+    // and A's gradient carries the Jacobian of the batch statistics, as LayerNorm's does along rows.
+    gradTex: (l, layer, prev, B) => B ? [
+      `\\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial \\gamma^{(${l})}} = \\tfrac{1}{${B}} \\sum_{b=1}^{${B}} \\Delta^{(${l})}_{b} \\odot \\hat{X}^{(${l})}_{b}, \\qquad \\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial \\beta^{(${l})}} = \\tfrac{1}{${B}}\\, \\Delta^{(${l})\\top} \\mathbf{1}_{${B}}, \\qquad ${deltaRows(l)}`,
+      `\\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial A^{(${l - 1})}} = \\tfrac{1}{${B}}\\Bigl(\\Delta^{(${l})} - \\mathbf{1}_{${B}}\\, \\overline{\\Delta^{(${l})}} - \\hat{X}^{(${l})} \\odot \\mathbf{1}_{${B}}\\, \\overline{\\Delta^{(${l})} \\odot \\hat{X}^{(${l})}}\\Bigr) \\operatorname{diag}\\!\\Bigl(\\dfrac{\\gamma^{(${l})}}{\\sqrt{\\sigma^2 + \\epsilon}}\\Bigr), \\quad \\overline{M} = \\tfrac{1}{${B}}\\, \\mathbf{1}_{${B}}^{\\top} M \\;\\; \\text{(mean down each column)}`,
+    ] : [
+      `\\frac{\\partial \\mathcal{L}}{\\partial \\gamma^{(${l})}} = \\delta^{(${l})} \\odot \\hat{x}^{(${l})}, \\qquad \\frac{\\partial \\mathcal{L}}{\\partial \\beta^{(${l})}} = \\delta^{(${l})}`,
+      `\\frac{\\partial \\mathcal{L}}{\\partial a^{(${l - 1})}} = \\dfrac{\\gamma^{(${l})}}{\\sqrt{\\sigma^2 + \\epsilon}} \\odot \\delta^{(${l})} \\quad \\text{(running statistics held fixed)}`,
+    ],
+    desc: () => <>Standardises every feature with statistics taken across the batch, then rescales with learned <T tex="\gamma" /> and shifts with learned <T tex="\beta" />.</>,
+    why: (l) => <>Normalising keeps each feature of <T tex={`a^{(${l - 1})}`} /> near zero mean and unit variance however the earlier weights drift, so later layers see a stable input distribution and tolerate larger learning rates. <T tex="\gamma" /> and <T tex="\beta" /> let the layer undo the normalisation where that helps. A single example has no batch, so inference uses running averages <T tex="\mu, \sigma^2" /> collected during training; this page normalises with them throughout, and each training epoch folds its full-batch statistics into them with momentum {BN_MOMENTUM}.</>,
+  },
+  layernorm: {
+    label: "LayerNorm", short: "LN", color: "#a3e635", sameWidth: true,
+    defaults: { activation: "Linear" },
+    infer: normInfer,
+    shapes: (n) => ({ gamma: [n], beta: [n] }),
+    trainable: ["gamma", "beta"],
+    fresh: (n) => ({ gamma: Array(n).fill(1), beta: Array(n).fill(0) }),
+    countTex: (_, n) => `2 \\cdot ${n}`,
+    cost: (layer) => ({ macs: 0, elem: 7 * layer.nodes }),   // mean, variance, normalise, gamma, beta
+    dimsTex: (l, n, _, layer, prev, B) => [
+      `\\gamma^{(${l})}, \\beta^{(${l})} \\in \\mathbb{R}^{${n}}`,
+      `\\mu, \\sigma^2 \\in \\mathbb{R}${B ? `^{${B}}` : ""}`,
+      `${batchSym("a", l - 1, B)} \\in ${spaceTex({ nodes: n }, B)}`,
+      `${batchSym("a", l, B)} \\in ${spaceTex({ nodes: n }, B)}`,
+    ],
+    // Batched, each row keeps its own statistics; the batch plays no part.
+    eqTex: (l, layer, skip, prev, B) => B ? [
+      `\\mu_b = \\tfrac{1}{${layer.nodes}}\\sum_{j=1}^{${layer.nodes}} A^{(${l - 1})}_{bj}, \\quad \\sigma^2_b = \\tfrac{1}{${layer.nodes}}\\sum_{j=1}^{${layer.nodes}}\\bigl(A^{(${l - 1})}_{bj} - \\mu_b\\bigr)^2 \\quad \\text{(along each row)}`,
+      `A^{(${l})}_{bj} = \\gamma^{(${l})}_j \\dfrac{A^{(${l - 1})}_{bj} - \\mu_b}{\\sqrt{\\sigma^2_b + \\epsilon}} + \\beta^{(${l})}_j${skip ? `${skip}_{bj}` : ""}`,
+    ] : [
+      `\\mu = \\tfrac{1}{${layer.nodes}}\\sum_{j=1}^{${layer.nodes}} a^{(${l - 1})}_j, \\quad \\sigma^2 = \\tfrac{1}{${layer.nodes}}\\sum_{j=1}^{${layer.nodes}}\\bigl(a^{(${l - 1})}_j - \\mu\\bigr)^2 \\quad \\text{(over the features of one example)}`,
+      `a^{(${l})} = \\gamma^{(${l})} \\odot \\dfrac{a^{(${l - 1})} - \\mu}{\\sqrt{\\sigma^2 + \\epsilon}} + \\beta^{(${l})}${skip}`,
+    ],
+    backTex: (l) => `J^{(${l})\\top}_{\\mathrm{LN}}\\, \\delta^{(${l})}`,
+    gradTex: (l, layer, prev, B) => B ? [
+      `\\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial \\gamma^{(${l})}} = \\tfrac{1}{${B}} \\sum_{b=1}^{${B}} \\Delta^{(${l})}_{b} \\odot \\hat{X}^{(${l})}_{b}, \\qquad \\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial \\beta^{(${l})}} = \\tfrac{1}{${B}}\\, \\Delta^{(${l})\\top} \\mathbf{1}_{${B}}, \\qquad ${deltaRows(l)}`,
+      `\\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial A^{(${l - 1})}_{b}} = \\tfrac{1}{${B}} \\cdot \\frac{1}{\\sigma_b}\\Bigl(g_b - \\bar{g}_b - \\hat{X}^{(${l})}_{b}\\, \\overline{g_b \\odot \\hat{X}^{(${l})}_{b}}\\Bigr), \\quad g_b = \\gamma^{(${l})} \\odot \\Delta^{(${l})}_{b}`,
+    ] : [
+      `\\frac{\\partial \\mathcal{L}}{\\partial \\gamma^{(${l})}} = \\delta^{(${l})} \\odot \\hat{x}^{(${l})}, \\qquad \\frac{\\partial \\mathcal{L}}{\\partial \\beta^{(${l})}} = \\delta^{(${l})}`,
+      `\\frac{\\partial \\mathcal{L}}{\\partial a^{(${l - 1})}} = \\frac{1}{\\sigma}\\Bigl(g - \\bar{g} - \\hat{x}^{(${l})}\\, \\overline{g \\odot \\hat{x}^{(${l})}}\\Bigr), \\quad g = \\gamma^{(${l})} \\odot \\delta^{(${l})}`,
+    ],
+    desc: () => <>Standardises across the features of each example, then applies learned <T tex="\gamma" /> and <T tex="\beta" />. Needs no batch, so training and inference behave the same.</>,
+    why: (l) => <>Because <T tex="\mu" /> and <T tex="\sigma" /> are computed per example, LayerNorm works with any batch size, including one, which is why it is the norm of choice in transformers and recurrent nets. Both statistics depend on every entry of <T tex={`a^{(${l - 1})}`} />, so its Jacobian is dense: the backward pass subtracts the mean gradient and the component along <T tex={`\\hat{x}^{(${l})}`} />.</>,
+  },
+  conv2d: {
+    label: "Conv2D", short: "Conv", color: "#60a5fa", sameWidth: false, activates: true,
+    defaults: { activation: "ReLU", init: "he", filters: 2, kernel: 3, stride: 1, padding: 0 },
+    infer: (layer, prev) => slideInfer(layer, prev, layer.filters),
+    fans: (layer, prev) => [(prev.shape?.[0] ?? 1) * layer.kernel ** 2, layer.filters * layer.kernel ** 2],
+    shapes: (nin, nout, layer, prev) => ({ K: [layer.filters, prev.shape?.[0] ?? 1, layer.kernel, layer.kernel], b: [layer.filters] }),
+    trainable: ["K", "b"],
+    countTex: (nin, nout, layer, prev) => `${layer.filters}(${prev.shape?.[0] ?? 1} \\cdot ${layer.kernel}^2 + 1)`,
+    cost: (layer, prev) => ({ macs: layer.nodes * (prev.shape?.[0] ?? 1) * layer.kernel ** 2, elem: layer.nodes }),
+    dimsTex: (l, nin, nout, layer, prev, B) => [
+      `K^{(${l})} \\in \\mathbb{R}^{${layer.filters}\\times ${prev.shape[0]}\\times ${layer.kernel}\\times ${layer.kernel}}`,
+      `b^{(${l})} \\in \\mathbb{R}^{${layer.filters}}`,
+      `s = ${layer.stride}, \\; p = ${layer.padding}`,
+      `${batchSym("a", l - 1, B)} \\in ${spaceTex(prev, B)}`,
+      `${batchSym("z", l, B)}, ${batchSym("a", l, B)} \\in ${spaceTex(layer, B)}`,
+    ],
+    eqTex: (l, layer, skip, prev, B) => [
+      slideSizeTex(layer, prev),
+      `${batchSym("z", l, B)}_{${B ? "b," : ""}o,i,j} = b^{(${l})}_o + \\sum_{c=1}^{${prev.shape[0]}} \\sum_{u=0}^{${layer.kernel - 1}} \\sum_{v=0}^{${layer.kernel - 1}} K^{(${l})}_{o,c,u,v}\\, ${batchSym("a", l - 1, B)}_{${B ? "b," : ""}c,\\, ${tapTex("i", "u", layer)},\\, ${tapTex("j", "v", layer)}}`,
+      `${batchSym("a", l, B)} = \\sigma\\!\\bigl(${batchSym("z", l, B)}\\bigr)${skip}, \\qquad \\sigma(z) = ${ACT[layer.activation]?.tex(actParams(layer)) ?? "z"}`,
+    ],
+    backTex: (l) => `\\operatorname{conv}^{\\top}\\!\\bigl(K^{(${l})}, \\delta^{(${l})}\\bigr)`,
+    // Batched, every kernel weight also sums over the examples that used it.
+    gradTex: (l, layer, prev, B) => B ? [
+      `\\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial K^{(${l})}_{o,c,u,v}} = \\tfrac{1}{${B}} \\sum_{b=1}^{${B}} \\sum_{i,j} \\Delta^{(${l})}_{b,o,i,j}\\, A^{(${l - 1})}_{b,c,\\, ${tapTex("i", "u", layer)},\\, ${tapTex("j", "v", layer)}}, \\qquad \\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial b^{(${l})}_o} = \\tfrac{1}{${B}} \\sum_{b=1}^{${B}} \\sum_{i,j} \\Delta^{(${l})}_{b,o,i,j}, \\qquad ${deltaRows(l)}`,
+      `\\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial A^{(${l - 1})}_{b,c,r,q}} = \\tfrac{1}{${B}} \\sum_{o} \\sum_{\\substack{i,u \\,:\\, ${tapTex("i", "u", layer)} = r \\\\ j,v \\,:\\, ${tapTex("j", "v", layer)} = q}} K^{(${l})}_{o,c,u,v}\\, \\Delta^{(${l})}_{b,o,i,j}`,
+    ] : [
+      `\\frac{\\partial \\mathcal{L}}{\\partial K^{(${l})}_{o,c,u,v}} = \\sum_{i,j} \\delta^{(${l})}_{o,i,j}\\, a^{(${l - 1})}_{c,\\, ${tapTex("i", "u", layer)},\\, ${tapTex("j", "v", layer)}}, \\qquad \\frac{\\partial \\mathcal{L}}{\\partial b^{(${l})}_o} = \\sum_{i,j} \\delta^{(${l})}_{o,i,j}`,
+      `\\frac{\\partial \\mathcal{L}}{\\partial a^{(${l - 1})}_{c,r,q}} = \\sum_{o} \\sum_{\\substack{i,u \\,:\\, ${tapTex("i", "u", layer)} = r \\\\ j,v \\,:\\, ${tapTex("j", "v", layer)} = q}} K^{(${l})}_{o,c,u,v}\\, \\delta^{(${l})}_{o,i,j}`,
+    ],
+    desc: (layer) => <>Slides {layer.filters} learned {layer.kernel}&times;{layer.kernel} kernel{layer.filters > 1 ? "s" : ""} over the input with stride {layer.stride}{layer.padding ? <> and {layer.padding} ring{layer.padding > 1 ? "s" : ""} of zero padding</> : ""}; every output position reuses the same weights. Entries outside the input read as zero.</>,
+    why: (l, layer, prev) => {
+      const [c, h, w] = prev.shape, k = layer.kernel, f = layer.filters;
+      const conv = f * (c * k * k + 1), dense = layer.nodes * (prev.nodes + 1);
+      return <>
+        Each output <T tex={`z^{(${l})}_{o,i,j}`} /> looks only at a <T tex={`${c} \\times ${k} \\times ${k}`} /> patch of
+        {" "}<T tex={`a^{(${l - 1})}`} /> (local connectivity), and all {layer.shape[1] * layer.shape[2]} positions of feature map <em>o</em> use
+        the same kernel <T tex={`K^{(${l})}_{o}`} /> (weight sharing). So the kernel tensor has one <T tex={`${k} \\times ${k}`} /> slice
+        per (filter, input channel) pair, <T tex={`${f} \\times ${c} \\times ${k} \\times ${k}`} />, and its size does not depend on
+        the {h}&times;{w} image at all. A dense layer between the same {prev.nodes} inputs and {layer.nodes} outputs would
+        need <T tex={`${layer.nodes}(${prev.nodes} + 1) = ${dense}`} /> parameters; this one has <T tex={`${f}(${c} \\cdot ${k}^2 + 1) = ${conv}`} />.
+        In the backward pass every weight collects a gradient from every position it was used at, and routing
+        {" "}<T tex={`\\delta^{(${l})}`} /> back to the input is a convolution with the same kernels flipped (a transposed convolution).
+        {slideLeftover(layer, prev).some(Boolean) && <> {leftoverNote(layer, prev)}</>}
+      </>;
+    },
+  },
+  maxpool: poolType({ label: "MaxPool", short: "MaxP", color: "#fb7185", max: true }),
+  avgpool: poolType({ label: "AvgPool", short: "AvgP", color: "#e879f9", max: false }),
+  flatten: {
+    label: "Flatten", short: "Flat", color: "#cbd5e1", sameWidth: true,
+    defaults: { activation: "Linear" },
+    infer: (_, prev) => ({ nodes: prev.nodes }),
+    shapes: () => ({}),
+    trainable: [],
+    countTex: () => null,
+    cost: () => ({ macs: 0, elem: 0 }),
+    dimsTex: (l, nin, nout, layer, prev, B) => [
+      `${batchSym("a", l - 1, B)} \\in ${spaceTex(prev, B)}`,
+      `${batchSym("a", l, B)} \\in ${spaceTex({ nodes: nout }, B)}`,
+    ],
+    // The batch axis survives: only the axes after it are unrolled.
+    eqTex: (l, _, skip, prev, B) => [B
+      ? `A^{(${l})}_{b,:} = \\operatorname{vec}\\bigl(A^{(${l - 1})}_{b}\\bigr)${skip ? `${skip}_{b,:}` : ""}, \\qquad (${B}, ${prev.shape ? prev.shape.join(", ") : prev.nodes}) \\to (${B}, ${prev.nodes})`
+      : prev.shape
+      ? `a^{(${l})} = \\operatorname{vec}\\bigl(a^{(${l - 1})}\\bigr)${skip}, \\qquad a^{(${l})}_{(c \\cdot ${prev.shape[1]} + i) \\cdot ${prev.shape[2]} + j} = a^{(${l - 1})}_{c,i,j}`
+      : `a^{(${l})} = a^{(${l - 1})}${skip} \\quad \\text{(already a vector)}`],
+    backTex: (l) => `\\operatorname{reshape}\\bigl(\\delta^{(${l})}\\bigr)`,
+    gradTex: (l, _, prev, B) => [B
+      ? `\\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial A^{(${l - 1})}_{b}} = \\tfrac{1}{${B}} \\operatorname{reshape}_{${prev.shape ? prev.shape.join("\\times ") : prev.nodes}}\\bigl(\\Delta^{(${l})}_{b,:}\\bigr), \\qquad ${deltaRows(l)}`
+      : `\\frac{\\partial \\mathcal{L}}{\\partial a^{(${l - 1})}} = \\operatorname{reshape}_{${prev.shape ? prev.shape.join("\\times ") : prev.nodes}}\\bigl(\\delta^{(${l})}\\bigr)`],
+    desc: () => <>Unrolls the feature maps channel by channel into one vector so dense layers can follow. No parameters and no arithmetic.</>,
+    why: (l, _, prev) => <>
+      Dense layers multiply a vector by a matrix, so the {prev.shape ? prev.shape.join("×") : prev.nodes} tensor is read out in a fixed order:
+      all of channel 1 row by row, then channel 2, and so on (PyTorch's order; Keras, which stores channels last, interleaves them instead).
+      Nothing is computed, so the backward pass only reshapes <T tex={`\\delta^{(${l})}`} /> back into feature maps. From here on
+      the network no longer knows which values were neighbours in the image.
+    </>,
+  },
+};
+
+// Every layer after the input takes its width (and shape) from infer, and residual skips
+// that no longer join two tensors of the same shape are dropped. Run after any edit that
+// can change a size. The input layer's shape, when present, is set by the user.
+function withoutSkip({ skip, ...layer }) {
+  return layer;
+}
+
+function withShape({ shape, ...layer }, next) {
+  return next ? { ...layer, shape: next } : layer;
+}
+
+const sameSize = (a, b) => a.nodes === b.nodes && sizeLabel(a) === sizeLabel(b);
+
+function syncLayers(layers) {
+  const out = [];
+  layers.forEach((layer, i) => {
+    let next = layer;
+    if (i > 0) {
+      const { nodes, shape } = LAYER_TYPES[layerType(layer)].infer(layer, out[i - 1]);
+      next = withShape({ ...layer, nodes }, shape);
+    }
+    if (next.skip !== undefined && !(next.skip < i && sameSize(out[next.skip], next))) next = withoutSkip(next);
+    out.push(next);
+  });
+  return out;
+}
+
+// [{ layer, error }] for every layer whose settings do not fit its input. The forward
+// pass and everything downstream of it are only meaningful once this is empty.
+function shapeErrors(layers) {
+  return layers.flatMap((layer, i) => {
+    const error = i > 0 && LAYER_TYPES[layerType(layer)].infer(layer, layers[i - 1]).error;
+    return error ? [{ layer: i, error }] : [];
+  });
+}
+
+// Starting points with real-world shapes. layers() is synced before use; input() is the
+// example loaded with it, MNIST-sized ones a centred cross on a 28 x 28 grid.
+const PRESETS = {
+  toy: { label: "toy 3-5-4-2", layers: defaultLayers, input: defaultInput },
+  mlp: {
+    label: "MNIST MLP",
+    layers: () => [
+      { nodes: 784, activation: "Linear"                  },
+      { nodes: 128, activation: "ReLU",    init: "he"     },
+      { nodes: 64,  activation: "ReLU",    init: "he"     },
+      { nodes: 10,  activation: "Softmax", init: "xavier" },
+    ],
+    input: () => defaultImage([1, 28, 28]),
+  },
+  cnn: {
+    label: "MNIST CNN",
+    layers: () => [
+      { nodes: 784, shape: [1, 28, 28], activation: "Linear" },
+      { type: "conv2d", ...LAYER_TYPES.conv2d.defaults, filters: 8, padding: 1 },
+      { type: "maxpool", ...LAYER_TYPES.maxpool.defaults },
+      { type: "conv2d", ...LAYER_TYPES.conv2d.defaults, filters: 16, padding: 1 },
+      { type: "maxpool", ...LAYER_TYPES.maxpool.defaults },
+      { type: "flatten", ...LAYER_TYPES.flatten.defaults },
+      { nodes: 64, activation: "ReLU",    init: "he"     },
+      { nodes: 10, activation: "Softmax", init: "xavier" },
+    ],
+    input: () => defaultImage([1, 28, 28]),
+  },
+  deep: {
+    label: "deep MLP",
+    layers: () => [
+      { nodes: 16, activation: "Linear" },
+      ...Array.from({ length: 10 }, () => ({ nodes: 32, activation: "ReLU", init: "he" })),
+      { nodes: 4, activation: "Softmax", init: "xavier" },
+    ],
+    input: () => Array.from({ length: 16 }, (_, i) => ((i % 5) - 2) / 2),
+  },
+};
+
+// ─── Task catalogue ───────────────────────────────────────────────────────────
+// The task is read off the output layer's activation (head), so a session or an
+// imported model carries it implicitly. target(t, K) coerces any stored target to
+// this task's form: a class index for classification, a real vector for regression.
+// lossHint is the loss-gradient exercise's clue: what to read in a gradient, naming no loss.
+const TASKS = {
+  classification: {
+    label: "Classification", head: "Softmax", loss: "ce", outputsLabel: "Classes",
+    headTex: "\\operatorname{softmax}",
+    outputTex: (K) => `\\hat{y} = \\operatorname{softmax}\\!\\left(z^{(L)}\\right) \\in \\Delta^{K-1}, \\quad K = ${K}`,
+    outputNote: (K) => <>All {K} outputs satisfy <T tex="\hat{y}_i \geq 0" /> and <T tex={`\\sum_{i=1}^{${K}} \\hat{y}_i = 1`} />.</>,
+    target: (t, K) => (Number.isInteger(t) ? Math.max(0, Math.min(t, K - 1)) : 0),
+    lossHint: () => <>Start from the plain residual <T tex="\hat{y} - y" /> against a one-hot <T tex="y" />. Is the target still one-hot, and does any factor scale the residual by how confident the prediction already is?</>,
+  },
+  regression: {
+    label: "Regression", head: "Linear", loss: "mse", outputsLabel: "Outputs",
+    headTex: "",
+    outputTex: (K) => `\\hat{y} = z^{(L)} \\in \\mathbb{R}^{${K}}, \\quad K = ${K}`,
+    outputNote: (K) => <>No squashing: all {K} outputs are unbounded real predictions and <T tex="\partial \hat{y} / \partial z^{(L)} = I" />.</>,
+    target: (t, K) => Array.from({ length: K }, (_, i) => (Array.isArray(t) && Number.isFinite(t[i]) ? t[i] : 1)),
+    lossHint: () => <>Write the gradient in terms of the residual <T tex="r_i = \hat{y}_i - y_i" /> and ask how it grows as <T tex="|r_i|" /> grows: in proportion, not at all, or one way and then the other.</>,
+  },
+  multilabel: {
+    label: "Multi-label", head: "Sigmoid", loss: "bceMean", outputsLabel: "Labels",
+    headTex: "\\sigma",
+    outputTex: (K) => `\\hat{y} = \\sigma\\!\\left(z^{(L)}\\right) \\in (0,1)^{${K}}, \\quad K = ${K}`,
+    outputNote: (K) => <>Each of the {K} outputs is an independent probability <T tex="\hat{y}_i = P(\text{label } i \mid x)" />. Unlike softmax they need not sum to 1: any number of labels, or none, can be on at once.</>,
+    target: (t, K) => Array.from({ length: K }, (_, i) => (Array.isArray(t) && (t[i] === 0 || t[i] === 1) ? t[i] : Number(i === 0))),
+    lossHint: () => <>Compare the cases <T tex="y_i = 1" /> and <T tex="y_i = 0" />: are on and off labels treated alike, are easy labels damped, and is the sum over labels divided by <T tex="K" />?</>,
+  },
+};
+
+function taskOf(layers) {
+  const head = layers[layers.length - 1].activation;
+  return Object.keys(TASKS).find(k => TASKS[k].head === head) ?? "classification";
+}
+
 // ─── Loss catalogue ───────────────────────────────────────────────────────────
 // note / gradNote / body are all () => JSX so math renders via <T>.
+// value / grad take the head's output yh, the target in its TASKS form and params;
+// grad returns dL/dz^(L) with respect to the head's pre-activation (the logits
+// for softmax, y_hat itself for the linear regression head). formulaGrad evaluates
+// gradFormula as printed, term by term, so GradCheck can hold the TeX to the same test.
+const safeLog = (v) => Math.log(Math.max(v, 1e-12));
+const oneHot  = (K, t) => Array.from({ length: K }, (_, i) => (i === t ? 1 : 0));
+const meanOf  = (yh, y, f) => yh.reduce((acc, v, i) => acc + f(v - y[i]), 0) / yh.length;
+const logCosh = (r) => Math.abs(r) + Math.log1p(Math.exp(-2 * Math.abs(r))) - Math.LN2;
+
+// Per-label binary terms for the sigmoid head, with p = y_hat_i = σ(z_i). pos / neg are
+// the losses for a label that is on / off; dPos / dNeg their derivatives w.r.t. z_i,
+// already multiplied through by dp/dz = p(1 - p).
+const focalPos = (p, g) => ({ loss: -((1 - p) ** g) * safeLog(p), dz: (1 - p) ** g * (g * p * safeLog(p) - (1 - p)) });
+const focalNeg = (p, g) => ({ loss: -(p ** g) * safeLog(1 - p), dz: p ** g * (p - g * (1 - p) * safeLog(1 - p)) });
+const sumLabels = (yh, y, term) => yh.reduce((acc, p, i) => acc + term(p, y[i]), 0);
+
 const LOSSES = {
   ce: {
     label: "Cross-Entropy",
     tag: "Standard multiclass",
+    bestFor: "Balanced multiclass",
     color: "#34d399",
+    task: "classification",
     requiresBinary: false,
     params: [],
+    value: (yh, t) => -safeLog(yh[t]),
+    grad:  (yh, t) => yh.map((v, i) => v - (i === t ? 1 : 0)),
     fullFormula: (K) => `\\mathcal{L}(\\hat{y}, y) = -\\sum_{i=1}^{${K}} y_i \\log \\hat{y}_i`,
     gradFormula: () => `\\frac{\\partial \\mathcal{L}}{\\partial z^{(L)}_i} = \\hat{y}_i - y_i`,
+    formulaGrad: (yh, t) => yh.map((v, i) => v - (i === t ? 1 : 0)),
     gradNote: () => <>Clean residual — all exponentials cancel. This is why softmax&nbsp;+&nbsp;CE is the standard choice.</>,
     note: (K) => <><T tex="\hat{y}" /> is a one-hot vector in <T tex={`\\mathbb{R}^{${K}}`} />. Only the term for the correct class survives the sum.</>,
     derivation: [
@@ -103,11 +667,17 @@ const LOSSES = {
   bce: {
     label: "Binary CE",
     tag: "Binary (K = 2)",
+    bestFor: "Binary (K=2)",
     color: "#38bdf8",
+    task: "classification",
     requiresBinary: true,
     params: [],
+    // With a 2-way softmax head, yh[1] plays the role of the single sigmoid output.
+    value: (yh, t) => -(t === 1 ? safeLog(yh[1]) : safeLog(1 - yh[1])),
+    grad:  (yh, t) => yh.map((v, i) => v - (i === t ? 1 : 0)),
     fullFormula: () => `\\mathcal{L}(\\hat{y}, y) = -y\\log\\hat{y} - (1-y)\\log(1-\\hat{y})`,
     gradFormula: () => `\\frac{\\partial \\mathcal{L}}{\\partial z} = \\hat{y} - y`,
+    formulaGrad: (yh, t) => yh.map((v, i) => v - (i === t ? 1 : 0)),
     gradNote: () => <>Same elegant residual form as multiclass CE, now with a single sigmoid output.</>,
     note: () => <>Use when <T tex="K = 2" />. Replace the softmax head with a single sigmoid neuron.</>,
     derivation: [
@@ -121,11 +691,20 @@ const LOSSES = {
   focal: {
     label: "Focal Loss",
     tag: "Class imbalance",
+    bestFor: "Imbalanced datasets",
     color: "#f472b6",
+    task: "classification",
     requiresBinary: false,
     params: [{ key: "gamma", label: "\u03b3 (focusing)", min: 0, max: 5, step: 0.5, default: 2 }],
+    value: (yh, t, p) => -((1 - yh[t]) ** p.gamma) * safeLog(yh[t]),
+    grad:  (yh, t, p) => {
+      const pt = yh[t], m = (1 - pt) ** p.gamma;
+      const k  = p.gamma === 0 ? 0 : p.gamma * (1 - pt) ** (p.gamma - 1) * pt * safeLog(pt);
+      return yh.map((v, i) => m * (v - (i === t ? 1 : 0)) + k * ((i === t ? 1 : 0) - v));
+    },
     fullFormula: (K, p) => `\\mathcal{L} = -\\sum_{i=1}^{${K}} y_i\\,(1-\\hat{y}_i)^{${p.gamma}}\\log \\hat{y}_i`,
-    gradFormula: (_, p) => `\\frac{\\partial \\mathcal{L}}{\\partial z_i} = (1-\\hat{y}_{y^*})^{${p.gamma}}(\\hat{y}_i - y_i) - ${p.gamma}(1-\\hat{y}_{y^*})^{${Math.max(0, p.gamma - 1)}}\\log(\\hat{y}_{y^*})\\hat{y}_{y^*}(\\delta_{i,y^*} - \\hat{y}_i)`,
+    gradFormula: (_, p) => `\\frac{\\partial \\mathcal{L}}{\\partial z_i} = (1-\\hat{y}_{y^*})^{${p.gamma}}(\\hat{y}_i - y_i) + ${p.gamma}(1-\\hat{y}_{y^*})^{${p.gamma - 1}}\\log(\\hat{y}_{y^*})\\hat{y}_{y^*}(\\delta_{i,y^*} - \\hat{y}_i)`,
+    formulaGrad: (yh, t, p) => yh.map((v, i) => (1 - yh[t]) ** p.gamma * (v - (i === t ? 1 : 0)) + p.gamma * (1 - yh[t]) ** (p.gamma - 1) * safeLog(yh[t]) * yh[t] * ((i === t ? 1 : 0) - v)),
     gradNote: () => <>The modulating factor suppresses gradient magnitude for well-classified (easy) examples.</>,
     note: (_, p) => <><T tex={`\\gamma = ${p.gamma}`} />. When <T tex="\gamma > 0" />, easy examples (<T tex="\hat{y}" /> close to 1) contribute very little loss.</>,
     derivation: [
@@ -139,11 +718,16 @@ const LOSSES = {
   ls: {
     label: "Label Smoothing",
     tag: "Regularisation",
+    bestFor: "Noisy / overfit-prone",
     color: "#a78bfa",
+    task: "classification",
     requiresBinary: false,
     params: [{ key: "eps", label: "\u03b5 (smoothing)", min: 0.01, max: 0.3, step: 0.01, default: 0.1 }],
+    value: (yh, t, p) => oneHot(yh.length, t).reduce((acc, y, i) => acc - ((1 - p.eps) * y + p.eps / yh.length) * safeLog(yh[i]), 0),
+    grad:  (yh, t, p) => oneHot(yh.length, t).map((y, i) => yh[i] - ((1 - p.eps) * y + p.eps / yh.length)),
     fullFormula: (K, p) => `\\tilde{y}_i = (1-${p.eps})y_i + \\tfrac{${p.eps}}{${K}},\\quad \\mathcal{L} = -\\sum_{i=1}^{${K}} \\tilde{y}_i \\log \\hat{y}_i`,
     gradFormula: () => `\\frac{\\partial \\mathcal{L}}{\\partial z^{(L)}_i} = \\hat{y}_i - \\tilde{y}_i`,
+    formulaGrad: (yh, t, p) => yh.map((v, i) => v - ((1 - p.eps) * (i === t ? 1 : 0) + p.eps / yh.length)),
     gradNote: () => <>Same residual form, but the smoothed target <T tex="\tilde{y}" /> puts a floor — prevents logits from growing unboundedly.</>,
     note: (K, p) => <><T tex={`\\varepsilon = ${p.eps}`} />. Wrong-class target: <T tex={`${(p.eps / K).toFixed(4)}`} />. Correct-class target: <T tex={`${(1 - p.eps + p.eps / K).toFixed(4)}`} />.</>,
     derivation: [
@@ -155,542 +739,5026 @@ const LOSSES = {
         body: () => <>The gradient is <T tex="\hat{y}_i - \tilde{y}_i" />. The smoothed target <T tex="\tilde{y}" /> puts a floor on the reward signal — the network is prevented from becoming arbitrarily certain, improving held-out calibration.</> },
     ],
   },
+
+  mse: {
+    label: "MSE",
+    tag: "Mean squared error",
+    bestFor: "Gaussian noise",
+    color: "#fbbf24",
+    task: "regression",
+    requiresBinary: false,
+    params: [],
+    value: (yh, y) => meanOf(yh, y, r => r * r),
+    grad:  (yh, y) => yh.map((v, i) => (2 * (v - y[i])) / yh.length),
+    fullFormula: (K) => `\\mathcal{L}(\\hat{y}, y) = \\frac{1}{${K}}\\sum_{i=1}^{${K}} \\bigl(\\hat{y}_i - y_i\\bigr)^2`,
+    gradFormula: (K) => `\\frac{\\partial \\mathcal{L}}{\\partial z^{(L)}_i} = \\frac{2}{${K}}\\bigl(\\hat{y}_i - y_i\\bigr)`,
+    formulaGrad: (yh, y) => yh.map((v, i) => (2 / yh.length) * (v - y[i])),
+    gradNote: () => <>The residual again, scaled by <T tex="2/K" />. Large errors pull proportionally harder, which is also why a few outliers can dominate training.</>,
+    note: (K) => <>The target <T tex="y" /> is a real vector in <T tex={`\\mathbb{R}^{${K}}`} />; squared errors are averaged over the {K} outputs.</>,
+    derivation: [
+      { heading: "Gaussian maximum likelihood",
+        body: () => <>Model every target as <T tex="y_i \sim \mathcal{N}(\hat{y}_i, s^2)" /> with a fixed variance. The negative log-likelihood is <T tex="\tfrac{1}{2s^2}\sum_i (y_i - \hat{y}_i)^2" /> plus a constant, so minimising MSE is maximum-likelihood estimation under Gaussian noise.</> },
+      { heading: "What it estimates",
+        body: () => <>The constant <T tex="c" /> minimising <T tex="\mathbb{E}\bigl[(y - c)^2\bigr]" /> is the mean <T tex="\mathbb{E}[y]" />. A well-trained MSE regressor predicts the conditional mean <T tex="\mathbb{E}[y \mid x]" /> of the targets.</> },
+      { heading: "Why a linear head?",
+        body: () => <>With <T tex="\hat{y} = z^{(L)}" /> the output Jacobian is the identity, so <T tex="\delta^{(L)}" /> is just the scaled residual &#8212; the regression counterpart of softmax + CE's <T tex="\hat{y} - y" />.</> },
+    ],
+  },
+
+  mae: {
+    label: "MAE",
+    tag: "Mean absolute error",
+    bestFor: "Outliers in the targets",
+    color: "#f97316",
+    task: "regression",
+    requiresBinary: false,
+    params: [],
+    value: (yh, y) => meanOf(yh, y, Math.abs),
+    grad:  (yh, y) => yh.map((v, i) => Math.sign(v - y[i]) / yh.length),
+    fullFormula: (K) => `\\mathcal{L}(\\hat{y}, y) = \\frac{1}{${K}}\\sum_{i=1}^{${K}} \\bigl|\\hat{y}_i - y_i\\bigr|`,
+    gradFormula: (K) => `\\frac{\\partial \\mathcal{L}}{\\partial z^{(L)}_i} = \\frac{1}{${K}}\\operatorname{sign}\\bigl(\\hat{y}_i - y_i\\bigr)`,
+    formulaGrad: (yh, y) => yh.map((v, i) => (1 / yh.length) * Math.sign(v - y[i])),
+    gradNote: () => <>Same magnitude for every error: an outlier pulls no harder than a near miss, but the gradient also does not shrink near the optimum, so a fixed learning rate keeps overshooting.</>,
+    note: (K) => <>Absolute errors averaged over the {K} outputs. At <T tex="\hat{y}_i = y_i" /> the loss has a kink; the subgradient 0 is used there.</>,
+    derivation: [
+      { heading: "Laplace maximum likelihood",
+        body: () => <>Assume <T tex="y_i" /> follows a Laplace distribution centred on <T tex="\hat{y}_i" />, with density <T tex="\propto e^{-|y_i - \hat{y}_i|/s}" />. Its negative log-likelihood is the absolute error, so MAE is maximum likelihood under heavy-tailed noise.</> },
+      { heading: "What it estimates",
+        body: () => <>The minimiser of <T tex="\mathbb{E}\bigl[|y - c|\bigr]" /> is the median of <T tex="y" />. Moving a few targets far away does not move the median, which is where MAE's robustness comes from.</> },
+    ],
+  },
+
+  huber: {
+    label: "Huber",
+    tag: "Quadratic, then linear",
+    bestFor: "Mostly clean, some outliers",
+    color: "#2dd4bf",
+    task: "regression",
+    requiresBinary: false,
+    params: [{ key: "delta", label: "\u03b4 (threshold)", min: 0.1, max: 3, step: 0.1, default: 1 }],
+    value: (yh, y, p) => meanOf(yh, y, r => (Math.abs(r) <= p.delta ? 0.5 * r * r : p.delta * (Math.abs(r) - 0.5 * p.delta))),
+    grad:  (yh, y, p) => yh.map((v, i) => Math.max(-p.delta, Math.min(p.delta, v - y[i])) / yh.length),
+    fullFormula: (K, p) => `\\mathcal{L} = \\frac{1}{${K}}\\sum_{i=1}^{${K}} \\begin{cases} \\tfrac{1}{2} r_i^2 & |r_i| \\le ${p.delta} \\\\ ${p.delta}\\bigl(|r_i| - \\tfrac{${p.delta}}{2}\\bigr) & \\text{otherwise} \\end{cases}, \\quad r_i = \\hat{y}_i - y_i`,
+    gradFormula: (K, p) => `\\frac{\\partial \\mathcal{L}}{\\partial z^{(L)}_i} = \\frac{1}{${K}}\\operatorname{clip}\\bigl(\\hat{y}_i - y_i,\\, -${p.delta},\\, ${p.delta}\\bigr)`,
+    formulaGrad: (yh, y, p) => yh.map((v, i) => (1 / yh.length) * Math.min(p.delta, Math.max(-p.delta, v - y[i]))),
+    gradNote: () => <>The MSE residual, clipped: small errors get a proportional pull, errors beyond <T tex="\delta" /> a constant one.</>,
+    note: (K, p) => <><T tex={`\\delta = ${p.delta}`} />. Errors smaller than <T tex="\delta" /> are penalised like MSE, larger ones like MAE.</>,
+    derivation: [
+      { heading: "Best of both",
+        body: () => <>MSE converges smoothly but is dragged around by outliers; MAE ignores outliers but has a constant gradient that never settles. Huber is quadratic inside <T tex="[-\delta, \delta]" /> and linear outside, with matching value and slope at <T tex="|r| = \delta" />, so it is differentiable everywhere.</> },
+      { heading: "Effect of δ",
+        body: (p) => <><T tex="\delta" /> sets what counts as an outlier, in the units of the target. As <T tex="\delta \to \infty" /> Huber becomes <T tex="\tfrac{1}{2}" />MSE; as <T tex="\delta \to 0" /> it approaches <T tex="\delta" />&nbsp;&#183;&nbsp;MAE. Here a residual of <T tex={`3\\delta = ${fmtNum(3 * p.delta, 2)}`} /> costs <T tex={fmtNum(2.5 * p.delta ** 2, 3)} /> instead of the <T tex={fmtNum(4.5 * p.delta ** 2, 3)} /> of <T tex="\tfrac{1}{2}r^2" />.</> },
+    ],
+  },
+
+  logcosh: {
+    label: "Log-Cosh",
+    tag: "Smooth Huber",
+    bestFor: "Smooth robust fits",
+    color: "#a3e635",
+    task: "regression",
+    requiresBinary: false,
+    params: [],
+    value: (yh, y) => meanOf(yh, y, logCosh),
+    grad:  (yh, y) => yh.map((v, i) => Math.tanh(v - y[i]) / yh.length),
+    fullFormula: (K) => `\\mathcal{L}(\\hat{y}, y) = \\frac{1}{${K}}\\sum_{i=1}^{${K}} \\log\\cosh\\bigl(\\hat{y}_i - y_i\\bigr)`,
+    gradFormula: (K) => `\\frac{\\partial \\mathcal{L}}{\\partial z^{(L)}_i} = \\frac{1}{${K}}\\tanh\\bigl(\\hat{y}_i - y_i\\bigr)`,
+    formulaGrad: (yh, y) => yh.map((v, i) => (1 / yh.length) * Math.tanh(v - y[i])),
+    gradNote: () => <>The residual squashed by <T tex="\tanh" />: proportional for small errors, saturating at <T tex="\pm 1/K" /> for large ones.</>,
+    note: (K) => <>Averaged over the {K} outputs. Behaves like <T tex="\tfrac{1}{2}r^2" /> near zero and like <T tex="|r| - \log 2" /> far from it.</>,
+    derivation: [
+      { heading: "A smooth Huber loss",
+        body: () => <>Taylor-expanding gives <T tex="\log\cosh r = \tfrac{1}{2}r^2 - \tfrac{1}{12}r^4 + \dots" /> for small <T tex="r" />, while for large <T tex="|r|" /> it approaches <T tex="|r| - \log 2" />. That is Huber's shape with <T tex="\delta \approx 1" />, but with no switch-over point.</> },
+      { heading: "Twice differentiable",
+        body: () => <>Its second derivative <T tex="1 - \tanh^2 r" /> exists everywhere, unlike Huber's, which jumps at <T tex="|r| = \delta" />. Second-order optimisers such as Newton's method or XGBoost's boosting rely on that curvature.</> },
+    ],
+  },
+
+  bceSum: {
+    label: "BCE (sum)",
+    tag: "Per-label, summed",
+    bestFor: "Multi-label, few labels",
+    color: "#22d3ee",
+    task: "multilabel",
+    requiresBinary: false,
+    params: [],
+    value: (yh, y) => sumLabels(yh, y, (p, t) => -(t ? safeLog(p) : safeLog(1 - p))),
+    grad:  (yh, y) => yh.map((p, i) => p - y[i]),
+    fullFormula: (K) => `\\mathcal{L} = -\\sum_{i=1}^{${K}} \\Bigl[y_i \\log \\hat{y}_i + (1-y_i)\\log\\bigl(1-\\hat{y}_i\\bigr)\\Bigr]`,
+    gradFormula: () => `\\frac{\\partial \\mathcal{L}}{\\partial z^{(L)}_i} = \\hat{y}_i - y_i`,
+    formulaGrad: (yh, y) => yh.map((v, i) => v - y[i]),
+    gradNote: () => <>One sigmoid + BCE residual per label. Each output is trained on its own; a label being on says nothing about the others.</>,
+    note: (K) => <><T tex="y \in \{0,1\}^{K}" /> is a multi-hot vector. The {K} binary problems are added up, so the loss grows with the number of labels.</>,
+    derivation: [
+      { heading: "K independent Bernoullis",
+        body: () => <>Model each label as its own coin flip, <T tex="y_i \sim \mathrm{Bernoulli}(\hat{y}_i)" />, independent given <T tex="x" />. The likelihood factorises as <T tex="\prod_i \hat{y}_i^{\,y_i}(1-\hat{y}_i)^{1-y_i}" />, and its negative log is the sum of one BCE term per label.</> },
+      { heading: "Why not softmax?",
+        body: () => <>Softmax models exactly one true class: raising one probability lowers all the others. A photo tagged both <em>beach</em> and <em>sunset</em> needs two outputs near 1 at once, which the simplex cannot express. K sigmoids drop the sum-to-one constraint.</> },
+    ],
+  },
+
+  bceMean: {
+    label: "BCE (mean)",
+    tag: "Per-label, averaged",
+    bestFor: "Multi-label, scale-free",
+    color: "#67e8f9",
+    task: "multilabel",
+    requiresBinary: false,
+    params: [],
+    value: (yh, y) => sumLabels(yh, y, (p, t) => -(t ? safeLog(p) : safeLog(1 - p))) / yh.length,
+    grad:  (yh, y) => yh.map((p, i) => (p - y[i]) / yh.length),
+    fullFormula: (K) => `\\mathcal{L} = -\\frac{1}{${K}}\\sum_{i=1}^{${K}} \\Bigl[y_i \\log \\hat{y}_i + (1-y_i)\\log\\bigl(1-\\hat{y}_i\\bigr)\\Bigr]`,
+    gradFormula: (K) => `\\frac{\\partial \\mathcal{L}}{\\partial z^{(L)}_i} = \\frac{1}{${K}}\\bigl(\\hat{y}_i - y_i\\bigr)`,
+    formulaGrad: (yh, y) => yh.map((v, i) => (1 / yh.length) * (v - y[i])),
+    gradNote: () => <>The summed gradient divided by <T tex="K" />, so the step size does not depend on how many labels there are.</>,
+    note: (K) => <>The mean over the {K} labels &#8212; the default reduction of PyTorch's <code>BCEWithLogitsLoss</code> and Keras' <code>BinaryCrossentropy</code>.</>,
+    derivation: [
+      { heading: "Sum or mean?",
+        body: () => <>Both have the same minimiser; they differ by the constant factor <T tex="K" />. The mean keeps the loss (and with a fixed learning rate, the update size) comparable across label sets of different sizes; the sum weights a sample by how many labels it carries.</> },
+    ],
+  },
+
+  mlFocal: {
+    label: "Sigmoid Focal",
+    tag: "Rare labels",
+    bestFor: "Dense detection, rare tags",
+    color: "#f0abfc",
+    task: "multilabel",
+    requiresBinary: false,
+    params: [
+      { key: "gamma", label: "\u03b3 (focusing)", min: 0, max: 5, step: 0.5, default: 2 },
+      { key: "alpha", label: "\u03b1 (positive weight)", min: 0, max: 1, step: 0.05, default: 0.25 },
+    ],
+    value: (yh, y, p) => sumLabels(yh, y, (q, t) => (t ? p.alpha * focalPos(q, p.gamma).loss : (1 - p.alpha) * focalNeg(q, p.gamma).loss)),
+    grad:  (yh, y, p) => yh.map((q, i) => (y[i] ? p.alpha * focalPos(q, p.gamma).dz : (1 - p.alpha) * focalNeg(q, p.gamma).dz)),
+    fullFormula: (K, p) => `\\mathcal{L} = -\\sum_{i=1}^{${K}} \\Bigl[${p.alpha}\\, y_i (1-\\hat{y}_i)^{${p.gamma}}\\log \\hat{y}_i + ${fmtNum(1 - p.alpha, 2)}\\,(1-y_i)\\,\\hat{y}_i^{${p.gamma}}\\log\\bigl(1-\\hat{y}_i\\bigr)\\Bigr]`,
+    gradFormula: (_, p) => `\\frac{\\partial \\mathcal{L}}{\\partial z_i} = \\begin{cases} ${p.alpha}\\,(1-\\hat{y}_i)^{${p.gamma}}\\bigl(${p.gamma}\\,\\hat{y}_i\\log\\hat{y}_i - (1-\\hat{y}_i)\\bigr) & y_i = 1 \\\\ ${fmtNum(1 - p.alpha, 2)}\\,\\hat{y}_i^{${p.gamma}}\\bigl(\\hat{y}_i - ${p.gamma}\\,(1-\\hat{y}_i)\\log(1-\\hat{y}_i)\\bigr) & y_i = 0 \\end{cases}`,
+    formulaGrad: (yh, y, p) => yh.map((v, i) => (y[i] ? p.alpha * (1 - v) ** p.gamma * (p.gamma * v * safeLog(v) - (1 - v)) : (1 - p.alpha) * v ** p.gamma * (v - p.gamma * (1 - v) * safeLog(1 - v)))),
+    gradNote: () => <>At <T tex="\gamma = 0,\ \alpha = 0.5" /> both cases reduce to <T tex="\tfrac{1}{2}(\hat{y}_i - y_i)" />. For <T tex="\gamma > 0" /> labels that are already right (<T tex="\hat{y}_i" /> near <T tex="y_i" />) pass almost no gradient.</>,
+    note: (_, p) => <><T tex={`\\gamma = ${p.gamma},\\ \\alpha = ${p.alpha}`} />. The focal loss of RetinaNet, applied label by label.</>,
+    derivation: [
+      { heading: "Easy negatives again",
+        body: () => <>With many labels most are off for any one sample, and the network quickly learns to push those outputs towards 0. Their plain BCE terms are small but numerous and still dominate the sum. The factor <T tex="\hat{y}_i^{\gamma}" /> silences negatives that are already near 0, and <T tex="(1-\hat{y}_i)^{\gamma}" /> does the same for confident positives.</> },
+      { heading: "The α balance",
+        body: (p) => <><T tex="\alpha" /> weights the positive term and <T tex="1-\alpha" /> the negative one. Lin et al. (2017) pair <T tex="\gamma = 2" /> with <T tex="\alpha = 0.25" />: once focusing has removed the easy negatives, the remaining ones need less down-weighting. Here a positive at <T tex="\hat{y} = 0.9" /> keeps <T tex={fmtNum(p.alpha * 0.1 ** p.gamma, 4)} /> of its BCE weight.</> },
+    ],
+  },
+
+  asl: {
+    label: "Asymmetric",
+    tag: "ASL, Ridnik et al.",
+    bestFor: "Many labels, few positives",
+    color: "#818cf8",
+    task: "multilabel",
+    requiresBinary: false,
+    params: [
+      { key: "gammaPos", label: "\u03b3+ (positive focusing)", min: 0, max: 4, step: 0.5, default: 0 },
+      { key: "gammaNeg", label: "\u03b3\u2212 (negative focusing)", min: 0, max: 6, step: 0.5, default: 4 },
+      { key: "margin", label: "m (probability margin)", min: 0, max: 0.2, step: 0.01, default: 0.05 },
+    ],
+    // Negatives use the shifted probability max(p - m, 0): below the margin they cost nothing.
+    value: (yh, y, p) => sumLabels(yh, y, (q, t) => (t ? focalPos(q, p.gammaPos).loss : q <= p.margin ? 0 : focalNeg(q - p.margin, p.gammaNeg).loss)),
+    grad:  (yh, y, p) => yh.map((q, i) => {
+      if (y[i]) return focalPos(q, p.gammaPos).dz;
+      if (q <= p.margin) return 0;
+      // q(1 - q) [qm^g / (1 - qm) - g qm^(g-1) log(1 - qm)] with (1 - q) / (1 - qm) taken
+      // as a ratio, which stays finite when a saturated q rounds to 1 with m = 0.
+      const qm = q - p.margin, g = p.gammaNeg;
+      const r  = qm < 1 ? (1 - q) / (1 - qm) : 1;
+      return q * (r * qm ** g - (1 - q) * g * qm ** (g - 1) * safeLog(1 - qm));
+    }),
+    fullFormula: (K, p) => `\\hat{y}^{m}_i = \\max\\bigl(\\hat{y}_i - ${p.margin}, 0\\bigr), \\quad \\mathcal{L} = -\\sum_{i=1}^{${K}} \\Bigl[y_i (1-\\hat{y}_i)^{${p.gammaPos}}\\log \\hat{y}_i + (1-y_i)\\bigl(\\hat{y}^{m}_i\\bigr)^{${p.gammaNeg}}\\log\\bigl(1-\\hat{y}^{m}_i\\bigr)\\Bigr]`,
+    gradFormula: (_, p) => `\\frac{\\partial \\mathcal{L}}{\\partial z_i} = \\begin{cases} (1-\\hat{y}_i)^{${p.gammaPos}}\\bigl(${p.gammaPos}\\,\\hat{y}_i\\log\\hat{y}_i - (1-\\hat{y}_i)\\bigr) & y_i = 1 \\\\ \\hat{y}_i(1-\\hat{y}_i)\\Bigl[\\dfrac{(\\hat{y}^{m}_i)^{${p.gammaNeg}}}{1-\\hat{y}^{m}_i} - ${p.gammaNeg}\\,(\\hat{y}^{m}_i)^{${p.gammaNeg - 1}}\\log\\bigl(1-\\hat{y}^{m}_i\\bigr)\\Bigr] & y_i = 0,\\ \\hat{y}_i > ${p.margin} \\\\ 0 & y_i = 0,\\ \\hat{y}_i \\le ${p.margin} \\end{cases}`,
+    formulaGrad: (yh, y, p) => yh.map((v, i) => {
+      const vm = Math.max(v - p.margin, 0);
+      if (y[i]) return (1 - v) ** p.gammaPos * (p.gammaPos * v * safeLog(v) - (1 - v));
+      return v > p.margin ? v * (1 - v) * (vm ** p.gammaNeg / (1 - vm) - p.gammaNeg * vm ** (p.gammaNeg - 1) * safeLog(1 - vm)) : 0;
+    }),
+    gradNote: () => <>Positives keep (nearly) the full BCE residual while negatives are focused hard and, below the margin, dropped entirely.</>,
+    note: (_, p) => <><T tex={`\\gamma_+ = ${p.gammaPos},\\ \\gamma_- = ${p.gammaNeg},\\ m = ${p.margin}`} />. With <T tex="\gamma_+ = \gamma_-" /> and <T tex="m = 0" /> this is the sigmoid focal loss without <T tex="\alpha" />.</>,
+    derivation: [
+      { heading: "Why asymmetric?",
+        body: () => <>Focal loss down-weights easy positives and easy negatives alike, but in multi-label data the two are not alike: a sample has a handful of positive labels and dozens of negative ones. Ridnik et al. (2021) focus the negatives strongly (<T tex="\gamma_- \approx 4" />) and the positives barely (<T tex="\gamma_+ \approx 0" />), so the rare positive signal is not thrown away with the easy negatives.</> },
+      { heading: "Probability margin",
+        body: (p) => <>Shifting negatives to <T tex="\hat{y}^m = \max(\hat{y} - m, 0)" /> discards any negative already below <T tex={`m = ${p.margin}`} />. It also caps the penalty for confident &#8220;wrong&#8221; negatives, which in web-scraped tags are often missing labels rather than real mistakes.</> },
+    ],
+  },
+};
+
+// ─── Regularisers ─────────────────────────────────────────────────────────────
+// A penalty on the weight-like tensor of every layer with an init scheme (dense W, conv
+// K). Biases and norm scales are left alone, as frameworks' weight-decay groups usually
+// do. value(w, p) and grad(w, p) are per weight and tex(W, p) / gradTex(W, p) write R and
+// its derivative for the tensor symbol W. py(w, p) writes R for a torch or NumPy tensor
+// expression w, keras(λ, p) the keras.regularizers object for λ R. The objective is
+// J = L + Σ_l λ_l R(W^(l)) with λ_l = reg.lambdas[l] when reg.lambdas is set, else reg.lambda.
+const REGULARIZERS = {
+  none: {
+    label: "None", tag: "Data term only", color: "#94a3b8", params: [],
+    value: () => 0, grad: () => 0,
+    tex: () => "0", gradTex: () => "0",
+    py: () => "0", keras: () => null,
+    derivation: [
+      { heading: "Why penalise weights at all?",
+        body: () => <>A network with more parameters than examples can fit its training set in many ways, including ways that memorise noise. A penalty on the weights breaks the tie in favour of small weights, which make smoother functions: a small <T tex="W" /> cannot turn a small change in the input into a large change in the output.</> },
+    ],
+  },
+
+  l2: {
+    label: "L2", tag: "Weight decay", color: "#60a5fa", params: [],
+    value: (w) => 0.5 * w * w, grad: (w) => w,
+    tex: (W) => `\\tfrac{1}{2}\\lVert ${W} \\rVert_F^2`, gradTex: (W) => W,
+    py: (w) => `0.5 * (${w} ** 2).sum()`, keras: (lam) => `keras.regularizers.L2(${pyCoef(lam / 2)})`,
+    derivation: [
+      { heading: "MAP with a Gaussian prior",
+        body: () => <>Put a prior <T tex="W_{ij} \sim \mathcal{N}(0, \sigma^2)" /> on every weight and maximise the posterior instead of the likelihood. Over <T tex="N" /> examples, <T tex="-\log p(\theta \mid \mathcal{D}) = N\,\bar{\mathcal{L}} + \tfrac{1}{2\sigma^2}\lVert W \rVert_F^2 + \text{const}" />; dividing by <T tex="N" /> gives the objective above with <T tex="\lambda = 1/(N\sigma^2)" />. A strong prior (small <T tex="\sigma" />) or little data means a large <T tex="\lambda" />.</> },
+      { heading: "Why it is called weight decay",
+        body: () => <>With SGD the step becomes <T tex="W \leftarrow W - \eta(g + \lambda W) = (1 - \eta\lambda)\,W - \eta g" />: before every gradient step each weight shrinks by a constant factor. With Adam the <T tex="\lambda W" /> term is divided by <T tex="\sqrt{\hat{v}}" /> like the rest of the gradient, so it is no longer a uniform decay; AdamW (Loshchilov and Hutter, 2019) applies the decay separately for that reason.</> },
+      { heading: "Versus label smoothing",
+        body: () => <>Both fight overconfidence, from different ends. Label smoothing changes the target so the logits have no reason to grow; L2 makes large weights, and so large logits, expensive. Smoothing acts on the outputs only, L2 on every layer, including ones whose outputs the loss never sees directly.</> },
+    ],
+  },
+
+  l1: {
+    label: "L1", tag: "Sparsity", color: "#f59e0b", params: [],
+    value: (w) => Math.abs(w), grad: (w) => Math.sign(w),
+    tex: (W) => `\\lVert ${W} \\rVert_1`, gradTex: (W) => `\\operatorname{sign}\\bigl(${W}\\bigr)`,
+    py: (w) => `abs(${w}).sum()`, keras: (lam) => `keras.regularizers.L1(${pyCoef(lam)})`,
+    derivation: [
+      { heading: "MAP with a Laplace prior",
+        body: () => <>A prior <T tex="p(W_{ij}) \propto e^{-|W_{ij}|/s}" /> gives <T tex="-\log p(W) = \lVert W \rVert_1 / s + \text{const}" />, so <T tex="\lambda = 1/(N s)" />. The Laplace density has a sharp peak at zero, and so does the posterior it produces.</> },
+      { heading: "Why weights land on zero",
+        body: () => <>The pull <T tex="\lambda\,\operatorname{sign}(W_{ij})" /> has the same size however small the weight is, unlike L2's <T tex="\lambda W_{ij}" />, which fades near zero. A weight whose data gradient is weaker than <T tex="\lambda" /> is driven to exactly zero and stays there: L1 selects inputs as well as shrinking them. At zero the derivative does not exist; <T tex="\operatorname{sign}(0) = 0" /> is the subgradient used here.</> },
+    ],
+  },
+
+  elastic: {
+    label: "Elastic net", tag: "L1 + L2", color: "#34d399",
+    params: [{ key: "alpha", label: "α (L1 share)", min: 0, max: 1, step: 0.05, default: 0.5 }],
+    value: (w, p) => p.alpha * Math.abs(w) + 0.5 * (1 - p.alpha) * w * w,
+    grad:  (w, p) => p.alpha * Math.sign(w) + (1 - p.alpha) * w,
+    tex: (W, p) => `\\Bigl(${p.alpha}\\lVert ${W} \\rVert_1 + \\tfrac{${fmtNum(1 - p.alpha, 2)}}{2}\\lVert ${W} \\rVert_F^2\\Bigr)`,
+    gradTex: (W, p) => `\\Bigl(${p.alpha}\\operatorname{sign}\\bigl(${W}\\bigr) + ${fmtNum(1 - p.alpha, 2)}\\,${W}\\Bigr)`,
+    py: (w, p) => `(${p.alpha} * abs(${w}).sum() + ${pyCoef((1 - p.alpha) / 2)} * (${w} ** 2).sum())`,
+    keras: (lam, p) => `keras.regularizers.L1L2(l1=${pyCoef(lam * p.alpha)}, l2=${pyCoef(lam * (1 - p.alpha) / 2)})`,
+    derivation: [
+      { heading: "Both priors at once",
+        body: () => <>The penalty is the negative log of a prior that multiplies a Laplace and a Gaussian density; <T tex="\alpha" /> trades sparsity against shrinkage. <T tex="\alpha = 1" /> is L1, <T tex="\alpha = 0" /> is L2.</> },
+      { heading: "Why mix them?",
+        body: () => <>When inputs are correlated, L1 alone keeps one of them more or less at random and zeroes the rest. The L2 part makes the penalty strictly convex, so correlated inputs share the weight instead (Zou and Hastie, 2005), while the L1 part still removes the irrelevant ones.</> },
+    ],
+  },
+};
+
+const REG_LAMBDA = { min: 0, max: 0.1, step: 0.001 };
+
+function defaultReg() {
+  return { key: "none", lambda: 0.01, lambdas: null, ...Object.fromEntries(Object.values(REGULARIZERS).flatMap(r => r.params.map(p => [p.key, p.default]))) };
+}
+
+// Layers whose weight-like tensor the penalty covers, and that tensor's key.
+const regLayers = (layers) => layers.flatMap((l, i) => (i > 0 && LAYER_TYPES[layerType(l)].fans ? [i] : []));
+const regKey    = (layer) => LAYER_TYPES[layerType(layer)].trainable[0];
+const regLambda = (reg, l) => reg.lambdas?.[l] ?? reg.lambda;
+
+function penaltyValue(layers, weights, reg) {
+  const r = REGULARIZERS[reg.key];
+  if (reg.key === "none") return 0;
+  const sum = (t) => (Array.isArray(t) ? t.reduce((acc, v) => acc + sum(v), 0) : r.value(t, reg));
+  return regLayers(layers).reduce((acc, l) => acc + regLambda(reg, l) * sum(weights[l][regKey(layers[l])]), 0);
+}
+
+// grads with λ_l R'(W^(l)) added to each penalised tensor's gradient, scaled by n for
+// callers that sum the data gradient over n examples before averaging.
+function addPenaltyGrads(layers, weights, grads, reg, n = 1) {
+  if (reg.key === "none") return grads;
+  const r = REGULARIZERS[reg.key];
+  return grads.map((g, l) => {
+    if (!regLayers(layers).includes(l)) return g;
+    const k = regKey(layers[l]), lam = n * regLambda(reg, l);
+    return { ...g, [`d${k}`]: zipTensor(g[`d${k}`], weights[l][k], (d, w) => d + lam * r.grad(w, reg)) };
+  });
+}
+
+// J = L + penalty, with one λ or a λ_l per layer.
+function objectiveTex(layers, reg) {
+  const r = REGULARIZERS[reg.key];
+  if (!regLayers(layers).length) return "\\mathcal{J}(\\theta) = \\mathcal{L}";
+  if (!reg.lambdas) return `\\mathcal{J}(\\theta) = \\mathcal{L} + \\lambda \\sum_{l} ${r.tex("W^{(l)}", reg)}, \\qquad \\lambda = ${reg.lambda}`;
+  return `\\mathcal{J}(\\theta) = \\mathcal{L} + ${regLayers(layers).map(l => `${regLambda(reg, l)}\\, ${r.tex(`W^{(${l})}`, reg)}`).join(" + ")}`;
+}
+
+function penaltyGradTex(reg) {
+  const lam = reg.lambdas ? "\\lambda_l" : "\\lambda";
+  return `\\frac{\\partial \\mathcal{J}}{\\partial W^{(l)}} = \\frac{\\partial \\mathcal{L}}{\\partial W^{(l)}} + ${lam}\\, ${REGULARIZERS[reg.key].gradTex("W^{(l)}", reg)}, \\qquad \\frac{\\partial \\mathcal{J}}{\\partial b^{(l)}} = \\frac{\\partial \\mathcal{L}}{\\partial b^{(l)}}`;
+}
+
+// ─── Optimisers ───────────────────────────────────────────────────────────────
+// step(g, s, p, t) updates one parameter: g is its gradient, s the values of its slots
+// (per-parameter state such as velocity or squared-gradient averages, zero before the
+// first step) and t the 1-based step count. It returns the change dw and the new slots.
+// η is shared by all of them (OPT_PARAMS), so switching optimiser keeps the learning rate.
+const OPT_EPS = 1e-8;
+
+const OPTIMIZERS = {
+  sgd: {
+    label: "SGD",
+    tag: "Plain gradient step",
+    color: "#94a3b8",
+    slots: 0,
+    params: [],
+    step: (g, s, p) => ({ dw: -p.lr * g, s }),
+    formula: (p) => `\\theta_t = \\theta_{t-1} - \\eta\\, g_t, \\qquad \\eta = ${p.lr}`,
+    note: () => <>Every parameter moves against its own gradient by the same factor. The step is exactly as large as the gradient, so flat directions crawl and steep ones overshoot.</>,
+    derivation: [
+      { heading: "First-order Taylor step",
+        body: () => <>Near <T tex="\theta" />, <T tex="\mathcal{L}(\theta + \Delta) \approx \mathcal{L}(\theta) + g^{\top}\Delta" />. Among steps of a fixed length, <T tex="g^{\top}\Delta" /> is most negative for <T tex="\Delta \propto -g" />: the gradient is the direction of steepest ascent, so its negative is steepest descent.</> },
+      { heading: "Why a small η?",
+        body: () => <>The Taylor model only holds near <T tex="\theta" />. With curvature <T tex="h" /> along a direction, the step shrinks the error there by a factor <T tex="1 - \eta h" />: below <T tex="\eta < 2/h" /> it converges, above it the iterates oscillate and diverge. The sharpest direction caps <T tex="\eta" /> for all of them.</> },
+    ],
+  },
+
+  momentum: {
+    label: "Momentum",
+    tag: "Velocity (heavy ball)",
+    color: "#60a5fa",
+    slots: 1,
+    params: [{ key: "momentum", label: "μ (momentum)", min: 0, max: 0.99, step: 0.01, default: 0.9 }],
+    step: (g, [v], p) => {
+      const v1 = p.momentum * v + g;
+      return { dw: -p.lr * v1, s: [v1] };
+    },
+    formula: (p) => `\\begin{aligned} v_t &= \\mu\\, v_{t-1} + g_t, & \\mu &= ${p.momentum} \\\\ \\theta_t &= \\theta_{t-1} - \\eta\\, v_t, & \\eta &= ${p.lr} \\end{aligned}`,
+    note: (p) => <>The velocity <T tex="v" /> sums past gradients with weights <T tex="\mu^k" />. Directions that keep the same sign build up to <T tex={`1/(1-\\mu) = ${fmtNum(1 / (1 - p.momentum), 3)}`} /> times the plain step; directions that flip sign cancel out.</>,
+    derivation: [
+      { heading: "A ball rolling downhill",
+        body: () => <>Read <T tex="v" /> as velocity and <T tex="-g" /> as force: each step adds the force and keeps a fraction <T tex="\mu" /> of the old velocity, the rest lost to friction. In a long narrow valley the across-valley gradients alternate and cancel while the along-valley ones add up.</> },
+      { heading: "The first step",
+        body: () => <>With <T tex="v_0 = 0" />, <T tex="v_1 = g_1" /> and the first step is plain SGD. The speed-up only appears once gradients have piled into <T tex="v" />. PyTorch uses this form; some texts scale the gradient by <T tex="1-\mu" />, which changes the effective <T tex="\eta" /> but not the path.</> },
+    ],
+  },
+
+  rmsprop: {
+    label: "RMSProp",
+    tag: "Per-weight scale",
+    color: "#c084fc",
+    slots: 1,
+    params: [{ key: "rho", label: "ρ (squared-gradient decay)", min: 0.5, max: 0.999, step: 0.001, default: 0.99 }],
+    step: (g, [v], p) => {
+      const v1 = p.rho * v + (1 - p.rho) * g * g;
+      return { dw: (-p.lr * g) / (Math.sqrt(v1) + OPT_EPS), s: [v1] };
+    },
+    formula: (p) => `\\begin{aligned} v_t &= \\rho\\, v_{t-1} + (1-\\rho)\\, g_t^2, & \\rho &= ${p.rho} \\\\ \\theta_t &= \\theta_{t-1} - \\eta\\, \\frac{g_t}{\\sqrt{v_t} + \\epsilon}, & \\eta &= ${p.lr} \\end{aligned}`,
+    note: (p) => <>Each weight divides its gradient by a running root-mean-square of its own past gradients, so every weight moves about <T tex="\eta" /> per step however large its gradient. With no history the first step is <T tex={`\\eta / \\sqrt{1-\\rho} = ${fmtNum(p.lr / Math.sqrt(1 - p.rho), 3)}`} /> in the sign of the gradient.</>,
+    derivation: [
+      { heading: "One learning rate per weight",
+        body: () => <>Gradients of different weights can differ by orders of magnitude, and one global <T tex="\eta" /> has to suit the steepest of them. Dividing by <T tex="\sqrt{v}" />, an estimate of the typical gradient size, normalises each weight's step; the squares are averaged over a window of about <T tex="1/(1-\rho)" /> steps.</> },
+      { heading: "No bias correction",
+        body: () => <>Because <T tex="v_0 = 0" />, the early averages are too small by a factor <T tex="1-\rho^t" /> and the first steps too large. Adam adds the correction; RMSProp (Hinton, 2012) does not, so its first steps are larger than the ones that follow.</> },
+    ],
+  },
+
+  adam: {
+    label: "Adam",
+    tag: "Momentum + RMSProp",
+    color: "#fb7185",
+    slots: 2,
+    params: [
+      { key: "beta1", label: "β1 (gradient decay)", min: 0, max: 0.99, step: 0.01, default: 0.9 },
+      { key: "beta2", label: "β2 (squared-gradient decay)", min: 0.5, max: 0.9999, step: 0.0001, default: 0.999 },
+    ],
+    step: (g, [m, v], p, t) => {
+      const m1 = p.beta1 * m + (1 - p.beta1) * g;
+      const v1 = p.beta2 * v + (1 - p.beta2) * g * g;
+      const mh = m1 / (1 - p.beta1 ** t), vh = v1 / (1 - p.beta2 ** t);
+      return { dw: (-p.lr * mh) / (Math.sqrt(vh) + OPT_EPS), s: [m1, v1] };
+    },
+    formula: (p) => `\\begin{aligned} m_t &= \\beta_1 m_{t-1} + (1-\\beta_1)\\, g_t, & \\hat{m}_t &= m_t / (1-\\beta_1^t), & \\beta_1 &= ${p.beta1} \\\\ v_t &= \\beta_2 v_{t-1} + (1-\\beta_2)\\, g_t^2, & \\hat{v}_t &= v_t / (1-\\beta_2^t), & \\beta_2 &= ${p.beta2} \\\\ \\theta_t &= \\theta_{t-1} - \\eta\\, \\frac{\\hat{m}_t}{\\sqrt{\\hat{v}_t} + \\epsilon}, & & & \\eta &= ${p.lr} \\end{aligned}`,
+    note: () => <>Momentum on the numerator, RMSProp on the denominator, both bias-corrected. The first step is <T tex="\eta\,\operatorname{sign}(g)" /> for every weight with a nonzero gradient.</>,
+    derivation: [
+      { heading: "Two moment estimates",
+        body: () => <><T tex="m" /> tracks the mean of the gradient (its first moment) and <T tex="v" /> its uncentred variance (second moment). Their ratio is a signal-to-noise measure: a weight whose gradients agree gets a step near <T tex="\eta" />, one whose gradients are mostly noise a much smaller one.</> },
+      { heading: "Bias correction",
+        body: () => <>Starting from zero, <T tex="\mathbb{E}[m_t] = (1-\beta_1^t)\,\mathbb{E}[g]" /> for a stationary gradient, so dividing by <T tex="1-\beta_1^t" /> removes the pull towards zero in the first steps; the same holds for <T tex="v" />. Kingma and Ba (2015) use <T tex="\beta_1 = 0.9,\ \beta_2 = 0.999" />, the defaults here.</> },
+    ],
+  },
 };
 
+const OPT_PARAMS = [{ key: "lr", label: "η (learning rate)", min: 0.001, max: 1, step: 0.001, default: 0.01 }];
+
+function defaultOptParams() {
+  return Object.fromEntries([...OPT_PARAMS, ...Object.values(OPTIMIZERS).flatMap(o => o.params)].map(p => [p.key, p.default]));
+}
+
+// One step of the optimiser opt over nested tensors w and g with matching slot tensors;
+// returns [w, slots].
+function stepTensor(opt, w, g, slots, p, t) {
+  if (!Array.isArray(w)) {
+    const { dw, s } = opt.step(g, slots, p, t);
+    return [w + dw, s];
+  }
+  const out = w.map((wi, i) => stepTensor(opt, wi, g[i], slots.map(s => s[i]), p, t));
+  return [out.map(o => o[0]), slots.map((_, k) => out.map(o => o[1][k]))];
+}
+
+// Applies one step to every trainable tensor. state is null before the first step, else
+// { t, slots } from the previous call; returns the new weights and state.
+function optimizerStep(layers, weights, grads, optKey, p, state) {
+  const opt = OPTIMIZERS[optKey], t = (state?.t ?? 0) + 1;
+  const next  = cloneWeights(weights);
+  const slots = weights.map(() => null);
+  for (let l = 1; l < layers.length; l++) {
+    slots[l] = {};
+    for (const k of LAYER_TYPES[layerType(layers[l])].trainable) {
+      const prev = state?.slots[l]?.[k] ?? Array.from({ length: opt.slots }, () => zipTensor(weights[l][k], weights[l][k], () => 0));
+      [next[l][k], slots[l][k]] = stepTensor(opt, weights[l][k], grads[l][`d${k}`], prev, p, t);
+    }
+  }
+  return { weights: next, state: { t, slots } };
+}
+
 // ─── Helpers ──────────────────────────────────────────────────────────────────
+// W counts weight-like tensors (W, K, gamma), B bias-like ones (b, beta); buffers such
+// as BatchNorm's running statistics are stored but never trained.
 function computeParams(layers) {
   const breakdown = [];
   let totalW = 0, totalB = 0;
   for (let i = 1; i < layers.length; i++) {
-    const nin = layers[i - 1].nodes, nout = layers[i].nodes;
-    const W = nin * nout, B = nout;
+    const nin = layers[i - 1].nodes, nout = layers[i].nodes, type = layerType(layers[i]);
+    const { shapes, trainable } = LAYER_TYPES[type];
+    const tensors = Object.entries(shapes(nin, nout, layers[i], layers[i - 1])).map(([key, dims]) => ({ key, dims, count: dims.reduce((a, d) => a * d, 1) }));
+    const count   = (key) => tensors.find(t => t.key === key)?.count ?? 0;
+    const W = count(trainable[0]), B = count(trainable[1]);
     totalW += W; totalB += B;
-    breakdown.push({ layer: i, nin, nout, W, B });
+    breakdown.push({ layer: i, type, nin, nout, W, B, tensors, buffers: tensors.reduce((a, t) => a + (trainable.includes(t.key) ? 0 : t.count), 0) });
   }
   return { totalW, totalB, total: totalW + totalB, breakdown };
 }
 
-function seedVal(li, r, c) {
-  const x = Math.sin(li * 7919 + r * 1013 + c * 431) * 43758.5453;
-  return parseFloat(((x - Math.floor(x)) * 2 - 1).toFixed(2));
+const DTYPES = {
+  fp32: { label: "fp32", bytes: 4 },
+  fp16: { label: "fp16", bytes: 2 },
+  int8: { label: "int8", bytes: 1 },
+};
+
+const BATCH_SIZES = [1, 8, 16, 32, 64, 128, 256, 512, 1024];
+
+// One training step on a batch. LAYER_TYPES[type].cost gives per-example forward counts:
+// macs multiply-accumulates (2 FLOPs each) and elem further element-wise FLOPs; σ, skip
+// sums and the softmax head are added here. The backward pass repeats the MACs once for
+// the weight gradient and once for delta^(l-1), which layer 1 does not need, and roughly
+// mirrors the element-wise work. Memory is in values; multiply by DTYPES[..].bytes.
+function computeCost(layers, batch, optKey) {
+  const breakdown = layers.slice(1).map((layer, i) => {
+    const l = i + 1, type = layerType(layer), lt = LAYER_TYPES[type];
+    const { macs, elem } = lt.cost(layer, layers[i]);
+    const act  = layer.activation === "Linear" ? 0 : layer.activation === "Softmax" ? 3 : 1;
+    const ew   = elem + act * layer.nodes + (layer.skip === undefined ? 0 : layer.nodes);
+    const back = macs * ((lt.trainable.length ? 1 : 0) + (l > 1 ? 1 : 0));
+    // Kept for the backward pass: a^(l), and z^(l) as well wherever σ' needs it.
+    const stored = layer.nodes * (act ? 2 : 1);
+    return { layer: l, type, macs: batch * macs, fwd: batch * (2 * macs + ew), bwd: batch * (2 * back + ew), acts: batch * stored };
+  });
+  const sum = (key) => breakdown.reduce((acc, b) => acc + b[key], 0);
+  const { total, breakdown: params } = computeParams(layers);
+  const memory = {
+    params: total + params.reduce((acc, b) => acc + b.buffers, 0),
+    grads:  total,
+    opt:    OPTIMIZERS[optKey].slots * total,
+    acts:   sum("acts") + batch * layers[0].nodes,
+  };
+  return { breakdown, macs: sum("macs"), fwd: sum("fwd"), bwd: sum("bwd"), memory, bytes: (dtype) => DTYPES[dtype].bytes * Object.values(memory).reduce((a, b) => a + b, 0) };
 }
 
-const btnSm = {
-  width: 20, height: 20,
-  background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
-  color: "rgba(255,255,255,0.55)", borderRadius: 5, cursor: "pointer", fontSize: 14,
-  display: "flex", alignItems: "center", justifyContent: "center", lineHeight: 1, padding: 0,
-};
+// 1234567 -> "1.23 M"; the caller appends the unit.
+function fmtSI(v, units = [" ", " k", " M", " G", " T"], base = 1000) {
+  let i = 0;
+  while (Math.abs(v) >= base && i < units.length - 1) { v /= base; i++; }
+  return `${i ? v.toPrecision(3) : Math.round(v)}${units[i]}`;
+}
+const fmtBytes = (v) => fmtSI(v, [" B", " KiB", " MiB", " GiB", " TiB"], 1024);
 
-const secLabel = {
-  fontSize: 9, fontWeight: 700, letterSpacing: "0.14em",
-  textTransform: "uppercase", color: "rgba(255,255,255,0.22)", marginBottom: 10,
-};
+// mulberry32 — small seeded PRNG so weights and datasets are reproducible.
+function makeRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
 
-// ─── Callout ──────────────────────────────────────────────────────────────────
-function Callout({ icon, color, title, children }) {
-  return (
-    <div style={{
-      background: `${color}09`, border: `1px solid ${color}28`,
-      borderLeft: `3px solid ${color}88`, borderRadius: "0 8px 8px 0",
-      padding: "10px 14px", marginTop: 8,
-    }}>
-      <div style={{ fontSize: 11, fontWeight: 600, color, marginBottom: 5 }}>{icon} {title}</div>
-      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.52)", lineHeight: 1.7 }}>{children}</div>
-    </div>
-  );
+function gaussian(rng) {
+  const u = Math.max(rng(), 1e-12), v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
 }
 
-// ─── Weight matrix grid ───────────────────────────────────────────────────────
-function WeightMatrix({ nin, nout, layerIdx }) {
-  const VR = Math.min(nout, 5), VC = Math.min(nin, 5);
-  return (
-    <div>
-      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.28)", fontFamily: "monospace", marginBottom: 6 }}>
-        Illustrative entries of <T tex={`W^{(${layerIdx})} \\in \\mathbb{R}^{${nout}\\times${nin}}`} />
-      </div>
-      <div style={{ display: "inline-block", background: "rgba(0,0,0,0.35)", borderRadius: 8, padding: "8px 10px", border: "1px solid rgba(255,255,255,0.05)" }}>
-        {Array.from({ length: VR }, (_, r) => (
-          <div key={r} style={{ display: "flex", gap: 3, marginBottom: r < VR - 1 ? 3 : 0 }}>
-            {Array.from({ length: VC }, (_, c) => {
-              const v = seedVal(layerIdx, r, c);
-              const a = 0.08 + Math.abs(v) * 0.26;
-              return (
-                <div key={c}
-                  title={`W[${r+1},${c+1}]: weight from neuron ${c+1} (layer ${layerIdx-1}) to neuron ${r+1} (layer ${layerIdx})`}
-                  style={{
-                    width: 40, height: 26, borderRadius: 4,
-                    display: "flex", alignItems: "center", justifyContent: "center",
-                    fontSize: 9, fontFamily: "monospace", cursor: "help",
-                    background: `rgba(99,102,241,${a})`,
-                    color: `rgba(180,190,255,${0.35 + Math.abs(v) * 0.55})`,
-                    border: "1px solid rgba(99,102,241,0.13)",
-                  }}>{v}</div>
-              );
-            })}
-            {nin > 5 && <div style={{ width: 18, display: "flex", alignItems: "center", justifyContent: "center", fontSize: 13, color: "rgba(255,255,255,0.18)" }}>&#8943;</div>}
-          </div>
-        ))}
-        {nout > 5 && <div style={{ textAlign: "center", fontSize: 13, color: "rgba(255,255,255,0.18)", marginTop: 3 }}>&#8942;</div>}
-      </div>
-      <div style={{ fontSize: 9, color: "rgba(255,255,255,0.2)", fontFamily: "monospace", marginTop: 5 }}>
-        Hover a cell for its meaning. Showing {VR}&times;{VC} of {nout}&times;{nin}.
-      </div>
-    </div>
-  );
+// ─── Forward pass ─────────────────────────────────────────────────────────────
+// weights[l] holds the tensors of LAYER_TYPES[type].shapes for the transition
+// a^(l-1) -> a^(l) ({ W, b } for dense layers); index 0 is unused.
+// Each layer draws from its own stream so re-initialising one leaves the rest alone.
+function buildWeights(layers, seed) {
+  return layers.map((layer, li) => {
+    if (li === 0) return null;
+    const prev = layers[li - 1];
+    const type = LAYER_TYPES[layerType(layer)];
+    if (!type.fans) return type.fresh?.(layer.nodes) ?? {};
+    const init = INITS[layer.init] ?? INITS[DEFAULT_INIT];
+    const rng  = makeRng(seed * 7919 + li * 104729);
+    const [fanIn, fanOut] = type.fans(layer, prev);
+    const shapes = type.shapes(prev.nodes, layer.nodes, layer, prev);
+    const [wKey, bKey] = type.trainable;
+    return {
+      [wKey]: fillTensor(shapes[wKey], () => init.sample(rng, fanIn, fanOut)),
+      [bKey]: fillTensor(shapes[bKey], () => 0),
+    };
+  });
 }
 
-// ─── Transform card ───────────────────────────────────────────────────────────
-function TransformCard({ fromLayer, toLayer, layerIdx, isLast, startOpen }) {
-  const [open, setOpen]       = useState(startOpen);
-  const [showMat, setShowMat] = useState(false);
-  const [showWhy, setShowWhy] = useState(false);
+// Nested arrays of the given dims, filled in row-major order.
+function fillTensor([d, ...rest], fn) {
+  return Array.from({ length: d }, () => (rest.length ? fillTensor(rest, fn) : fn()));
+}
 
-  const ac    = toLayer.activation;
-  const color = ACT[ac]?.color ?? "#94a3b8";
-  const nin   = fromLayer.nodes;
-  const nout  = toLayer.nodes;
-  const l     = layerIdx;
-  const lPrev = l - 1;   // NOTE: plain ASCII minus throughout — no Unicode
+// Keeps per-layer weights whose shape still matches the architecture and
+// re-seeds the rest, so edits elsewhere in the net leave trained layers intact.
+function fitWeights(layers, prev, seed) {
+  const fresh = buildWeights(layers, seed);
+  if (!prev) return fresh;
+  return fresh.map((w, l) => {
+    if (!w) return w;
+    const shapes = LAYER_TYPES[layerType(layers[l])].shapes(layers[l - 1].nodes, layers[l].nodes, layers[l], layers[l - 1]);
+    return fitsShapes(prev[l], shapes) ? prev[l] : w;
+  });
+}
 
-  return (
-    <div style={{ background: "rgba(255,255,255,0.02)", border: "1px solid rgba(255,255,255,0.07)", borderRadius: 12, marginBottom: 10, overflow: "hidden" }}>
+// True when w holds exactly the tensors in shapes ({ key: dims }), all finite.
+function fitsShapes(w, shapes) {
+  const keys = Object.keys(shapes);
+  const fits = (t, [d, ...rest]) => Array.isArray(t) && t.length === d && t.every(e => (rest.length ? fits(e, rest) : isNum(e)));
+  return !!w && typeof w === "object" && Object.keys(w).length === keys.length && keys.every(k => fits(w[k], shapes[k]));
+}
 
-      {/* Header */}
+// Tensors are nested arrays (vectors, matrices of rows, conv kernels); zipTensor maps fn
+// over matching entries.
+const zipTensor = (a, b, fn) => a.map((v, i) => (Array.isArray(v) ? zipTensor(v, b[i], fn) : fn(v, b[i])));
+
+function cloneWeights(weights) {
+  return weights.map(w => w && Object.fromEntries(Object.entries(w).map(([k, t]) => [k, zipTensor(t, t, v => v)])));
+}
+
+function softmax(z) {
+  const m = Math.max(...z);
+  const e = z.map(v => Math.exp(v - m));
+  const s = e.reduce((acc, v) => acc + v, 0);
+  return e.map(v => v / s);
+}
+
+function activate(layer, z) {
+  if (layer.activation === "Softmax") return softmax(z);
+  const fn = ACT[layer.activation]?.fn ?? ((v) => v), p = actParams(layer);
+  return z.map(v => fn(v, p));
+}
+
+// Visits the window under output position (i, j) in channel ch: fn(u, v, idx) gets the
+// kernel offset and the flat index of input entry (ch, s*i + u - p, s*j + v - p).
+// Taps that land in the padding are skipped, which reads them as zero.
+function eachTap([, h, w], { kernel, stride, padding }, ch, i, j, fn) {
+  for (let u = 0; u < kernel; u++) {
+    const r = i * stride + u - padding;
+    if (r < 0 || r >= h) continue;
+    for (let v = 0; v < kernel; v++) {
+      const q = j * stride + v - padding;
+      if (q >= 0 && q < w) fn(u, v, (ch * h + r) * w + q);
+    }
+  }
+}
+
+// Calls fn(ch, i, j, idx) for every entry of a c x h x w tensor in storage order.
+function eachCell([c, h, w], fn) {
+  for (let ch = 0, idx = 0; ch < c; ch++) for (let i = 0; i < h; i++) for (let j = 0; j < w; j++, idx++) fn(ch, i, j, idx);
+}
+
+// Returns one entry per layer: { a } for the input, { z, a } for every later layer,
+// where z is the layer's output before the activation and any residual skip. Norm
+// layers add xhat and sd, training-mode dropout its mask, max pooling the input index
+// each output was taken from (arg). Passing rng switches dropout to training mode;
+// without it dropout is the identity.
+function forwardPass(layers, weights, x, rng = null) {
+  const out = [{ a: x }];
+  for (let l = 1; l < layers.length; l++) {
+    const layer = layers[l], w = weights[l];
+    const prev  = out[l - 1].a;
+    let step;
+    switch (layerType(layer)) {
+      case "dropout": {
+        const p    = layer.rate ?? DEFAULT_DROP;
+        const mask = rng ? prev.map(() => (rng() >= p ? 1 : 0)) : null;
+        step = { z: mask ? prev.map((v, j) => (mask[j] * v) / (1 - p)) : [...prev], mask };
+        break;
+      }
+      case "batchnorm": {
+        const sd   = w.var.map(v => Math.sqrt(v + NORM_EPS));
+        const xhat = prev.map((v, j) => (v - w.mean[j]) / sd[j]);
+        step = { z: xhat.map((v, j) => w.gamma[j] * v + w.beta[j]), xhat, sd };
+        break;
+      }
+      case "layernorm": {
+        const mu   = prev.reduce((acc, v) => acc + v, 0) / prev.length;
+        const sd   = Math.sqrt(prev.reduce((acc, v) => acc + (v - mu) ** 2, 0) / prev.length + NORM_EPS);
+        const xhat = prev.map(v => (v - mu) / sd);
+        step = { z: xhat.map((v, j) => w.gamma[j] * v + w.beta[j]), xhat, mu, sd };
+        break;
+      }
+      case "conv2d": {
+        const inShape = layers[l - 1].shape, z = Array(layer.nodes);
+        eachCell(layer.shape, (o, i, j, idx) => {
+          let acc = w.b[o];
+          for (let c = 0; c < inShape[0]; c++) eachTap(inShape, layer, c, i, j, (u, v, k) => { acc += w.K[o][c][u][v] * prev[k]; });
+          z[idx] = acc;
+        });
+        step = { z };
+        break;
+      }
+      case "maxpool": {
+        const z = Array(layer.nodes), arg = Array(layer.nodes);
+        eachCell(layer.shape, (c, i, j, idx) => {
+          z[idx] = -Infinity;
+          eachTap(layers[l - 1].shape, layer, c, i, j, (u, v, k) => { if (prev[k] > z[idx]) { z[idx] = prev[k]; arg[idx] = k; } });
+        });
+        step = { z, arg };
+        break;
+      }
+      case "avgpool": {
+        const z = Array(layer.nodes).fill(0);
+        eachCell(layer.shape, (c, i, j, idx) => {
+          eachTap(layers[l - 1].shape, layer, c, i, j, (u, v, k) => { z[idx] += prev[k] / layer.kernel ** 2; });
+        });
+        step = { z };
+        break;
+      }
+      case "flatten":
+        step = { z: [...prev] };
+        break;
+      default:
+        step = { z: w.W.map((row, i) => row.reduce((acc, wij, j) => acc + wij * prev[j], w.b[i])) };
+    }
+    let a = activate(layer, step.z);
+    if (layer.skip !== undefined) a = a.map((v, j) => v + out[layer.skip].a[j]);
+    out.push({ ...step, a });
+  }
+  return out;
+}
+
+// ─── Backward pass ────────────────────────────────────────────────────────────
+// dLdz is the loss gradient w.r.t. the output logits z^(L). Returns one entry per
+// layer (index 0 unused): delta = dL/dz^(l) plus "d" + name for each trainable tensor,
+// e.g. dW = dL/dW^(l), dK = dL/dK^(l) and db = dL/db^(l). dA[l] = dL/da^(l) collects the gradient from
+// layer l + 1 and from every later layer whose residual skip reads a^(l).
+function backwardPass(layers, weights, fwd, dLdz) {
+  const L = layers.length - 1;
+  const grads = Array(layers.length).fill(null);
+  const dA    = layers.map(layer => Array(layer.nodes).fill(0));
+  const addTo = (l, g) => { dA[l] = dA[l].map((v, j) => v + g[j]); };
+  for (let l = L; l >= 1; l--) {
+    const layer = layers[l], w = weights[l], f = fwd[l];
+    const df    = ACT[layer.activation]?.df ?? (() => 1), p = actParams(layer);
+    const delta = l === L ? dLdz : f.z.map((z, j) => dA[l][j] * df(z, p));
+    let dPrev;
+    switch (layerType(layer)) {
+      case "dropout": {
+        const p = layer.rate ?? DEFAULT_DROP;
+        grads[l] = { delta };
+        dPrev = f.mask ? delta.map((d, j) => (d * f.mask[j]) / (1 - p)) : delta;
+        break;
+      }
+      case "batchnorm":
+        grads[l] = { delta, dgamma: delta.map((d, j) => d * f.xhat[j]), dbeta: delta };
+        dPrev = delta.map((d, j) => (w.gamma[j] * d) / f.sd[j]);
+        break;
+      case "layernorm": {
+        const g   = delta.map((d, j) => w.gamma[j] * d);
+        const gm  = g.reduce((acc, v) => acc + v, 0) / g.length;
+        const gxm = g.reduce((acc, v, j) => acc + v * f.xhat[j], 0) / g.length;
+        grads[l] = { delta, dgamma: delta.map((d, j) => d * f.xhat[j]), dbeta: delta };
+        dPrev = g.map((v, j) => (v - gm - f.xhat[j] * gxm) / f.sd);
+        break;
+      }
+      case "conv2d": {
+        const aPrev = fwd[l - 1].a, inShape = layers[l - 1].shape;
+        const dK = zipTensor(w.K, w.K, () => 0), db = Array(w.b.length).fill(0);
+        dPrev = Array(aPrev.length).fill(0);
+        eachCell(layer.shape, (o, i, j, idx) => {
+          db[o] += delta[idx];
+          for (let c = 0; c < inShape[0]; c++) {
+            eachTap(inShape, layer, c, i, j, (u, v, k) => {
+              dK[o][c][u][v] += delta[idx] * aPrev[k];
+              dPrev[k] += w.K[o][c][u][v] * delta[idx];
+            });
+          }
+        });
+        grads[l] = { delta, dK, db };
+        break;
+      }
+      case "maxpool":
+        grads[l] = { delta };
+        dPrev = Array(layers[l - 1].nodes).fill(0);
+        delta.forEach((d, idx) => { dPrev[f.arg[idx]] += d; });
+        break;
+      case "avgpool":
+        grads[l] = { delta };
+        dPrev = Array(layers[l - 1].nodes).fill(0);
+        eachCell(layer.shape, (c, i, j, idx) => {
+          eachTap(layers[l - 1].shape, layer, c, i, j, (u, v, k) => { dPrev[k] += delta[idx] / layer.kernel ** 2; });
+        });
+        break;
+      case "flatten":
+        grads[l] = { delta };
+        dPrev = delta;
+        break;
+      default: {
+        const aPrev = fwd[l - 1].a;
+        grads[l] = { delta, dW: delta.map(d => aPrev.map(a => d * a)), db: delta };
+        dPrev = aPrev.map((_, j) => w.W.reduce((acc, row, i) => acc + row[j] * delta[i], 0));
+      }
+    }
+    addTo(l - 1, dPrev);
+    if (layer.skip !== undefined) addTo(layer.skip, dA[l]);
+  }
+  return grads;
+}
+
+// ─── Training ─────────────────────────────────────────────────────────────────
+function argmax(v) {
+  return v.reduce((best, x, i) => (x > v[best] ? i : best), 0);
+}
+
+const CLASS_COLORS = ["#6366f1", "#f472b6", "#34d399", "#fb923c", "#22d3ee", "#facc15", "#c084fc", "#f87171"];
+
+// Every dataset lives in [-1.5, 1.5]^2 and returns [{ x: [x1, x2], y: classIndex }].
+// classes: fixed class count, or null when the generator adapts to any K >= 2.
+const DATASET_SIZE = 200;
+const DATASETS = {
+  xor: {
+    label: "XOR", classes: 2,
+    gen: (rng) => Array.from({ length: DATASET_SIZE }, () => {
+      const x1 = rng() * 2.6 - 1.3, x2 = rng() * 2.6 - 1.3;
+      return { x: [x1 + Math.sign(x1) * 0.1, x2 + Math.sign(x2) * 0.1], y: x1 * x2 > 0 ? 0 : 1 };
+    }),
+  },
+  moons: {
+    label: "Two moons", classes: 2,
+    gen: (rng) => Array.from({ length: DATASET_SIZE }, (_, i) => {
+      const y = i % 2, th = rng() * Math.PI;
+      const x1 = y === 0 ? Math.cos(th) - 0.5 : 0.5 - Math.cos(th);
+      const x2 = y === 0 ? Math.sin(th) - 0.25 : 0.25 - Math.sin(th);
+      return { x: [x1 + gaussian(rng) * 0.08, x2 + gaussian(rng) * 0.08], y };
+    }),
+  },
+  circles: {
+    label: "Circles", classes: 2,
+    gen: (rng) => Array.from({ length: DATASET_SIZE }, (_, i) => {
+      const y = i % 2, th = rng() * 2 * Math.PI;
+      const r = (y === 0 ? 0.5 : 1.2) + gaussian(rng) * 0.08;
+      return { x: [r * Math.cos(th), r * Math.sin(th)], y };
+    }),
+  },
+  spirals: {
+    label: "Spirals", classes: null,
+    gen: (rng, K) => Array.from({ length: DATASET_SIZE }, (_, i) => {
+      const y = i % K, r = (Math.floor(i / K) / Math.ceil(DATASET_SIZE / K)) * 1.4 + 0.05;
+      const th = (y * 2 * Math.PI) / K + r * 3 + gaussian(rng) * 0.12;
+      return { x: [r * Math.cos(th), r * Math.sin(th)], y };
+    }),
+  },
+};
+
+// One full-batch gradient-descent epoch. Mutates weights in place and returns the
+// mean loss (plus the reg weight penalty) and accuracy measured before the update.
+// rng draws the dropout masks.
+// BatchNorm normalises with its running statistics and afterwards folds this
+// epoch's full-batch mean and variance of its input into them.
+function trainEpoch(layers, weights, data, loss, lossParams, reg, lr, rng) {
+  const L = layers.length - 1;
+  const trainable = (l) => LAYER_TYPES[layerType(layers[l])].trainable;
+  const sum = weights.map((w, l) => w && Object.fromEntries(trainable(l).map(k => [`d${k}`, zipTensor(w[k], w[k], () => 0)])));
+  const bn  = layers.map((layer, l) => (layerType(layer) === "batchnorm" ? { s: Array(layers[l - 1].nodes).fill(0), ss: Array(layers[l - 1].nodes).fill(0) } : null));
+  let total = 0, correct = 0;
+  for (const { x, y } of data) {
+    const fwd = forwardPass(layers, weights, x, rng);
+    const yh  = fwd[L].a;
+    total += loss.value(yh, y, lossParams);
+    if (argmax(yh) === y) correct++;
+    const grads = backwardPass(layers, weights, fwd, loss.grad(yh, y, lossParams));
+    for (let l = 1; l <= L; l++) {
+      for (const k of trainable(l)) sum[l][`d${k}`] = zipTensor(sum[l][`d${k}`], grads[l][`d${k}`], (s, g) => s + g);
+      if (bn[l]) fwd[l - 1].a.forEach((v, j) => { bn[l].s[j] += v; bn[l].ss[j] += v * v; });
+    }
+  }
+  const penalty = penaltyValue(layers, weights, reg);
+  const grad = addPenaltyGrads(layers, weights, sum, reg, data.length);
+  const step = lr / data.length;
+  for (let l = 1; l <= L; l++) {
+    for (const k of trainable(l)) weights[l][k] = zipTensor(weights[l][k], grad[l][`d${k}`], (w, s) => w - step * s);
+    if (bn[l]) {
+      const mean = bn[l].s.map(v => v / data.length);
+      const vr   = bn[l].ss.map((v, j) => Math.max(0, v / data.length - mean[j] ** 2));
+      weights[l].mean = weights[l].mean.map((v, j) => (1 - BN_MOMENTUM) * v + BN_MOMENTUM * mean[j]);
+      weights[l].var  = weights[l].var.map((v, j) => (1 - BN_MOMENTUM) * v + BN_MOMENTUM * vr[j]);
+    }
+  }
+  return { loss: total / data.length + penalty, acc: correct / data.length };
+}
+
+// ─── Signal propagation ───────────────────────────────────────────────────────
+// How activations and gradients fare through a deep stack at initialisation. The probe
+// cycles through the hidden activations of the current net until it is depth layers
+// deep, makes every layer width wide with weights from one init scheme and ends in a
+// linear head as wide as the output. Gaussian inputs go forward and Gaussian dL/dz^(L)
+// come back, as many samples (16 to 64) as fit in PROBE_BUDGET weight multiply-adds.
+// A layer is flagged when its activation variance (against the unit-variance input) or
+// its weight-gradient norm is off by more than FLOW_RATIO either way. The gradient's
+// reference is fixed: ||δ a^T||_F for a unit-variance input and upstream gradient, which
+// is the width. A reference taken from the net itself would be 0 or ∞ when it breaks.
+const PROBE_DEPTHS  = [4, 8, 16, 32, 64, 128];
+const PROBE_WIDTHS  = [16, 32, 64];
+const PROBE_BUDGET  = 64 * 32 * 64 * 64;
+const FLOW_RATIO    = 100;
+
+const probeSamples = (depth, width) => Math.max(16, Math.min(64, Math.round(PROBE_BUDGET / (depth * width * width))));
+
+function probeLayers(layers, depth, width, init) {
+  const acts  = layers.slice(1, -1).filter(l => layerType(l) === "dense" || LAYER_TYPES[layerType(l)].activates);
+  const cycle = acts.length ? acts : [{ activation: "ReLU" }];
+  return [
+    { nodes: width, activation: "Linear" },
+    ...Array.from({ length: depth }, (_, i) => {
+      const { activation, actParams } = cycle[i % cycle.length];
+      return { nodes: width, activation, ...(actParams ? { actParams } : {}), init };
+    }),
+    { nodes: layers[layers.length - 1].nodes, activation: "Linear", init },
+  ];
+}
+
+// Per hidden layer: mean and variance of a^(l) over all units and samples, the RMS of
+// ||dL/dW^(l)||_F over samples and flags "collapse" / "explode" for either.
+function analyzeSignal(probe, seed) {
+  const depth   = probe.length - 2;
+  const samples = probeSamples(depth, probe[0].nodes);
+  const weights = buildWeights(probe, seed);
+  const rng     = makeRng(seed + 1);
+  const acc     = Array.from({ length: depth }, () => ({ s: 0, ss: 0, g: 0 }));
+  for (let k = 0; k < samples; k++) {
+    const x     = Array.from({ length: probe[0].nodes }, () => gaussian(rng));
+    const fwd   = forwardPass(probe, weights, x);
+    const grads = backwardPass(probe, weights, fwd, Array.from({ length: probe[depth + 1].nodes }, () => gaussian(rng)));
+    for (let l = 1; l <= depth; l++) {
+      for (const v of fwd[l].a) { acc[l - 1].s += v; acc[l - 1].ss += v * v; }
+      for (const row of grads[l].dW) for (const g of row) acc[l - 1].g += g * g;
+    }
+  }
+  const n     = samples * probe[0].nodes;
+  const stats = acc.map(({ s, ss, g }, i) => ({ l: i + 1, activation: probe[i + 1].activation, mean: s / n, variance: ss / n - (s / n) ** 2, grad: Math.sqrt(g / samples) }));
+  const flag  = (v, ref) => (!Number.isFinite(v) || v > ref * FLOW_RATIO ? "explode" : v < ref / FLOW_RATIO ? "collapse" : null);
+  return stats.map(s => ({ ...s, actFlag: flag(s.variance, 1), gradFlag: flag(s.grad, probe[0].nodes) }));
+}
+
+function defaultInput() {
+  return [1, 0.5, -0.5];
+}
+
+// A centred cross in every channel, so conv and pooling outputs start out non-trivial.
+function defaultImage([c, h, w]) {
+  return Array.from({ length: c * h * w }, (_, idx) => {
+    const i = Math.floor(idx / w) % h, j = idx % w;
+    return i === Math.floor(h / 2) || j === Math.floor(w / 2) ? 1 : 0;
+  });
+}
+
+// Largest magnitude, floored so it can divide; a loop because spreading a large matrix
+// into Math.max overflows the call stack.
+function absMax(v, floor = 1e-12) {
+  let m = floor;
+  for (const x of v) if (Math.abs(x) > m) m = Math.abs(x);
+  return m;
+}
+
+function fmtNum(v, digits = 3) {
+  return (Math.abs(v) < 0.5 * 10 ** -digits ? 0 : v).toFixed(digits);
+}
+
+// Past TEX_SHOWN entries an axis keeps its first few and its last around a gap, so a
+// 784-entry input still typesets as one line. elide returns the kept indices, null for the gap.
+const TEX_SHOWN = 8;
+
+function elide(n, shown = TEX_SHOWN) {
+  const all = Array.from({ length: n }, (_, i) => i);
+  return n <= shown ? all : [...all.slice(0, shown - 2), null, n - 1];
+}
+
+// Row-with-transpose keeps long column vectors compact inside a card.
+function vecTex(v, digits = 3) {
+  return `\\begin{bmatrix}${elide(v.length).map(i => (i === null ? "\\cdots" : fmtNum(v[i], digits))).join(" & ")}\\end{bmatrix}^{\\top}`;
+}
+
+// Spatial tensors print one h x w matrix per channel (subscripted 1..c); vectors use vecTex.
+function tensorTex(v, shape, digits = 2) {
+  if (!shape) return vecTex(v, digits + 1);
+  const [c, h, w] = shape;
+  return elide(c, 4).map(ch => {
+    if (ch === null) return "\\cdots";
+    const rows = elide(h).map(i => elide(w).map(j => (
+      i === null ? (j === null ? "\\ddots" : "\\vdots") : j === null ? "\\cdots" : fmtNum(v[(ch * h + i) * w + j], digits)
+    )).join(" & "));
+    return `\\begin{bmatrix}${rows.join(" \\\\ ")}\\end{bmatrix}_{${ch + 1}}`;
+  }).join("\\;");
+}
+
+const btnSm = {
+  width: 20, height: 20,
+  background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+  color: "rgba(255,255,255,0.55)", borderRadius: 5, cursor: "pointer", fontSize: 14,
+  display: "flex", alignItems: "center", justifyContent: "center", lineHeight: 1, padding: 0,
+};
+
+const secLabel = {
+  fontSize: 9, fontWeight: 700, letterSpacing: "0.14em",
+  textTransform: "uppercase", color: "rgba(255,255,255,0.22)", marginBottom: 10,
+};
+
+// ─── TeX builders ─────────────────────────────────────────────────────────────
+// Shared by the cards on screen and the document export so both stay in sync.
+
+// Full composition, wrapped layer by layer from the input outwards. A residual skip
+// refers to the earlier activation by name rather than repeating its expression.
+function buildCompTex(layers) {
+  let inner = "x";
+  for (let i = 1; i < layers.length; i++) {
+    const layer = layers[i];
+    switch (layerType(layer)) {
+      case "dropout":   inner = `\\operatorname{drop}_{${layer.rate ?? DEFAULT_DROP}}\\!\\bigl(${inner}\\bigr)`; break;
+      case "batchnorm": inner = `\\operatorname{BN}\\!\\bigl(${inner}\\bigr)`; break;
+      case "layernorm": inner = `\\operatorname{LN}\\!\\bigl(${inner}\\bigr)`; break;
+      case "conv2d":    inner = `${actSymTex(layer)}\\!\\bigl(K^{(${i})} \\ast ${inner} + b^{(${i})}\\bigr)`; break;
+      case "maxpool":   inner = `\\operatorname{maxpool}_{${layer.kernel}}\\!\\bigl(${inner}\\bigr)`; break;
+      case "avgpool":   inner = `\\operatorname{avgpool}_{${layer.kernel}}\\!\\bigl(${inner}\\bigr)`; break;
+      case "flatten":   inner = `\\operatorname{vec}\\bigl(${inner}\\bigr)`; break;
+      default: {
+        // The head is the task's output map; a linear regression head wraps nothing.
+        const fn = i === layers.length - 1 ? TASKS[taskOf(layers)].headTex : actSymTex(layer);
+        inner = fn ? `${fn}\\!\\bigl(W^{(${i})}${inner} + b^{(${i})}\\bigr)` : `W^{(${i})}${inner} + b^{(${i})}`;
+      }
+    }
+    if (layer.skip !== undefined) inner = `\\left(${inner} + a^{(${layer.skip})}\\right)`;
+  }
+  return `f(x) = ${inner}`;
+}
+
+// The definition of every distinct hidden activation in the composition, identity excluded.
+function actDefsTex(layers) {
+  const defs = layers.slice(1, -1)
+    .filter(l => (layerType(l) === "dense" || LAYER_TYPES[layerType(l)].activates) && l.activation !== "Linear")
+    .map(l => `${actSymTex(l)}(z) = ${ACT[l.activation].tex(actParams(l))}`);
+  return [...new Set(defs)];
+}
+
+// prev is layer l - 1, whose size (and shape) is the input of layer l. B switches to the
+// mini-batch notation of batchSym.
+function layerDimsTex(l, layer, prev, B = null) {
+  return LAYER_TYPES[layerType(layer)].dimsTex(l, prev.nodes, layer.nodes, layer, prev, B);
+}
+
+// Forward equations for layer l, the last line producing a^(l) including any skip.
+function layerEqTex(l, layer, prev, B = null) {
+  const skip = layer.skip === undefined ? "" : ` + ${batchSym("a", layer.skip, B)}`;
+  return LAYER_TYPES[layerType(layer)].eqTex(l, layer, skip, prev, B);
+}
+
+// dL/da^(l) for a hidden layer: what layer l + 1 sends back plus one term per residual
+// skip that reads a^(l).
+function upstreamTex(layers, l) {
+  const next  = layers[l + 1];
+  const terms = [LAYER_TYPES[layerType(next)].backTex(l + 1, next)];
+  layers.forEach((m, i) => { if (m.skip === l) terms.push(`\\frac{\\partial \\mathcal{L}}{\\partial a^{(${i})}}`); });
+  return terms.join(" + ");
+}
+
+// Short description used in tables and the graph: "ReLU", "Dropout (p = 0.5)", ...
+function layerSummary(layer) {
+  const type = layerType(layer);
+  const win  = `${layer.kernel}x${layer.kernel}, stride ${layer.stride}${layer.padding ? `, pad ${layer.padding}` : ""}`;
+  const base = type === "dense" ? actLabel(layer)
+    : type === "dropout" ? `Dropout (p = ${layer.rate ?? DEFAULT_DROP})`
+    : type === "conv2d" ? `Conv2D (${layer.filters} x ${win}) ${actLabel(layer)}`
+    : type === "maxpool" || type === "avgpool" ? `${LAYER_TYPES[type].label} (${win})`
+    : LAYER_TYPES[type].label;
+  return layer.skip === undefined ? base : `${base} + skip from a(${layer.skip})`;
+}
+
+// ─── Session persistence ──────────────────────────────────────────────────────
+// A session is the JSON document behind file export, share links and autosave.
+// Bump SESSION_VERSION whenever the shape changes and teach parseSession the old one.
+// v2 added layer type / rate / skip, v3 the conv / pool settings and an image input
+// shape, v4 per-layer activation parameters, v5 the output head of a TASKS entry and
+// vector targets for regression, v6 the weight penalty; older sessions load unchanged,
+// with no penalty.
+const SESSION_VERSION = 6;
+const STORAGE_KEY     = "nnviz.session";
+const AUTOSAVE_KEY    = "nnviz.autosave";
+const HASH_PREFIX     = "#s=";
+// Share links and autosave carry the weights only while the encoded session stays under
+// these lengths: browsers cap URLs, and localStorage holds a few MB per origin. Past
+// them the weights are left out and regenerate from the seed; the JSON download keeps them.
+const SHARE_MAX       = 32 * 1024;
+const AUTOSAVE_MAX    = 2 * 1024 * 1024;
+
+function defaultLossParams() {
+  return Object.fromEntries(Object.values(LOSSES).flatMap(l => l.params.map(p => [p.key, p.default])));
+}
+
+const LAYER_KEYS = ["type", "nodes", "shape", "activation", "actParams", "init", "rate", "filters", "kernel", "stride", "padding", "skip"];
+
+// Integer settings of conv / pool layers: [key, min, max].
+const SLIDE_KEYS = { conv2d: [["filters", 1, MAX_FILTERS], ["kernel", 1, MAX_KERNEL], ["stride", 1, MAX_STRIDE], ["padding", 0, MAX_PADDING]] };
+SLIDE_KEYS.maxpool = SLIDE_KEYS.avgpool = SLIDE_KEYS.conv2d.slice(1);
+
+// Per-layer λs are written for the current penalised layers only, so an edit that
+// removed a layer leaves no stale entry behind.
+function serializeSession({ layers, lossKey, lossParams, reg, seed, input, target, weights, sel }) {
+  return {
+    version: SESSION_VERSION,
+    layers: layers.map(layer => Object.fromEntries(LAYER_KEYS.filter(k => layer[k] !== undefined).map(k => [k, layer[k]]))),
+    loss: { key: lossKey, params: lossParams },
+    reg: { ...reg, lambdas: reg.lambdas && Object.fromEntries(regLayers(layers).map(l => [l, regLambda(reg, l)])) },
+    seed, input, target, selected: sel,
+    ...(weights ? { weights } : {}),
+  };
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// Validates an untrusted session object and returns normalised state.
+// Throws an Error with a user-facing message on the first problem found.
+function parseSession(obj) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw new Error("Session must be a JSON object.");
+  if (![1, 2, 3, 4, 5, SESSION_VERSION].includes(obj.version)) {
+    throw new Error(isNum(obj.version) && obj.version > SESSION_VERSION
+      ? `Session was saved by a newer version (v${obj.version}); this build reads v${SESSION_VERSION}.`
+      : `Unsupported session version: ${JSON.stringify(obj.version)}.`);
+  }
+
+  const { layers } = obj;
+  if (!Array.isArray(layers) || layers.length < 3 || layers.length > MAX_LAYERS) {
+    throw new Error(`"layers" must be an array of 3 to ${MAX_LAYERS} layers.`);
+  }
+  const outLayers = [];
+  layers.forEach((layer, i) => {
+    const where = `layers[${i}]`;
+    const type  = i === 0 ? "input" : layer?.type ?? "dense";
+    if (type !== "input" && !LAYER_TYPES[type]) throw new Error(`${where}.type must be one of ${Object.keys(LAYER_TYPES).join(", ")}.`);
+    const sizedByUser = type === "dense" || (type === "input" && layer?.shape === undefined);
+    if (sizedByUser && (!Number.isInteger(layer?.nodes) || layer.nodes < MIN_NODES || layer.nodes > MAX_NODES)) {
+      throw new Error(`${where}.nodes must be an integer from ${MIN_NODES} to ${MAX_NODES}.`);
+    }
+    if (type === "input") {
+      if (layer.shape === undefined) { outLayers.push({ nodes: layer.nodes, activation: "Linear" }); return; }
+      const [c, h, w] = Array.isArray(layer.shape) && layer.shape.length === 3 ? layer.shape : [];
+      if (![h, w].every(d => Number.isInteger(d) && d >= 1 && d <= MAX_SPATIAL) || !(Number.isInteger(c) && c >= 1 && c <= MAX_CHANNELS)) {
+        throw new Error(`${where}.shape must be [channels, height, width] with up to ${MAX_CHANNELS} channels and sides from 1 to ${MAX_SPATIAL}.`);
+      }
+      outLayers.push({ nodes: c * h * w, shape: [c, h, w], activation: "Linear" });
+      return;
+    }
+    const isOutput = i === layers.length - 1;
+    if (isOutput && type !== "dense") throw new Error(`${where}: the output layer must be dense.`);
+    const out = { ...(type === "dense" ? {} : { type }), ...LAYER_TYPES[type].defaults, nodes: layer.nodes };
+    if (type === "dense" || LAYER_TYPES[type].activates) {
+      const heads = Object.values(TASKS).map(t => t.head);
+      out.activation = isOutput ? layer.activation ?? "Softmax" : layer.activation;
+      out.init = layer.init ?? DEFAULT_INIT;
+      if (isOutput && !heads.includes(out.activation)) throw new Error(`${where}.activation must be one of ${heads.join(", ")} (the task head).`);
+      if (!isOutput && !ACTIVATIONS.includes(out.activation)) throw new Error(`${where}.activation must be one of ${ACTIVATIONS.join(", ")}.`);
+      // Like loss parameters, out-of-range values are clamped rather than rejected.
+      if (layer.actParams !== undefined && !isOutput) {
+        const known = ACT[out.activation].params;
+        if (!layer.actParams || typeof layer.actParams !== "object" || Array.isArray(layer.actParams)) throw new Error(`${where}.actParams must be an object.`);
+        out.actParams = {};
+        for (const [key, v] of Object.entries(layer.actParams)) {
+          const p = known.find(q => q.key === key);
+          if (!p) throw new Error(`${where}.actParams.${key} is not a parameter of ${out.activation}.`);
+          if (!isNum(v)) throw new Error(`${where}.actParams.${key} must be a number.`);
+          out.actParams[key] = Math.min(p.max, Math.max(p.min, v));
+        }
+      }
+    }
+    if (layer.init !== undefined && !INITS[layer.init]) {
+      throw new Error(`${where}.init must be one of ${Object.keys(INITS).join(", ")}.`);
+    }
+    if (type === "dropout") {
+      const rate = layer.rate ?? DEFAULT_DROP;
+      if (!isNum(rate) || rate < 0 || rate > MAX_DROP) throw new Error(`${where}.rate must be a number from 0 to ${MAX_DROP}.`);
+      out.rate = rate;
+    }
+    for (const [key, min, max] of SLIDE_KEYS[type] ?? []) {
+      const v = layer[key] ?? out[key];
+      if (!Number.isInteger(v) || v < min || v > max) throw new Error(`${where}.${key} must be an integer from ${min} to ${max}.`);
+      out[key] = v;
+    }
+    // Sizes after the input are derived, so a saved shape error loads as it was left.
+    const { nodes, shape } = LAYER_TYPES[type].infer(out, outLayers[i - 1]);
+    const sized = withShape({ ...out, nodes }, shape);
+    if (layer.skip !== undefined) {
+      if (isOutput || !Number.isInteger(layer.skip) || layer.skip < 0 || layer.skip >= i || !sameSize(outLayers[layer.skip], sized)) {
+        throw new Error(`${where}.skip must name an earlier layer of the same size (${sizeLabel(sized)}), and the output layer takes none.`);
+      }
+      sized.skip = layer.skip;
+    }
+    outLayers.push(sized);
+  });
+
+  const task    = taskOf(outLayers);
+  const lossKey = obj.loss?.key ?? TASKS[task].loss;
+  if (!LOSSES[lossKey]) throw new Error(`Unknown loss "${lossKey}".`);
+  if (LOSSES[lossKey].task !== task) throw new Error(`Loss "${lossKey}" does not fit the ${TASKS[task].label.toLowerCase()} head (${TASKS[task].head}).`);
+  const lossParams = defaultLossParams();
+  for (const p of Object.values(LOSSES).flatMap(l => l.params)) {
+    const v = obj.loss?.params?.[p.key];
+    if (v !== undefined) {
+      if (!isNum(v)) throw new Error(`loss.params.${p.key} must be a number.`);
+      lossParams[p.key] = Math.min(p.max, Math.max(p.min, v));
+    }
+  }
+
+  // Like loss parameters, penalty strengths are clamped rather than rejected.
+  const reg = defaultReg();
+  if (obj.reg !== undefined) {
+    const r = obj.reg;
+    const clampLam = (v, where) => {
+      if (!isNum(v)) throw new Error(`${where} must be a number.`);
+      return Math.min(REG_LAMBDA.max, Math.max(REG_LAMBDA.min, v));
+    };
+    if (!r || typeof r !== "object" || Array.isArray(r)) throw new Error(`"reg" must be an object.`);
+    if (!REGULARIZERS[r.key]) throw new Error(`reg.key must be one of ${Object.keys(REGULARIZERS).join(", ")}.`);
+    reg.key = r.key;
+    if (r.lambda !== undefined) reg.lambda = clampLam(r.lambda, "reg.lambda");
+    if (r.lambdas !== undefined && r.lambdas !== null) {
+      if (typeof r.lambdas !== "object" || Array.isArray(r.lambdas)) throw new Error("reg.lambdas must be an object or null.");
+      const penalised = regLayers(outLayers);
+      reg.lambdas = {};
+      for (const [key, v] of Object.entries(r.lambdas)) {
+        if (!penalised.includes(Number(key))) throw new Error(`reg.lambdas.${key} does not name a penalised layer (${penalised.join(", ")}).`);
+        reg.lambdas[key] = clampLam(v, `reg.lambdas.${key}`);
+      }
+    }
+    for (const p of Object.values(REGULARIZERS).flatMap(g => g.params)) {
+      const v = r[p.key];
+      if (v !== undefined) {
+        if (!isNum(v)) throw new Error(`reg.${p.key} must be a number.`);
+        reg[p.key] = Math.min(p.max, Math.max(p.min, v));
+      }
+    }
+  }
+
+  let weights = null;
+  if (obj.weights !== undefined) {
+    const w = obj.weights;
+    if (!Array.isArray(w) || w.length !== outLayers.length) throw new Error(`"weights" must have one entry per layer.`);
+    weights = w.map((entry, l) => {
+      if (l === 0) return null;
+      const shapes = LAYER_TYPES[layerType(outLayers[l])].shapes(outLayers[l - 1].nodes, outLayers[l].nodes, outLayers[l], outLayers[l - 1]);
+      if (!fitsShapes(entry, shapes)) {
+        const list = Object.entries(shapes).map(([k, dims]) => `${k} (${dims.join("x")})`).join(", ");
+        throw new Error(`weights[${l}] must hold ${list || "no tensors"}${list ? " of numbers" : ""}.`);
+      }
+      return cloneWeights([entry])[0];
+    });
+  }
+
+  const input = Array.isArray(obj.input) && obj.input.every(isNum) ? obj.input : defaultInput();
+  return {
+    layers: outLayers, lossKey, lossParams, reg, weights, input,
+    seed:   Number.isInteger(obj.seed) ? obj.seed : 1,
+    target: TASKS[task].target(obj.target, outLayers[outLayers.length - 1].nodes),
+    sel:    Number.isInteger(obj.selected) && obj.selected >= 0 && obj.selected < outLayers.length ? obj.selected : 1,
+  };
+}
+
+// UTF-8 safe base64url so a session survives being pasted into a URL.
+function encodeHash(session) {
+  const bytes = new TextEncoder().encode(JSON.stringify(session));
+  let bin = "";
+  bytes.forEach(b => { bin += String.fromCharCode(b); });
+  return HASH_PREFIX + btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// encode(session), or encode of a copy without the weights when that is longer than max.
+function trimSession(session, encode, max) {
+  const text = encode(session);
+  if (text.length <= max || !session.weights) return { text, dropped: false };
+  const { weights: _, ...rest } = session;
+  return { text: encode(rest), dropped: true };
+}
+
+function decodeHash(hash) {
+  if (!hash.startsWith(HASH_PREFIX)) return null;
+  const b64 = hash.slice(HASH_PREFIX.length).replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "===".slice((b64.length + 3) % 4));
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0))));
+}
+
+// Boot order: a share link wins, then the autosaved session, then defaults.
+function readBootSession() {
+  try {
+    const fromHash = decodeHash(window.location.hash);
+    if (fromHash) return parseSession(fromHash);
+    if (localStorage.getItem(AUTOSAVE_KEY) === "1") {
+      const saved = localStorage.getItem(STORAGE_KEY);
+      if (saved) return parseSession(JSON.parse(saved));
+    }
+  } catch (e) {
+    console.warn("Ignoring unreadable saved session:", e.message);
+  }
+  return null;
+}
+
+// ─── Code generation ──────────────────────────────────────────────────────────
+// Each target maps the ACT / INITS / LOSSES catalogues onto framework names.
+// Hidden "Linear" layers emit no activation; the softmax head is handled per target
+// and a linear regression head needs nothing.
+// Activation entries take the layer's actParams.
+const TORCH_ACT = {
+  ReLU:      () => "nn.ReLU()",
+  LeakyReLU: (p) => `nn.LeakyReLU(${p.alpha})`,
+  ELU:       (p) => `nn.ELU(alpha=${p.alpha})`,
+  GELU:      () => "nn.GELU()",
+  Swish:     (p) => (p.beta === 1 ? "nn.SiLU()" : `Swish(${p.beta})`),
+  Softplus:  () => "nn.Softplus()",
+  HardTanh:  () => "nn.Hardtanh()",
+  Sigmoid:   () => "nn.Sigmoid()",
+  Tanh:      () => "nn.Tanh()",
+  Linear:    null,
+};
+// torch has no Swish module with a β other than 1 (that one is nn.SiLU).
+const TORCH_SWISH = [
+  "class Swish(nn.Module):",
+  "    def __init__(self, beta):",
+  "        super().__init__()",
+  "        self.beta = beta",
+  "",
+  "    def forward(self, z):",
+  "        return z * torch.sigmoid(self.beta * z)",
+  "",
+];
+const TORCH_INIT = {
+  zeros:   (m) => `nn.init.zeros_(${m}.weight)`,
+  uniform: (m) => `nn.init.uniform_(${m}.weight, -1.0, 1.0)`,
+  normal:  (m) => `nn.init.normal_(${m}.weight, 0.0, 1.0)`,
+  xavier:  (m) => `nn.init.xavier_uniform_(${m}.weight)`,
+  he:      (m) => `nn.init.kaiming_normal_(${m}.weight, nonlinearity="relu")`,
+};
+// The activation= string, or null when the activation needs a layer of its own (KERAS_ACT_LAYER).
+const KERAS_ACT = {
+  ReLU:      () => "relu",
+  LeakyReLU: () => null,
+  ELU:       (p) => (p.alpha === 1 ? "elu" : null),
+  GELU:      () => "gelu",
+  Swish:     (p) => (p.beta === 1 ? "silu" : null),
+  Softplus:  () => "softplus",
+  HardTanh:  () => null,
+  Sigmoid:   () => "sigmoid",
+  Tanh:      () => "tanh",
+  Linear:    () => "linear",
+  Softmax:   () => "softmax",
+};
+const KERAS_ACT_LAYER = {
+  LeakyReLU: (p) => `layers.LeakyReLU(negative_slope=${p.alpha})`,
+  ELU:       (p) => `layers.ELU(alpha=${p.alpha})`,
+  Swish:     (p) => `layers.Activation(lambda z: z * keras.ops.sigmoid(${p.beta} * z))`,
+  HardTanh:  () => "layers.Activation(lambda z: keras.ops.clip(z, -1.0, 1.0))",
+};
+const KERAS_INIT = {
+  zeros:   `"zeros"`,
+  uniform: "keras.initializers.RandomUniform(-1.0, 1.0)",
+  normal:  "keras.initializers.RandomNormal(0.0, 1.0)",
+  xavier:  `"glorot_uniform"`,
+  he:      `"he_normal"`,
+};
+// args renders the layer's actParams as keyword arguments; import is a line the def needs.
+const NUMPY_ACT = {
+  ReLU:    { name: "relu",     def: "def relu(z):\n    return np.maximum(0, z)" },
+  LeakyReLU: { name: "leaky_relu", def: "def leaky_relu(z, alpha=0.01):\n    return np.where(z > 0, z, alpha * z)", args: (p) => `alpha=${p.alpha}` },
+  ELU:     { name: "elu",      def: "def elu(z, alpha=1.0):\n    return np.where(z > 0, z, alpha * np.expm1(np.minimum(z, 0)))", args: (p) => `alpha=${p.alpha}` },
+  GELU:    { name: "gelu",     def: "def gelu(z):\n    return 0.5 * z * (1 + np.vectorize(erf)(z / np.sqrt(2)))", import: "from math import erf" },
+  Swish:   { name: "swish",    def: "def swish(z, beta=1.0):\n    return z / (1 + np.exp(-beta * z))", args: (p) => `beta=${p.beta}` },
+  Softplus: { name: "softplus", def: "def softplus(z):\n    return np.logaddexp(0, z)" },
+  HardTanh: { name: "hard_tanh", def: "def hard_tanh(z):\n    return np.clip(z, -1, 1)" },
+  Sigmoid: { name: "sigmoid",  def: "def sigmoid(z):\n    return 1 / (1 + np.exp(-z))" },
+  Tanh:    { name: "np.tanh",  def: null },
+  Linear:  { name: "identity", def: "def identity(z):\n    return z" },
+  Softmax: { name: "softmax",  def: "def softmax(z):\n    e = np.exp(z - z.max(axis=-1, keepdims=True))\n    return e / e.sum(axis=-1, keepdims=True)" },
+};
+// fanIn / fanOut as in INITS; shape is the Python tuple to draw, e.g. "(4, 3)".
+const NUMPY_INIT = {
+  zeros:   (fanIn, fanOut, shape) => `np.zeros(${shape})`,
+  uniform: (fanIn, fanOut, shape) => `rng.uniform(-1.0, 1.0, ${shape})`,
+  normal:  (fanIn, fanOut, shape) => `rng.normal(0.0, 1.0, ${shape})`,
+  xavier:  (fanIn, fanOut, shape) => `rng.uniform(-np.sqrt(6 / ${fanIn + fanOut}), np.sqrt(6 / ${fanIn + fanOut}), ${shape})`,
+  he:      (fanIn, fanOut, shape) => `rng.normal(0.0, np.sqrt(2 / ${fanIn}), ${shape})`,
+};
+
+const NUMPY_NORM = {
+  batchnorm: { name: "batch_norm", def: "def batch_norm(a, gamma, beta, mean, var, eps=1e-5):\n    # inference mode: normalise with the running statistics\n    return gamma * (a - mean) / np.sqrt(var + eps) + beta" },
+  layernorm: { name: "layer_norm", def: "def layer_norm(a, gamma, beta, eps=1e-5):\n    mu, var = a.mean(axis=-1, keepdims=True), a.var(axis=-1, keepdims=True)\n    return gamma * (a - mu) / np.sqrt(var + eps) + beta" },
+};
+
+const NUMPY_SLIDE = {
+  conv2d: { name: "conv2d", def: [
+    "def conv2d(a, K, b, stride=1, padding=0):",
+    "    # a: (c, h, w), K: (filters, c, k, k); cross-correlation as in every DL framework",
+    "    a = np.pad(a, ((0, 0), (padding, padding), (padding, padding)))",
+    "    k = K.shape[-1]",
+    "    h, w = (a.shape[1] - k) // stride + 1, (a.shape[2] - k) // stride + 1",
+    "    z = np.empty((K.shape[0], h, w))",
+    "    for i in range(h):",
+    "        for j in range(w):",
+    "            patch = a[:, i * stride:i * stride + k, j * stride:j * stride + k]",
+    "            z[:, i, j] = np.tensordot(K, patch, axes=3) + b",
+    "    return z",
+  ].join("\n") },
+  pool: { name: "pool2d", def: [
+    "def pool2d(a, k, stride, padding=0, op=np.max):",
+    "    # max pooling pads with -inf so padding never wins; average pooling counts it as 0",
+    "    fill = -np.inf if op is np.max else 0.0",
+    "    a = np.pad(a, ((0, 0), (padding, padding), (padding, padding)), constant_values=fill)",
+    "    h, w = (a.shape[1] - k) // stride + 1, (a.shape[2] - k) // stride + 1",
+    "    out = np.empty((a.shape[0], h, w))",
+    "    for i in range(h):",
+    "        for j in range(w):",
+    "            out[:, i, j] = op(a[:, i * stride:i * stride + k, j * stride:j * stride + k], axis=(1, 2))",
+    "    return out",
+  ].join("\n") },
+};
+
+const pyNum    = (v) => fmtNum(v, 4);
+const pyCoef   = (v) => String(Number(v.toPrecision(4)));  // penalty strengths are often below 1e-4
+const pyList   = (v) => `[${v.map(pyNum).join(", ")}]`;
+const pyTensor = (t) => (Array.isArray(t[0]) ? `[${t.map(pyTensor).join(", ")}]` : pyList(t));
+const hasSkips = (layers) => layers.some(l => l.skip !== undefined);
+const isPool   = (type) => type === "maxpool" || type === "avgpool";
+
+// Example input matching the input layer: a vector, or a (c, h, w) image without the batch axis.
+const inputDims = (layer) => (layer.shape ? layer.shape.join(", ") : `${layer.nodes}`);
+
+// Module expressions for one layer; the softmax head is left to the loss.
+function torchModules(layer, prev, isLast) {
+  const act = !isLast && TORCH_ACT[layer.activation] ? [TORCH_ACT[layer.activation](actParams(layer))] : [];
+  const win = `${layer.kernel}, stride=${layer.stride}, padding=${layer.padding}`;
+  switch (layerType(layer)) {
+    case "dropout":   return [`nn.Dropout(${layer.rate ?? DEFAULT_DROP})`];
+    case "batchnorm": return [`nn.BatchNorm1d(${layer.nodes})`];
+    case "layernorm": return [`nn.LayerNorm(${layer.nodes})`];
+    case "conv2d":    return [`nn.Conv2d(${prev.shape[0]}, ${layer.filters}, ${win})`, ...act];
+    case "maxpool":   return [`nn.MaxPool2d(${win})`];
+    case "avgpool":   return [`nn.AvgPool2d(${win})`];
+    case "flatten":   return ["nn.Flatten()"];
+    default:          return [`nn.Linear(${prev.nodes}, ${layer.nodes})`, ...act];
+  }
+}
+
+// Per task: the comment closing the model, what forward returns, and the prediction line.
+const TORCH_HEAD = {
+  classification: { note: "no Softmax module: the loss below expects raw logits z^(L)", out: "raw logits z^(L): the loss below applies the softmax",
+    predict: (x) => `probs = torch.softmax(model(${x}), dim=-1)  # y_hat` },
+  regression:     { note: "linear head: y_hat = z^(L)", out: "y_hat = z^(L) for the linear head",
+    predict: (x) => `y_hat = model(${x})` },
+  multilabel:     { note: "no Sigmoid module: the loss below expects raw logits z^(L)", out: "raw logits z^(L): the loss below applies the sigmoid",
+    predict: (x) => `probs = torch.sigmoid(model(${x}))  # y_hat: one independent probability per label` },
+};
+
+// torch.optim equivalents of OPTIMIZERS: the class and its arguments past lr. torch's
+// defaults for dampening and eps already match the update rules above.
+const TORCH_OPT = {
+  sgd:      () => ["SGD", ""],
+  momentum: (p) => ["SGD", `, momentum=${p.momentum}`],
+  rmsprop:  (p) => ["RMSprop", `, alpha=${p.rho}`],
+  adam:     (p) => ["Adam", `, betas=(${p.beta1}, ${p.beta2})`],
+};
+
+// The optimiser and η chosen in the app. L2 becomes weight_decay on the penalised tensors
+// alone: torch adds λW, the derivative of λ/2 ||W||², to their gradient before the update,
+// as the app does. refs pairs each penalised layer with its module.
+function torchOptimizer(opt, reg, refs) {
+  const [cls, args] = TORCH_OPT[opt.key](opt.params);
+  const tail = `lr=${opt.params.lr}${args})`;
+  if (reg.key !== "l2") return [`optimizer = torch.optim.${cls}(model.parameters(), ${tail}`];
+  return [
+    `# ${REGULARIZERS.l2.label} penalty as weight decay on W / K only: biases and norm parameters get none`,
+    `decay  = [${refs.map(([, ref]) => `${ref}.weight`).join(", ")}]`,
+    "others = [q for q in model.parameters() if all(q is not w for w in decay)]",
+    `optimizer = torch.optim.${cls}([`,
+    ...refs.map(([l, ref]) => `    {"params": [${ref}.weight], "weight_decay": ${pyCoef(regLambda(reg, l))}},  # layer ${l}`),
+    "    {\"params\": others, \"weight_decay\": 0.0},",
+    `], ${tail}`,
+  ];
+}
+
+// L1 and elastic net have no optimiser switch, so they are written as a term to add to the loss.
+function torchPenalty(reg, refs) {
+  const r = REGULARIZERS[reg.key];
+  return [
+    "def penalty(model):",
+    `    # ${r.label} penalty on W / K only: biases and norm parameters are left out`,
+    `    return (${refs.map(([l, ref]) => `${pyCoef(regLambda(reg, l))} * ${r.py(`${ref}.weight`, reg)}`).join("\n            + ")})`,
+    "",
+    "# train on loss_fn(model(x), target) + penalty(model)",
+  ];
+}
+
+// nn.Sequential cannot express residual skips, so those nets get a small Module subclass.
+function genTorch(layers, lossKey, p, reg, opt) {
+  const head  = TORCH_HEAD[taskOf(layers)];
+  const lines = ["import torch", "from torch import nn", "import torch.nn.functional as F", ""];
+  if (layers.slice(1, -1).some(l => l.activation === "Swish" && actParams(l).beta !== 1)) lines.push(...TORCH_SWISH);
+  const inits = [], refs = [];
+  const initDense = (layer, ref, l) => {
+    inits.push(TORCH_INIT[layer.init ?? DEFAULT_INIT](ref), `nn.init.zeros_(${ref}.bias)`);
+    refs.push([l, ref]);
+  };
+  if (!hasSkips(layers)) {
+    lines.push("model = nn.Sequential(");
+    let idx = 0;
+    layers.slice(1).forEach((layer, i) => {
+      const isLast = i === layers.length - 2;
+      torchModules(layer, layers[i], isLast).forEach((m, j) => {
+        if (j === 0 && LAYER_TYPES[layerType(layer)].fans) {
+          const [key, dims] = Object.entries(LAYER_TYPES[layerType(layer)].shapes(layers[i].nodes, layer.nodes, layer, layers[i]))[0];
+          lines.push(`    ${m},  # ${key}^(${i + 1}): ${dims.join("x")}`);
+          initDense(layer, `model[${idx}]`, i + 1);
+        } else {
+          lines.push(`    ${m},`);
+        }
+        idx++;
+      });
+      if (isLast) lines.push(`    # ${head.note}`);
+    });
+    lines.push(")");
+  } else {
+    lines.push("class Net(nn.Module):", "    def __init__(self):", "        super().__init__()", "        self.layers = nn.ModuleList([");
+    const skips = [];
+    layers.slice(1).forEach((layer, i) => {
+      const mods = torchModules(layer, layers[i], i === layers.length - 2);
+      lines.push(`            ${mods.length > 1 ? `nn.Sequential(${mods.join(", ")})` : mods[0]},  # a^(${i + 1})`);
+      if (LAYER_TYPES[layerType(layer)].fans) initDense(layer, mods.length > 1 ? `model.layers[${i}][0]` : `model.layers[${i}]`, i + 1);
+      if (layer.skip !== undefined) skips.push(`${i + 1}: ${layer.skip}`);
+    });
+    lines.push("        ])",
+      `        self.skips = {${skips.join(", ")}}  # residual: a^(l) += a^(k) for l: k`,
+      "",
+      "    def forward(self, x):",
+      "        acts = [x]",
+      "        for l, layer in enumerate(self.layers, start=1):",
+      "            a = layer(acts[-1])",
+      "            if l in self.skips:",
+      "                a = a + acts[self.skips[l]]",
+      "            acts.append(a)",
+      `        return acts[-1]  # ${head.out}`,
+      "",
+      "model = Net()");
+  }
+  lines.push("", "with torch.no_grad():", ...inits.map(l => `    ${l}`), "");
+  if (lossKey === "ce")    lines.push("loss_fn = nn.CrossEntropyLoss()");
+  if (lossKey === "ls")    lines.push(`loss_fn = nn.CrossEntropyLoss(label_smoothing=${p.eps})`);
+  if (lossKey === "bce")   lines.push("# BCE on a 2-way softmax head is exactly CrossEntropyLoss;", "# with a single-logit head use nn.BCEWithLogitsLoss() instead.", "loss_fn = nn.CrossEntropyLoss()");
+  if (lossKey === "focal") lines.push(
+    `def loss_fn(logits, target, gamma=${p.gamma}):`,
+    "    log_p = F.log_softmax(logits, dim=-1).gather(1, target.unsqueeze(1)).squeeze(1)",
+    "    return (-(1 - log_p.exp()) ** gamma * log_p).mean()",
+  );
+  if (lossKey === "mse")     lines.push("loss_fn = nn.MSELoss()");
+  if (lossKey === "mae")     lines.push("loss_fn = nn.L1Loss()");
+  if (lossKey === "huber")   lines.push(`loss_fn = nn.HuberLoss(delta=${p.delta})`);
+  if (lossKey === "logcosh") lines.push(
+    "def loss_fn(y_hat, target):",
+    "    r = y_hat - target",
+    "    return (r + F.softplus(-2 * r) - torch.log(torch.tensor(2.0))).mean()  # log cosh r, overflow-safe",
+  );
+  if (lossKey === "bceSum")  lines.push(
+    "def loss_fn(logits, target):",
+    "    # BCEWithLogitsLoss(reduction=\"sum\") would also sum over the batch",
+    "    return F.binary_cross_entropy_with_logits(logits, target, reduction=\"none\").sum(dim=-1).mean()",
+  );
+  if (lossKey === "bceMean") lines.push("loss_fn = nn.BCEWithLogitsLoss()  # mean over labels (and the batch)");
+  if (lossKey === "mlFocal") lines.push(
+    `def loss_fn(logits, target, gamma=${p.gamma}, alpha=${p.alpha}):`,
+    "    # torchvision.ops.sigmoid_focal_loss, summed over labels",
+    "    p = torch.sigmoid(logits)",
+    "    ce = F.binary_cross_entropy_with_logits(logits, target, reduction=\"none\")",
+    "    p_t = target * p + (1 - target) * (1 - p)",
+    "    a_t = target * alpha + (1 - target) * (1 - alpha)",
+    "    return (a_t * (1 - p_t) ** gamma * ce).sum(dim=-1).mean()",
+  );
+  if (lossKey === "asl")     lines.push(
+    `def loss_fn(logits, target, gamma_pos=${p.gammaPos}, gamma_neg=${p.gammaNeg}, margin=${p.margin}):`,
+    "    p = torch.sigmoid(logits)",
+    "    p_m = (p - margin).clamp(min=0)  # shifted probability for the negatives",
+    "    pos = target * (1 - p) ** gamma_pos * torch.log(p.clamp(min=1e-8))",
+    "    neg = (1 - target) * p_m ** gamma_neg * torch.log((1 - p_m).clamp(min=1e-8))",
+    "    return -(pos + neg).sum(dim=-1).mean()",
+  );
+  if (reg.key !== "none" && reg.key !== "l2") lines.push("", ...torchPenalty(reg, refs));
+  lines.push("", ...torchOptimizer(opt, reg, refs));
+  lines.push("", head.predict(`torch.randn(1, ${inputDims(layers[0])})`));
+  return lines.join("\n");
+}
+
+// Layer expressions in application order. Keras has no numeric padding argument, so
+// padded convs and pools get an explicit ZeroPadding2D in front (for max pooling that
+// pads with 0 rather than -inf, which only matters for negative inputs). l is the layer's
+// index, for its penalty strength.
+function kerasLayers(layer, reg, l) {
+  const pad  = layer.padding ? [`layers.ZeroPadding2D(${layer.padding})`] : [];
+  const init = `kernel_initializer=${KERAS_INIT[layer.init ?? DEFAULT_INIT]}`
+    + (reg.key === "none" ? "" : `, kernel_regularizer=${REGULARIZERS[reg.key].keras(regLambda(reg, l), reg)}`);
+  const p    = actParams(layer);
+  const name = KERAS_ACT[layer.activation]?.(p);
+  const act  = `activation="${name ?? "linear"}"`;
+  const post = name === null ? [KERAS_ACT_LAYER[layer.activation](p)] : [];
+  switch (layerType(layer)) {
+    case "dropout":   return [`layers.Dropout(${layer.rate ?? DEFAULT_DROP})`];
+    case "batchnorm": return [`layers.BatchNormalization(momentum=${1 - BN_MOMENTUM}, epsilon=${NORM_EPS})`];
+    case "layernorm": return [`layers.LayerNormalization(epsilon=${NORM_EPS})`];
+    case "conv2d":    return [...pad, `layers.Conv2D(${layer.filters}, ${layer.kernel}, strides=${layer.stride}, ${act}, ${init})`, ...post];
+    case "maxpool":   return [...pad, `layers.MaxPooling2D(${layer.kernel}, strides=${layer.stride})`];
+    case "avgpool":   return [...pad, `layers.AveragePooling2D(${layer.kernel}, strides=${layer.stride})`];
+    case "flatten":   return ["layers.Flatten()"];
+    default:          return [`layers.Dense(${layer.nodes}, ${act}, ${init})`, ...post];
+  }
+}
+
+// Keras images are channels-last: (h, w, c), so Flatten also reads them in that order.
+const kerasInput = (layer) => (layer.shape ? `${layer.shape[1]}, ${layer.shape[2]}, ${layer.shape[0]}` : `${layer.nodes},`);
+const kerasNote  = (layer) => (layerType(layer) === "flatten" ? "  # (h, w, c) order; the visualizer flattens (c, h, w)"
+  : layerType(layer) === "maxpool" && layer.padding ? "  # ZeroPadding2D pads with 0; the visualizer pads max pooling with -inf" : "");
+
+// Per task: how the targets are encoded and the metric to track.
+const KERAS_HEAD = {
+  classification: { targets: "labels are one-hot vectors", metric: "accuracy" },
+  regression:     { targets: "targets are real vectors", metric: "mae" },
+  multilabel:     { targets: "labels are multi-hot 0/1 vectors", metric: "binary_accuracy" },
+};
+
+// Residual skips need the functional API; plain stacks stay a Sequential model.
+function genKeras(layers, lossKey, p, reg) {
+  const lines = ["import keras", "from keras import layers", ""];
+  if (!hasSkips(layers)) {
+    lines.push("model = keras.Sequential([", `    keras.Input(shape=(${kerasInput(layers[0])})),`);
+    layers.slice(1).forEach((layer, i) => kerasLayers(layer, reg, i + 1).forEach((m, j, all) => lines.push(`    ${m},${j === all.length - 1 ? kerasNote(layer) : ""}`)));
+    lines.push("])");
+  } else {
+    lines.push(`a0 = keras.Input(shape=(${kerasInput(layers[0])}))`);
+    layers.slice(1).forEach((layer, i) => {
+      const out = kerasLayers(layer, reg, i + 1).reduce((acc, m) => `${m}(${acc})`, `a${i}`);
+      lines.push(layer.skip === undefined ? `a${i + 1} = ${out}${kerasNote(layer)}` : `a${i + 1} = layers.Add()([${out}, a${layer.skip}])  # residual skip`);
+    });
+    lines.push(`model = keras.Model(a0, a${layers.length - 1})`);
+  }
+  const head = KERAS_HEAD[taskOf(layers)];
+  lines.push("", `# ${head.targets} of length ${layers[layers.length - 1].nodes}`);
+  if (lossKey === "bceSum") lines.push("",
+    "def bce_sum(y, y_hat):",
+    "    return keras.ops.sum(keras.ops.binary_crossentropy(y, y_hat), axis=-1)", "");
+  if (lossKey === "asl") lines.push("",
+    `def asl(y, y_hat, gamma_pos=${p.gammaPos}, gamma_neg=${p.gammaNeg}, margin=${p.margin}):`,
+    "    p_m = keras.ops.maximum(y_hat - margin, 0.0)  # shifted probability for the negatives",
+    "    pos = y * (1 - y_hat) ** gamma_pos * keras.ops.log(keras.ops.maximum(y_hat, 1e-7))",
+    "    neg = (1 - y) * p_m ** gamma_neg * keras.ops.log(keras.ops.maximum(1 - p_m, 1e-7))",
+    "    return -keras.ops.sum(pos + neg, axis=-1)", "");
+  const loss = {
+    ce:      "keras.losses.CategoricalCrossentropy()",
+    bce:     "keras.losses.CategoricalCrossentropy()  # == BCE on a 2-way softmax head",
+    focal:   `keras.losses.CategoricalFocalCrossentropy(alpha=1.0, gamma=${p.gamma})`,
+    ls:      `keras.losses.CategoricalCrossentropy(label_smoothing=${p.eps})`,
+    mse:     "keras.losses.MeanSquaredError()",
+    mae:     "keras.losses.MeanAbsoluteError()",
+    huber:   `keras.losses.Huber(delta=${p.delta})`,
+    logcosh: "keras.losses.LogCosh()",
+    bceSum:  "bce_sum",
+    bceMean: "keras.losses.BinaryCrossentropy()",
+    mlFocal: `keras.losses.BinaryFocalCrossentropy(apply_class_balancing=True, alpha=${p.alpha}, gamma=${p.gamma})`,
+    asl:     "asl",
+  }[lossKey];
+  if (lossKey === "mlFocal") lines.push("# averages over labels: 1/K of the summed loss in the visualizer");
+  if (reg.key !== "none") lines.push(`# kernel_regularizer adds λ R(W) to the loss${reg.key === "l1" ? "" : "; keras' squared term has no 1/2, so its L2 factor is halved"}`);
+  lines.push(`model.compile(optimizer="sgd", loss=${loss}, metrics=["${head.metric}"])`);
+  return lines.join("\n");
+}
+
+// A layer's NUMPY_ACT entry with its parameters bound: call(x) applies it, ref names it as a value.
+function numpyAct(layer) {
+  const a = NUMPY_ACT[layer.activation] ?? NUMPY_ACT.Linear;
+  const args = a.args?.(actParams(layer));
+  return { ...a, call: (x) => `${a.name}(${x}${args ? `, ${args}` : ""})`, ref: args ? `lambda z: ${a.name}(z, ${args})` : a.name };
+}
+
+// embed = current weights to inline; otherwise params are drawn from the configured schemes.
+// A plain dense stack loops over (W, b) pairs; anything else gets an unrolled forward.
+function genNumpy(layers, lossKey, p, reg, _, embed) {
+  const hidden = layers.slice(1);
+  const plain  = !hasSkips(layers) && hidden.every(l => layerType(l) === "dense");
+  const acts   = hidden.map(numpyAct);
+  const helpers = hidden.flatMap((l, i) => {
+    const type = layerType(l);
+    if (type === "conv2d") return [NUMPY_SLIDE.conv2d, acts[i]];
+    if (isPool(type)) return [NUMPY_SLIDE.pool];
+    return [type === "dense" ? acts[i] : NUMPY_NORM[type]];
+  }).filter(Boolean);
+  const defs = [...new Set(helpers.map(a => a.def).filter(Boolean))];
+  const hasConv = hidden.some(l => layerType(l) === "conv2d");
+  const imports = [...new Set(helpers.map(a => a.import).filter(Boolean))];
+  const lines = ["import numpy as np", ...imports, "", ...defs.flatMap(d => [d, ""]), ""];
+  lines.push(plain
+    ? "# params[l] = (W, b) with W of shape (n_out, n_in); x is a single sample"
+    : `# params[l] = (W, b) for dense layers, ${hasConv ? "(K, b) for convolutions, " : ""}(gamma, beta[, mean, var]) for norms, None for parameter-free layers`);
+  if (embed) {
+    lines.push("params = [");
+    hidden.forEach((layer, i) => {
+      const w = embed[i + 1];
+      switch (layerType(layer)) {
+        case "dropout":
+        case "maxpool":
+        case "avgpool":
+        case "flatten":   lines.push(`    None,  # layer ${i + 1}: ${LAYER_TYPES[layerType(layer)].label} has no parameters`); break;
+        case "conv2d":    lines.push(`    (np.array(${pyTensor(w.K)}),`, `     np.array(${pyList(w.b)})),  # layer ${i + 1}: Conv2D`); break;
+        case "batchnorm": lines.push(`    (np.array(${pyList(w.gamma)}), np.array(${pyList(w.beta)}),`, `     np.array(${pyList(w.mean)}), np.array(${pyList(w.var)})),  # layer ${i + 1}: BatchNorm`); break;
+        case "layernorm": lines.push(`    (np.array(${pyList(w.gamma)}), np.array(${pyList(w.beta)})),  # layer ${i + 1}: LayerNorm`); break;
+        default: lines.push(`    (np.array([${w.W.map(pyList).join(",\n               ")}]),`, `     np.array(${pyList(w.b)})),  # layer ${i + 1}`);
+      }
+    });
+    lines.push("]");
+  } else {
+    lines.push("def init_params(seed=0):", "    rng = np.random.default_rng(seed)", "    return [");
+    hidden.forEach((layer, i) => {
+      const nin = layers[i].nodes, n = layer.nodes, init = layer.init ?? DEFAULT_INIT;
+      const lt  = LAYER_TYPES[layerType(layer)];
+      switch (layerType(layer)) {
+        case "dropout":
+        case "maxpool":
+        case "avgpool":
+        case "flatten":   lines.push(`        None,  # layer ${i + 1}: ${lt.label}`); break;
+        case "conv2d": {
+          const [fanIn, fanOut] = lt.fans(layer, layers[i]);
+          lines.push(`        (${NUMPY_INIT[init](fanIn, fanOut, `(${lt.shapes(nin, n, layer, layers[i]).K.join(", ")})`)}, np.zeros(${layer.filters})),  # layer ${i + 1}: Conv2D, ${INITS[init].label}`);
+          break;
+        }
+        case "batchnorm": lines.push(`        (np.ones(${n}), np.zeros(${n}), np.zeros(${n}), np.ones(${n})),  # layer ${i + 1}: BatchNorm`); break;
+        case "layernorm": lines.push(`        (np.ones(${n}), np.zeros(${n})),  # layer ${i + 1}: LayerNorm`); break;
+        default: lines.push(`        (${NUMPY_INIT[init](nin, n, `(${n}, ${nin})`)}, np.zeros(${n})),  # layer ${i + 1}: ${INITS[init].label}`);
+      }
+    });
+    lines.push("    ]", "", "params = init_params()");
+  }
+  if (plain) {
+    lines.push("", `ACTIVATIONS = [${acts.map(a => a.ref).join(", ")}]`, "",
+      "def forward(params, x):",
+      "    a = x",
+      "    for (W, b), act in zip(params, ACTIVATIONS):",
+      "        a = act(W @ a + b)  # z = W a + b, then the element-wise activation",
+      "    return a", "");
+  } else {
+    lines.push("", "def forward(params, x):", "    a0 = x");
+    hidden.forEach((layer, i) => {
+      const l = i + 1, prev = `a${i}`, skip = layer.skip === undefined ? "" : ` + a${layer.skip}`;
+      const note = layer.skip === undefined ? "" : `  # residual skip from a^(${layer.skip})`;
+      switch (layerType(layer)) {
+        case "dropout": lines.push(`    a${l} = ${prev}${skip}  # dropout (p = ${layer.rate ?? DEFAULT_DROP}) is the identity at inference`); break;
+        case "conv2d":  lines.push(`    a${l} = ${acts[i].call(`conv2d(${prev}, *params[${i}], stride=${layer.stride}, padding=${layer.padding})`)}${skip}${note}`); break;
+        case "maxpool":
+        case "avgpool": lines.push(`    a${l} = pool2d(${prev}, ${layer.kernel}, ${layer.stride}, ${layer.padding}, op=${layerType(layer) === "maxpool" ? "np.max" : "np.mean"})${skip}${note}`); break;
+        case "flatten": lines.push(`    a${l} = ${prev}.reshape(-1)${skip}${note || "  # channel by channel, row by row"}`); break;
+        case "batchnorm":
+        case "layernorm": lines.push(`    a${l} = ${NUMPY_NORM[layerType(layer)].name}(${prev}, *params[${i}])${skip}${note}`); break;
+        default: lines.push(`    a${l} = ${acts[i].call(`params[${i}][0] @ ${prev} + params[${i}][1]`)}${skip}${note}`);
+      }
+    });
+    lines.push(`    return a${hidden.length}`, "");
+  }
+  const loss = {
+    ce:    ["def loss(y_hat, t):", "    return -np.log(y_hat[t])"],
+    bce:   ["def loss(y_hat, t):", "    # y_hat[1] plays the role of the single sigmoid output", "    return -(t * np.log(y_hat[1]) + (1 - t) * np.log(1 - y_hat[1]))"],
+    focal: [`def loss(y_hat, t, gamma=${p.gamma}):`, "    return -(1 - y_hat[t]) ** gamma * np.log(y_hat[t])"],
+    ls:    [`def loss(y_hat, t, eps=${p.eps}):`, "    y = np.full(len(y_hat), eps / len(y_hat))", "    y[t] += 1 - eps", "    return -(y * np.log(y_hat)).sum()"],
+    mse:     ["def loss(y_hat, y):", "    return np.mean((y_hat - y) ** 2)"],
+    mae:     ["def loss(y_hat, y):", "    return np.mean(np.abs(y_hat - y))"],
+    huber:   [`def loss(y_hat, y, delta=${p.delta}):`, "    r = np.abs(y_hat - y)", "    return np.mean(np.where(r <= delta, 0.5 * r ** 2, delta * (r - 0.5 * delta)))"],
+    logcosh: ["def loss(y_hat, y):", "    r = np.abs(y_hat - y)", "    return np.mean(r + np.log1p(np.exp(-2 * r)) - np.log(2))  # log cosh r, overflow-safe"],
+    bceSum:  ["def loss(y_hat, y):", "    return -(y * np.log(y_hat) + (1 - y) * np.log(1 - y_hat)).sum()"],
+    bceMean: ["def loss(y_hat, y):", "    return -(y * np.log(y_hat) + (1 - y) * np.log(1 - y_hat)).mean()"],
+    mlFocal: [`def loss(y_hat, y, gamma=${p.gamma}, alpha=${p.alpha}):`, "    pos = alpha * (1 - y_hat) ** gamma * np.log(y_hat)", "    neg = (1 - alpha) * y_hat ** gamma * np.log(1 - y_hat)", "    return -(y * pos + (1 - y) * neg).sum()"],
+    asl:     [`def loss(y_hat, y, gamma_pos=${p.gammaPos}, gamma_neg=${p.gammaNeg}, margin=${p.margin}):`, "    p_m = np.maximum(y_hat - margin, 0)  # shifted probability for the negatives", "    pos = (1 - y_hat) ** gamma_pos * np.log(y_hat)", "    neg = p_m ** gamma_neg * np.log(1 - p_m)", "    return -(y * pos + (1 - y) * neg).sum()"],
+  }[lossKey];
+  lines.push(...loss, "");
+  if (reg.key !== "none") lines.push(
+    "def penalty(params):",
+    `    # ${REGULARIZERS[reg.key].label} penalty on W / K (params[l][0]) only: biases and norm parameters are left out`,
+    `    return (${regLayers(layers).map(l => `${pyCoef(regLambda(reg, l))} * ${REGULARIZERS[reg.key].py(`params[${l - 1}][0]`, reg)}`).join("\n            + ")})`,
+    "",
+  );
+  lines.push(`y_hat = forward(params, np.zeros(${layers[0].shape ? `(${inputDims(layers[0])})` : layers[0].nodes}))`);
+  return lines.join("\n");
+}
+
+const CODEGEN = {
+  torch: { label: "PyTorch", gen: genTorch },
+  keras: { label: "Keras",   gen: genKeras },
+  numpy: { label: "NumPy",   gen: genNumpy },
+};
+
+// ─── Model import ─────────────────────────────────────────────────────────────
+// Both importers reduce a model to { inputSize, inputShape?, stack: [{ type?, nin?, nout?,
+// activation, actParams?, init?, rate?, filters?, kernel?, stride?, padding? }] } and share
+// finalizeImport for validation, the MAX_NODES cap and the MAX_LAYERS limit (a deeper
+// model is rejected, since dropping layers would break the width chain). inputShape is
+// [c, h, w] for image inputs. Entries other than dense leave nout unset.
+const KERAS_ACT_IN  = {
+  relu: "ReLU", leaky_relu: "LeakyReLU", elu: "ELU", gelu: "GELU", silu: "Swish", swish: "Swish",
+  softplus: "Softplus", hard_tanh: "HardTanh", sigmoid: "Sigmoid", tanh: "Tanh", linear: "Linear", softmax: "Softmax",
+};
+// The string "leaky_relu" uses Keras' default slope, which is not the catalogue default.
+const KERAS_ACT_IN_PARAMS = { leaky_relu: { alpha: 0.2 } };
+const KERAS_INIT_IN = { Zeros: "zeros", RandomUniform: "uniform", RandomNormal: "normal", GlorotUniform: "xavier", GlorotNormal: "xavier", HeNormal: "he", HeUniform: "he" };
+const ONNX_ACT_IN   = {
+  Relu: "ReLU", LeakyRelu: "LeakyReLU", Elu: "ELU", Gelu: "GELU", Softplus: "Softplus",
+  Sigmoid: "Sigmoid", Tanh: "Tanh", Identity: "Linear", Softmax: "Softmax",
+};
+// Attribute defaults as in the ONNX operator specs.
+const ONNX_ACT_PARAMS = {
+  LeakyRelu: (attr) => ({ alpha: attr("alpha") ?? 0.01 }),
+  Elu:       (attr) => ({ alpha: attr("alpha") ?? 1 }),
+};
+const KERAS_TYPE_IN = { BatchNormalization: "batchnorm", LayerNormalization: "layernorm", MaxPooling2D: "maxpool", AveragePooling2D: "avgpool" };
+const ONNX_TYPE_IN  = { BatchNormalization: "batchnorm", LayerNormalization: "layernorm", MaxPool: "maxpool", AveragePool: "avgpool" };
+
+const layerName = (i, total) => (i === 0 ? "Input" : i === total - 1 ? "Output" : `Hidden ${i}`);
+
+// Returns the stack entry fields { activation, actParams? } for a Keras activation setting.
+function kerasActivation(act, where) {
+  const name = typeof act === "string" ? act
+    : typeof act?.config === "string" ? act.config
+    : act?.config?.name ?? act?.class_name?.toLowerCase() ?? "linear";
+  if (!KERAS_ACT_IN[name]) {
+    throw new Error(`${where}: activation "${name}" is not supported (supported: ${Object.keys(KERAS_ACT_IN).join(", ")}).`);
+  }
+  return { activation: KERAS_ACT_IN[name], ...(KERAS_ACT_IN_PARAMS[name] ? { actParams: KERAS_ACT_IN_PARAMS[name] } : {}) };
+}
+
+// Standalone activation layers: Activation("...") or a layer class carrying its own parameters.
+function kerasActivationLayer(layer, where) {
+  const c = layer.config ?? {};
+  switch (layer.class_name) {
+    case "Activation": return kerasActivation(c.activation, where);
+    case "LeakyReLU":  return { activation: "LeakyReLU", actParams: { alpha: c.negative_slope ?? c.alpha ?? 0.3 } };
+    case "ELU":        return { activation: "ELU", actParams: { alpha: c.alpha ?? 1 } };
+    default:           return { activation: KERAS_ACT_IN[layer.class_name.toLowerCase()] };
+  }
+}
+
+// Keras shapes are channels-last: [n] is a vector, [h, w, c] an image.
+function parseKerasShape(shape, where) {
+  if (!Array.isArray(shape)) return {};
+  const dims = shape.filter(d => d !== null);
+  if (!dims.every(Number.isInteger) || (dims.length !== 1 && dims.length !== 3)) {
+    throw new Error(`${where}: only vector or (height, width, channels) image inputs are supported, got shape ${JSON.stringify(shape)}.`);
+  }
+  if (dims.length === 1) return { inputSize: dims[0] };
+  const [h, w, c] = dims;
+  return { inputSize: c * h * w, inputShape: [c, h, w] };
+}
+
+// A kernel / stride / padding setting that must be the same along both axes.
+function squareSetting(v, what, where) {
+  const [a, b = a] = Array.isArray(v) ? v : [v, v];
+  if (!Number.isInteger(a) || a !== b) throw new Error(`${where}: only square ${what}s are supported, got ${JSON.stringify(v)}.`);
+  return a;
+}
+
+function parseKeras(model) {
+  const cfg    = model.config;
+  const layers = Array.isArray(cfg) ? cfg : cfg?.layers;
+  if (!Array.isArray(layers)) throw new Error("Keras config has no layer list.");
+  let input = {}, pad = 0;
+  const stack = [];
+  layers.forEach((layer, i) => {
+    const c     = layer.config ?? {};
+    const where = `Layer ${i} ("${c.name ?? layer.class_name}")`;
+    const shape = c.batch_input_shape ?? c.batch_shape ?? c.input_shape ?? layer.build_config?.input_shape;
+    if (input.inputSize === undefined && shape) input = parseKerasShape(shape, where);
+    // ZeroPadding2D folds into the conv / pool that follows it.
+    const slide = (kernel, strides) => {
+      const k = squareSetting(kernel, "kernel", where), s = squareSetting(strides ?? kernel, "stride", where);
+      let p = pad;
+      pad = 0;
+      if (c.padding === "same") {
+        if (s !== 1 || k % 2 === 0) throw new Error(`${where}: padding="same" is only supported for stride 1 and odd kernels.`);
+        p += (k - 1) / 2;
+      }
+      return { kernel: k, stride: s, padding: p };
+    };
+    if (pad && !["Conv2D", "MaxPooling2D", "AveragePooling2D"].includes(layer.class_name)) {
+      throw new Error(`${where}: ZeroPadding2D must be followed by Conv2D or a pooling layer.`);
+    }
+    switch (layer.class_name) {
+      case "InputLayer":
+        break;
+      case "Dense":
+        stack.push({
+          nout: c.units,
+          ...kerasActivation(c.activation, where),
+          init: KERAS_INIT_IN[c.kernel_initializer?.class_name],
+        });
+        break;
+      case "Conv2D":
+        stack.push({
+          type: "conv2d", filters: c.filters, ...slide(c.kernel_size, c.strides ?? 1),
+          ...kerasActivation(c.activation, where),
+          init: KERAS_INIT_IN[c.kernel_initializer?.class_name],
+        });
+        break;
+      case "ZeroPadding2D": {
+        const p = c.padding ?? 1;
+        pad = squareSetting(Array.isArray(p) ? p.flat() : p, "padding", where);
+        break;
+      }
+      case "Flatten":
+        stack.push({ type: "flatten", activation: "Linear" });
+        break;
+      case "Dropout":
+        stack.push({ type: "dropout", activation: "Linear", rate: c.rate });
+        break;
+      case "MaxPooling2D":
+      case "AveragePooling2D":
+        stack.push({ type: KERAS_TYPE_IN[layer.class_name], activation: "Linear", ...slide(c.pool_size ?? 2, c.strides) });
+        break;
+      case "BatchNormalization":
+      case "LayerNormalization":
+        stack.push({ type: KERAS_TYPE_IN[layer.class_name], activation: "Linear" });
+        break;
+      case "Activation":
+      case "ReLU":
+      case "LeakyReLU":
+      case "ELU":
+      case "Softmax": {
+        const prev = stack[stack.length - 1];
+        if (!prev || (prev.type && prev.type !== "conv2d") || prev.activation !== "Linear") throw new Error(`${where}: a standalone activation must directly follow a linear Dense or Conv2D layer.`);
+        Object.assign(prev, kerasActivationLayer(layer, where));
+        break;
+      }
+      default:
+        throw new Error(`${where}: layer type ${layer.class_name} is not supported (supported: InputLayer, Dense, Conv2D, ZeroPadding2D, MaxPooling2D, AveragePooling2D, Flatten, Activation, ReLU, LeakyReLU, ELU, Softmax, Dropout, BatchNormalization, LayerNormalization).`);
+    }
+  });
+  return { ...input, stack };
+}
+
+// Accepts [{ op_type, ... }], { nodes: [...] } or { graph: { node: [...] } }. Gemm/MatMul
+// carry weight_shape [in, out]; Gemm with transB = 1 (the PyTorch export) stores it as
+// [out, in]. transB defaults to 0, as in the ONNX spec.
+// Conv carries weight_shape [filters, c, k, k]; a conv net needs input_shape [1, c, h, w]
+// on its first node. Conv / pool attributes follow ONNX: kernel_shape, strides, pads.
+function parseOnnxList(nodes) {
+  let input = {};
+  const stack = [];
+  nodes.forEach((node, i) => {
+    const op    = node.op_type ?? node.op ?? node.type;
+    const where = `Node ${i} (${node.name ?? op})`;
+    const attr  = (key) => node[key] ?? node.attributes?.[key];
+    const slide = (kernel) => {
+      const k = squareSetting(kernel, "kernel", where);
+      const pads = attr("pads") ?? [0, 0, 0, 0];
+      if (!Array.isArray(pads) || pads.some(p => p !== pads[0])) throw new Error(`${where}: only equal padding on all sides is supported, got ${JSON.stringify(pads)}.`);
+      return { kernel: k, stride: squareSetting(attr("strides") ?? 1, "stride", where), padding: pads[0] };
+    };
+    if (i === 0 && Array.isArray(attr("input_shape"))) {
+      const [, c, h, w] = attr("input_shape");
+      if (![c, h, w].every(Number.isInteger)) throw new Error(`${where}: input_shape must be [1, channels, height, width].`);
+      input = { inputSize: c * h * w, inputShape: [c, h, w] };
+    }
+    if (op === "Gemm" || op === "MatMul" || op === "Dense") {
+      const ws = node.weight_shape ?? node.shape;
+      let nin, nout;
+      if (op === "Dense") { nin = node.in_features; nout = node.out_features ?? node.units; }
+      else if (Array.isArray(ws) && ws.length === 2) [nin, nout] = op === "Gemm" && (attr("transB") ?? 0) === 1 ? [ws[1], ws[0]] : ws;
+      if (!Number.isInteger(nout)) throw new Error(`${where}: missing weight_shape [in, out] (or in_features / out_features).`);
+      if (input.inputSize === undefined && stack.length === 0) input = { inputSize: nin };
+      stack.push({ nin, nout, activation: "Linear" });
+    } else if (op === "Conv") {
+      const ws = node.weight_shape;
+      if (!Array.isArray(ws) || ws.length !== 4) throw new Error(`${where}: missing weight_shape [filters, channels, k, k].`);
+      if (input.inputSize === undefined) throw new Error(`${where}: add input_shape [1, channels, height, width] to the first node so the image size is known.`);
+      stack.push({ type: "conv2d", filters: ws[0], nin: ws[1], ...slide(attr("kernel_shape") ?? ws.slice(2)), activation: "Linear" });
+    } else if (ONNX_ACT_IN[op]) {
+      const prev = stack[stack.length - 1];
+      if (!prev || (prev.type && prev.type !== "conv2d") || prev.activation !== "Linear") throw new Error(`${where}: ${op} must directly follow a Gemm/MatMul or Conv node.`);
+      prev.activation = ONNX_ACT_IN[op];
+      if (ONNX_ACT_PARAMS[op]) prev.actParams = ONNX_ACT_PARAMS[op](attr);
+    } else if (op === "Dropout") {
+      stack.push({ type: "dropout", activation: "Linear", rate: attr("ratio") });
+    } else if (op === "MaxPool" || op === "AveragePool") {
+      stack.push({ type: ONNX_TYPE_IN[op], activation: "Linear", ...slide(attr("kernel_shape")) });
+    } else if (op === "Flatten") {
+      stack.push({ type: "flatten", activation: "Linear" });
+    } else if (ONNX_TYPE_IN[op]) {
+      stack.push({ type: ONNX_TYPE_IN[op], activation: "Linear" });
+    } else if (op !== "Add") {   // Add after MatMul is just the bias
+      throw new Error(`${where}: op ${op} is not supported (supported: Gemm, MatMul, Add, Conv, Flatten, Dropout, ${Object.keys(ONNX_TYPE_IN).join(", ")}, ${Object.keys(ONNX_ACT_IN).join(", ")}).`);
+    }
+  });
+  return { ...input, stack };
+}
+
+// Activation parameters only reshape one curve, so unlike the layer settings below they
+// are clamped with a warning.
+function importActParams(d, where, warnings) {
+  if (!d.actParams) return {};
+  const actParams = {};
+  for (const p of ACT[d.activation].params) {
+    const v = d.actParams[p.key];
+    if (v === undefined) continue;
+    if (!isNum(v)) throw new Error(`${where}: ${d.activation} ${p.key} must be a number, got ${JSON.stringify(v)}.`);
+    actParams[p.key] = Math.min(p.max, Math.max(p.min, v));
+    if (actParams[p.key] !== v) warnings.push(`${where}: ${d.activation} ${p.key} ${v} clamped to ${actParams[p.key]}.`);
+  }
+  return { actParams };
+}
+
+// Settings past the visualizer's limits are rejected rather than clamped, since a
+// different kernel or image size would change every shape after it.
+function finalizeImport({ inputSize, inputShape, stack }) {
+  const warnings = [];
+  const heads    = Object.values(TASKS).map(t => t.head);
+  if (!Number.isInteger(inputSize)) throw new Error("Could not determine the input size -- add an InputLayer / input_shape or a weight_shape on the first layer.");
+  if (stack.length < 2) throw new Error(`Need at least one hidden layer and an output layer; found ${stack.length} layer(s).`);
+  if (stack.length + 1 > MAX_LAYERS) throw new Error(`${stack.length - 1} hidden layers exceed the ${MAX_LAYERS}-layer limit (at most ${MAX_LAYERS - 2} hidden layers plus the input and output).`);
+  if (inputShape) {
+    const [c, h, w] = inputShape;
+    if (c < 1 || c > MAX_CHANNELS || h < 1 || h > MAX_SPATIAL || w < 1 || w > MAX_SPATIAL) {
+      throw new Error(`Input image ${h}x${w} with ${c} channel(s) is outside the supported range (up to ${MAX_SPATIAL}x${MAX_SPATIAL} with ${MAX_CHANNELS} channels).`);
+    }
+  }
+  let prev = inputShape ? { nodes: inputSize, shape: inputShape } : { nodes: inputSize };
+  const built = stack.map((d, i) => {
+    const where = `Layer ${i + 1}`;
+    if (d.type) {
+      if (i === stack.length - 1) throw new Error(`The last layer must be Dense (the output head), not ${LAYER_TYPES[d.type].label}.`);
+      if (d.rate !== undefined && !(isNum(d.rate) && d.rate >= 0 && d.rate <= MAX_DROP)) throw new Error(`${where}: dropout rate must be from 0 to ${MAX_DROP}, got ${d.rate}.`);
+      if (d.type === "conv2d" && d.nin !== undefined && d.nin !== prev.shape?.[0]) throw new Error(`${where}: Conv expects ${d.nin} input channels but receives ${sizeLabel(prev, "x")}.`);
+      const layer = { type: d.type, ...LAYER_TYPES[d.type].defaults, activation: d.activation, ...importActParams(d, where, warnings) };
+      if (d.type === "dropout") layer.rate = d.rate ?? DEFAULT_DROP;
+      if (d.init) layer.init = d.init;
+      for (const [key, min, max] of SLIDE_KEYS[d.type] ?? []) {
+        if (key === "filters" && d.filters > MAX_FILTERS) {
+          warnings.push(`${where}: ${d.filters} filters clamped to ${MAX_FILTERS}.`);
+          layer.filters = MAX_FILTERS;
+        } else if (!Number.isInteger(d[key]) || d[key] < min || d[key] > max) {
+          throw new Error(`${where}: ${key} ${d[key]} is outside the supported range ${min} to ${max}.`);
+        } else {
+          layer[key] = d[key];
+        }
+      }
+      const { nodes, shape } = LAYER_TYPES[d.type].infer(layer, prev);
+      prev = withShape({ ...layer, nodes }, shape);
+      return prev;
+    }
+    if (d.nin !== undefined && d.nin !== prev.nodes) throw new Error(`Dense layer ${i + 1} expects ${d.nin} inputs but the previous layer has ${prev.nodes} outputs.`);
+    if (!Number.isInteger(d.nout) || d.nout < MIN_NODES) throw new Error(`Dense layer ${i + 1} has an invalid unit count (${d.nout}).`);
+    if (i < stack.length - 1 && d.activation === "Softmax") throw new Error(`Dense layer ${i + 1}: softmax is only supported on the output layer.`);
+    prev = i === stack.length - 1
+      ? { nodes: d.nout, activation: heads.includes(d.activation) ? d.activation : "Softmax", init: d.init ?? DEFAULT_INIT }
+      : { nodes: d.nout, activation: d.activation, ...importActParams(d, where, warnings), init: d.init ?? DEFAULT_INIT };
+    return prev;
+  });
+  const out = stack[stack.length - 1];
+  if (!heads.includes(out.activation)) {
+    warnings.push(`Output activation ${out.activation} replaced by Softmax -- the output layer must be a task head (${heads.join(" or ")}).`);
+  }
+  if (out.activation === TASKS.regression.head) {
+    warnings.push("Linear output read as a regression head -- switch the task to Classification if these are logits.");
+  }
+  if (out.activation === TASKS.multilabel.head) {
+    warnings.push("Sigmoid output read as a multi-label head -- each output is an independent yes/no label.");
+  }
+
+  let layers = [{ nodes: inputSize, ...(inputShape ? { shape: inputShape } : {}), activation: "Linear" }, ...built];
+  layers.forEach((l, i) => {
+    if (l.nodes > MAX_NODES && (i === 0 ? !l.shape : layerType(l) === "dense")) {
+      warnings.push(`${layerName(i, layers.length)}: ${l.nodes} neurons clamped to ${MAX_NODES}.`);
+      l.nodes = MAX_NODES;
+    }
+  });
+  layers = syncLayers(layers);
+  shapeErrors(layers).forEach(({ layer, error }) => warnings.push(`${layerName(layer, layers.length)}: ${error}`));
+  return { layers, warnings };
+}
+
+// Detects the format of a pasted / uploaded definition. Throws with a readable message.
+function importModel(text) {
+  let obj;
+  try { obj = JSON.parse(text); } catch (e) { throw new Error(`Not valid JSON: ${e.message}`); }
+  if (obj && obj.version !== undefined && obj.layers) throw new Error("This looks like a session file -- load it from the Session dialog instead.");
+  if (obj && obj.class_name && obj.config) return { source: `Keras ${obj.class_name}`, ...finalizeImport(parseKeras(obj)) };
+  const nodes = Array.isArray(obj) ? obj : obj?.nodes ?? obj?.graph?.node;
+  if (Array.isArray(nodes)) return { source: "ONNX layer list", ...finalizeImport(parseOnnxList(nodes)) };
+  throw new Error("Unrecognised format: expected a Keras model.to_json() config or an ONNX-style node list.");
+}
+
+// ─── Document export ──────────────────────────────────────────────────────────
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a   = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+const texText = (str) => str.replace(/([&%$#_{}])/g, "\\$1");
+
+// Collects everything the derivation needs once, then renders it as LaTeX or Markdown.
+function derivationParts({ layers, lossKey, lossParams, reg }) {
+  const K    = layers[layers.length - 1].nodes;
+  const loss = LOSSES[lossKey];
+  const pen  = reg.key !== "none";
+  const { breakdown, total } = computeParams(layers);
+  return {
+    rows: layers.map((l, i) => [
+      layerName(i, layers.length), sizeLabel(l, "x"), i === 0 ? "--" : layerSummary(l),
+      i === 0 || !LAYER_TYPES[layerType(l)].fans ? "--" : INITS[l.init ?? DEFAULT_INIT].label,
+    ]),
+    comp: buildCompTex(layers),
+    actDefs: actDefsTex(layers),
+    transforms: layers.slice(1).map((layer, i) => {
+      const l = i + 1;
+      return {
+        title: `Layer ${l}`, arrow: `a^{(${l - 1})} \\to a^{(${l})}`, act: layerSummary(layer),
+        dims: layerDimsTex(l, layer, layers[i]),
+        eqs: layerEqTex(l, layer, layers[i]),
+      };
+    }),
+    params: `\\text{Params} = \\sum_{l=1}^{L} \\bigl|\\theta^{(l)}\\bigr| = ${breakdown.map(b => LAYER_TYPES[b.type].countTex(b.nin, b.nout, layers[b.layer], layers[b.layer - 1])).filter(Boolean).join(" + ")} = ${total}`,
+    lossLabel: pen ? `${loss.label} + ${REGULARIZERS[reg.key].label} penalty` : loss.label,
+    lossEqs: [
+      loss.fullFormula(K, lossParams), ...(pen ? [objectiveTex(layers, reg)] : []), TASKS[taskOf(layers)].outputTex(K),
+      loss.gradFormula(K, lossParams), ...(pen ? [penaltyGradTex(reg)] : []),
+    ],
+  };
+}
+
+function buildLatexDoc(state) {
+  const d = derivationParts(state);
+  const disp = (t) => `\\[\n  ${t}\n\\]`;
+  return [
+    "\\documentclass{article}",
+    "\\usepackage{amsmath,amssymb}",
+    "\\usepackage[margin=1in]{geometry}",
+    "\\title{Neural network derivation}",
+    "\\date{}",
+    "\\begin{document}",
+    "\\maketitle",
+    "",
+    "\\section*{Architecture}",
+    "\\begin{tabular}{lrll}",
+    "Layer & Size & Operation & Initialisation \\\\ \\hline",
+    ...d.rows.map(r => `${r.map(c => texText(String(c))).join(" & ")} \\\\`),
+    "\\end{tabular}",
+    "",
+    disp(d.comp),
+    ...d.actDefs.map(disp),
+    "",
+    "\\section*{Layer transformations}",
+    ...d.transforms.flatMap(t => [
+      `\\subsection*{${t.title}: $${t.arrow}$ (${texText(t.act)})}`,
+      `Dimensions: ${t.dims.map(x => `$${x}$`).join(", ")}.`,
+      ...t.eqs.map(disp),
+      "",
+    ]),
+    "\\section*{Parameter count}",
+    disp(d.params),
+    "",
+    `\\section*{Objective: ${texText(d.lossLabel)}}`,
+    ...d.lossEqs.map(disp),
+    "",
+    "\\end{document}",
+    "",
+  ].join("\n");
+}
+
+function buildMarkdownDoc(state) {
+  const d = derivationParts(state);
+  const disp = (t) => `$$\n${t}\n$$`;
+  return [
+    "# Neural network derivation",
+    "",
+    "## Architecture",
+    "",
+    "| Layer | Size | Operation | Initialisation |",
+    "|---|---:|---|---|",
+    ...d.rows.map(r => `| ${r.join(" | ")} |`),
+    "",
+    disp(d.comp),
+    "",
+    ...d.actDefs.flatMap(e => [disp(e), ""]),
+    "## Layer transformations",
+    "",
+    ...d.transforms.flatMap(t => [
+      `### ${t.title}: $${t.arrow}$ (${t.act})`,
+      "",
+      `Dimensions: ${t.dims.map(x => `$${x}$`).join(", ")}.`,
+      "",
+      ...t.eqs.flatMap(e => [disp(e), ""]),
+    ]),
+    "## Parameter count",
+    "",
+    disp(d.params),
+    "",
+    `## Objective: ${d.lossLabel}`,
+    "",
+    ...d.lossEqs.flatMap(e => [disp(e), ""]),
+  ].join("\n");
+}
+
+// Standalone copy of the on-screen graph: explicit size, namespace and page background.
+function svgMarkup(svg) {
+  const clone = svg.cloneNode(true);
+  const [, , w, h] = svg.getAttribute("viewBox").split(" ").map(Number);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  clone.setAttribute("width", w);
+  clone.setAttribute("height", h);
+  const bg = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+  bg.setAttribute("width", "100%");
+  bg.setAttribute("height", "100%");
+  bg.setAttribute("fill", "#07101c");
+  clone.insertBefore(bg, clone.firstChild);
+  return { markup: new XMLSerializer().serializeToString(clone), w, h };
+}
+
+function exportSvg(svg) {
+  downloadBlob(new Blob([svgMarkup(svg).markup], { type: "image/svg+xml" }), "network.svg");
+}
+
+function exportPng(svg, scale = 3) {
+  const { markup, w, h } = svgMarkup(svg);
+  const url = URL.createObjectURL(new Blob([markup], { type: "image/svg+xml" }));
+  const img = new Image();
+  img.onload = () => {
+    const cv = document.createElement("canvas");
+    cv.width = w * scale;
+    cv.height = h * scale;
+    const ctx = cv.getContext("2d");
+    ctx.scale(scale, scale);
+    ctx.drawImage(img, 0, 0);
+    URL.revokeObjectURL(url);
+    cv.toBlob(blob => downloadBlob(blob, "network.png"), "image/png");
+  };
+  img.src = url;
+}
+
+// ─── Callout ──────────────────────────────────────────────────────────────────
+function Callout({ icon, color, title, children }) {
+  return (
+    <div style={{
+      background: `${color}09`, border: `1px solid ${color}28`,
+      borderLeft: `3px solid ${color}88`, borderRadius: "0 8px 8px 0",
+      padding: "10px 14px", marginTop: 8,
+    }}>
+      <div style={{ fontSize: 11, fontWeight: 600, color, marginBottom: 5 }}>{icon} {title}</div>
+      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.52)", lineHeight: 1.7 }}>{children}</div>
+    </div>
+  );
+}
+
+// ─── Weight matrix grid ───────────────────────────────────────────────────────
+// A single grid entry. With onCommit it becomes an input that commits on blur/Enter
+// (Escape reverts); keying on the value resets the draft whenever the entry changes.
+function MatrixCell({ v, digits, tint, fg, m, title, onCommit }) {
+  const style = {
+    width: 40, height: 26, borderRadius: 4, flexShrink: 0,
+    display: "flex", alignItems: "center", justifyContent: "center",
+    fontSize: 9, fontFamily: "monospace", cursor: onCommit ? "text" : "help",
+    background: `rgba(${tint},${0.08 + m * 0.26})`,
+    color: `rgba(${fg},${0.35 + m * 0.55})`,
+    border: `1px solid rgba(${tint},0.13)`,
+  };
+  const shown = fmtNum(v, digits);
+  if (!onCommit) return <div title={title} style={style}>{shown}</div>;
+  return (
+    <input key={v} defaultValue={shown} title={`${title} -- click to edit`}
+      onBlur={e => {
+        const next = parseFloat(e.target.value);
+        if (e.target.value !== shown && !Number.isNaN(next)) onCommit(next);
+        else e.target.value = shown;
+      }}
+      onKeyDown={e => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        if (e.key === "Escape") { e.currentTarget.value = shown; e.currentTarget.blur(); }
+      }}
+      style={{ ...style, textAlign: "center", outline: "none", padding: 0 }} />
+  );
+}
+
+// A whole matrix at one pixel block per entry, drawn on a canvas so 784 x 128 stays cheap:
+// tint for positive entries, red for negative, opacity from the magnitude. values is flat
+// and row-major; label(r, c) describes the entry under the pointer and onCell(r, c, e)
+// fires on press and while dragging with the button held.
+const HEAT_PX  = 480;   // widest a heatmap is drawn before its cells shrink to one pixel
+const HEAT_NEG = "248,113,113";
+
+function Heatmap({ values, rows, cols, tint, label, onCell }) {
+  const ref = useRef(null);
+  const [hover, setHover] = useState(null);
+  const cell  = Math.max(1, Math.min(12, Math.floor(HEAT_PX / cols)));
+  const scale = absMax(values);
+
+  useEffect(() => {
+    const ctx = ref.current?.getContext("2d");
+    if (!ctx) return;
+    ctx.clearRect(0, 0, cols * cell, rows * cell);
+    values.forEach((v, i) => {
+      ctx.fillStyle = `rgba(${v < 0 ? HEAT_NEG : tint},${0.06 + 0.94 * Math.abs(v) / scale})`;
+      ctx.fillRect((i % cols) * cell, Math.floor(i / cols) * cell, cell, cell);
+    });
+  }, [values, rows, cols, cell, tint, scale]);
+
+  const at = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    const r = Math.floor(((e.clientY - box.top) / box.height) * rows), c = Math.floor(((e.clientX - box.left) / box.width) * cols);
+    return r >= 0 && r < rows && c >= 0 && c < cols ? [r, c] : null;
+  };
+  return (
+    <div>
+      <canvas ref={ref} width={cols * cell} height={rows * cell}
+        onPointerDown={e => { const p = at(e); if (p && onCell) onCell(...p, e); }}
+        onPointerMove={e => { const p = at(e); setHover(p); if (p && onCell && e.buttons === 1) onCell(...p, e); }}
+        onPointerLeave={() => setHover(null)}
+        style={{ display: "block", maxWidth: "100%", height: "auto", imageRendering: "pixelated", background: "rgba(0,0,0,0.35)", borderRadius: 4, cursor: onCell ? "crosshair" : "help", touchAction: "none" }} />
+      <div style={{ fontSize: 9, color: "rgba(255,255,255,0.35)", fontFamily: "monospace", marginTop: 4, minHeight: 12 }}>
+        {hover ? label(...hover) : `${rows}\u00d7${cols} \u00b7 hover for values`}
+      </div>
+    </div>
+  );
+}
+
+// grad switches the grid to dL/dW: pink tint, intensity scaled to the largest entry.
+// Passing b appends the bias column; passing onEdit(r, c, v) makes cells editable
+// (c === null addresses the bias). transposed lays out W^T, one row per input, with
+// the bias as a last row, as the batched Z = A W^T + 1 b^T reads it; r and c passed to
+// onEdit still index W. Matrices past FULL_GRID entries expand to a Heatmap instead of a
+// grid, where clicking an entry picks it for reading and editing.
+const FULL_GRID = 400;
+
+function WeightMatrix({ W, b, nin, nout, layerIdx, grad = false, transposed = false, onEdit }) {
+  const [full, setFull] = useState(false);
+  const [pick, setPick] = useState(null);
+  const [R, C]  = transposed ? [nin, nout] : [nout, nin];
+  const at      = (r, c) => (transposed ? [c, r] : [r, c]);   // grid cell -> [output, input] of W
+  const clipped = R > 5 || C > 5;
+  const heat    = full && R * C > FULL_GRID;
+  const flat    = useMemo(() => (heat ? Array.from({ length: R * C }, (_, k) => { const [i, j] = at(Math.floor(k / C), k % C); return W[i][j]; }) : null), [heat, W, transposed]);
+  const VR = full ? R : Math.min(R, 5), VC = full ? C : Math.min(C, 5);
+  const rgb   = grad ? "244,114,182" : "99,102,241";
+  const fg    = grad ? "255,200,225" : "180,190,255";
+  const scale = grad ? absMax([...W.flat(), ...(b ?? [])]) : 1;
+  const sym   = grad ? `\\frac{\\partial \\mathcal{L}}{\\partial W^{(${layerIdx})}}` : `W^{(${layerIdx})}`;
+  const symB  = grad ? `\\frac{\\partial \\mathcal{L}}{\\partial b^{(${layerIdx})}}` : `b^{(${layerIdx})}`;
+  const mag   = (v) => Math.min(1, Math.abs(v) / scale);
+  const biasCell = (i) => (
+    <MatrixCell key={i} v={b[i]} digits={grad ? 3 : 2} tint={grad ? rgb : "167,139,250"} fg={grad ? fg : "221,214,254"} m={mag(b[i])}
+      title={grad ? `dL/db[${i+1}]: gradient for the bias of neuron ${i+1}` : `b[${i+1}]: bias of neuron ${i+1} (layer ${layerIdx})`}
+      onCommit={onEdit && (v => onEdit(i, null, v))} />
+  );
+  return (
+    <div style={{ maxWidth: "100%" }}>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.28)", fontFamily: "monospace", marginBottom: 6 }}>
+        {transposed
+          ? <>Entries of <T tex={`${sym}^{\\top} \\in \\mathbb{R}^{${nin}\\times${nout}}`} />{b && <> and <T tex={`${symB}^{\\top} \\in \\mathbb{R}^{1\\times${nout}}`} /></>}</>
+          : <>Entries of <T tex={`${sym} \\in \\mathbb{R}^{${nout}\\times${nin}}`} />{b && <> and <T tex={`${symB} \\in \\mathbb{R}^{${nout}}`} /></>}</>}
+      </div>
+      {heat ? (
+        <div style={{ display: "flex", gap: 10, alignItems: "flex-start", flexWrap: "wrap" }}>
+          <Heatmap values={flat} rows={R} cols={C} tint={rgb}
+            label={(r, c) => { const [i, j] = at(r, c); return `${grad ? "dL/d" : ""}W[${i+1},${j+1}] = ${fmtNum(W[i][j], grad ? 4 : 3)} \u00b7 neuron ${j+1} (layer ${layerIdx-1}) \u2192 neuron ${i+1}`; }}
+            onCell={(r, c) => setPick(at(r, c))} />
+          {b && (
+            <Heatmap values={b} rows={transposed ? 1 : nout} cols={transposed ? nout : 1} tint={grad ? rgb : "167,139,250"}
+              label={(r, c) => `${grad ? "dL/d" : ""}b[${r + c + 1}] = ${fmtNum(b[r + c], grad ? 4 : 3)}`}
+              onCell={(r, c) => setPick([r + c, null])} />
+          )}
+          {pick && (
+            <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 10, color: "rgba(255,255,255,0.4)", fontFamily: "monospace" }}>
+              {pick[1] === null ? `b[${pick[0] + 1}]` : `W[${pick[0] + 1},${pick[1] + 1}]`}
+              {pick[1] === null ? biasCell(pick[0]) : (
+                <MatrixCell key={pick.join()} v={W[pick[0]][pick[1]]} digits={grad ? 3 : 2} tint={rgb} fg={fg} m={mag(W[pick[0]][pick[1]])}
+                  title={`weight from neuron ${pick[1] + 1} (layer ${layerIdx - 1}) to neuron ${pick[0] + 1} (layer ${layerIdx})`}
+                  onCommit={onEdit && (v => onEdit(pick[0], pick[1], v))} />
+              )}
+            </div>
+          )}
+        </div>
+      ) : (
+      <div style={{ display: "inline-block", maxWidth: "100%", maxHeight: full ? 320 : "none", overflow: "auto", background: "rgba(0,0,0,0.35)", borderRadius: 8, padding: "8px 10px", border: "1px solid rgba(255,255,255,0.05)" }}>
+        {Array.from({ length: VR }, (_, r) => (
+          <div key={r} style={{ display: "flex", gap: 3, marginBottom: r < VR - 1 ? 3 : 0 }}>
+            {Array.from({ length: VC }, (_, c) => {
+              const [i, j] = at(r, c);
+              return (
+                <MatrixCell key={c} v={W[i][j]} digits={grad ? 3 : 2} tint={rgb} fg={fg} m={mag(W[i][j])}
+                  title={grad
+                    ? `dL/dW[${i+1},${j+1}]: how the loss changes with the weight from neuron ${j+1} (layer ${layerIdx-1}) to neuron ${i+1} (layer ${layerIdx})`
+                    : `W[${i+1},${j+1}]: weight from neuron ${j+1} (layer ${layerIdx-1}) to neuron ${i+1} (layer ${layerIdx})`}
+                  onCommit={onEdit && (v => onEdit(i, j, v))} />
+              );
+            })}
+            {C > VC && <div style={{ width: 18, flexShrink: 0, display: "flex", alignItems: "center", justifyContent: "center", fontSize: 13, color: "rgba(255,255,255,0.18)" }}>&#8943;</div>}
+            {b && !transposed && (
+              <div style={{ display: "flex", paddingLeft: 6, marginLeft: 3, borderLeft: "1px dashed rgba(255,255,255,0.12)" }}>
+                {biasCell(r)}
+              </div>
+            )}
+          </div>
+        ))}
+        {R > VR && <div style={{ textAlign: "center", fontSize: 13, color: "rgba(255,255,255,0.18)", marginTop: 3 }}>&#8942;</div>}
+        {b && transposed && (
+          <div style={{ display: "flex", gap: 3, paddingTop: 6, marginTop: 3, borderTop: "1px dashed rgba(255,255,255,0.12)" }}>
+            {Array.from({ length: VC }, (_, c) => biasCell(c))}
+          </div>
+        )}
+      </div>
+      )}
+      <div style={{ fontSize: 9, color: "rgba(255,255,255,0.2)", fontFamily: "monospace", marginTop: 5, display: "flex", gap: 8, alignItems: "center" }}>
+        <span>{heat
+          ? <>Click an entry to pick it{onEdit ? " for editing" : ""}. Showing all {R}&times;{C}.</>
+          : <>{onEdit ? "Click a cell to edit; hover for its meaning." : "Hover a cell for its meaning."} Showing {VR}&times;{VC} of {R}&times;{C}.</>}</span>
+        {clipped && (
+          <button onClick={() => { setFull(f => !f); setPick(null); }}
+            style={{ background: "none", border: "1px solid rgba(255,255,255,0.1)", color: "rgba(255,255,255,0.4)", borderRadius: 5, padding: "1px 7px", cursor: "pointer", fontSize: 9, fontFamily: "monospace" }}>
+            {full ? "collapse" : R * C > FULL_GRID ? "heatmap of all" : "expand all"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// γ / β as labelled rows of editable cells, BatchNorm's running statistics read-only
+// beneath them and, once backprop reaches the layer, the two gradient rows in pink.
+function NormParams({ w, grads, layerIdx, onEdit }) {
+  const rows = [
+    ...["gamma", "beta", "mean", "var"].filter(k => w[k]).map(k => ({ key: k, v: w[k], edit: k === "gamma" || k === "beta" })),
+    ...(grads ? ["gamma", "beta"].map(k => ({ key: k, v: grads[`d${k}`], grad: true })) : []),
+  ];
+  const scale = grads ? Math.max(1e-12, ...grads.dgamma.map(Math.abs), ...grads.dbeta.map(Math.abs)) : 1;
+  return (
+    <div style={{ maxWidth: "100%" }}>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.28)", fontFamily: "monospace", marginBottom: 6 }}>
+        Entries of <T tex={`\\gamma^{(${layerIdx})}, \\beta^{(${layerIdx})} \\in \\mathbb{R}^{${w.gamma.length}}`} />
+        {w.mean && <> and the running statistics <T tex={`\\mu^{(${layerIdx})}, \\sigma^{2(${layerIdx})}`} /> (not trained by gradient descent)</>}
+      </div>
+      <div style={{ display: "inline-block", maxWidth: "100%", overflow: "auto", background: "rgba(0,0,0,0.35)", borderRadius: 8, padding: "8px 10px", border: "1px solid rgba(255,255,255,0.05)" }}>
+        {rows.map(({ key, v, edit, grad }) => (
+          <div key={`${key}${grad ? "-grad" : ""}`} style={{ display: "flex", gap: 3, alignItems: "center", marginBottom: 3 }}>
+            <div style={{ width: 54, flexShrink: 0, fontSize: 11, color: "rgba(255,255,255,0.45)" }}>
+              <T tex={grad ? `\\partial_{${TENSOR_TEX[key]}} \\mathcal{L}` : TENSOR_TEX[key]} />
+            </div>
+            {v.map((x, j) => (
+              <MatrixCell key={j} v={x} digits={grad ? 3 : 2}
+                tint={grad ? "244,114,182" : edit ? "45,212,191" : "148,163,184"}
+                fg={grad ? "255,200,225" : edit ? "204,251,241" : "226,232,240"}
+                m={Math.min(1, Math.abs(x) / (grad ? scale : 1))}
+                title={`${grad ? "dL/d" : ""}${key}[${j + 1}]: ${key === "mean" || key === "var" ? "running statistic of" : "applied to"} feature ${j + 1}`}
+                onCommit={edit && onEdit ? (val => onEdit(key, j, val)) : undefined} />
+            ))}
+          </div>
+        ))}
+      </div>
+      <div style={{ fontSize: 9, color: "rgba(255,255,255,0.2)", fontFamily: "monospace", marginTop: 5 }}>
+        {onEdit ? <>Click a &gamma; or &beta; cell to edit; hover for its meaning.</> : "Hover a cell for its meaning."}
+      </div>
+    </div>
+  );
+}
+
+// A conv layer's kernels: one row per filter holding a k x k grid per input channel,
+// then the filter's bias. grad and onEdit(path, v) work as in WeightMatrix, with path
+// [o, c, u, v] into K or [o] into b.
+function KernelTensor({ K, b, layerIdx, grad = false, onEdit }) {
+  const rgb   = grad ? "244,114,182" : "96,165,250";
+  const fg    = grad ? "255,200,225" : "191,219,254";
+  const scale = grad ? absMax([...K.flat(3), ...b]) : 1;
+  const mag   = (v) => Math.min(1, Math.abs(v) / scale);
+  const sym   = (t) => (grad ? `\\frac{\\partial \\mathcal{L}}{\\partial ${t}^{(${layerIdx})}}` : `${t}^{(${layerIdx})}`);
+  const [f, c, k] = [K.length, K[0].length, K[0][0].length];
+  return (
+    <div style={{ maxWidth: "100%" }}>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.28)", fontFamily: "monospace", marginBottom: 6 }}>
+        Entries of <T tex={`${sym("K")} \\in \\mathbb{R}^{${f}\\times ${c}\\times ${k}\\times ${k}}`} /> and <T tex={`${sym("b")} \\in \\mathbb{R}^{${f}}`} />
+      </div>
+      <div style={{ display: "inline-block", maxWidth: "100%", overflow: "auto", background: "rgba(0,0,0,0.35)", borderRadius: 8, padding: "8px 10px", border: "1px solid rgba(255,255,255,0.05)" }}>
+        {K.map((filter, o) => (
+          <div key={o} style={{ display: "flex", gap: 10, alignItems: "center", marginBottom: o < f - 1 ? 8 : 0 }}>
+            <div style={{ width: 26, flexShrink: 0, fontSize: 11, color: "rgba(255,255,255,0.45)" }}><T tex={`K_{${o + 1}}`} /></div>
+            {filter.map((grid, ch) => (
+              <div key={ch} title={`input channel ${ch + 1}`}>
+                {grid.map((row, u) => (
+                  <div key={u} style={{ display: "flex", gap: 3, marginBottom: u < k - 1 ? 3 : 0 }}>
+                    {row.map((x, v) => (
+                      <MatrixCell key={v} v={x} digits={grad ? 3 : 2} tint={rgb} fg={fg} m={mag(x)}
+                        title={`${grad ? "dL/d" : ""}K[${o + 1},${ch + 1},${u + 1},${v + 1}]: filter ${o + 1}, input channel ${ch + 1}, kernel row ${u + 1}, column ${v + 1}`}
+                        onCommit={onEdit && (val => onEdit("K", [o, ch, u, v], val))} />
+                    ))}
+                  </div>
+                ))}
+              </div>
+            ))}
+            <div style={{ display: "flex", paddingLeft: 6, borderLeft: "1px dashed rgba(255,255,255,0.12)" }}>
+              <MatrixCell v={b[o]} digits={grad ? 3 : 2} tint={grad ? rgb : "167,139,250"} fg={grad ? fg : "221,214,254"} m={mag(b[o])}
+                title={grad ? `dL/db[${o + 1}]: gradient for the bias of filter ${o + 1}` : `b[${o + 1}]: bias added to every position of feature map ${o + 1}`}
+                onCommit={onEdit && (val => onEdit("b", [o], val))} />
+            </div>
+          </div>
+        ))}
+      </div>
+      <div style={{ fontSize: 9, color: "rgba(255,255,255,0.2)", fontFamily: "monospace", marginTop: 5 }}>
+        {onEdit ? "Click a cell to edit; hover for its meaning." : "Hover a cell for its meaning."}
+      </div>
+    </div>
+  );
+}
+
+// ─── Activation plot ──────────────────────────────────────────────────────────
+// σ and σ' over [-range, range], with this layer's pre-activations marked on the curve.
+// A unit whose σ'(z) is below FLAT_GRAD passes (almost) no gradient back: saturated, or dead.
+const PLOT_W = 260, PLOT_H = 110, PLOT_STEPS = 120;
+const PLOT_MARKS = 256;   // units marked on the curve; wider layers mark an even sample
+const FLAT_GRAD = 0.05;
+const DERIV_COLOR = "#f472b6";
+
+function ActivationPlot({ layer, z, color }) {
+  const [range, setRange] = useState(4);
+  const act = ACT[layer.activation], p = actParams(layer);
+  const xs  = Array.from({ length: PLOT_STEPS + 1 }, (_, i) => -range + (2 * range * i) / PLOT_STEPS);
+  const fs  = xs.map(x => act.fn(x, p));
+  const ds  = xs.map(x => act.df(x, p));
+  const zs  = z ? [z].flat(Infinity) : [];
+  let lo = Math.min(0, ...fs, ...ds), hi = Math.max(1, ...fs, ...ds);
+  const pad = (hi - lo) * 0.08;
+  lo -= pad; hi += pad;
+  const sx = (x) => ((Math.max(-range, Math.min(range, x)) + range) / (2 * range)) * PLOT_W;
+  const sy = (y) => PLOT_H - ((y - lo) / (hi - lo)) * PLOT_H;
+  const line = (ys) => ys.map((y, i) => `${sx(xs[i]).toFixed(1)},${sy(y).toFixed(1)}`).join(" ");
+  const flat    = zs.filter(v => act.df(v, p) < FLAT_GRAD).length;
+  const outside = zs.filter(v => Math.abs(v) > range).length;
+  const stride  = Math.ceil(zs.length / PLOT_MARKS);
+  const marks   = stride > 1 ? zs.filter((_, i) => i % stride === 0) : zs;
+
+  return (
+    <div style={{ marginTop: 10, background: "rgba(0,0,0,0.22)", borderRadius: 8, padding: "10px 14px" }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 6 }}>
+        <div style={{ ...secLabel, marginBottom: 0 }}>Activation &amp; derivative</div>
+        <T tex="\sigma(z)" style={{ fontSize: 11, color }} />
+        <T tex="\sigma'(z)" style={{ fontSize: 11, color: DERIV_COLOR }} />
+        <label style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 6 }}>
+          <T tex={`z \\in [-${range}, ${range}]`} style={{ fontSize: 10, color: "rgba(255,255,255,0.4)" }} />
+          <input type="range" min={1} max={10} step={1} value={range}
+            onChange={e => setRange(Number(e.target.value))} style={{ width: 70, accentColor: color }} />
+        </label>
+      </div>
+      <svg width="100%" viewBox={`0 0 ${PLOT_W} ${PLOT_H}`} style={{ display: "block", background: "rgba(0,0,0,0.25)", borderRadius: 6 }}>
+        <line x1={0} x2={PLOT_W} y1={sy(0)} y2={sy(0)} stroke="rgba(255,255,255,0.12)" />
+        <line x1={sx(0)} x2={sx(0)} y1={0} y2={PLOT_H} stroke="rgba(255,255,255,0.12)" />
+        <polyline points={line(ds)} fill="none" stroke={DERIV_COLOR} strokeWidth={1.2} strokeDasharray="3 2" />
+        <polyline points={line(fs)} fill="none" stroke={color} strokeWidth={1.6} />
+        {marks.map((v, i) => {
+          const dead = act.df(v, p) < FLAT_GRAD;
+          const off  = Math.abs(v) > range;
+          return (
+            <g key={i} opacity={off ? 0.4 : 1}>
+              <title>{`z = ${fmtNum(v)}, \u03c3(z) = ${fmtNum(act.fn(v, p))}, \u03c3'(z) = ${fmtNum(act.df(v, p))}${off ? " (outside the plotted range)" : ""}`}</title>
+              <line x1={sx(v)} x2={sx(v)} y1={PLOT_H - 6} y2={PLOT_H} stroke={dead ? "#f87171" : "rgba(255,255,255,0.6)"} strokeWidth={1.2} />
+              <circle cx={sx(v)} cy={sy(off ? act.fn(Math.sign(v) * range, p) : act.fn(v, p))} r={2.6} fill={dead ? "#f87171" : color} stroke="#0d1320" strokeWidth={0.8} />
+            </g>
+          );
+        })}
+      </svg>
+      {zs.length > 0 && (
+        <div style={{ marginTop: 6, fontSize: 10, fontFamily: "monospace", color: flat ? "#fca5a5" : "rgba(255,255,255,0.35)" }}>
+          {flat} of {zs.length} units have <T tex={`\\sigma'(z) < ${FLAT_GRAD}`} />{flat ? " -- saturated or dead, so almost no gradient flows back through them" : ""}
+          {outside > 0 && <span style={{ color: "rgba(255,255,255,0.35)" }}> &middot; {outside} outside the plotted range, pinned to its edge</span>}
+          {stride > 1 && <span style={{ color: "rgba(255,255,255,0.35)" }}> &middot; 1 in {stride} units marked</span>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Transform card ───────────────────────────────────────────────────────────
+// Switches the cards and the loss between one example and mini-batch notation. The batch
+// size is the one the cost estimator uses.
+function BatchControl({ batched, batch, onBatched, onBatch }) {
+  const pill = (on) => ({
+    background: on ? "rgba(167,139,250,0.14)" : "rgba(255,255,255,0.04)",
+    border: `1px solid ${on ? "rgba(167,139,250,0.4)" : "rgba(255,255,255,0.1)"}`,
+    color: on ? "#a78bfa" : "rgba(255,255,255,0.45)",
+    borderRadius: 6, padding: "2px 9px", cursor: "pointer", fontSize: 10, fontFamily: "monospace",
+  });
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 5, flexWrap: "wrap", marginBottom: 10 }}>
+      <span style={{ ...secLabel, marginBottom: 0, marginRight: 4 }}>notation</span>
+      <button onClick={() => onBatched(false)} style={pill(!batched)}>one example</button>
+      <button onClick={() => onBatched(true)} style={pill(batched)}>mini-batch</button>
+      {batched && <>
+        <span style={{ ...secLabel, marginBottom: 0, margin: "0 4px 0 10px" }}>B</span>
+        {BATCH_SIZES.map(b => <button key={b} onClick={() => onBatch(b)} style={pill(b === batch)}>{b}</button>)}
+      </>}
+    </div>
+  );
+}
+
+// The two dense-layer callouts of TransformCard, shared with the exercises' hints.
+function ShapeCallout({ l, nin, nout, color }) {
+  return (
+    <Callout icon="&#128290;" color="#6366f1" title={<>Why is <T tex={`W^{(${l})}`} /> shaped <T tex={`${nout} \\times ${nin}`} />?</>}>
+      The weight matrix must map an input vector of size <strong style={{ color: "#94a3b8" }}>{nin}</strong> (the
+      previous layer) to an output vector of size <strong style={{ color }}>{nout}</strong> (this layer).
+      Multiplying a ({nout}&times;{nin}) matrix by a ({nin}&times;1) column vector yields a ({nout}&times;1) vector
+      -- one scalar per output neuron.
+      Entry <T tex={`W^{(${l})}_{ij}`} /> is the connection strength from neuron <em>j</em> in
+      layer {l - 1} to neuron <em>i</em> in layer {l}.
+      Row <em>i</em> of <T tex={`W^{(${l})}`} /> is therefore the learned "template"
+      that neuron <em>i</em> matches against its {nin} inputs.
+    </Callout>
+  );
+}
+
+function AffineCallout({ l, nin }) {
+  return (
+    <Callout icon="&#128208;" color="#f59e0b" title={<>What does <T tex={`W^{(${l})}a^{(${l - 1})} + b^{(${l})}`} /> compute geometrically?</>}>
+      <T tex={`W^{(${l})} a^{(${l - 1})} + b^{(${l})}`} /> is an <strong style={{ color: "#fcd34d" }}>affine transformation</strong>:
+      a linear map (rotation, scaling, shearing) followed by a translation.
+      For neuron <em>i</em>: <T tex={`z^{(${l})}_i = \\sum_{j=1}^{${nin}} W^{(${l})}_{ij} a^{(${l - 1})}_j + b^{(${l})}_i`} />.
+      This is a weighted sum of all {nin} inputs, with the bias acting as a learnable threshold.
+      Without the bias, every neuron's decision hyperplane is forced to pass through the origin.
+    </Callout>
+  );
+}
+
+// upstream is the TeX for dL/da^(l) on hidden layers (see upstreamTex), null on the output.
+// onEditWeight(key, path, v) edits the entry of weights[l][key] at index path.
+// B is the mini-batch size when the equations are shown in batched form, else null. The
+// concrete values stay those of the current input, one row of the batch.
+function TransformCard({ fromLayer, toLayer, layerIdx, isLast, startOpen, weights, fwdIn, fwdOut, grads, upstream, active, B = null, onEditWeight }) {
+  const [open, setOpen]       = useState(startOpen);
+  const [showMat, setShowMat] = useState(false);
+  const [showWhy, setShowWhy] = useState(false);
+
+  // Stepping the backward pass onto this layer unfolds it with both matrices visible.
+  useEffect(() => {
+    if (active) { setOpen(true); setShowMat(true); }
+  }, [active]);
+
+  const ac    = toLayer.activation;
+  const type  = layerType(toLayer);
+  const lt    = LAYER_TYPES[type];
+  const dense = type === "dense";
+  const conv  = type === "conv2d";
+  const color = dense ? ACT[ac]?.color ?? "#94a3b8" : lt.color;
+  const nin   = fromLayer.nodes;
+  const nout  = toLayer.nodes;
+  const l     = layerIdx;
+  const lPrev = l - 1;   // NOTE: plain ASCII minus throughout — no Unicode
+  const skip  = toLayer.skip;
+  const eqs   = layerEqTex(l, toLayer, fromLayer, B);
+  const init  = INITS[toLayer.init] ?? INITS[DEFAULT_INIT];
+  const flatW = weights.W?.flat() ?? [0];
+  const meanW = flatW.reduce((acc, v) => acc + v, 0) / flatW.length;
+  const varW  = flatW.reduce((acc, v) => acc + (v - meanW) ** 2, 0) / flatW.length;
+
+  return (
+    <div style={{ background: "rgba(255,255,255,0.02)", border: `1px solid ${active ? "rgba(244,114,182,0.45)" : "rgba(255,255,255,0.07)"}`, borderRadius: 12, marginBottom: 10, overflow: "hidden", transition: "border-color 0.2s" }}>
+
+      {/* Header */}
       <button onClick={() => setOpen(o => !o)}
         style={{ width: "100%", background: "none", border: "none", cursor: "pointer", padding: "11px 14px", display: "flex", alignItems: "center", justifyContent: "space-between", color: "inherit" }}>
         <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
           <div style={{ width: 7, height: 7, borderRadius: "50%", background: color, boxShadow: `0 0 6px ${color}88`, flexShrink: 0 }} />
           <span style={{ fontFamily: "monospace", fontSize: 12, fontWeight: 600, color: "rgba(255,255,255,0.78)" }}>Layer {l}</span>
           <T tex={`a^{(${lPrev})} \\to a^{(${l})}`} style={{ fontSize: 13 }} />
-          <span style={{ fontSize: 10, background: `${color}22`, border: `1px solid ${color}44`, color, padding: "1px 9px", borderRadius: 20, fontFamily: "monospace", marginLeft: 4 }}>{ac}</span>
+          <span style={{ fontSize: 10, background: `${color}22`, border: `1px solid ${color}44`, color, padding: "1px 9px", borderRadius: 20, fontFamily: "monospace", marginLeft: 4 }}>{dense ? ac : lt.activates ? `${lt.label} · ${ac}` : lt.label}</span>
+          {skip !== undefined && (
+            <span style={{ fontSize: 10, border: `1px dashed ${SKIP_COLOR}66`, color: SKIP_COLOR, padding: "1px 8px", borderRadius: 20, fontFamily: "monospace" }}>+ a({skip})</span>
+          )}
+        </div>
+        <span style={{ fontSize: 13, color: "rgba(255,255,255,0.3)", display: "inline-block", transform: open ? "rotate(180deg)" : "none", transition: "transform 0.2s" }}>&#9662;</span>
+      </button>
+
+      {open && (
+        <div style={{ padding: "0 14px 14px" }}>
+
+          {/* Dimension badges */}
+          <div style={{ marginBottom: 12, lineHeight: 2.2 }}>
+            {layerDimsTex(l, toLayer, fromLayer, B).map(tex => <Dim key={tex} tex={tex} />)}
+          </div>
+
+          {/* Equations */}
+          <div style={{ background: "rgba(0,0,0,0.3)", borderRadius: 8, padding: "14px 18px", borderLeft: `3px solid ${color}77`, display: "flex", flexDirection: "column", gap: 16 }}>
+            {eqs.map(tex => <T key={tex} d tex={tex} />)}
+          </div>
+          <div style={{ marginTop: 8, fontSize: 11, color: `${color}cc`, paddingLeft: 4 }}>{dense ? ACT[ac]?.desc(actParams(toLayer)) : lt.desc(toLayer)}</div>
+          {(dense || lt.activates) && !isLast && <ActivationPlot layer={toLayer} z={fwdOut.z} color={dense ? color : ACT[ac].color} />}
+          {lt.fans && (
+            <div style={{ marginTop: 6, fontSize: 11, color: "rgba(255,255,255,0.4)", paddingLeft: 4, overflowX: "auto" }}>
+              <span style={{ fontFamily: "monospace", marginRight: 8 }}>init &middot; {init.label}</span>
+              <T tex={init.tex(...lt.fans(toLayer, fromLayer))} />
+            </div>
+          )}
+
+          {/* Concrete values for the current input */}
+          <div style={{ marginTop: 12, background: "rgba(0,0,0,0.22)", borderRadius: 8, padding: "10px 14px", overflowX: "auto" }}>
+            <div style={secLabel}>Forward pass &middot; current input{B ? " (one row of the batch)" : ""}</div>
+            <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+              <T d tex={`a^{(${lPrev})} = ${tensorTex(fwdIn.a, fromLayer.shape)}`} />
+              {(dense || lt.activates) && <T d tex={`z^{(${l})} = ${tensorTex(fwdOut.z, toLayer.shape)}`} />}
+              {type === "layernorm" && <T d tex={`\\mu = ${fmtNum(fwdOut.mu)}, \\qquad \\sqrt{\\sigma^2 + \\epsilon} = ${fmtNum(fwdOut.sd)}`} />}
+              {fwdOut.xhat && <T d tex={`\\hat{x}^{(${l})} = ${vecTex(fwdOut.xhat)}`} />}
+              <T d tex={`${isLast ? "\\hat{y} = " : ""}a^{(${l})} = ${tensorTex(fwdOut.a, toLayer.shape)}`} />
+            </div>
+          </div>
+
+          {/* Backward pass, once the step-through has reached this layer */}
+          {grads && (
+            <div style={{ marginTop: 10, background: "rgba(244,114,182,0.05)", border: "1px solid rgba(244,114,182,0.18)", borderRadius: 8, padding: "10px 14px", overflowX: "auto" }}>
+              <div style={{ ...secLabel, color: "rgba(244,114,182,0.6)" }}>Backward pass &middot; gradients{B ? " of the current input (one row of the batch)" : ""}</div>
+              <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+                <T d tex={isLast
+                  ? `\\delta^{(${l})} = \\frac{\\partial \\mathcal{L}}{\\partial z^{(${l})}} = ${vecTex(grads.delta)}`
+                  : dense || lt.activates
+                    ? `\\delta^{(${l})} = \\bigl(${upstream}\\bigr) \\odot \\sigma'\\!\\bigl(z^{(${l})}\\bigr) = ${tensorTex(grads.delta, toLayer.shape)}`
+                    : `\\delta^{(${l})} = \\frac{\\partial \\mathcal{L}}{\\partial a^{(${l})}} = ${upstream} = ${tensorTex(grads.delta, toLayer.shape)}`} />
+                {lt.gradTex(l, toLayer, fromLayer, B).map(tex => <T key={tex} d tex={tex} />)}
+              </div>
+            </div>
+          )}
+
+          {/* Reasoning toggle */}
+          <button onClick={() => setShowWhy(s => !s)}
+            style={{ marginTop: 12, background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.1)", color: showWhy ? "#a5b4fc" : "rgba(255,255,255,0.4)", borderRadius: 7, padding: "5px 12px", cursor: "pointer", fontSize: 11, fontFamily: "monospace" }}>
+            {showWhy ? "hide" : "show"} reasoning
+          </button>
+
+          {showWhy && (
+            <div style={{ marginTop: 10 }}>
+
+              {!dense && (
+                <Callout icon="&#128161;" color={color} title={<>What does a {lt.label} layer do?</>}>
+                  {lt.why(l, toLayer, fromLayer)}
+                </Callout>
+              )}
+
+              {dense && <>
+                <ShapeCallout l={l} nin={nin} nout={nout} color={color} />
+                <AffineCallout l={l} nin={nin} />
+
+                <Callout icon="&#127922;" color="#818cf8" title={<>How was <T tex={`W^{(${l})}`} /> initialised? ({init.label})</>}>
+                  {init.desc()}
+                  {" "}Biases start at <T tex={`b^{(${l})} = 0`} />.
+                  The current {nout * nin} entries have sample variance <T tex={`\\widehat{\\mathrm{Var}}(W) = ${fmtNum(varW)}`} />,
+                  so for unit-scale inputs each pre-activation has
+                  {" "}<T tex={`\\mathrm{Var}(z_i) \\approx n_{\\text{in}}\\,\\mathrm{Var}(W) = ${nin} \\cdot ${fmtNum(varW)} = ${fmtNum(nin * varW)}`} />.
+                  Fan-aware schemes (Xavier, He) hold it at a constant however wide the layer is.
+                </Callout>
+
+                <Callout icon="&#9889;" color={color} title={<>Why apply <T tex={`\\sigma_{\\text{${ac}}}`} /> after the linear step?</>}>
+                  {ac === "Linear" ? (
+                    <>
+                      <strong style={{ color: "#f87171" }}>Warning: no non-linearity here.</strong> Composing
+                      purely linear layers is equivalent to a <em>single</em> linear layer regardless of depth --
+                      the product <T tex={`W^{(L)}\\cdots W^{(1)}`} /> is just another matrix, with the same
+                      expressiveness as a one-layer network. Linear activations are occasionally
+                      useful in a <em>final regression head</em>, but not in hidden layers of a classifier.
+                    </>
+                  ) : (
+                    <>
+                      Stacking affine maps without non-linearity collapses to a single affine map --
+                      the network could only learn linear decision boundaries.
+                      Applying <strong style={{ color }}>{ac}</strong> element-wise introduces the
+                      non-linearity required to approximate complex functions.
+                      By the Universal Approximation Theorem, a network with at least one hidden layer
+                      using a non-linear activation can represent any continuous function on a compact domain.
+                    </>
+                  )}
+                </Callout>
+
+                <Callout icon="&#8596;" color="#94a3b8" title="Step-by-step dimension flow">
+                  {B ? (
+                    <div style={{ fontFamily: "monospace", fontSize: 11, lineHeight: 2.1 }}>
+                      <div>
+                        <T tex={`A^{(${lPrev})} \\in \\mathbb{R}^{${B}\\times${nin}}`} style={{ marginRight: 8 }} />
+                        one input per row
+                      </div>
+                      <div>
+                        <T tex={`A^{(${lPrev})} W^{(${l})\\top} \\in \\mathbb{R}^{${B}\\times${nout}}`} style={{ marginRight: 8 }} />
+                        ({B}&times;{nin}) &middot; ({nin}&times;{nout}) = ({B}&times;{nout})
+                      </div>
+                      <div>
+                        <T tex={`Z^{(${l})} = A^{(${lPrev})} W^{(${l})\\top} + \\mathbf{1}_{${B}}\\, b^{(${l})\\top} \\in \\mathbb{R}^{${B}\\times${nout}}`} style={{ marginRight: 8 }} />
+                        ({B}&times;1) &middot; (1&times;{nout}) bias copied to every row
+                      </div>
+                      <div>
+                        <T tex={`A^{(${l})} = \\sigma(Z^{(${l})}) \\in \\mathbb{R}^{${B}\\times${nout}}`} style={{ marginRight: 8 }} />
+                        element-wise {ac}
+                      </div>
+                    </div>
+                  ) : (
+                  <div style={{ fontFamily: "monospace", fontSize: 11, lineHeight: 2.1 }}>
+                    <div>
+                      <T tex={`a^{(${lPrev})} \\in \\mathbb{R}^{${nin}}`} style={{ marginRight: 8 }} />
+                      input to this layer
+                    </div>
+                    <div>
+                      <T tex={`W^{(${l})} a^{(${lPrev})} \\in \\mathbb{R}^{${nout}}`} style={{ marginRight: 8 }} />
+                      ({nout}&times;{nin}) &middot; ({nin}&times;1) = ({nout}&times;1)
+                    </div>
+                    <div>
+                      <T tex={`z^{(${l})} = W^{(${l})} a^{(${lPrev})} + b^{(${l})} \\in \\mathbb{R}^{${nout}}`} style={{ marginRight: 8 }} />
+                      add bias
+                    </div>
+                    <div>
+                      <T tex={`a^{(${l})} = \\sigma(z^{(${l})}) \\in \\mathbb{R}^{${nout}}`} style={{ marginRight: 8 }} />
+                      element-wise {ac}
+                    </div>
+                  </div>
+                  )}
+                </Callout>
+
+                {B && (
+                  <Callout icon="&#128257;" color="#a78bfa" title={<>Where does <T tex={`\\mathbf{1}_{${B}}\\, b^{(${l})\\top}`} /> come from?</>}>
+                    <T tex={`A^{(${lPrev})} W^{(${l})\\top}`} /> has {B} rows but <T tex={`b^{(${l})}`} /> is a single
+                    vector of {nout} numbers, so strictly the sum is undefined. The outer
+                    product <T tex={`\\mathbf{1}_{${B}}\\, b^{(${l})\\top}`} /> stacks {B} copies of the bias into
+                    a {B}&times;{nout} matrix, and every example gets the same shift. Libraries never build that
+                    matrix: NumPy and PyTorch <em>broadcast</em> shapes <code>({B}, {nout}) + ({nout},)</code> by
+                    lining up trailing axes and repeating the missing leading one, which is exactly
+                    what <code>nn.Linear</code> does with <code>x @ W.T + b</code>. The same rule hides shape bugs:
+                    a <code>({B}, 1)</code> column added where <code>({nout},)</code> was meant raises no error but
+                    broadcasts to a different {B}&times;{nout} matrix, one shift per example. In the
+                    backward pass the copy turns into a sum: each row contributes its <T tex={`\\delta^{(${l})}`} />,
+                    so <T tex={`\\partial \\mathcal{L} / \\partial b^{(${l})} = \\tfrac{1}{${B}} \\Delta^{(${l})\\top} \\mathbf{1}_{${B}}`} /> adds
+                    up the {B} rows of <T tex={`\\Delta^{(${l})}`} /> and averages them.
+                  </Callout>
+                )}
+              </>}
+
+              {isLast && ac === TASKS.regression.head && (
+                <Callout icon="&#127937;" color={ACT.Linear.color} title="Output layer: why no activation?">
+                  A regression target can be any real number. A squashing activation would bound the
+                  prediction &#8212; sigmoid to <T tex="(0,1)" />, tanh to <T tex="(-1,1)" />, ReLU to <T tex="[0,\infty)" /> &#8212;
+                  and put some targets out of reach. Leaving <T tex={`z^{(${l})} \\in \\mathbb{R}^{${nout}}`} /> untouched keeps the
+                  full range, and since <T tex={`\\partial \\hat{y} / \\partial z^{(${l})} = I`} /> the loss gradient
+                  is <T tex={`\\delta^{(${l})}`} /> directly.
+                </Callout>
+              )}
+
+              {isLast && ac === TASKS.classification.head && (
+                <Callout icon="&#127937;" color="#34d399" title="Output layer: why softmax?">
+                  The final linear step produces raw <em>logits</em> <T tex={`z^{(${l})} \\in \\mathbb{R}^{${nout}}`} /> --
+                  real numbers with no probabilistic meaning.
+                  Softmax exponentiates and normalises them so all outputs are positive and sum to 1,
+                  giving them a direct interpretation as class probabilities.
+                  The exponential also amplifies differences between logits, producing confident predictions
+                  when one class dominates.
+                </Callout>
+              )}
+
+              {isLast && ac === TASKS.multilabel.head && (
+                <Callout icon="&#127937;" color={ACT.Sigmoid.color} title="Output layer: why sigmoid, not softmax?">
+                  Each of the {nout} outputs answers its own yes/no question, so each logit gets its own
+                  sigmoid: <T tex={`\\hat{y}_i = \\sigma\\bigl(z^{(${l})}_i\\bigr)`} /> depends on <T tex={`z^{(${l})}_i`} /> alone.
+                  Nothing ties the outputs together, so they no longer sum to 1 &#8212; a sample can have
+                  several labels on, or none. Softmax would force the labels to compete for a single unit of
+                  probability mass. Threshold each output (usually at 0.5) to read off the predicted label set.
+                </Callout>
+              )}
+
+              {skip !== undefined && (
+                <Callout icon="&#8631;" color={SKIP_COLOR} title={<>Why add <T tex={`a^{(${skip})}`} /> back in?</>}>
+                  With the residual connection the layer only has to learn the correction
+                  {" "}<T tex={`a^{(${l})} - a^{(${skip})}`} /> on top of an identity path, which is an easy
+                  default for a deep stack to fall back on. In the backward pass the sum copies
+                  {" "}<T tex={`\\partial \\mathcal{L} / \\partial a^{(${l})}`} /> unchanged onto <T tex={`a^{(${skip})}`} />,
+                  a shortcut around every layer in between that keeps gradients from vanishing.
+                  The sum is only defined because both ends have width {nout}, and the skip adds no parameters.
+                </Callout>
+              )}
+            </div>
+          )}
+
+          {/* Matrix toggle */}
+          {lt.trainable.length > 0 && (
+            <button onClick={() => setShowMat(s => !s)}
+              style={{ marginTop: 10, background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.1)", color: "rgba(255,255,255,0.4)", borderRadius: 7, padding: "5px 12px", cursor: "pointer", fontSize: 11, fontFamily: "monospace" }}>
+              {showMat ? "hide" : "show"} {dense ? (grads ? "weight & gradient matrices" : "weight matrix") : conv ? (grads ? "kernels & gradients" : "kernels") : (grads ? "scale / shift & gradients" : "scale / shift vectors")}
+            </button>
+          )}
+          {showMat && dense && (
+            <div style={{ marginTop: 12, display: "flex", gap: 18, flexWrap: "wrap", alignItems: "flex-start" }}>
+              <WeightMatrix W={weights.W} b={weights.b} nin={nin} nout={nout} layerIdx={l} transposed={!!B} onEdit={(r, c, v) => onEditWeight(c === null ? "b" : "W", c === null ? [r] : [r, c], v)} />
+              {grads && <WeightMatrix W={grads.dW} b={grads.db} nin={nin} nout={nout} layerIdx={l} grad />}
+            </div>
+          )}
+          {showMat && conv && (
+            <div style={{ marginTop: 12, display: "flex", gap: 18, flexWrap: "wrap", alignItems: "flex-start" }}>
+              <KernelTensor K={weights.K} b={weights.b} layerIdx={l} onEdit={onEditWeight} />
+              {grads && <KernelTensor K={grads.dK} b={grads.db} layerIdx={l} grad />}
+            </div>
+          )}
+          {showMat && !dense && !conv && lt.trainable.length > 0 && (
+            <div style={{ marginTop: 12 }}>
+              <NormParams w={weights} grads={grads} layerIdx={l} onEdit={(key, j, v) => onEditWeight(key, [j], v)} />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Backprop step-through ────────────────────────────────────────────────────
+// The target in the task's form: a class pill per output, a toggle per label, or a
+// number per regression output. pill(on) styles the buttons, inputStyle the inputs.
+function TargetPicker({ task, K, target, onTarget, pill, inputStyle }) {
+  if (task === "classification") {
+    return Array.from({ length: K }, (_, k) => (
+      <button key={k} onClick={() => onTarget(k)} style={pill(k === target)}>{k + 1}</button>
+    ));
+  }
+  if (task === "multilabel") {
+    return target.map((v, k) => (
+      <button key={k} onClick={() => onTarget(target.map((y, j) => (j === k ? 1 - y : y)))} style={pill(v === 1)}>{k + 1}</button>
+    ));
+  }
+  return target.map((v, k) => (
+    <NumberCell key={k} value={v} title={`y${k + 1}`} style={inputStyle}
+      onChange={v => onTarget(target.map((y, j) => (j === k ? v : y)))} />
+  ));
+}
+
+const NumberCell = ({ value, title, style, onChange }) => (
+  <input type="number" step={0.1} value={value} title={title}
+    onChange={e => { const v = parseFloat(e.target.value); if (!Number.isNaN(v)) onChange(v); }}
+    style={{ width: 52, background: "#0d1320", borderRadius: 6, padding: "3px 6px", fontSize: 11, fontFamily: "monospace", ...style }} />
+);
+
+// step: null = off, L..1 = layer currently being differentiated, 0 = finished.
+// target is in the TASKS form: a class index, a 0/1 label vector or a real vector.
+function BackpropPanel({ layers, K, L, task, target, onTarget, lossKey, lossValue, step, onStep }) {
+  const loss = LOSSES[lossKey];
+  // δ plus one gradient per trainable tensor of the layer being differentiated.
+  const stepTex = step ? [`\\delta^{(${step})}`, ...LAYER_TYPES[layerType(layers[step])].trainable.map(k => `\\partial \\mathcal{L} / \\partial ${TENSOR_TEX[k]}^{(${step})}`)] : [];
+  const pill = (on) => ({
+    background: on ? "rgba(244,114,182,0.16)" : "rgba(255,255,255,0.04)",
+    border: `1px solid ${on ? "rgba(244,114,182,0.45)" : "rgba(255,255,255,0.1)"}`,
+    color: on ? "#f9a8d4" : "rgba(255,255,255,0.45)",
+    borderRadius: 7, padding: "4px 11px", cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  });
+  const status = step === null
+    ? <>Start from <T tex={`\\delta^{(${L})} = \\partial \\mathcal{L} / \\partial z^{(${L})}`} /> and walk the chain rule back to layer 1.</>
+    : step === 0
+      ? <>Gradients computed for every layer &#8212; each card now shows <T tex="\delta^{(l)}" /> and <T tex="\partial \mathcal{L} / \partial W^{(l)}" />.</>
+      : <>Layer {step}: computing {stepTex.map((tex, i) => (
+          <span key={tex}>{i === 0 ? "" : i === stepTex.length - 1 ? " and " : ", "}<T tex={tex} /></span>
+        ))} (step {L - step + 1} of {L}).</>;
+
+  return (
+    <div style={{ background: "rgba(244,114,182,0.03)", border: "1px solid rgba(244,114,182,0.15)", borderRadius: 12, padding: "14px 18px", marginBottom: 12 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 10 }}>
+        <div style={{ fontWeight: 700, color: "#f472b6", fontSize: 13, letterSpacing: "-0.01em" }}>Backward Pass</div>
+        <T tex={`\\mathcal{L}_{\\text{${loss.label}}} = ${fmtNum(lossValue, 4)}`} />
+      </div>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 5, flexWrap: "wrap", marginBottom: 10 }}>
+        <span style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", fontFamily: "monospace", marginRight: 4 }}>{{ classification: "true class", multilabel: "labels on" }[task] ?? "target y"}</span>
+        <TargetPicker task={task} K={K} target={target} onTarget={onTarget} pill={pill}
+          inputStyle={{ border: "1px solid rgba(244,114,182,0.3)", color: "#f9a8d4" }} />
+      </div>
+
+      <div style={{ display: "flex", gap: 5, flexWrap: "wrap", marginBottom: 10 }}>
+        {step === null
+          ? <button onClick={() => onStep(L)} style={pill(true)}>start backprop</button>
+          : <>
+              <button onClick={() => onStep(s => Math.min(L, s + 1))} disabled={step === L} style={{ ...pill(false), opacity: step === L ? 0.35 : 1 }}>&#9664; back</button>
+              <button onClick={() => onStep(s => Math.max(0, s - 1))} disabled={step === 0} style={{ ...pill(true), opacity: step === 0 ? 0.35 : 1 }}>step &#9654;</button>
+              <button onClick={() => onStep(0)} style={pill(false)}>show all</button>
+              <button onClick={() => onStep(null)} style={pill(false)}>stop</button>
+            </>}
+      </div>
+
+      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.45)", lineHeight: 1.7 }}>{status}</div>
+    </div>
+  );
+}
+
+// ─── Gradient check ───────────────────────────────────────────────────────────
+// Each loss's grad (the code backprop runs) and gradFormula (the TeX on the page, read
+// through formulaGrad) are written by hand; this checks both against central differences
+// of its value, (L(z + h e_i) - L(z - h e_i)) / 2h, as a function of the output
+// pre-activation z^(L). rel = |a - n| / max(|a|, |n|) is scale-free; the floor keeps
+// components that are zero on both sides from dividing by zero.
+const GRAD_TOL   = [1e-6, 1e-3];   // below: agree / at a kink or rounding / above: mismatch
+const GRAD_FLOOR = 1e-12;
+
+function gradCheck(loss, head, z, t, p, h) {
+  const value    = (zz) => loss.value(activate({ activation: head }, zz), t, p);
+  const analytic = loss.grad(activate({ activation: head }, z), t, p);
+  const formula  = loss.formulaGrad(activate({ activation: head }, z), t, p);
+  const relTo    = (a, n) => Math.abs(a - n) / Math.max(Math.abs(a), Math.abs(n), GRAD_FLOOR);
+  return z.map((_, i) => {
+    const numeric = (value(z.map((v, j) => (j === i ? v + h : v))) - value(z.map((v, j) => (j === i ? v - h : v)))) / (2 * h);
+    const relCode = relTo(analytic[i], numeric), relTex = relTo(formula[i], numeric);
+    return { analytic: analytic[i], formula: formula[i], numeric, relCode, relTex, rel: Math.max(relCode, relTex) };
+  });
+}
+
+const gradVerdict = (rel) => (rel < GRAD_TOL[0] ? { label: "agree", color: "#34d399" }
+  : rel < GRAD_TOL[1] ? { label: "kink?", color: "#facc15" } : { label: "mismatch", color: "#f87171" });
+
+function GradCheck({ K, task, lossKey, setLossKey, params, isDisabled }) {
+  const [seed, setSeed]     = useState(1);
+  const [z, setZ]           = useState([]);
+  const [target, setTarget] = useState(0);
+  const [logH, setLogH]     = useState(-5);
+
+  // Draw a fresh logit vector, and a target to go with it, whenever the seed moves.
+  useEffect(() => {
+    const rng = makeRng(seed * 7919);
+    setZ(Array.from({ length: K }, () => Number((2 * gaussian(rng)).toFixed(2))));
+    setTarget(task === "classification" ? Math.floor(rng() * K)
+      : Array.from({ length: K }, () => (task === "multilabel" ? Number(rng() < 0.5) : Number(gaussian(rng).toFixed(2)))));
+  }, [seed, K, task]);
+
+  const loss = LOSSES[lossKey];
+  const zz   = Array.from({ length: K }, (_, i) => z[i] ?? 0);
+  const t    = TASKS[task].target(target, K);
+  const h    = 10 ** logH;
+  const head = TASKS[task].head;
+  const rows = gradCheck(loss, head, zz, t, params, h);
+  const all  = Object.entries(LOSSES).filter(([key, l]) => l.task === task && !isDisabled(key))
+    .map(([key, l]) => [key, l, Math.max(...gradCheck(l, head, zz, t, params, h).map(r => r.rel))]);
+
+  const pill = (on) => ({
+    background: on ? `${loss.color}22` : "rgba(255,255,255,0.04)",
+    border: `1px solid ${on ? `${loss.color}66` : "rgba(255,255,255,0.1)"}`,
+    color: on ? loss.color : "rgba(255,255,255,0.45)",
+    borderRadius: 7, padding: "3px 10px", cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  });
+  const cell = { padding: "5px 10px", fontFamily: "monospace", fontSize: 10, textAlign: "right" };
+  const th   = { padding: "5px 10px", fontSize: 9, letterSpacing: "0.08em", textTransform: "uppercase", color: "rgba(255,255,255,0.25)", fontWeight: 600, textAlign: "right" };
+  const inputStyle = { border: `1px solid ${loss.color}44`, color: loss.color };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.45)", lineHeight: 1.7 }}>
+        Nudge one logit at a time and watch the loss: the slope
+        {" "}<T tex="\dfrac{\mathcal{L}(z + h e_i) - \mathcal{L}(z - h e_i)}{2h}" /> needs no calculus, so it
+        is an independent check on the hand-derived <T tex="\partial \mathcal{L} / \partial z_i" />: both the <code>grad</code> code
+        that backprop runs and the formula printed under Formula, evaluated as written.
+        Its error shrinks like <T tex="h^2" /> until floating-point cancellation takes over, so very small steps get <em>worse</em>.
+      </div>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 5, flexWrap: "wrap" }}>
+        <span style={{ ...secLabel, marginBottom: 0, marginRight: 4 }}>logits z</span>
+        {zz.map((v, i) => (
+          <NumberCell key={i} value={v} title={`z${i + 1}`} style={inputStyle}
+            onChange={v => setZ(zz.map((u, j) => (j === i ? v : u)))} />
+        ))}
+        <button onClick={() => setSeed(s => s + 1)} style={pill(false)}>random</button>
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 5, flexWrap: "wrap" }}>
+        <span style={{ ...secLabel, marginBottom: 0, marginRight: 4 }}>{{ classification: "true class", multilabel: "labels on" }[task] ?? "target y"}</span>
+        <TargetPicker task={task} K={K} target={t} onTarget={setTarget} pill={pill} inputStyle={inputStyle} />
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+        <span style={{ ...secLabel, marginBottom: 0 }}>step h</span>
+        <input type="range" min={-9} max={-1} step={1} value={logH} onChange={e => setLogH(Number(e.target.value))}
+          style={{ flex: 1, accentColor: loss.color, cursor: "pointer" }} />
+        <T tex={`h = 10^{${logH}}`} />
+      </div>
+
+      <table style={{ width: "100%", borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.07)" }}>
+            {["i", "numeric", "code", "formula", "rel. code", "rel. formula", ""].map(c => <th key={c} style={th}>{c}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r, i) => {
+            const v = gradVerdict(r.rel);
+            return (
+              <tr key={i} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
+                <td style={{ ...cell, color: "rgba(255,255,255,0.35)" }}>{i + 1}</td>
+                <td style={{ ...cell, color: "rgba(255,255,255,0.7)" }}>{r.numeric.toFixed(8)}</td>
+                <td style={{ ...cell, color: "rgba(255,255,255,0.7)" }}>{r.analytic.toFixed(8)}</td>
+                <td style={{ ...cell, color: "rgba(255,255,255,0.7)" }}>{r.formula.toFixed(8)}</td>
+                <td style={{ ...cell, color: gradVerdict(r.relCode).color }}>{r.relCode.toExponential(1)}</td>
+                <td style={{ ...cell, color: gradVerdict(r.relTex).color }}>{r.relTex.toExponential(1)}</td>
+                <td style={{ ...cell, color: v.color }}>{v.label}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", lineHeight: 1.6 }}>
+        Below <T tex="10^{-6}" /> a column agrees with the slope to rounding. Between that and <T tex="10^{-3}" /> look for a kink:
+        MAE at <T tex="\hat{y}_i = y_i" />, Huber at <T tex="|r| = \delta" /> or the asymmetric loss at its margin have no
+        derivative there, and a step straddling one is off. Anything larger is a wrong <code>grad</code> or a wrong formula,
+        whichever column is red.
+      </div>
+
+      <div>
+        <div style={secLabel}>Every {TASKS[task].label.toLowerCase()} loss at this z</div>
+        {all.map(([key, l, rel]) => {
+          const v = gradVerdict(rel);
+          return (
+            <div key={key} onClick={() => setLossKey(key)} style={{ display: "flex", alignItems: "center", gap: 10, padding: "4px 8px", borderRadius: 6, cursor: "pointer", background: key === lossKey ? "rgba(255,255,255,0.03)" : "none" }}>
+              <span style={{ flex: 1, fontSize: 11, color: l.color, fontWeight: key === lossKey ? 700 : 400 }}>{l.label}</span>
+              <span style={{ fontSize: 10, fontFamily: "monospace", color: "rgba(255,255,255,0.4)" }}>max rel. {rel.toExponential(1)}</span>
+              <span style={{ width: 62, fontSize: 10, fontFamily: "monospace", color: v.color, textAlign: "right" }}>{v.label}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// ─── Loss panel ───────────────────────────────────────────────────────────────
+// batch is the mini-batch size when the page shows batched notation, else null; the
+// per-example formulas stay as they are and the batch average is shown beneath them.
+// reg is the weight penalty (see REGULARIZERS); it adds to the objective, not to the data term.
+function LossPanel({ K, task, onTask, lossKey, setLossKey, params, setParams, layers, reg, setReg, batch = null }) {
+  const [tab, setTab] = useState(0); // 0 = formula, 1 = derivation, 2 = gradient check, 3 = penalty
+
+  const loss       = LOSSES[lossKey];
+  const losses     = Object.entries(LOSSES).filter(([, l]) => l.task === task);
+  const isDisabled = (key) => LOSSES[key].requiresBinary && K !== 2;
+
+  // Auto-switch away from a binary-only loss when K changes, or from another task's loss
+  useEffect(() => {
+    if (LOSSES[lossKey].task !== task || (LOSSES[lossKey].requiresBinary && K !== 2)) setLossKey(TASKS[task].loss);
+  }, [K, task, lossKey, setLossKey]);
+
+  const setParam = (key, val) => setParams(p => ({ ...p, [key]: val }));
+
+  return (
+    <div style={{ background: "rgba(52,211,153,0.03)", border: "1px solid rgba(52,211,153,0.15)", borderRadius: 12, padding: "16px 18px", marginTop: 4 }}>
+      <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 14 }}>
+        <div style={{ fontWeight: 700, color: "#34d399", fontSize: 13, letterSpacing: "-0.01em" }}>
+          {TASKS[task].label} Objective
+        </div>
+        {/* Task switch: swaps the output head and the loss family */}
+        <div style={{ display: "flex", gap: 4 }}>
+          {Object.entries(TASKS).map(([key, tk]) => (
+            <button key={key} onClick={() => onTask(key)} title={`${tk.head} output head`} style={{
+              background: task === key ? "rgba(52,211,153,0.14)" : "none",
+              border: `1px solid ${task === key ? "rgba(52,211,153,0.4)" : "rgba(255,255,255,0.08)"}`,
+              color: task === key ? "#34d399" : "rgba(255,255,255,0.35)",
+              borderRadius: 6, padding: "3px 10px", cursor: "pointer", fontSize: 10, fontFamily: "monospace",
+            }}>{tk.label.toLowerCase()}</button>
+          ))}
         </div>
-        <span style={{ fontSize: 13, color: "rgba(255,255,255,0.3)", display: "inline-block", transform: open ? "rotate(180deg)" : "none", transition: "transform 0.2s" }}>&#9662;</span>
-      </button>
+      </div>
 
-      {open && (
-        <div style={{ padding: "0 14px 14px" }}>
+      {/* Loss selector */}
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 14 }}>
+        {losses.map(([key, l]) => {
+          const disabled = isDisabled(key);
+          const active   = lossKey === key;
+          return (
+            <button key={key}
+              onClick={() => { if (!disabled) setLossKey(key); }}
+              title={disabled ? `Requires K=2 (current K=${K})` : l.label}
+              style={{
+                background: active ? `${l.color}22` : "rgba(255,255,255,0.03)",
+                border: `1px solid ${active ? `${l.color}66` : "rgba(255,255,255,0.08)"}`,
+                borderRadius: 8, padding: "5px 12px",
+                cursor: disabled ? "not-allowed" : "pointer",
+                opacity: disabled ? 0.35 : 1, transition: "all 0.15s",
+              }}>
+              <div style={{ fontSize: 11, fontWeight: 600, color: active ? l.color : "rgba(255,255,255,0.55)" }}>{l.label}</div>
+              <div style={{ fontSize: 9, color: active ? `${l.color}99` : "rgba(255,255,255,0.25)", marginTop: 1 }}>{l.tag}</div>
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Hyperparameter sliders */}
+      {loss.params.length > 0 && (
+        <div style={{ background: "rgba(0,0,0,0.2)", borderRadius: 8, padding: "10px 14px", marginBottom: 14, display: "flex", flexDirection: "column", gap: 10 }}>
+          {loss.params.map(p => (
+            <div key={p.key}>
+              <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
+                <span style={{ fontSize: 11, color: "rgba(255,255,255,0.5)", fontFamily: "monospace" }}>{p.label}</span>
+                <span style={{ fontSize: 11, color: loss.color, fontFamily: "monospace", fontWeight: 700 }}>{params[p.key]}</span>
+              </div>
+              <input type="range" min={p.min} max={p.max} step={p.step} value={params[p.key]}
+                onChange={e => setParam(p.key, parseFloat(e.target.value))}
+                style={{ width: "100%", accentColor: loss.color, cursor: "pointer" }} />
+              <div style={{ display: "flex", justifyContent: "space-between", fontSize: 9, color: "rgba(255,255,255,0.2)", fontFamily: "monospace", marginTop: 2 }}>
+                <span>{p.min}</span><span>{p.max}</span>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Regularisation */}
+      <div style={{ background: "rgba(0,0,0,0.2)", borderRadius: 8, padding: "10px 14px", marginBottom: 14 }}>
+        <div style={{ display: "flex", alignItems: "center", gap: 5, flexWrap: "wrap" }}>
+          <span style={{ ...secLabel, marginBottom: 0, marginRight: 4 }}>weight penalty</span>
+          {Object.entries(REGULARIZERS).map(([key, r]) => (
+            <button key={key} onClick={() => setReg(g => ({ ...g, key }))} title={r.tag} style={{
+              background: reg.key === key ? `${r.color}22` : "none",
+              border: `1px solid ${reg.key === key ? `${r.color}66` : "rgba(255,255,255,0.08)"}`,
+              color: reg.key === key ? r.color : "rgba(255,255,255,0.4)",
+              borderRadius: 6, padding: "2px 9px", cursor: "pointer", fontSize: 10, fontFamily: "monospace",
+            }}>{r.label}</button>
+          ))}
+          {reg.key !== "none" && (
+            <label style={{ marginLeft: "auto", display: "flex", alignItems: "center", gap: 5, fontSize: 10, color: "rgba(255,255,255,0.4)", fontFamily: "monospace", cursor: "pointer" }}>
+              <input type="checkbox" checked={!!reg.lambdas}
+                onChange={e => setReg(g => ({ ...g, lambdas: e.target.checked ? Object.fromEntries(regLayers(layers).map(l => [l, g.lambda])) : null }))} />
+              per layer
+            </label>
+          )}
+        </div>
+        {reg.key !== "none" && (
+          <div style={{ display: "flex", flexDirection: "column", gap: 10, marginTop: 10 }}>
+            {[
+              ...(reg.lambdas
+                ? regLayers(layers).map(l => ({ label: `λ${l} (layer ${l})`, value: regLambda(reg, l), set: v => setReg(g => ({ ...g, lambdas: { ...g.lambdas, [l]: v } })), ...REG_LAMBDA }))
+                : [{ label: "λ (strength)", value: reg.lambda, set: v => setReg(g => ({ ...g, lambda: v })), ...REG_LAMBDA }]),
+              ...REGULARIZERS[reg.key].params.map(p => ({ ...p, value: reg[p.key], set: v => setReg(g => ({ ...g, [p.key]: v })) })),
+            ].map(p => (
+              <div key={p.label}>
+                <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
+                  <span style={{ fontSize: 11, color: "rgba(255,255,255,0.5)", fontFamily: "monospace" }}>{p.label}</span>
+                  <span style={{ fontSize: 11, color: REGULARIZERS[reg.key].color, fontFamily: "monospace", fontWeight: 700 }}>{p.value}</span>
+                </div>
+                <input type="range" min={p.min} max={p.max} step={p.step} value={p.value}
+                  onChange={e => p.set(parseFloat(e.target.value))}
+                  style={{ width: "100%", accentColor: REGULARIZERS[reg.key].color, cursor: "pointer" }} />
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Sub-tabs: Formula | Derivation | Verify | Penalty */}
+      <div style={{ display: "flex", gap: 4, marginBottom: 12 }}>
+        {["Formula", "Derivation", "Verify", "Penalty"].map((t, i) => (
+          <button key={i} onClick={() => setTab(i)} style={{
+            background: tab === i ? "rgba(255,255,255,0.07)" : "none",
+            border: `1px solid ${tab === i ? "rgba(255,255,255,0.15)" : "rgba(255,255,255,0.06)"}`,
+            color: tab === i ? "rgba(255,255,255,0.8)" : "rgba(255,255,255,0.35)",
+            borderRadius: 6, padding: "4px 12px", cursor: "pointer", fontSize: 11, fontWeight: 500,
+          }}>{t}</button>
+        ))}
+      </div>
+
+      {tab === 0 && (
+        <div>
+          {/* Loss formula */}
+          <div style={{ background: "rgba(0,0,0,0.3)", borderRadius: 8, padding: "16px 18px", borderLeft: `3px solid ${loss.color}88`, marginBottom: 10 }}>
+            <T d tex={loss.fullFormula(K, params)} />
+            {reg.key !== "none" && (
+              <div style={{ marginTop: 14, paddingTop: 12, borderTop: "1px dashed rgba(255,255,255,0.08)" }}>
+                <T d tex={objectiveTex(layers, reg)} />
+                <div style={{ marginTop: 6, fontSize: 11, color: "rgba(255,255,255,0.35)", fontFamily: "monospace" }}>
+                  the data term plus a {REGULARIZERS[reg.key].label} penalty on the weights (kernels for Conv2D); biases are not penalised
+                </div>
+              </div>
+            )}
+            {batch && (
+              <div style={{ marginTop: 14, paddingTop: 12, borderTop: "1px dashed rgba(255,255,255,0.08)" }}>
+                <T d tex={`\\mathcal{L}_{\\text{batch}} = \\frac{1}{${batch}} \\sum_{b=1}^{${batch}} \\mathcal{L}\\bigl(\\hat{y}^{[b]}, y^{[b]}\\bigr)`} />
+                <div style={{ marginTop: 6, fontSize: 11, color: "rgba(255,255,255,0.35)", fontFamily: "monospace" }}>
+                  one loss per row of the batch, averaged (PyTorch's and Keras' default reduction)
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* Note */}
+          <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.7, paddingLeft: 4, marginBottom: 12 }}>
+            {loss.note(K, params)}
+          </div>
+
+          {/* Output layer */}
+          <div style={{ paddingTop: 12, borderTop: "1px solid rgba(255,255,255,0.06)", marginBottom: 12, display: "flex", flexDirection: "column", gap: 10 }}>
+            <div style={secLabel}>Output layer</div>
+            <T d tex={TASKS[task].outputTex(K)} />
+            <div style={{ fontSize: 11, color: "rgba(255,255,255,0.28)", fontFamily: "monospace" }}>
+              {TASKS[task].outputNote(K)}
+            </div>
+          </div>
+
+          {/* Gradient */}
+          <div style={{ paddingTop: 12, borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+            <div style={secLabel}>Gradient w.r.t. {task === "regression" ? "the output pre-activation" : "output logits"}</div>
+            <div style={{ background: "rgba(0,0,0,0.25)", borderRadius: 7, padding: "12px 14px" }}>
+              <T d tex={loss.gradFormula(K, params)} />
+              <div style={{ marginTop: 8, fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.6 }}>
+                {loss.gradNote()}
+              </div>
+              {reg.key !== "none" && <>
+                <div style={{ marginTop: 10 }}><T d tex={penaltyGradTex(reg)} /></div>
+                <div style={{ marginTop: 6, fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.6 }}>
+                  The penalty depends on the weights directly, not through <T tex="z^{(L)}" />, so <T tex="\delta" /> is unchanged and the term is
+                  added where backpropagation forms <T tex="\partial \mathcal{L} / \partial W^{(l)} = \delta^{(l)} a^{(l-1)\top}" />.
+                </div>
+              </>}
+              {batch && <>
+                <div style={{ marginTop: 10 }}>
+                  <T d tex={`\\frac{\\partial \\mathcal{L}_{\\text{batch}}}{\\partial Z^{(L)}} = \\frac{1}{${batch}}\\, \\Delta^{(L)} \\in \\mathbb{R}^{${batch}\\times ${K}}, \\qquad \\Delta^{(L)}_{b,:} = \\delta^{(L)\\top}_{[b]}`} />
+                </div>
+                <div style={{ marginTop: 6, fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.6 }}>
+                  Each row is the gradient above for one example; the <T tex={`1/${batch}`} /> of the average scales every row, so a larger batch does not mean a larger step.
+                </div>
+              </>}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {tab === 1 && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+          {loss.derivation.map((d, i) => (
+            <div key={i} style={{ background: "rgba(0,0,0,0.2)", borderRadius: 8, padding: "12px 14px", borderLeft: `2px solid ${loss.color}55` }}>
+              <div style={{ fontSize: 12, fontWeight: 600, color: loss.color, marginBottom: 6 }}>{d.heading}</div>
+              <div style={{ fontSize: 11, color: "rgba(255,255,255,0.55)", lineHeight: 1.75 }}>{d.body(params, K)}</div>
+            </div>
+          ))}
+
+          {/* Comparison table */}
+          <div style={{ marginTop: 6 }}>
+            <div style={secLabel}>Quick comparison</div>
+            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
+              <thead>
+                <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.07)" }}>
+                  {["Loss", "Best for", "Params"].map(h => (
+                    <th key={h} style={{ padding: "5px 10px", textAlign: "left", fontSize: 9, letterSpacing: "0.08em", textTransform: "uppercase", color: "rgba(255,255,255,0.25)", fontWeight: 600 }}>{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {losses.map(([key, l]) => (
+                  <tr key={key} style={{ background: key === lossKey ? "rgba(255,255,255,0.03)" : "transparent", borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
+                    <td style={{ padding: "7px 10px", color: l.color, fontWeight: key === lossKey ? 700 : 400 }}>{l.label}</td>
+                    <td style={{ padding: "7px 10px", color: "rgba(255,255,255,0.45)", fontSize: 10 }}>
+                      {l.bestFor}
+                    </td>
+                    <td style={{ padding: "7px 10px", color: "rgba(255,255,255,0.3)", fontFamily: "monospace", fontSize: 9 }}>
+                      {l.params.length === 0 ? "none" : l.params.map(p => p.label).join(", ")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {tab === 3 && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+          {REGULARIZERS[reg.key].derivation.map((d, i) => (
+            <div key={i} style={{ background: "rgba(0,0,0,0.2)", borderRadius: 8, padding: "12px 14px", borderLeft: `2px solid ${REGULARIZERS[reg.key].color}55` }}>
+              <div style={{ fontSize: 12, fontWeight: 600, color: REGULARIZERS[reg.key].color, marginBottom: 6 }}>{d.heading}</div>
+              <div style={{ fontSize: 11, color: "rgba(255,255,255,0.55)", lineHeight: 1.75 }}>{d.body(reg)}</div>
+            </div>
+          ))}
+          {reg.key === "none" && <div style={{ fontSize: 11, color: "rgba(255,255,255,0.3)", fontFamily: "monospace" }}>pick a weight penalty above to see where it comes from</div>}
+        </div>
+      )}
+
+      {tab === 2 && <GradCheck K={K} task={task} lossKey={lossKey} setLossKey={setLossKey} params={params} isDisabled={isDisabled} />}
+    </div>
+  );
+}
+
+// ─── Optimiser panel ──────────────────────────────────────────────────────────
+const sumSq = (t) => (Array.isArray(t) ? t.reduce((acc, v) => acc + sumSq(v), 0) : t * t);
+
+// The step tab previews one update from the current weights, input and target; applying
+// it hands the new weights to onWeights and keeps the optimiser state for the next one.
+function OptimizerPanel({ layers, weights, x, target, lossKey, lossParams, reg, optKey, setOptKey, params, setParams, onWeights }) {
+  const [tab, setTab]     = useState(0); // 0 = update rule, 1 = derivation, 2 = one step
+  const [state, setState] = useState(null);
+  const dense = layers.flatMap((l, i) => (i > 0 && layerType(l) === "dense" ? [i] : []));
+  const [pick, setPick]   = useState(dense[0]);
+  const opt = OPTIMIZERS[optKey];
+  const L   = layers.length - 1;
+  const l   = dense.includes(pick) ? pick : dense[0];
+
+  // Velocities and moment estimates belong to one optimiser and one architecture.
+  useEffect(() => { setState(null); }, [layers, optKey]);
+
+  const setParam = (key, val) => setParams(p => ({ ...p, [key]: val }));
+
+  const step = useMemo(() => {
+    if (tab !== 2) return null;
+    const loss  = LOSSES[lossKey];
+    const fwd   = forwardPass(layers, weights, x);
+    const grads = addPenaltyGrads(layers, weights, backwardPass(layers, weights, fwd, loss.grad(fwd[L].a, target, lossParams)), reg);
+    const next  = optimizerStep(layers, weights, grads, optKey, params, state);
+    const rows  = layers.slice(1).map((layer, i) => {
+      const keys = LAYER_TYPES[layerType(layer)].trainable;
+      const norm = (w) => Math.sqrt(keys.reduce((acc, k) => acc + sumSq(w[k]), 0));
+      const dw   = Object.fromEntries(keys.map(k => [k, zipTensor(next.weights[i + 1][k], weights[i + 1][k], (a, b) => a - b)]));
+      return { l: i + 1, type: layerType(layer), theta: norm(weights[i + 1]), g: Math.sqrt(keys.reduce((acc, k) => acc + sumSq(grads[i + 1][`d${k}`]), 0)), dw: norm(dw), trainable: keys.length > 0 };
+    });
+    const objective = (w, a) => loss.value(a, target, lossParams) + penaltyValue(layers, w, reg);
+    return { grads, next, rows, before: objective(weights, fwd[L].a), after: objective(next.weights, forwardPass(layers, next.weights, x)[L].a) };
+  }, [tab, layers, weights, x, target, lossKey, lossParams, reg, optKey, params, state, L]);
+
+  const stage = (title, body, note) => (
+    <div style={{ flex: 1, minWidth: 150, background: "rgba(0,0,0,0.25)", borderRadius: 8, padding: "10px 12px" }}>
+      <div style={{ ...secLabel, marginBottom: 6 }}>{title}</div>
+      <div style={{ overflowX: "auto" }}>{body}</div>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", marginTop: 6, lineHeight: 1.5 }}>{note}</div>
+    </div>
+  );
+  const arrow = <div style={{ alignSelf: "center", color: "rgba(255,255,255,0.25)", fontSize: 16 }}>&#8594;</div>;
+  const th = { padding: "5px 10px", textAlign: "right", fontSize: 9, letterSpacing: "0.08em", textTransform: "uppercase", color: "rgba(255,255,255,0.25)", fontWeight: 600 };
+  const td = { padding: "5px 10px", textAlign: "right", fontFamily: "monospace", fontSize: 11, color: "rgba(255,255,255,0.55)" };
+  const obj = reg.key === "none" ? "\\mathcal{L}" : "\\mathcal{J}";
+
+  return (
+    <div style={{ background: "rgba(251,113,133,0.03)", border: "1px solid rgba(251,113,133,0.15)", borderRadius: 12, padding: "16px 18px", marginTop: 10 }}>
+      <div style={{ fontWeight: 700, color: "#fb7185", fontSize: 13, letterSpacing: "-0.01em", marginBottom: 14 }}>Update Step</div>
+
+      {/* Optimiser selector */}
+      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 14 }}>
+        {Object.entries(OPTIMIZERS).map(([key, o]) => {
+          const active = key === optKey;
+          return (
+            <button key={key} onClick={() => setOptKey(key)} title={o.label}
+              style={{ background: active ? `${o.color}22` : "rgba(255,255,255,0.03)", border: `1px solid ${active ? `${o.color}66` : "rgba(255,255,255,0.08)"}`, borderRadius: 8, padding: "5px 12px", cursor: "pointer", transition: "all 0.15s" }}>
+              <div style={{ fontSize: 11, fontWeight: 600, color: active ? o.color : "rgba(255,255,255,0.55)" }}>{o.label}</div>
+              <div style={{ fontSize: 9, color: active ? `${o.color}99` : "rgba(255,255,255,0.25)", marginTop: 1 }}>{o.tag}</div>
+            </button>
+          );
+        })}
+      </div>
+
+      {/* Hyperparameter sliders */}
+      <div style={{ background: "rgba(0,0,0,0.2)", borderRadius: 8, padding: "10px 14px", marginBottom: 14, display: "flex", flexDirection: "column", gap: 10 }}>
+        {[...OPT_PARAMS, ...opt.params].map(p => (
+          <div key={p.key}>
+            <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
+              <span style={{ fontSize: 11, color: "rgba(255,255,255,0.5)", fontFamily: "monospace" }}>{p.label}</span>
+              <span style={{ fontSize: 11, color: opt.color, fontFamily: "monospace", fontWeight: 700 }}>{params[p.key]}</span>
+            </div>
+            <input type="range" min={p.min} max={p.max} step={p.step} value={params[p.key]}
+              onChange={e => setParam(p.key, parseFloat(e.target.value))}
+              style={{ width: "100%", accentColor: opt.color, cursor: "pointer" }} />
+          </div>
+        ))}
+      </div>
+
+      {/* Sub-tabs: Update rule | Derivation | One step */}
+      <div style={{ display: "flex", gap: 4, marginBottom: 12 }}>
+        {["Update rule", "Derivation", "One step"].map((t, i) => (
+          <button key={i} onClick={() => setTab(i)} style={{
+            background: tab === i ? "rgba(255,255,255,0.07)" : "none",
+            border: `1px solid ${tab === i ? "rgba(255,255,255,0.15)" : "rgba(255,255,255,0.06)"}`,
+            color: tab === i ? "rgba(255,255,255,0.8)" : "rgba(255,255,255,0.35)",
+            borderRadius: 6, padding: "4px 12px", cursor: "pointer", fontSize: 11, fontWeight: 500,
+          }}>{t}</button>
+        ))}
+      </div>
+
+      {tab === 0 && (
+        <div>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+            {stage("1 · Loss", <T tex="\mathcal{L}(\theta) \in \mathbb{R}" />, "one number: how wrong the prediction is")}
+            {arrow}
+            {stage("2 · Gradient", <T tex="g_t = \nabla_\theta \mathcal{L}(\theta_{t-1})" />, "one number per parameter, from backpropagation: which way is uphill")}
+            {arrow}
+            {stage("3 · Update", <T tex="\theta_t = \theta_{t-1} + \Delta\theta_t" />, `what ${opt.label} makes of the gradient: the step actually taken`)}
+          </div>
+          <div style={{ background: "rgba(0,0,0,0.3)", borderRadius: 8, padding: "16px 18px", borderLeft: `3px solid ${opt.color}88`, marginBottom: 10, overflowX: "auto" }}>
+            <T d tex={opt.formula(params)} />
+          </div>
+          <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.7, paddingLeft: 4 }}>
+            {opt.note(params)}
+            {opt.slots > 0 && <> It keeps {opt.slots} extra value{opt.slots > 1 ? "s" : ""} per parameter between steps, counted in the memory estimate.</>}
+          </div>
+        </div>
+      )}
+
+      {tab === 1 && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+          {opt.derivation.map((d, i) => (
+            <div key={i} style={{ background: "rgba(0,0,0,0.2)", borderRadius: 8, padding: "12px 14px", borderLeft: `2px solid ${opt.color}55` }}>
+              <div style={{ fontSize: 12, fontWeight: 600, color: opt.color, marginBottom: 6 }}>{d.heading}</div>
+              <div style={{ fontSize: 11, color: "rgba(255,255,255,0.55)", lineHeight: 1.75 }}>{d.body(params)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {tab === 2 && step && (
+        <div>
+          <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 12 }}>
+            {stage("Loss now", <T tex={`${obj} = ${fmtNum(step.before, 4)}`} />, reg.key === "none" ? "on the current input and target" : "on the current input and target, weight penalty included")}
+            {arrow}
+            {stage("Gradient", <T tex={`\\lVert g \\rVert = ${fmtNum(Math.sqrt(step.rows.reduce((acc, r) => acc + r.g ** 2, 0)), 3)}`} />, "over every trainable parameter")}
+            {arrow}
+            {stage(`After step ${(state?.t ?? 0) + 1}`, <T tex={`${obj} = ${fmtNum(step.after, 4)}`} />,
+              step.after < step.before ? `down by ${fmtNum(step.before - step.after, 3)}` : "the step overshot: the loss went up")}
+          </div>
+
+          <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11, marginBottom: 12 }}>
+            <thead>
+              <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.07)" }}>
+                <th style={{ ...th, textAlign: "left" }}>Layer</th>
+                {["‖θ‖", "‖g‖", "‖Δθ‖", "‖Δθ‖ / ‖θ‖"].map(h => <th key={h} style={th}>{h}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {step.rows.filter(r => r.trainable).map(r => (
+                <tr key={r.l} onClick={() => r.type === "dense" && setPick(r.l)}
+                  style={{ borderBottom: "1px solid rgba(255,255,255,0.04)", cursor: r.type === "dense" ? "pointer" : "default", background: r.l === l ? "rgba(251,113,133,0.06)" : "none" }}>
+                  <td style={{ ...td, textAlign: "left" }}>
+                    <T tex={`l_{${r.l}}`} />
+                    {r.type !== "dense" && <span style={{ marginLeft: 6, fontSize: 9, color: LAYER_TYPES[r.type].color }}>{LAYER_TYPES[r.type].label}</span>}
+                  </td>
+                  <td style={td}>{fmtNum(r.theta, 3)}</td>
+                  <td style={td}>{fmtNum(r.g, 3)}</td>
+                  <td style={td}>{fmtNum(r.dw, 3)}</td>
+                  <td style={td}>{r.theta ? (r.dw / r.theta).toExponential(1) : "--"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div style={secLabel}>Layer {l}: before, gradient, after</div>
+          <div style={{ display: "flex", gap: 12, flexWrap: "wrap", alignItems: "flex-start", marginBottom: 12 }}>
+            {[["before", weights[l].W, weights[l].b], ["gradient", step.grads[l].dW, step.grads[l].db], [`after step ${(state?.t ?? 0) + 1}`, step.next.weights[l].W, step.next.weights[l].b]].map(([caption, W, b], i) => (
+              <div key={i}>
+                <div style={{ fontSize: 9, color: i === 1 ? "#f472b6" : "rgba(255,255,255,0.4)", fontFamily: "monospace", marginBottom: 4 }}>{caption}</div>
+                <WeightMatrix W={W} b={b} nin={layers[l - 1].nodes} nout={layers[l].nodes} layerIdx={l} grad={i === 1} />
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <button onClick={() => { onWeights(step.next.weights); setState(step.next.state); }}
+              style={{ background: `${opt.color}22`, border: `1px solid ${opt.color}66`, color: opt.color, borderRadius: 7, padding: "6px 14px", cursor: "pointer", fontSize: 11, fontWeight: 600 }}>
+              apply step {(state?.t ?? 0) + 1}
+            </button>
+            {state && (
+              <button onClick={() => setState(null)} style={{ background: "none", border: "1px solid rgba(255,255,255,0.1)", color: "rgba(255,255,255,0.45)", borderRadius: 7, padding: "6px 12px", cursor: "pointer", fontSize: 11 }}>
+                forget optimiser state
+              </button>
+            )}
+            <span style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", fontFamily: "monospace" }}>
+              one example, so this is the gradient of a single loss term{opt.slots ? `; ${opt.label} carries its state from step to step` : ""}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Training panel ───────────────────────────────────────────────────────────
+const EPOCHS_PER_TICK = 4;
+const HEATMAP_RES     = 44;
+const HEATMAP_PX      = 220;
+const DOMAIN          = 1.5;
+
+function hexRgb(hex) {
+  const v = parseInt(hex.slice(1), 16);
+  return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+}
+
+function TrainingPanel({ layers, weights, onWeights, task, lossKey, lossParams, reg }) {
+  const K = layers[layers.length - 1].nodes;
+  const [dataKey, setDataKey] = useState("xor");
+  const [lr, setLr]           = useState(0.3);
+  const [running, setRunning] = useState(false);
+  const [history, setHistory] = useState([]);
+  const [epoch, setEpoch]     = useState(0);
+  const wRef      = useRef(null);
+  const rngRef    = useRef(null);
+  const canvasRef = useRef(null);
+
+  const isDisabled = (key) => DATASETS[key].classes !== null && DATASETS[key].classes !== K;
+  const canTrain   = task === "classification" && layers[0].nodes === 2 && !layers[0].shape && K >= 2;
+  const blocker    = canTrain ? null : task !== "classification"
+    ? <>The toy datasets are labelled point clouds &#8212; switch the task back to <strong>classification</strong> to train on them.</>
+    : layers[0].shape
+    ? <>The toy datasets are 2-D points, not images &#8212; switch the input layer back to a <strong>vector</strong> of 2 to train.</>
+    : layers[0].nodes !== 2
+      ? <>Set the input layer to <strong>2 neurons</strong> <T tex="(x_1, x_2)" /> to train on 2-D data.</>
+      : <>The output layer needs at least <strong>2 classes</strong>.</>;
+
+  // Auto-switch away from fixed-class datasets when K changes
+  useEffect(() => {
+    if (isDisabled(dataKey)) setDataKey("spirals");
+  }, [K, dataKey]);
+
+  const data = useMemo(() => (K < 2 ? [] : DATASETS[dataKey].gen(makeRng(7), K)), [dataKey, K]);
+
+  // Architecture or dataset changes invalidate the run.
+  useEffect(() => { setRunning(false); setHistory([]); setEpoch(0); }, [layers, dataKey]);
+
+  useEffect(() => {
+    if (!running || !canTrain) return;
+    const id = setInterval(() => {
+      let stats;
+      for (let i = 0; i < EPOCHS_PER_TICK; i++) stats = trainEpoch(layers, wRef.current, data, LOSSES[lossKey], lossParams, reg, lr, rngRef.current);
+      onWeights(cloneWeights(wRef.current));
+      setHistory(h => [...h, stats].slice(-300));
+      setEpoch(e => e + EPOCHS_PER_TICK);
+    }, 40);
+    return () => clearInterval(id);
+  }, [running, canTrain, layers, data, lossKey, lossParams, reg, lr, onWeights]);
+
+  // Decision-boundary heatmap: class colour of argmax, opacity from confidence.
+  useEffect(() => {
+    const cv = canvasRef.current;
+    if (!cv || !canTrain) return;
+    const ctx  = cv.getContext("2d");
+    const cell = HEATMAP_PX / HEATMAP_RES;
+    const toPx = (v) => ((v + DOMAIN) / (2 * DOMAIN)) * HEATMAP_PX;
+    ctx.clearRect(0, 0, HEATMAP_PX, HEATMAP_PX);
+    for (let i = 0; i < HEATMAP_RES; i++) {
+      for (let j = 0; j < HEATMAP_RES; j++) {
+        const x1 = -DOMAIN + (i + 0.5) * (2 * DOMAIN / HEATMAP_RES);
+        const x2 =  DOMAIN - (j + 0.5) * (2 * DOMAIN / HEATMAP_RES);
+        const yh = forwardPass(layers, weights, [x1, x2])[layers.length - 1].a;
+        const k  = argmax(yh);
+        const [r, g, b] = hexRgb(CLASS_COLORS[k % CLASS_COLORS.length]);
+        ctx.fillStyle = `rgba(${r},${g},${b},${0.1 + 0.5 * (yh[k] - 1 / K) / (1 - 1 / K)})`;
+        ctx.fillRect(i * cell, j * cell, cell + 0.5, cell + 0.5);
+      }
+    }
+    for (const { x, y } of data) {
+      ctx.beginPath();
+      ctx.arc(toPx(x[0]), HEATMAP_PX - toPx(x[1]), 2.6, 0, 2 * Math.PI);
+      ctx.fillStyle = CLASS_COLORS[y % CLASS_COLORS.length];
+      ctx.fill();
+      ctx.strokeStyle = "rgba(255,255,255,0.7)";
+      ctx.lineWidth = 0.6;
+      ctx.stroke();
+    }
+  }, [layers, weights, data, canTrain, K]);
+
+  const start = () => { wRef.current = cloneWeights(weights); rngRef.current = makeRng(epoch + 1); setRunning(true); };
+  const reset = () => { setRunning(false); setHistory([]); setEpoch(0); onWeights(null); };
+
+  const last    = history[history.length - 1];
+  const maxLoss = Math.max(1e-9, ...history.map(h => h.loss));
+  const curve   = history.map((h, i) => `${(i / Math.max(1, history.length - 1)) * 220},${78 - (h.loss / maxLoss) * 72}`).join(" ");
+
+  const btn = (on) => ({
+    background: on ? "rgba(250,204,21,0.14)" : "rgba(255,255,255,0.04)",
+    border: `1px solid ${on ? "rgba(250,204,21,0.4)" : "rgba(255,255,255,0.1)"}`,
+    color: on ? "#fde047" : "rgba(255,255,255,0.45)",
+    borderRadius: 7, padding: "4px 11px", cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  });
+
+  return (
+    <div style={{ background: "rgba(250,204,21,0.025)", border: "1px solid rgba(250,204,21,0.14)", borderRadius: 12, padding: "16px 18px", marginTop: 12 }}>
+      <div style={{ fontWeight: 700, color: "#facc15", fontSize: 13, marginBottom: 14, letterSpacing: "-0.01em" }}>
+        Training &middot; toy 2-D datasets
+      </div>
+
+      {blocker ? (
+        <div style={{ fontSize: 11, color: "rgba(255,255,255,0.45)", lineHeight: 1.7 }}>{blocker}</div>
+      ) : (
+        <>
+          {/* Dataset selector */}
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 14 }}>
+            {Object.entries(DATASETS).map(([key, d]) => {
+              const disabled = isDisabled(key);
+              const active   = dataKey === key;
+              return (
+                <button key={key}
+                  onClick={() => { if (!disabled) setDataKey(key); }}
+                  title={disabled ? `Requires K=${d.classes} (current K=${K})` : d.label}
+                  style={{ ...btn(active), cursor: disabled ? "not-allowed" : "pointer", opacity: disabled ? 0.35 : 1 }}>
+                  {d.label}{d.classes === null ? ` (K=${K})` : ""}
+                </button>
+              );
+            })}
+          </div>
+
+          <div style={{ display: "flex", gap: 18, flexWrap: "wrap", alignItems: "flex-start" }}>
+            <canvas ref={canvasRef} width={HEATMAP_PX} height={HEATMAP_PX}
+              style={{ width: HEATMAP_PX, height: HEATMAP_PX, borderRadius: 8, border: "1px solid rgba(255,255,255,0.08)", background: "rgba(0,0,0,0.35)" }} />
+
+            <div style={{ flex: 1, minWidth: 220, display: "flex", flexDirection: "column", gap: 12 }}>
+              <div>
+                <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
+                  <span style={{ fontSize: 11, color: "rgba(255,255,255,0.5)", fontFamily: "monospace" }}>learning rate &eta;</span>
+                  <span style={{ fontSize: 11, color: "#facc15", fontFamily: "monospace", fontWeight: 700 }}>{lr}</span>
+                </div>
+                <input type="range" min={0.01} max={1} step={0.01} value={lr}
+                  onChange={e => setLr(parseFloat(e.target.value))}
+                  style={{ width: "100%", accentColor: "#facc15", cursor: "pointer" }} />
+              </div>
+
+              <div style={{ display: "flex", gap: 6 }}>
+                <button onClick={running ? () => setRunning(false) : start} style={btn(true)}>{running ? "pause" : "train"}</button>
+                <button onClick={reset} style={btn(false)}>reset weights</button>
+              </div>
+
+              <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr 1fr", gap: 8 }}>
+                {[
+                  { label: "Epoch",    val: epoch },
+                  { label: "Loss",     val: last ? fmtNum(last.loss, 3) : "--" },
+                  { label: "Accuracy", val: last ? `${(last.acc * 100).toFixed(1)}%` : "--" },
+                ].map(({ label, val }) => (
+                  <div key={label} style={{ textAlign: "center", background: "rgba(255,255,255,0.03)", borderRadius: 8, padding: "8px 4px" }}>
+                    <div style={{ fontSize: 14, fontWeight: 700, color: "#facc15", fontFamily: "monospace" }}>{val}</div>
+                    <div style={{ fontSize: 9, color: "rgba(255,255,255,0.28)", marginTop: 2 }}>{label}</div>
+                  </div>
+                ))}
+              </div>
 
-          {/* Dimension badges */}
-          <div style={{ marginBottom: 12, lineHeight: 2.2 }}>
-            <Dim tex={`W^{(${l})} \\in \\mathbb{R}^{${nout}\\times${nin}}`} />
-            <Dim tex={`b^{(${l})} \\in \\mathbb{R}^{${nout}}`} />
-            <Dim tex={`a^{(${lPrev})} \\in \\mathbb{R}^{${nin}}`} />
-            <Dim tex={`z^{(${l})} \\in \\mathbb{R}^{${nout}}`} />
-            <Dim tex={`a^{(${l})} \\in \\mathbb{R}^{${nout}}`} />
+              <div>
+                <div style={secLabel}>Loss curve &middot; {LOSSES[lossKey].label}{reg.key !== "none" && ` + ${REGULARIZERS[reg.key].label}`}</div>
+                <svg width="100%" viewBox="0 0 220 80" preserveAspectRatio="none" style={{ display: "block", background: "rgba(0,0,0,0.25)", borderRadius: 6 }}>
+                  {history.length > 1 && <polyline points={curve} fill="none" stroke="#facc15" strokeWidth={1.4} vectorEffect="non-scaling-stroke" />}
+                </svg>
+              </div>
+            </div>
           </div>
 
-          {/* Equations */}
-          <div style={{ background: "rgba(0,0,0,0.3)", borderRadius: 8, padding: "14px 18px", borderLeft: `3px solid ${color}77`, display: "flex", flexDirection: "column", gap: 16 }}>
-            <T d tex={`z^{(${l})} = W^{(${l})} a^{(${lPrev})} + b^{(${l})}`} />
-            <T d tex={`a^{(${l})} = \\sigma\\!\\bigl(z^{(${l})}\\bigr), \\qquad \\sigma(z) = ${ACT[ac]?.tex ?? "z"}`} />
+          <div style={{ marginTop: 12, fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.7 }}>
+            Full-batch gradient descent on {data.length} points with the loss selected above.
+            Switch a hidden layer to <strong style={{ color: ACT.Linear.color }}>Linear</strong> and the boundary stays a straight line;
+            switch it back to <strong style={{ color: ACT.ReLU.color }}>ReLU</strong> and it can bend.
           </div>
-          <div style={{ marginTop: 8, fontSize: 11, color: `${color}cc`, paddingLeft: 4 }}>{ACT[ac]?.desc()}</div>
+        </>
+      )}
+    </div>
+  );
+}
 
-          {/* Reasoning toggle */}
-          <button onClick={() => setShowWhy(s => !s)}
-            style={{ marginTop: 12, background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.1)", color: showWhy ? "#a5b4fc" : "rgba(255,255,255,0.4)", borderRadius: 7, padding: "5px 12px", cursor: "pointer", fontSize: 11, fontFamily: "monospace" }}>
-            {showWhy ? "hide" : "show"} reasoning
-          </button>
+// ─── Modal ────────────────────────────────────────────────────────────────────
+function Modal({ title, onClose, maxWidth = 660, children }) {
+  return (
+    <div onClick={onClose}
+      style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.72)", backdropFilter: "blur(7px)", zIndex: 50, display: "flex", alignItems: "center", justifyContent: "center" }}>
+      <div onClick={e => e.stopPropagation()}
+        style={{ background: "#0d1827", border: "1px solid rgba(99,102,241,0.35)", borderRadius: 16, padding: 28, maxWidth, width: "95vw", maxHeight: "88vh", overflowY: "auto", boxShadow: "0 40px 90px rgba(0,0,0,0.7)" }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 22 }}>
+          <h3 style={{ margin: 0, fontSize: 16, fontWeight: 700, color: "white", letterSpacing: "-0.02em" }}>{title}</h3>
+          <button onClick={onClose} style={{ background: "none", border: "none", color: "rgba(255,255,255,0.35)", cursor: "pointer", fontSize: 22, lineHeight: 1 }}>&#215;</button>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
 
-          {showWhy && (
-            <div style={{ marginTop: 10 }}>
+// ─── Session modal ────────────────────────────────────────────────────────────
+// autosaveNote reports an autosave that left out the weights or could not be written.
+function SessionModal({ session, onLoad, autosave, onAutosave, autosaveNote, onClose }) {
+  const [error, setError]   = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [paste, setPaste]   = useState("");
 
-              <Callout icon="&#128290;" color="#6366f1" title={<>Why is <T tex={`W^{(${l})}`} /> shaped <T tex={`${nout} \\times ${nin}`} />?</>}>
-                The weight matrix must map an input vector of size <strong style={{ color: "#94a3b8" }}>{nin}</strong> (the
-                previous layer) to an output vector of size <strong style={{ color }}>{nout}</strong> (this layer).
-                Multiplying a ({nout}&times;{nin}) matrix by a ({nin}&times;1) column vector yields a ({nout}&times;1) vector
-                -- one scalar per output neuron.
-                Entry <T tex={`W^{(${l})}_{ij}`} /> is the connection strength from neuron <em>j</em> in
-                layer {lPrev} to neuron <em>i</em> in layer {l}.
-                Row <em>i</em> of <T tex={`W^{(${l})}`} /> is therefore the learned "template"
-                that neuron <em>i</em> matches against its {nin} inputs.
-              </Callout>
-
-              <Callout icon="&#128208;" color="#f59e0b" title={<>What does <T tex={`W^{(${l})}a^{(${lPrev})} + b^{(${l})}`} /> compute geometrically?</>}>
-                <T tex={`W^{(${l})} a^{(${lPrev})} + b^{(${l})}`} /> is an <strong style={{ color: "#fcd34d" }}>affine transformation</strong>:
-                a linear map (rotation, scaling, shearing) followed by a translation.
-                For neuron <em>i</em>: <T tex={`z^{(${l})}_i = \\sum_{j=1}^{${nin}} W^{(${l})}_{ij} a^{(${lPrev})}_j + b^{(${l})}_i`} />.
-                This is a weighted sum of all {nin} inputs, with the bias acting as a learnable threshold.
-                Without the bias, every neuron's decision hyperplane is forced to pass through the origin.
-              </Callout>
-
-              <Callout icon="&#9889;" color={color} title={<>Why apply <T tex={`\\sigma_{\\text{${ac}}}`} /> after the linear step?</>}>
-                {ac === "Linear" ? (
-                  <>
-                    <strong style={{ color: "#f87171" }}>Warning: no non-linearity here.</strong> Composing
-                    purely linear layers is equivalent to a <em>single</em> linear layer regardless of depth --
-                    the product <T tex={`W^{(L)}\\cdots W^{(1)}`} /> is just another matrix, with the same
-                    expressiveness as a one-layer network. Linear activations are occasionally
-                    useful in a <em>final regression head</em>, but not in hidden layers of a classifier.
-                  </>
-                ) : (
-                  <>
-                    Stacking affine maps without non-linearity collapses to a single affine map --
-                    the network could only learn linear decision boundaries.
-                    Applying <strong style={{ color }}>{ac}</strong> element-wise introduces the
-                    non-linearity required to approximate complex functions.
-                    By the Universal Approximation Theorem, a network with at least one hidden layer
-                    using a non-linear activation can represent any continuous function on a compact domain.
-                  </>
-                )}
-              </Callout>
+  const load = (text, source) => {
+    try {
+      onLoad(parseSession(JSON.parse(text)));
+      setError(null);
+      setNotice(`Loaded session from ${source}.`);
+    } catch (e) {
+      setNotice(null);
+      setError(e instanceof SyntaxError ? `Not valid JSON: ${e.message}` : e.message);
+    }
+  };
 
-              <Callout icon="&#8596;" color="#94a3b8" title="Step-by-step dimension flow">
-                <div style={{ fontFamily: "monospace", fontSize: 11, lineHeight: 2.1 }}>
-                  <div>
-                    <T tex={`a^{(${lPrev})} \\in \\mathbb{R}^{${nin}}`} style={{ marginRight: 8 }} />
-                    input to this layer
-                  </div>
-                  <div>
-                    <T tex={`W^{(${l})} a^{(${lPrev})} \\in \\mathbb{R}^{${nout}}`} style={{ marginRight: 8 }} />
-                    ({nout}&times;{nin}) &middot; ({nin}&times;1) = ({nout}&times;1)
-                  </div>
-                  <div>
-                    <T tex={`z^{(${l})} = W^{(${l})} a^{(${lPrev})} + b^{(${l})} \\in \\mathbb{R}^{${nout}}`} style={{ marginRight: 8 }} />
-                    add bias
-                  </div>
-                  <div>
-                    <T tex={`a^{(${l})} = \\sigma(z^{(${l})}) \\in \\mathbb{R}^{${nout}}`} style={{ marginRight: 8 }} />
-                    element-wise {ac}
-                  </div>
-                </div>
-              </Callout>
+  const exportFile = () => {
+    downloadBlob(new Blob([JSON.stringify(session, null, 2)], { type: "application/json" }), "nnet-session.json");
+  };
 
-              {isLast && (
-                <Callout icon="&#127937;" color="#34d399" title="Output layer: why softmax?">
-                  The final linear step produces raw <em>logits</em> <T tex={`z^{(${l})} \\in \\mathbb{R}^{${nout}}`} /> --
-                  real numbers with no probabilistic meaning.
-                  Softmax exponentiates and normalises them so all outputs are positive and sum to 1,
-                  giving them a direct interpretation as class probabilities.
-                  The exponential also amplifies differences between logits, producing confident predictions
-                  when one class dominates.
-                </Callout>
-              )}
-            </div>
-          )}
+  const copyLink = async () => {
+    const { text: hash, dropped } = trimSession(session, encodeHash, SHARE_MAX);
+    if (hash.length > SHARE_MAX) {
+      setNotice(null);
+      setError(`This session is ${fmtBytes(hash.length)} as a link, too long for a URL even without weights -- use Download JSON instead.`);
+      return;
+    }
+    const note = dropped ? ` Weights left out (${fmtBytes(encodeHash(session).length)} as a link): they regenerate from seed ${session.seed}, so download the JSON to keep edited or trained ones.` : "";
+    window.history.replaceState(null, "", hash);
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setNotice(`Share link copied to the clipboard.${note}`);
+    } catch {
+      setNotice(`Share link written to the address bar -- copy it from there.${note}`);
+    }
+    setError(null);
+  };
 
-          {/* Matrix toggle */}
-          <button onClick={() => setShowMat(s => !s)}
-            style={{ marginTop: 10, background: "rgba(255,255,255,0.04)", border: "1px solid rgba(255,255,255,0.1)", color: "rgba(255,255,255,0.4)", borderRadius: 7, padding: "5px 12px", cursor: "pointer", fontSize: 11, fontFamily: "monospace" }}>
-            {showMat ? "hide" : "show"} weight matrix
+  const btn = {
+    background: "rgba(99,102,241,0.14)", border: "1px solid rgba(99,102,241,0.35)", color: "#a5b4fc",
+    borderRadius: 8, padding: "7px 14px", cursor: "pointer", fontSize: 12, fontWeight: 500,
+  };
+
+  return (
+    <Modal title="Session -- save, load and share" onClose={onClose} maxWidth={560}>
+      <div style={secLabel}>Export</div>
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 8 }}>
+        <button onClick={exportFile} style={btn}>&#8681; Download JSON</button>
+        <button onClick={copyLink} style={btn}>&#128279; Copy share link</button>
+      </div>
+      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.7, marginBottom: 20 }}>
+        Schema v{SESSION_VERSION}: {session.layers.length} layers, loss <code>{session.loss.key}</code>
+        {session.weights ? ", edited/trained weights included" : ", weights regenerated from seed " + session.seed}.
+      </div>
+
+      <div style={secLabel}>Import</div>
+      <input type="file" accept="application/json,.json"
+        onChange={async e => { const f = e.target.files?.[0]; if (f) load(await f.text(), f.name); e.target.value = ""; }}
+        style={{ fontSize: 11, color: "rgba(255,255,255,0.5)", marginBottom: 10 }} />
+      <textarea value={paste} onChange={e => setPaste(e.target.value)} placeholder="...or paste session JSON here" rows={5}
+        style={{ width: "100%", background: "#0a1525", border: "1px solid rgba(255,255,255,0.1)", borderRadius: 8, color: "#cbd5e1", fontFamily: "monospace", fontSize: 11, padding: 10, resize: "vertical" }} />
+      <button onClick={() => load(paste, "pasted JSON")} disabled={!paste.trim()} style={{ ...btn, marginTop: 8, opacity: paste.trim() ? 1 : 0.4 }}>Load pasted JSON</button>
+
+      {error && <div style={{ marginTop: 12, fontSize: 11, color: "#fca5a5", background: "rgba(239,68,68,0.08)", border: "1px solid rgba(239,68,68,0.25)", borderRadius: 7, padding: "8px 12px" }}>{error}</div>}
+      {notice && <div style={{ marginTop: 12, fontSize: 11, color: "#86efac" }}>{notice}</div>}
+
+      <div style={{ marginTop: 20, paddingTop: 16, borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+        <label style={{ display: "flex", alignItems: "center", gap: 8, fontSize: 12, color: "rgba(255,255,255,0.6)", cursor: "pointer" }}>
+          <input type="checkbox" checked={autosave} onChange={e => onAutosave(e.target.checked)} />
+          Autosave to this browser (localStorage) and restore on reload
+        </label>
+        {autosave && autosaveNote && <div style={{ marginTop: 8, fontSize: 11, color: "#fcd34d", lineHeight: 1.6 }}>{autosaveNote}</div>}
+      </div>
+    </Modal>
+  );
+}
+
+// ─── Code export modal ────────────────────────────────────────────────────────
+function CodeModal({ layers, lossKey, lossParams, reg, opt, weights, onClose }) {
+  const [target, setTarget] = useState("torch");
+  const [embed, setEmbed]   = useState(false);
+  const [copied, setCopied] = useState(false);
+  const code = CODEGEN[target].gen(layers, lossKey, lossParams, reg, opt, embed ? weights : null);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      setCopied(false);
+    }
+  };
+
+  return (
+    <Modal title="Export as code" onClose={onClose} maxWidth={760}>
+      <div style={{ display: "flex", gap: 4, marginBottom: 12, alignItems: "center" }}>
+        {Object.entries(CODEGEN).map(([key, c]) => (
+          <button key={key} onClick={() => setTarget(key)} style={{
+            background: target === key ? "rgba(255,255,255,0.07)" : "none",
+            border: `1px solid ${target === key ? "rgba(255,255,255,0.15)" : "rgba(255,255,255,0.06)"}`,
+            color: target === key ? "rgba(255,255,255,0.8)" : "rgba(255,255,255,0.35)",
+            borderRadius: 6, padding: "4px 12px", cursor: "pointer", fontSize: 11, fontWeight: 500,
+          }}>{c.label}</button>
+        ))}
+        {target === "numpy" && (
+          <label style={{ marginLeft: 10, display: "flex", alignItems: "center", gap: 6, fontSize: 11, color: "rgba(255,255,255,0.5)", cursor: "pointer" }}>
+            <input type="checkbox" checked={embed} onChange={e => setEmbed(e.target.checked)} />
+            embed current weights
+          </label>
+        )}
+        <button onClick={copy}
+          style={{ marginLeft: "auto", background: "rgba(99,102,241,0.14)", border: "1px solid rgba(99,102,241,0.35)", color: copied ? "#86efac" : "#a5b4fc", borderRadius: 7, padding: "5px 12px", cursor: "pointer", fontSize: 11, fontFamily: "monospace" }}>
+          {copied ? "copied" : "copy"}
+        </button>
+      </div>
+      <pre style={{ margin: 0, background: "rgba(0,0,0,0.4)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 8, padding: "14px 16px", fontSize: 11, lineHeight: 1.6, color: "#cbd5e1", fontFamily: "'JetBrains Mono', monospace", overflow: "auto", maxHeight: "60vh" }}>
+        {code}
+      </pre>
+      <div style={{ marginTop: 10, fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.7 }}>
+        Loss: <strong style={{ color: LOSSES[lossKey].color }}>{LOSSES[lossKey].label}</strong>, mapped to the framework's equivalent.
+        Weight shapes follow this app's <T tex="W \in \mathbb{R}^{n_{\text{out}} \times n_{\text{in}}}" /> convention, which matches <code>nn.Linear</code>; Keras stores the transpose.
+      </div>
+    </Modal>
+  );
+}
+
+// ─── Model import modal ───────────────────────────────────────────────────────
+const IMPORT_EXAMPLES = {
+  Keras: JSON.stringify({
+    class_name: "Sequential",
+    config: { name: "mlp", layers: [
+      { class_name: "InputLayer", config: { batch_shape: [null, 4] } },
+      { class_name: "Dense", config: { units: 6, activation: "relu", kernel_initializer: { class_name: "HeNormal" } } },
+      { class_name: "Dropout", config: { rate: 0.2 } },
+      { class_name: "Dense", config: { units: 6, activation: "tanh" } },
+      { class_name: "Dense", config: { units: 3, activation: "softmax" } },
+    ] },
+  }, null, 2),
+  "Keras CNN": JSON.stringify({
+    class_name: "Sequential",
+    config: { name: "cnn", layers: [
+      { class_name: "InputLayer", config: { batch_shape: [null, 6, 6, 1] } },
+      { class_name: "Conv2D", config: { filters: 2, kernel_size: [3, 3], strides: [1, 1], padding: "valid", activation: "relu" } },
+      { class_name: "MaxPooling2D", config: { pool_size: [2, 2] } },
+      { class_name: "Flatten", config: {} },
+      { class_name: "Dense", config: { units: 3, activation: "softmax" } },
+    ] },
+  }, null, 2),
+  ONNX: JSON.stringify([
+    { op_type: "Gemm", weight_shape: [5, 2], transB: 1 },
+    { op_type: "Relu" },
+    { op_type: "Gemm", weight_shape: [3, 5], transB: 1 },
+    { op_type: "Softmax" },
+  ], null, 2),
+  "ONNX MatMul": JSON.stringify([
+    { op_type: "Gemm", weight_shape: [4, 8] },
+    { op_type: "Tanh" },
+    { op_type: "MatMul", weight_shape: [8, 2] },
+    { op_type: "Sigmoid" },
+  ], null, 2),
+};
+
+function ImportModal({ onApply, onClose }) {
+  const [text, setText]     = useState("");
+  const [result, setResult] = useState(null);
+  const [error, setError]   = useState(null);
+
+  const parse = (src) => {
+    try {
+      setResult(importModel(src));
+      setError(null);
+    } catch (e) {
+      setResult(null);
+      setError(e.message);
+    }
+  };
+
+  const btn = {
+    background: "rgba(99,102,241,0.14)", border: "1px solid rgba(99,102,241,0.35)", color: "#a5b4fc",
+    borderRadius: 8, padding: "6px 13px", cursor: "pointer", fontSize: 12, fontWeight: 500,
+  };
+
+  return (
+    <Modal title="Import a model definition" onClose={onClose} maxWidth={620}>
+      <div style={{ fontSize: 11, color: "rgba(255,255,255,0.4)", lineHeight: 1.7, marginBottom: 12 }}>
+        Paste a Keras <code>model.to_json()</code> config or an ONNX-style list of Gemm/MatMul/Conv nodes.
+        Dense, Conv2D, pooling, Flatten, Dropout, BatchNorm and LayerNorm layers and the activations {Object.keys(KERAS_ACT_IN).join(", ")} are supported.
+      </div>
+      <div style={{ display: "flex", gap: 6, alignItems: "center", marginBottom: 8, flexWrap: "wrap" }}>
+        <input type="file" accept="application/json,.json"
+          onChange={async e => { const f = e.target.files?.[0]; if (f) { const src = await f.text(); setText(src); parse(src); } e.target.value = ""; }}
+          style={{ fontSize: 11, color: "rgba(255,255,255,0.5)" }} />
+        {Object.keys(IMPORT_EXAMPLES).map(k => (
+          <button key={k} onClick={() => { setText(IMPORT_EXAMPLES[k]); setResult(null); setError(null); }}
+            style={{ background: "none", border: "1px solid rgba(255,255,255,0.1)", color: "rgba(255,255,255,0.45)", borderRadius: 6, padding: "3px 9px", cursor: "pointer", fontSize: 10, fontFamily: "monospace" }}>
+            {k} example
           </button>
-          {showMat && <div style={{ marginTop: 12 }}><WeightMatrix nin={nin} nout={nout} layerIdx={l} /></div>}
+        ))}
+      </div>
+      <textarea value={text} onChange={e => setText(e.target.value)} rows={10} placeholder="{ &quot;class_name&quot;: &quot;Sequential&quot;, ... }"
+        style={{ width: "100%", background: "#0a1525", border: "1px solid rgba(255,255,255,0.1)", borderRadius: 8, color: "#cbd5e1", fontFamily: "monospace", fontSize: 11, padding: 10, resize: "vertical" }} />
+      <button onClick={() => parse(text)} disabled={!text.trim()} style={{ ...btn, marginTop: 8, opacity: text.trim() ? 1 : 0.4 }}>Parse</button>
+
+      {error && <div style={{ marginTop: 12, fontSize: 11, color: "#fca5a5", background: "rgba(239,68,68,0.08)", border: "1px solid rgba(239,68,68,0.25)", borderRadius: 7, padding: "8px 12px" }}>{error}</div>}
+
+      {result && (
+        <div style={{ marginTop: 14, background: "rgba(0,0,0,0.25)", borderRadius: 8, padding: "12px 14px" }}>
+          <div style={secLabel}>Parsed &middot; {result.source}</div>
+          <div style={{ display: "flex", gap: 6, flexWrap: "wrap", alignItems: "center", fontFamily: "monospace", fontSize: 11 }}>
+            {result.layers.map((l, i) => (
+              <span key={i} style={{ color: i === 0 ? "#6366f1" : LAYER_TYPES[layerType(l)].color ?? ACT[l.activation]?.color ?? "#94a3b8" }}>
+                {i > 0 && <span style={{ color: "rgba(255,255,255,0.2)", marginRight: 6 }}>&#8594;</span>}
+                {sizeLabel(l)}{i > 0 && <span style={{ opacity: 0.6 }}> {layerSummary(l)}</span>}
+              </span>
+            ))}
+          </div>
+          {result.warnings.map((w, i) => (
+            <div key={i} style={{ marginTop: 8, fontSize: 11, color: "#fcd34d" }}>&#9888; {w}</div>
+          ))}
+          <button onClick={() => { onApply(result.layers); onClose(); }} style={{ ...btn, marginTop: 12 }}>Replace current architecture</button>
         </div>
       )}
-    </div>
+    </Modal>
   );
 }
 
-// ─── Loss panel ───────────────────────────────────────────────────────────────
-function LossPanel({ K }) {
-  const [lossKey, setLossKey] = useState("ce");
-  const [params, setParams]   = useState({ gamma: 2, eps: 0.1 });
-  const [tab, setTab]         = useState(0); // 0 = formula, 1 = derivation
+// ─── Export modal ─────────────────────────────────────────────────────────────
+function ExportModal({ layers, lossKey, lossParams, reg, graphRef, onClose }) {
+  const [kind, setKind] = useState("tex");
+  const state = { layers, lossKey, lossParams, reg };
+  const text  = kind === "tex" ? buildLatexDoc(state) : buildMarkdownDoc(state);
+  const svg   = () => graphRef.current?.querySelector("svg");
 
-  const loss       = LOSSES[lossKey];
-  const isDisabled = (key) => LOSSES[key].requiresBinary && K !== 2;
+  const btn = {
+    background: "rgba(99,102,241,0.14)", border: "1px solid rgba(99,102,241,0.35)", color: "#a5b4fc",
+    borderRadius: 8, padding: "7px 14px", cursor: "pointer", fontSize: 12, fontWeight: 500,
+  };
+  const tab = (on) => ({
+    background: on ? "rgba(255,255,255,0.07)" : "none",
+    border: `1px solid ${on ? "rgba(255,255,255,0.15)" : "rgba(255,255,255,0.06)"}`,
+    color: on ? "rgba(255,255,255,0.8)" : "rgba(255,255,255,0.35)",
+    borderRadius: 6, padding: "4px 12px", cursor: "pointer", fontSize: 11, fontWeight: 500,
+  });
 
-  // Auto-switch away from binary-only loss when K changes
-  useEffect(() => {
-    if (LOSSES[lossKey].requiresBinary && K !== 2) setLossKey("ce");
-  }, [K, lossKey]);
+  return (
+    <Modal title="Export derivation and graph" onClose={onClose} maxWidth={760}>
+      <div style={secLabel}>Network graph</div>
+      <div style={{ display: "flex", gap: 8, marginBottom: 20 }}>
+        <button onClick={() => svg() && exportSvg(svg())} style={btn}>&#8681; SVG</button>
+        <button onClick={() => svg() && exportPng(svg())} style={btn}>&#8681; PNG</button>
+      </div>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", marginTop: -12, marginBottom: 20 }}>
+        Exports the graph as currently zoomed. With every neuron drawn, a large net's edges are painted on a canvas and left out.
+      </div>
 
-  const setParam = (key, val) => setParams(p => ({ ...p, [key]: val }));
+      <div style={secLabel}>Derivation document</div>
+      <div style={{ display: "flex", gap: 4, marginBottom: 10, alignItems: "center" }}>
+        <button onClick={() => setKind("tex")} style={tab(kind === "tex")}>LaTeX</button>
+        <button onClick={() => setKind("md")} style={tab(kind === "md")}>Markdown</button>
+        <button onClick={() => downloadBlob(new Blob([text], { type: "text/plain" }), kind === "tex" ? "derivation.tex" : "derivation.md")}
+          style={{ ...btn, marginLeft: "auto", padding: "5px 12px", fontSize: 11 }}>
+          &#8681; derivation.{kind}
+        </button>
+      </div>
+      <pre style={{ margin: 0, background: "rgba(0,0,0,0.4)", border: "1px solid rgba(255,255,255,0.06)", borderRadius: 8, padding: "14px 16px", fontSize: 11, lineHeight: 1.6, color: "#cbd5e1", fontFamily: "'JetBrains Mono', monospace", overflow: "auto", maxHeight: "50vh" }}>
+        {text}
+      </pre>
+    </Modal>
+  );
+}
 
+// ─── Param explainer modal ────────────────────────────────────────────────────
+function ParamExplainer({ layers, onClose }) {
+  const { totalW, totalB, total, breakdown } = computeParams(layers);
+  const hasNorm = breakdown.some(b => b.type === "batchnorm" || b.type === "layernorm");
+  const hasConv = breakdown.some(b => b.type === "conv2d");
+  const buffers = breakdown.reduce((acc, b) => acc + b.buffers, 0);
+  const penalised = breakdown.reduce((acc, b) => acc + (LAYER_TYPES[b.type].fans ? b.W : 0), 0);
   return (
-    <div style={{ background: "rgba(52,211,153,0.03)", border: "1px solid rgba(52,211,153,0.15)", borderRadius: 12, padding: "16px 18px", marginTop: 4 }}>
-      <div style={{ fontWeight: 700, color: "#34d399", fontSize: 13, marginBottom: 14, letterSpacing: "-0.01em" }}>
-        Classification Objective
+    <Modal title="Parameter count -- how it is computed" onClose={onClose}>
+      <div style={{ background: "rgba(0,0,0,0.3)", borderRadius: 10, padding: "16px 20px", marginBottom: 24, borderLeft: "3px solid rgba(99,102,241,0.5)" }}>
+        <div style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", fontFamily: "monospace", marginBottom: 12, letterSpacing: "0.08em", textTransform: "uppercase" }}>General formula:</div>
+        <T d tex="\text{Params} = \underbrace{\sum_{l=1}^{L} n_l \cdot n_{l-1}}_{\text{weights}} \;+\; \underbrace{\sum_{l=1}^{L} n_l}_{\text{biases}} \;=\; \sum_{l=1}^{L} n_l\,(n_{l-1} + 1)" />
+        <div style={{ marginTop: 12, fontSize: 11, color: "rgba(255,255,255,0.4)" }}>
+          That sum runs over dense layers. Each BatchNorm / LayerNorm layer adds <T tex="2\,n_l" /> (a scale <T tex="\gamma" /> and a
+          shift <T tex="\beta" /> per feature). A Conv2D layer with <T tex="f" /> filters of size <T tex="k \times k" /> over <T tex="c" /> input
+          channels adds <T tex="f\,(c\,k^2 + 1)" /> however large the image is; pooling, Flatten, Dropout and residual skips add none.
+        </div>
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+        <thead>
+          <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+            {["Transition", "Tensor", "Formula", "Count"].map(h => (
+              <th key={h} style={{ padding: "6px 12px", textAlign: h === "Count" ? "right" : "left", fontSize: 9, letterSpacing: "0.1em", textTransform: "uppercase", color: "rgba(255,255,255,0.28)", fontWeight: 600 }}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {breakdown.flatMap(({ layer, type, tensors }) => {
+            const trainable = LAYER_TYPES[type].trainable;
+            const rows = tensors.filter(t => trainable.includes(t.key));
+            const first = (
+              <td style={{ padding: "7px 12px", fontFamily: "monospace", fontSize: 11, color: "rgba(255,255,255,0.45)", whiteSpace: "nowrap" }}>
+                <T tex={`l_{${layer - 1}} \\to l_{${layer}}`} />
+                {type !== "dense" && <span style={{ marginLeft: 6, fontSize: 9, color: LAYER_TYPES[type].color }}>{LAYER_TYPES[type].label}</span>}
+              </td>
+            );
+            if (!rows.length) return [
+              <tr key={`z${layer}`} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
+                {first}
+                <td colSpan={2} style={{ padding: "7px 12px", fontSize: 11, color: "rgba(255,255,255,0.3)" }}>no parameters</td>
+                <td style={{ padding: "7px 14px", fontFamily: "monospace", fontSize: 12, color: "rgba(255,255,255,0.3)", textAlign: "right" }}>0</td>
+              </tr>,
+            ];
+            return rows.map(({ key, dims, count }, i) => (
+              <tr key={`${key}${layer}`} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)", background: i ? "rgba(0,0,0,0.1)" : "none" }}>
+                {i === 0 ? first : <td style={{ padding: "5px 12px" }} />}
+                <td style={{ padding: i ? "5px 12px" : "7px 12px" }}><T tex={`${TENSOR_TEX[key]}^{(${layer})}`} /></td>
+                <td style={{ padding: i ? "5px 12px" : "7px 12px", fontFamily: "monospace", fontSize: 11, color: "rgba(255,255,255,0.38)" }}>
+                  <T tex={dims.join(" \\times ")} />
+                </td>
+                <td style={{ padding: i ? "5px 14px" : "7px 14px", fontFamily: "monospace", fontSize: i ? 11 : 12, fontWeight: i ? 600 : 700, color: i ? "#a78bfa" : "#818cf8", textAlign: "right" }}>{count.toLocaleString()}</td>
+              </tr>
+            ));
+          })}
+        </tbody>
+        <tfoot>
+          <tr style={{ borderTop: "1px solid rgba(255,255,255,0.1)" }}>
+            <td colSpan={3} style={{ padding: "9px 12px", fontFamily: "monospace", fontSize: 11, color: "rgba(255,255,255,0.38)" }}>Weights total{(hasNorm || hasConv) && <> (incl. {hasConv && "K"}{hasConv && hasNorm && ", "}{hasNorm && <>&gamma;</>})</>}</td>
+            <td style={{ padding: "9px 14px", fontFamily: "monospace", fontSize: 12, fontWeight: 700, color: "#818cf8", textAlign: "right" }}>{totalW.toLocaleString()}</td>
+          </tr>
+          <tr>
+            <td colSpan={3} style={{ padding: "5px 12px 9px", fontFamily: "monospace", fontSize: 11, color: "rgba(255,255,255,0.38)" }}>Biases total{hasNorm && <> (incl. &beta;)</>}</td>
+            <td style={{ padding: "5px 14px 9px", fontFamily: "monospace", fontSize: 12, fontWeight: 700, color: "#a78bfa", textAlign: "right" }}>{totalB.toLocaleString()}</td>
+          </tr>
+          <tr style={{ borderTop: "2px solid rgba(99,102,241,0.4)", background: "rgba(99,102,241,0.07)" }}>
+            <td colSpan={3} style={{ padding: "10px 12px", fontFamily: "monospace", fontSize: 13, fontWeight: 700, color: "white" }}>Total parameters</td>
+            <td style={{ padding: "10px 14px", fontFamily: "monospace", fontSize: 15, fontWeight: 700, color: "#6366f1", textAlign: "right" }}>{total.toLocaleString()}</td>
+          </tr>
+        </tfoot>
+      </table>
+      {buffers > 0 && (
+        <div style={{ marginTop: 16 }}>
+          <Callout icon="&#8505;" color="#2dd4bf" title="Running statistics are not parameters">
+            BatchNorm also stores a running mean <T tex="\mu" /> and variance <T tex="\sigma^2" /> per feature
+            ({buffers.toLocaleString()} values in this network). They are updated by averaging, not by gradient descent,
+            so they are excluded from the count above.
+          </Callout>
+        </div>
+      )}
+      <div style={{ marginTop: 16 }}>
+        <Callout icon="&#955;" color="#60a5fa" title="Weight penalties skip the biases">
+          L1, L2 and weight decay are conventionally applied to the weights <T tex="W" /> and kernels <T tex="K" /> only
+          ({penalised.toLocaleString()} of the {total.toLocaleString()} parameters here). A bias shifts a unit's output without
+          scaling its input, so shrinking it makes the function no smoother and only costs fit{hasNorm && <>. The same goes
+          for the norm scale <T tex="\gamma" /> and shift <T tex="\beta" /></>}.
+        </Callout>
       </div>
+    </Modal>
+  );
+}
 
-      {/* Loss selector */}
-      <div style={{ display: "flex", gap: 6, flexWrap: "wrap", marginBottom: 14 }}>
-        {Object.entries(LOSSES).map(([key, l]) => {
-          const disabled = isDisabled(key);
-          const active   = lossKey === key;
-          return (
-            <button key={key}
-              onClick={() => { if (!disabled) setLossKey(key); }}
-              title={disabled ? `Requires K=2 (current K=${K})` : l.label}
-              style={{
-                background: active ? `${l.color}22` : "rgba(255,255,255,0.03)",
-                border: `1px solid ${active ? `${l.color}66` : "rgba(255,255,255,0.08)"}`,
-                borderRadius: 8, padding: "5px 12px",
-                cursor: disabled ? "not-allowed" : "pointer",
-                opacity: disabled ? 0.35 : 1, transition: "all 0.15s",
-              }}>
-              <div style={{ fontSize: 11, fontWeight: 600, color: active ? l.color : "rgba(255,255,255,0.55)" }}>{l.label}</div>
-              <div style={{ fontSize: 9, color: active ? `${l.color}99` : "rgba(255,255,255,0.25)", marginTop: 1 }}>{l.tag}</div>
-            </button>
-          );
-        })}
+// ─── Cost explainer ───────────────────────────────────────────────────────────
+function CostExplainer({ layers, batch, onBatch, optKey, onOpt, onClose }) {
+  const cost = computeCost(layers, batch, optKey);
+  const top  = cost.breakdown.reduce((a, b) => (b.macs > a.macs ? b : a));
+  const conv = cost.breakdown.find(b => b.type === "conv2d");
+  const params = computeParams(layers).breakdown;
+  const th   = { padding: "6px 12px", textAlign: "right", fontSize: 9, letterSpacing: "0.1em", textTransform: "uppercase", color: "rgba(255,255,255,0.28)", fontWeight: 600 };
+  const td   = { padding: "6px 12px", fontFamily: "monospace", fontSize: 11, color: "rgba(255,255,255,0.6)", textAlign: "right" };
+  const pill = (on) => ({
+    background: on ? "rgba(251,146,60,0.14)" : "rgba(255,255,255,0.04)",
+    border: `1px solid ${on ? "rgba(251,146,60,0.4)" : "rgba(255,255,255,0.1)"}`,
+    color: on ? "#fb923c" : "rgba(255,255,255,0.45)",
+    borderRadius: 6, padding: "3px 10px", cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  });
+  const memRows = [
+    ["Parameters", cost.memory.params, "weights and biases, plus any BatchNorm running statistics"],
+    ["Gradients", cost.memory.grads, "one per trainable parameter"],
+    [`${OPTIMIZERS[optKey].label} state`, cost.memory.opt, `${OPTIMIZERS[optKey].slots} value${OPTIMIZERS[optKey].slots === 1 ? "" : "s"} per trainable parameter`],
+    ["Activations", cost.memory.acts, `kept for the backward pass, ${batch} example${batch > 1 ? "s" : ""}`],
+  ];
+  return (
+    <Modal title="Compute and memory -- one training step" onClose={onClose} maxWidth={720}>
+      <div style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap", marginBottom: 16 }}>
+        <span style={{ ...secLabel, marginBottom: 0, marginRight: 4 }}>batch size B</span>
+        {BATCH_SIZES.map(b => <button key={b} onClick={() => onBatch(b)} style={pill(b === batch)}>{b}</button>)}
+        <span style={{ ...secLabel, marginBottom: 0, margin: "0 4px 0 14px" }}>optimiser</span>
+        {Object.entries(OPTIMIZERS).map(([key, o]) => <button key={key} onClick={() => onOpt(key)} style={pill(key === optKey)}>{o.label}</button>)}
       </div>
 
-      {/* Hyperparameter sliders */}
-      {loss.params.length > 0 && (
-        <div style={{ background: "rgba(0,0,0,0.2)", borderRadius: 8, padding: "10px 14px", marginBottom: 14, display: "flex", flexDirection: "column", gap: 10 }}>
-          {loss.params.map(p => (
-            <div key={p.key}>
-              <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 4 }}>
-                <span style={{ fontSize: 11, color: "rgba(255,255,255,0.5)", fontFamily: "monospace" }}>{p.label}</span>
-                <span style={{ fontSize: 11, color: loss.color, fontFamily: "monospace", fontWeight: 700 }}>{params[p.key]}</span>
-              </div>
-              <input type="range" min={p.min} max={p.max} step={p.step} value={params[p.key]}
-                onChange={e => setParam(p.key, parseFloat(e.target.value))}
-                style={{ width: "100%", accentColor: loss.color, cursor: "pointer" }} />
-              <div style={{ display: "flex", justifyContent: "space-between", fontSize: 9, color: "rgba(255,255,255,0.2)", fontFamily: "monospace", marginTop: 2 }}>
-                <span>{p.min}</span><span>{p.max}</span>
-              </div>
-            </div>
-          ))}
+      <div style={{ background: "rgba(0,0,0,0.3)", borderRadius: 10, padding: "16px 20px", marginBottom: 20, borderLeft: "3px solid rgba(251,146,60,0.5)" }}>
+        <T d tex={`\\text{MACs}_{\\text{dense}} = B\\, n_{l-1}\\, n_l, \\qquad \\text{FLOPs} \\approx 2\\,\\text{MACs}, \\qquad \\text{FLOPs}_{\\text{backward}} \\approx 2 \\times \\text{FLOPs}_{\\text{forward}}`} />
+        <div style={{ marginTop: 12, fontSize: 11, color: "rgba(255,255,255,0.4)", lineHeight: 1.7 }}>
+          A multiply-accumulate (MAC) is one <T tex="w \cdot a" /> added to a running sum, two FLOPs. The backward pass does the matrix
+          product twice, once for <T tex="\partial \mathcal{L} / \partial W^{(l)} = \delta^{(l)} a^{(l-1)\top}" /> and once for
+          {" "}<T tex="W^{(l)\top} \delta^{(l)}" />, which the first layer can skip. Bias adds, activations, norms, pooling and
+          skip sums are counted one FLOP per element; they rarely matter next to the products.
         </div>
+      </div>
+
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+        <thead>
+          <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+            <th style={{ ...th, textAlign: "left" }}>Transition</th>
+            {["MACs", "Forward FLOPs", "Backward FLOPs", "Stored values"].map(h => <th key={h} style={th}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {cost.breakdown.map(b => (
+            <tr key={b.layer} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)", background: b === top && b.macs ? "rgba(251,146,60,0.06)" : "none" }}>
+              <td style={{ ...td, textAlign: "left", color: "rgba(255,255,255,0.45)", whiteSpace: "nowrap" }}>
+                <T tex={`l_{${b.layer - 1}} \\to l_{${b.layer}}`} />
+                {b.type !== "dense" && <span style={{ marginLeft: 6, fontSize: 9, color: LAYER_TYPES[b.type].color }}>{LAYER_TYPES[b.type].label}</span>}
+              </td>
+              <td style={td}>{fmtSI(b.macs)}</td>
+              <td style={td}>{fmtSI(b.fwd)}</td>
+              <td style={td}>{fmtSI(b.bwd)}</td>
+              <td style={td}>{fmtSI(b.acts)}</td>
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr style={{ borderTop: "2px solid rgba(251,146,60,0.4)", background: "rgba(251,146,60,0.07)" }}>
+            <td style={{ ...td, textAlign: "left", fontSize: 13, fontWeight: 700, color: "white" }}>Per step</td>
+            <td style={{ ...td, fontWeight: 700, color: "#fb923c" }}>{fmtSI(cost.macs)}</td>
+            <td style={{ ...td, fontWeight: 700, color: "#fb923c" }}>{fmtSI(cost.fwd)}</td>
+            <td style={{ ...td, fontWeight: 700, color: "#fb923c" }}>{fmtSI(cost.bwd)}</td>
+            <td style={{ ...td, fontWeight: 700, color: "#fb923c" }}>{fmtSI(cost.memory.acts)}</td>
+          </tr>
+        </tfoot>
+      </table>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", fontFamily: "monospace", margin: "6px 0 20px" }}>
+        forward + backward &#8776; {fmtSI(cost.fwd + cost.bwd)}FLOPs; stored values include the {fmtSI(batch * layers[0].nodes)} inputs
+      </div>
+
+      <div style={secLabel}>Memory</div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+        <thead>
+          <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+            <th style={{ ...th, textAlign: "left" }}>Tensor</th>
+            <th style={th}>Values</th>
+            {Object.values(DTYPES).map(d => <th key={d.label} style={th}>{d.label}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {memRows.map(([label, count, note]) => (
+            <tr key={label} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
+              <td style={{ ...td, textAlign: "left" }}>
+                {label}
+                <div style={{ fontSize: 9, color: "rgba(255,255,255,0.25)", marginTop: 2 }}>{note}</div>
+              </td>
+              <td style={td}>{fmtSI(count)}</td>
+              {Object.values(DTYPES).map(d => <td key={d.label} style={td}>{fmtBytes(count * d.bytes)}</td>)}
+            </tr>
+          ))}
+        </tbody>
+        <tfoot>
+          <tr style={{ borderTop: "2px solid rgba(251,146,60,0.4)", background: "rgba(251,146,60,0.07)" }}>
+            <td colSpan={2} style={{ ...td, textAlign: "left", fontSize: 13, fontWeight: 700, color: "white" }}>Total</td>
+            {Object.keys(DTYPES).map(k => <td key={k} style={{ ...td, fontWeight: 700, color: "#fb923c" }}>{fmtBytes(cost.bytes(k))}</td>)}
+          </tr>
+        </tfoot>
+      </table>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", lineHeight: 1.6, margin: "6px 0 20px" }}>
+        Every row scales with the bytes per value. In practice fp16 training keeps an fp32 master copy of the weights and the
+        optimiser state, and int8 is an inference format: only the parameters and activations are stored that way.
+      </div>
+
+      {top.macs > 0 && (
+        <Callout icon="&#8599;" color="#fb923c" title="Why a wide layer costs what it does">
+          The most expensive transition is <T tex={`l_{${top.layer - 1}} \\to l_{${top.layer}}`} /> with {fmtSI(top.macs / batch)} MACs per example.
+          {top.type === "dense"
+            ? <> A dense layer uses each of its <T tex={`${layers[top.layer - 1].nodes} \\times ${layers[top.layer].nodes}`} /> weights exactly once per
+                example, so its MACs are its weight count times <T tex="B" />. Widen both ends by 2&times; and the cost goes up 4&times;, while the
+                activations it has to store only double. Parameters do not grow with <T tex="B" />; activations and FLOPs do.</>
+            : <> Each of its {params[top.layer - 1].W.toLocaleString()} kernel weights is reused at every output position, so the cost follows the
+                size of the feature maps, not the parameter count.</>}
+          {conv && top.type === "dense" && <> The convolution at <T tex={`l_{${conv.layer}}`} /> works the other way: few weights, each reused at every position of the image.</>}
+        </Callout>
       )}
+    </Modal>
+  );
+}
 
-      {/* Sub-tabs: Formula | Derivation */}
-      <div style={{ display: "flex", gap: 4, marginBottom: 12 }}>
-        {["Formula", "Derivation"].map((t, i) => (
-          <button key={i} onClick={() => setTab(i)} style={{
-            background: tab === i ? "rgba(255,255,255,0.07)" : "none",
-            border: `1px solid ${tab === i ? "rgba(255,255,255,0.15)" : "rgba(255,255,255,0.06)"}`,
-            color: tab === i ? "rgba(255,255,255,0.8)" : "rgba(255,255,255,0.35)",
-            borderRadius: 6, padding: "4px 12px", cursor: "pointer", fontSize: 11, fontWeight: 500,
-          }}>{t}</button>
-        ))}
+// ─── Signal propagation modal ─────────────────────────────────────────────────
+// One value per probe layer, left to right; log plots span whatever decades the values
+// cover and clamp infinities to the top edge. Flagged layers are drawn in red.
+function FlowPlot({ stats, get, flag, log = false, color, label }) {
+  const W = 300, H = 90, pad = 6;
+  const raw = stats.map(get);
+  const ys  = raw.map(v => (log ? Math.log10(Math.max(Number.isFinite(v) ? v : 1e300, 1e-300)) : Number.isFinite(v) ? v : 0));
+  const lo  = Math.min(...ys), hi = Math.max(...ys), span = hi - lo || 1;
+  const px  = (i) => pad + (i / Math.max(1, stats.length - 1)) * (W - 2 * pad);
+  const py  = (y) => H - pad - ((y - lo) / span) * (H - 2 * pad);
+  return (
+    <div>
+      <div style={{ ...secLabel, marginBottom: 4 }}>{label}</div>
+      <svg width="100%" viewBox={`0 0 ${W} ${H}`} style={{ display: "block", background: "rgba(0,0,0,0.25)", borderRadius: 6 }}>
+        <polyline points={ys.map((y, i) => `${px(i)},${py(y)}`).join(" ")} fill="none" stroke={color} strokeWidth={1.4} />
+        {stats.map((s, i) => <circle key={i} cx={px(i)} cy={py(ys[i])} r={s[flag] ? 2.4 : 1.6} fill={s[flag] ? "#f87171" : color} />)}
+      </svg>
+      <div style={{ display: "flex", justifyContent: "space-between", fontSize: 9, color: "rgba(255,255,255,0.3)", fontFamily: "monospace", marginTop: 3 }}>
+        <span>{log ? `10^${lo.toFixed(1)}` : fmtNum(lo, 2)} … {log ? `10^${hi.toFixed(1)}` : fmtNum(hi, 2)}</span>
+        <span>l = 1 … {stats.length}</span>
       </div>
+    </div>
+  );
+}
 
-      {tab === 0 && (
-        <div>
-          {/* Loss formula */}
-          <div style={{ background: "rgba(0,0,0,0.3)", borderRadius: 8, padding: "16px 18px", borderLeft: `3px solid ${loss.color}88`, marginBottom: 10 }}>
-            <T d tex={loss.fullFormula(K, params)} />
-          </div>
+// Consecutive layers with the same flag become one "layers a–b" range.
+function flagRanges(stats, key) {
+  const out = [];
+  stats.forEach(s => {
+    const last = out[out.length - 1];
+    if (!s[key]) return;
+    if (last && last.flag === s[key] && last.to === s.l - 1) last.to = s.l;
+    else out.push({ flag: s[key], from: s.l, to: s.l });
+  });
+  return out;
+}
 
-          {/* Note */}
-          <div style={{ fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.7, paddingLeft: 4, marginBottom: 12 }}>
-            {loss.note(K, params)}
-          </div>
+function SignalModal({ layers, onClose }) {
+  const [depth, setDepth] = useState(32);
+  const [width, setWidth] = useState(64);
+  const [init, setInit]   = useState(() => layers[1].init ?? DEFAULT_INIT);
+  const [seed, setSeed]   = useState(1);
+  const probe = useMemo(() => probeLayers(layers, depth, width, init), [layers, depth, width, init]);
+  const stats = useMemo(() => analyzeSignal(probe, seed), [probe, seed]);
+  const cycle = [...new Set(probe.slice(1, -1).map(l => l.activation))];
 
-          {/* Output layer */}
-          <div style={{ paddingTop: 12, borderTop: "1px solid rgba(255,255,255,0.06)", marginBottom: 12, display: "flex", flexDirection: "column", gap: 10 }}>
-            <div style={secLabel}>Output layer</div>
-            <T d tex={`\\hat{y} = \\operatorname{softmax}\\!\\left(z^{(L)}\\right) \\in \\Delta^{K-1}, \\quad K = ${K}`} />
-            <div style={{ fontSize: 11, color: "rgba(255,255,255,0.28)", fontFamily: "monospace" }}>
-              All {K} outputs satisfy <T tex={"\\hat{y}_i \\geq 0"} /> and <T tex={`\\sum_{i=1}^{${K}} \\hat{y}_i = 1`} />.
+  const pill = (on) => ({
+    background: on ? "rgba(244,114,182,0.14)" : "rgba(255,255,255,0.04)",
+    border: `1px solid ${on ? "rgba(244,114,182,0.4)" : "rgba(255,255,255,0.1)"}`,
+    color: on ? "#f472b6" : "rgba(255,255,255,0.45)",
+    borderRadius: 6, padding: "2px 9px", cursor: "pointer", fontSize: 10, fontFamily: "monospace",
+  });
+  const row = (label, items) => (
+    <div style={{ display: "flex", alignItems: "center", gap: 5, flexWrap: "wrap", marginBottom: 8 }}>
+      <span style={{ ...secLabel, marginBottom: 0, width: 52 }}>{label}</span>
+      {items}
+    </div>
+  );
+  const ranges = [
+    ...flagRanges(stats, "actFlag").map(r => ({ ...r, what: r.flag === "collapse" ? "activations collapse" : "activations blow up" })),
+    ...flagRanges(stats, "gradFlag").map(r => ({ ...r, what: r.flag === "collapse" ? "gradients vanish" : "gradients explode" })),
+  ];
+
+  return (
+    <Modal title="Signal propagation -- activations and gradients across depth" onClose={onClose} maxWidth={860}>
+      {row("depth", PROBE_DEPTHS.map(d => <button key={d} onClick={() => setDepth(d)} style={pill(d === depth)}>{d}</button>))}
+      {row("width", PROBE_WIDTHS.map(w => <button key={w} onClick={() => setWidth(w)} style={pill(w === width)}>{w}</button>))}
+      {row("init", <>
+        {Object.entries(INITS).map(([key, s]) => <button key={key} onClick={() => setInit(key)} style={pill(key === init)}>{s.label}</button>)}
+        <button onClick={() => setSeed(s => s + 1)} style={{ ...pill(false), marginLeft: "auto" }}>&#8634; resample</button>
+      </>)}
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.35)", fontFamily: "monospace", margin: "4px 0 14px" }}>
+        {depth} hidden layers of {width} cycling {cycle.join(" → ")} from this net{depth > MAX_LAYERS ? ` (past the editor's limit of ${MAX_LAYERS})` : ""},
+        {" "}{INITS[init].label} weights, {probeSamples(depth, width)} samples of <T tex="x \sim \mathcal{N}(0, I)" />
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(3, 1fr)", gap: 14 }}>
+        <FlowPlot stats={stats} get={s => s.mean} flag="actFlag" color="#818cf8" label={<>mean of <T tex="a^{(l)}" /></>} />
+        <FlowPlot stats={stats} get={s => s.variance} flag="actFlag" log color="#a78bfa" label={<>variance of <T tex="a^{(l)}" /> (log)</>} />
+        <FlowPlot stats={stats} get={s => s.grad} flag="gradFlag" log color="#f472b6" label={<><T tex="\lVert \partial \mathcal{L} / \partial W^{(l)} \rVert_F" /> (log)</>} />
+      </div>
+
+      <div style={{ marginTop: 14, fontSize: 11, lineHeight: 1.8 }}>
+        {ranges.length === 0
+          ? <span style={{ color: "#34d399" }}>&#10003; No layer is off by more than {FLOW_RATIO}&times;: the signal survives all {depth} layers in both directions.</span>
+          : ranges.map((r, i) => (
+              <div key={i} style={{ color: "#fca5a5" }}>
+                &#9888; {r.from === r.to ? `layer ${r.from}` : `layers ${r.from}–${r.to}`}: {r.what} (more than {FLOW_RATIO}&times; off)
+              </div>
+            ))}
+      </div>
+
+      <Callout icon="&#128201;" color="#f472b6" title="Why depth multiplies the problem">
+        Each layer scales the variance of the signal by a factor that depends on the width, the weights and the activation:
+        {" "}<T tex="\mathrm{Var}(z^{(l)}) \approx n_{l-1}\,\mathrm{Var}(W)\,\mathbb{E}\bigl[(a^{(l-1)})^2\bigr]" /> going forward and
+        {" "}<T tex="\mathrm{Var}(\delta^{(l-1)}) \approx n_l\,\mathrm{Var}(W)\,\mathbb{E}\bigl[\sigma'(z)^2\bigr]\,\mathrm{Var}(\delta^{(l)})" /> coming back.
+        After <T tex={`${depth}`} /> layers the factor is raised to the {depth}th power, so anything but 1 ends at zero or infinity.
+        {" "}<strong style={{ color: ACT.ReLU.color }}>ReLU</strong> keeps half of its input, so <strong>He</strong>'s <T tex="\mathrm{Var}(W) = 2/n" /> puts the
+        factor back at 1; <strong style={{ color: ACT.Tanh.color }}>Tanh</strong> is close to the identity near 0 and suits <strong>Xavier</strong>.
+        {" "}<strong style={{ color: ACT.Sigmoid.color }}>Sigmoid</strong> has <T tex="\sigma'(z) \le 1/4" />, so under Xavier each layer cuts the gradient variance by 16&times; or more.
+      </Callout>
+    </Modal>
+  );
+}
+
+// ─── Compare modal ────────────────────────────────────────────────────────────
+// Two configurations side by side: the current one, a pinned snapshot or a preset. Rows
+// of the layer diff line up by index, so a deeper net shows its extra layers against
+// blanks; cells that differ are tinted.
+function CompareModal({ layers, snapshots, batch, optKey, onClose }) {
+  const sources = [
+    { key: "current", label: "current", layers },
+    ...snapshots.map((s, i) => ({ key: `snap${i}`, label: s.name, layers: s.layers })),
+    ...Object.entries(PRESETS).map(([key, p]) => ({ key: `preset-${key}`, label: p.label, layers: syncLayers(p.layers()) })),
+  ];
+  const [keys, setKeys] = useState(() => ["current", snapshots.length ? `snap${snapshots.length - 1}` : "preset-toy"]);
+  const [a, b] = keys.map(k => sources.find(s => s.key === k) ?? sources[0]);
+
+  const stats = [a, b].map(({ layers: ls }) => {
+    const p = computeParams(ls), c = computeCost(ls, batch, optKey);
+    return { depth: ls.length - 1, total: p.total, totalW: p.totalW, totalB: p.totalB, flops: c.fwd + c.bwd, bytes: c.bytes("fp32"), errors: shapeErrors(ls).length };
+  });
+  const statRows = [
+    ["Depth", "depth", "transitions with a weight layer or operation", String],
+    ["Parameters", "total", "trainable weights and biases", v => v.toLocaleString()],
+    ["Weights", "totalW", "", v => v.toLocaleString()],
+    ["Biases", "totalB", "", v => v.toLocaleString()],
+    ["FLOPs / step", "flops", `forward + backward at batch ${batch}`, v => `${fmtSI(v)}FLOPs`],
+    ["Memory / step", "bytes", `fp32 with ${OPTIMIZERS[optKey].label}`, fmtBytes],
+  ];
+  const delta = (va, vb, fmt) => {
+    if (va === vb) return <span style={{ color: "rgba(255,255,255,0.25)" }}>=</span>;
+    const rel = !va ? "" : vb >= 2 * va ? ` (×${(vb / va).toPrecision(3)})` : ` (${vb > va ? "+" : ""}${(((vb - va) / va) * 100).toFixed(0)}%)`;
+    return <span style={{ color: vb > va ? "#fb923c" : "#34d399" }}>{vb > va ? "+" : "−"}{fmt(Math.abs(vb - va))}{rel}</span>;
+  };
+
+  const breakdowns = [a, b].map(side => computeParams(side.layers).breakdown);
+  const describe = (ls, k, l) => {
+    const layer = ls[l];
+    if (!layer) return null;
+    if (l === 0) return { type: "input", size: sizeLabel(layer), act: "", params: "" };
+    const type = layerType(layer), { W, B } = breakdowns[k][l - 1];
+    return { type: LAYER_TYPES[type].label, size: sizeLabel(layer), act: type === "dense" || LAYER_TYPES[type].activates ? layer.activation : "", params: W + B };
+  };
+  const depth = Math.max(a.layers.length, b.layers.length);
+
+  const th   = { padding: "6px 10px", textAlign: "left", fontSize: 9, letterSpacing: "0.1em", textTransform: "uppercase", color: "rgba(255,255,255,0.28)", fontWeight: 600 };
+  const td   = { padding: "5px 10px", fontFamily: "monospace", fontSize: 11, color: "rgba(255,255,255,0.6)" };
+  const diff = { background: "rgba(251,191,36,0.08)", color: "#fbbf24" };
+  const pill = (on) => ({
+    background: on ? "rgba(99,102,241,0.14)" : "rgba(255,255,255,0.04)",
+    border: `1px solid ${on ? "rgba(99,102,241,0.4)" : "rgba(255,255,255,0.1)"}`,
+    color: on ? "#a5b4fc" : "rgba(255,255,255,0.45)",
+    borderRadius: 6, padding: "2px 9px", cursor: "pointer", fontSize: 10, fontFamily: "monospace",
+  });
+
+  return (
+    <Modal title="Compare two architectures" onClose={onClose} maxWidth={1180}>
+      <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: 20 }}>
+        {[a, b].map((side, k) => (
+          <div key={k} style={{ minWidth: 0 }}>
+            <div style={{ display: "flex", gap: 4, flexWrap: "wrap", alignItems: "center", marginBottom: 8 }}>
+              <span style={{ ...secLabel, marginBottom: 0, marginRight: 4 }}>{"AB"[k]}</span>
+              {sources.map(s => <button key={s.key} onClick={() => setKeys(ks => ks.map((x, j) => (j === k ? s.key : x)))} style={pill(s.key === side.key)}>{s.label}</button>)}
+            </div>
+            <NetworkSVG layers={side.layers} selectedLayer={-1} onSelect={() => {}} />
+            <div style={{ background: "rgba(0,0,0,0.3)", borderRadius: 7, padding: "10px 14px", overflowX: "auto", marginTop: 8 }}>
+              <T d tex={buildCompTex(side.layers)} />
             </div>
+            {stats[k].errors > 0 && (
+              <div style={{ fontSize: 10, color: "#fca5a5", marginTop: 6 }}>the layer shapes of {side.label} do not line up; its costs count what can be counted</div>
+            )}
           </div>
+        ))}
+      </div>
+
+      <div style={{ ...secLabel, marginTop: 22 }}>Totals</div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+        <thead>
+          <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+            {["", `A: ${a.label}`, `B: ${b.label}`, "B − A"].map(h => <th key={h} style={th}>{h}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {statRows.map(([label, key, note, fmt]) => (
+            <tr key={key} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
+              <td style={td}>
+                {label}
+                {note && <div style={{ fontSize: 9, color: "rgba(255,255,255,0.25)", marginTop: 2 }}>{note}</div>}
+              </td>
+              <td style={td}>{fmt(stats[0][key])}</td>
+              <td style={td}>{fmt(stats[1][key])}</td>
+              <td style={td}>{delta(stats[0][key], stats[1][key], fmt)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ ...secLabel, marginTop: 22 }}>Layer by layer</div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+        <thead>
+          <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
+            <th style={th}>l</th>
+            {["A", "B"].flatMap(s => ["type", "shape", "activation", "params"].map(h => <th key={s + h} style={th}>{s} {h}</th>))}
+          </tr>
+        </thead>
+        <tbody>
+          {[...Array(depth)].map((_, l) => {
+            const da = describe(a.layers, 0, l), db = describe(b.layers, 1, l);
+            const cell = (d, f) => <td key={f} style={{ ...td, ...(da?.[f] !== db?.[f] ? diff : {}) }}>{d ? (f === "params" && d[f] !== "" ? d[f].toLocaleString() : d[f]) : "—"}</td>;
+            return (
+              <tr key={l} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
+                <td style={{ ...td, color: "rgba(255,255,255,0.35)" }}>{l}</td>
+                {[da, db].flatMap(d => ["type", "size", "act", "params"].map(f => cell(d, f)))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", fontFamily: "monospace", marginTop: 6 }}>
+        costs use the batch size and optimiser of the cost panel
+      </div>
+    </Modal>
+  );
+}
+
+// ─── Exercises ────────────────────────────────────────────────────────────────
+// Each kind draws a question from a seeded rng: { prompt, input, options?, check, hint,
+// solution }. input is "shape", "number", "vector" or "choice"; check gets the raw text
+// (or the option index of a choice) and says whether it is right. Hints are the callouts
+// the cards show for the same step, on another layer where they would give the answer away.
+const randInt = (rng, lo, hi) => lo + Math.floor(rng() * (hi - lo + 1));
+const pickOne = (rng, arr) => arr[Math.floor(rng() * arr.length)];
+
+// A dense classifier with depth transitions and widths up to maxWidth; norm inserts a
+// BatchNorm after the first hidden layer.
+function randomNet(rng, depth, maxWidth, norm = false) {
+  const layers = [{ nodes: randInt(rng, 2, maxWidth), activation: "Linear" }];
+  for (let l = 1; l < depth; l++) layers.push({ nodes: randInt(rng, 2, maxWidth), activation: pickOne(rng, ["ReLU", "Tanh", "Sigmoid"]), init: "he" });
+  layers.push({ nodes: randInt(rng, 2, 4), activation: "Softmax", init: "xavier" });
+  if (norm) layers.splice(2, 0, { nodes: layers[1].nodes, type: "batchnorm", ...LAYER_TYPES.batchnorm.defaults });
+  return syncLayers(layers);
+}
+
+const widthsText = (layers) => layers.map(l => (layerType(l) === "batchnorm" ? `BN(${l.nodes})` : l.nodes)).join(" → ");
+const parseNums  = (text) => text.replace(/[[\]()]/g, " ").trim().split(/[\s,;]+/).filter(Boolean).map(Number);
+const bmatrixTex = (rows) => `\\begin{bmatrix}${rows.map(r => r.join(" & ")).join(" \\\\ ")}\\end{bmatrix}`;
+
+const EXERCISES = {
+  shape: {
+    label: "Weight shapes",
+    make: (rng) => {
+      const layers = randomNet(rng, randInt(rng, 2, 4), 9);
+      const L = layers.length - 1, l = randInt(rng, 1, L), other = l === L ? l - 1 : l + 1;
+      const [nin, nout] = [layers[l - 1].nodes, layers[l].nodes];
+      return {
+        prompt: <>A dense network has layer widths <code>{widthsText(layers)}</code>. What is the shape of <T tex={`W^{(${l})}`} />?</>,
+        input: "shape", placeholder: "rows × columns",
+        check: (text) => { const m = text.match(/^\s*(\d+)\s*[x×*,]\s*(\d+)\s*$/i); return !!m && +m[1] === nout && +m[2] === nin; },
+        hint: <ShapeCallout l={other} nin={layers[other - 1].nodes} nout={layers[other].nodes} color={ACT[layers[other].activation].color} />,
+        solution: <><T tex={`W^{(${l})} \\in \\mathbb{R}^{${nout} \\times ${nin}}`} />: one row per neuron of layer {l}, one column per neuron of layer {l - 1}.</>,
+      };
+    },
+  },
+  params: {
+    label: "Parameter counts",
+    make: (rng) => {
+      const layers = randomNet(rng, randInt(rng, 2, 4), 12, rng() < 0.3);
+      const { total, breakdown } = computeParams(layers);
+      return {
+        prompt: <>How many trainable parameters does a network with layer widths <code>{widthsText(layers)}</code> have?</>,
+        input: "number", placeholder: "count",
+        check: (text) => Number(text.replace(/[\s,_]/g, "")) === total,
+        hint: (
+          <Callout icon="&#128290;" color="#6366f1" title="How are parameters counted?">
+            A dense layer has a weight per pair of neurons and a bias per output neuron, <T tex="n_l\,(n_{l-1} + 1)" /> in all.
+            A BatchNorm layer learns a scale <T tex="\gamma" /> and a shift <T tex="\beta" /> per feature; its running mean and
+            variance are statistics, not parameters.
+          </Callout>
+        ),
+        solution: <T d tex={`${breakdown.map(b => `\\underbrace{${b.W} + ${b.B}}_{l_{${b.layer}}}`).join(" + ")} = ${total}`} />,
+      };
+    },
+  },
+  lossGrad: {
+    label: "Loss gradients",
+    make: (rng) => {
+      const p   = defaultLossParams();
+      const key = pickOne(rng, Object.keys(LOSSES)), { task } = LOSSES[key];
+      const K   = LOSSES[key].requiresBinary ? 2 : randInt(rng, 2, 5), tex = LOSSES[key].gradFormula(K, p);
+      // Distractors share the task's head. A loss whose grad matches this one on a few shared
+      // probe outputs is the same answer in other notation (bce and ce at K = 2), not a distractor.
+      const probe  = makeRng(K);
+      const probes = Array.from({ length: 3 }, () => {
+        const yh = activate({ activation: TASKS[task].head }, Array.from({ length: K }, () => 2 * gaussian(probe)));
+        return [yh, TASKS[task].target(task === "classification" ? Math.floor(probe() * K) : yh.map(() => (task === "multilabel" ? Number(probe() < 0.5) : gaussian(probe))), K)];
+      });
+      const same   = (k) => probes.every(([yh, t]) => LOSSES[k].grad(yh, t, p).every((g, i) => Math.abs(g - LOSSES[key].grad(yh, t, p)[i]) < 1e-9));
+      const others = Object.keys(LOSSES).filter(k => LOSSES[k].task === task && !(LOSSES[k].requiresBinary && K !== 2) && !same(k));
+      const options = [];
+      while (options.length < 3 && others.length) options.push(others.splice(Math.floor(rng() * others.length), 1)[0]);
+      options.splice(randInt(rng, 0, options.length), 0, key);
+      return {
+        prompt: <>Which loss, with its usual output head and default settings, has this gradient for <T tex={`K = ${K}`} /> outputs?<div style={{ marginTop: 10 }}><T d tex={tex} /></div></>,
+        input: "choice", options: options.map(k => LOSSES[k].label),
+        check: (i) => options[i] === key,
+        hint: <Callout icon="&#127919;" color={LOSSES[key].color} title={`${TASKS[task].label} head`}><T tex={TASKS[task].outputTex(K)} />. {TASKS[task].lossHint()}</Callout>,
+        solution: <>{LOSSES[key].label}: <T tex={LOSSES[key].fullFormula(K, p)} />. {LOSSES[key].gradNote()}</>,
+      };
+    },
+  },
+  forward: {
+    label: "Forward step",
+    make: (rng) => {
+      const nin = randInt(rng, 2, 3), nout = randInt(rng, 2, 3);
+      const layers  = [{ nodes: nin, activation: "Linear" }, { nodes: nout, activation: "ReLU", init: "he" }];
+      const W = Array.from({ length: nout }, () => Array.from({ length: nin }, () => randInt(rng, -2, 2)));
+      const b = Array.from({ length: nout }, () => randInt(rng, -1, 1));
+      const x = Array.from({ length: nin }, () => randInt(rng, -2, 2));
+      const z = forwardPass(layers, [null, { W, b }], x)[1].z;
+      return {
+        prompt: <>Compute <T tex="z^{(1)} = W^{(1)} x + b^{(1)}" /> for
+          <div style={{ marginTop: 10 }}><T d tex={`W^{(1)} = ${bmatrixTex(W)}, \\quad b^{(1)} = ${bmatrixTex(b.map(v => [v]))}, \\quad x = ${bmatrixTex(x.map(v => [v]))}`} /></div></>,
+        input: "vector", placeholder: `${nout} numbers, e.g. 1, -2${nout > 2 ? ", 0" : ""}`,
+        check: (text) => { const v = parseNums(text); return v.length === nout && v.every((vi, i) => Math.abs(vi - z[i]) < 1e-9); },
+        hint: <AffineCallout l={1} nin={nin} />,
+        solution: <T d tex={`z^{(1)} = ${bmatrixTex(W.map((row, i) => [`${row.map((w, j) => `(${w})(${x[j]})`).join(" + ")} + (${b[i]}) = ${z[i]}`]))}`} />,
+      };
+    },
+  },
+};
+
+function ExerciseModal({ onClose }) {
+  const [kind, setKind]     = useState("all");
+  const [seed, setSeed]     = useState(() => Math.floor(Math.random() * 1e6));
+  const [answer, setAnswer] = useState("");
+  const [result, setResult] = useState(null);   // null until checked, then true / false
+  const [hinted, setHinted] = useState(false);
+  const [shown, setShown]   = useState(false);
+  const [log, setLog]       = useState([]);     // { kind, right, hinted } per question, first attempt only
+
+  const { key, q } = useMemo(() => {
+    const rng = makeRng(seed);
+    const key = kind === "all" ? pickOne(rng, Object.keys(EXERCISES)) : kind;
+    return { key, q: EXERCISES[key].make(rng) };
+  }, [kind, seed]);
+
+  const scored = log.length > 0 && log[log.length - 1].seed === seed;
+  const record = (right) => { if (!scored) setLog(l => [...l, { kind: key, right, hinted, seed }]); };
+  const check  = (a = answer) => { const right = q.check(a); setResult(right); record(right); };
+  const next   = () => { setSeed(s => s + 1); setAnswer(""); setResult(null); setHinted(false); setShown(false); };
+
+  const pill = (on) => ({
+    background: on ? "rgba(99,102,241,0.14)" : "rgba(255,255,255,0.04)",
+    border: `1px solid ${on ? "rgba(99,102,241,0.4)" : "rgba(255,255,255,0.1)"}`,
+    color: on ? "#a5b4fc" : "rgba(255,255,255,0.45)",
+    borderRadius: 6, padding: "3px 10px", cursor: "pointer", fontSize: 11, fontFamily: "monospace",
+  });
+  const right = log.filter(e => e.right).length;
+
+  return (
+    <Modal title="Exercises" onClose={onClose} maxWidth={680}>
+      <div style={{ display: "flex", gap: 5, flexWrap: "wrap", marginBottom: 16 }}>
+        {[["all", "mixed"], ...Object.entries(EXERCISES).map(([k, e]) => [k, e.label])].map(([k, label]) => (
+          <button key={k} onClick={() => { setKind(k); next(); }} style={pill(k === kind)}>{label}</button>
+        ))}
+      </div>
 
-          {/* Gradient */}
-          <div style={{ paddingTop: 12, borderTop: "1px solid rgba(255,255,255,0.06)" }}>
-            <div style={secLabel}>Gradient w.r.t. output logits</div>
-            <div style={{ background: "rgba(0,0,0,0.25)", borderRadius: 7, padding: "12px 14px" }}>
-              <T d tex={loss.gradFormula(K, params)} />
-              <div style={{ marginTop: 8, fontSize: 11, color: "rgba(255,255,255,0.35)", lineHeight: 1.6 }}>
-                {loss.gradNote()}
-              </div>
-            </div>
-          </div>
-        </div>
-      )}
+      <div style={{ background: "rgba(0,0,0,0.3)", borderRadius: 10, padding: "16px 20px", borderLeft: "3px solid rgba(99,102,241,0.5)", fontSize: 13, color: "rgba(255,255,255,0.75)", lineHeight: 1.7 }}>
+        <div style={{ ...secLabel, marginBottom: 6 }}>{EXERCISES[key].label} &middot; question {log.length + (scored ? 0 : 1)}</div>
+        {q.prompt}
+      </div>
 
-      {tab === 1 && (
-        <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
-          {loss.derivation.map((d, i) => (
-            <div key={i} style={{ background: "rgba(0,0,0,0.2)", borderRadius: 8, padding: "12px 14px", borderLeft: `2px solid ${loss.color}55` }}>
-              <div style={{ fontSize: 12, fontWeight: 600, color: loss.color, marginBottom: 6 }}>{d.heading}</div>
-              <div style={{ fontSize: 11, color: "rgba(255,255,255,0.55)", lineHeight: 1.75 }}>{d.body(params, K)}</div>
-            </div>
-          ))}
+      <div style={{ display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center", margin: "14px 0" }}>
+        {q.input === "choice"
+          ? q.options.map((label, i) => (
+              <button key={i} onClick={() => { setAnswer(i); check(i); }} style={pill(answer === i)}>{label}</button>
+            ))
+          : <>
+              <input value={answer} onChange={e => { setAnswer(e.target.value); setResult(null); }} onKeyDown={e => { if (e.key === "Enter" && answer.trim()) check(); }}
+                placeholder={q.placeholder} autoFocus
+                style={{ width: 220, background: "#0a1525", border: "1px solid rgba(255,255,255,0.12)", borderRadius: 7, color: "#cbd5e1", fontFamily: "monospace", fontSize: 13, padding: "6px 10px" }} />
+              <button onClick={() => check()} disabled={!answer.trim()} style={{ ...pill(true), opacity: answer.trim() ? 1 : 0.4 }}>check</button>
+            </>}
+        {result !== null && (
+          <span style={{ fontSize: 12, fontWeight: 600, color: result ? "#34d399" : "#f87171" }}>{result ? "✓ correct" : "✗ not quite"}</span>
+        )}
+        <span style={{ flex: 1 }} />
+        <button onClick={() => setHinted(true)} disabled={hinted} style={{ ...pill(hinted), opacity: hinted ? 0.5 : 1 }}>hint</button>
+        <button onClick={() => { record(false); setShown(true); }} style={pill(shown)}>show answer</button>
+        <button onClick={next} style={pill(false)}>next &#8594;</button>
+      </div>
 
-          {/* Comparison table */}
-          <div style={{ marginTop: 6 }}>
-            <div style={secLabel}>Quick comparison</div>
-            <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 11 }}>
-              <thead>
-                <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.07)" }}>
-                  {["Loss", "Best for", "Params"].map(h => (
-                    <th key={h} style={{ padding: "5px 10px", textAlign: "left", fontSize: 9, letterSpacing: "0.08em", textTransform: "uppercase", color: "rgba(255,255,255,0.25)", fontWeight: 600 }}>{h}</th>
-                  ))}
-                </tr>
-              </thead>
-              <tbody>
-                {Object.entries(LOSSES).map(([key, l]) => (
-                  <tr key={key} style={{ background: key === lossKey ? "rgba(255,255,255,0.03)" : "transparent", borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
-                    <td style={{ padding: "7px 10px", color: l.color, fontWeight: key === lossKey ? 700 : 400 }}>{l.label}</td>
-                    <td style={{ padding: "7px 10px", color: "rgba(255,255,255,0.45)", fontSize: 10 }}>
-                      { key === "ce" ? "Balanced multiclass" : key === "bce" ? "Binary (K=2)" : key === "focal" ? "Imbalanced datasets" : "Noisy / overfit-prone" }
-                    </td>
-                    <td style={{ padding: "7px 10px", color: "rgba(255,255,255,0.3)", fontFamily: "monospace", fontSize: 9 }}>
-                      {l.params.length === 0 ? "none" : l.params.map(p => p.label).join(", ")}
-                    </td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
+      {hinted && q.hint}
+      {(shown || result) && (
+        <div style={{ background: "rgba(52,211,153,0.06)", border: "1px solid rgba(52,211,153,0.25)", borderRadius: 8, padding: "10px 14px", fontSize: 12, color: "rgba(255,255,255,0.65)", lineHeight: 1.7, marginBottom: 14, overflowX: "auto" }}>
+          {q.solution}
         </div>
       )}
-    </div>
-  );
-}
 
-// ─── Param explainer modal ────────────────────────────────────────────────────
-function ParamExplainer({ layers, onClose }) {
-  const { totalW, totalB, total, breakdown } = computeParams(layers);
-  return (
-    <div onClick={onClose}
-      style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.72)", backdropFilter: "blur(7px)", zIndex: 50, display: "flex", alignItems: "center", justifyContent: "center" }}>
-      <div onClick={e => e.stopPropagation()}
-        style={{ background: "#0d1827", border: "1px solid rgba(99,102,241,0.35)", borderRadius: 16, padding: 28, maxWidth: 660, width: "95vw", maxHeight: "88vh", overflowY: "auto", boxShadow: "0 40px 90px rgba(0,0,0,0.7)" }}>
-        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 22 }}>
-          <h3 style={{ margin: 0, fontSize: 16, fontWeight: 700, color: "white", letterSpacing: "-0.02em" }}>Parameter count -- how it is computed</h3>
-          <button onClick={onClose} style={{ background: "none", border: "none", color: "rgba(255,255,255,0.35)", cursor: "pointer", fontSize: 22, lineHeight: 1 }}>&#215;</button>
+      <div style={{ marginTop: 8, paddingTop: 14, borderTop: "1px solid rgba(255,255,255,0.06)" }}>
+        <div style={{ display: "flex", alignItems: "center", marginBottom: 8 }}>
+          <div style={{ ...secLabel, marginBottom: 0 }}>Score &middot; first attempts</div>
+          <span style={{ marginLeft: "auto", fontFamily: "monospace", fontSize: 12, color: "#a5b4fc" }}>
+            {right} / {log.length}{log.length > 0 && ` (${Math.round((100 * right) / log.length)}%)`}
+          </span>
         </div>
-        <div style={{ background: "rgba(0,0,0,0.3)", borderRadius: 10, padding: "16px 20px", marginBottom: 24, borderLeft: "3px solid rgba(99,102,241,0.5)" }}>
-          <div style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", fontFamily: "monospace", marginBottom: 12, letterSpacing: "0.08em", textTransform: "uppercase" }}>General formula:</div>
-          <T d tex="\text{Params} = \underbrace{\sum_{l=1}^{L} n_l \cdot n_{l-1}}_{\text{weights}} \;+\; \underbrace{\sum_{l=1}^{L} n_l}_{\text{biases}} \;=\; \sum_{l=1}^{L} n_l\,(n_{l-1} + 1)" />
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 8 }}>
+          {Object.entries(EXERCISES).map(([k, e]) => {
+            const mine = log.filter(x => x.kind === k);
+            return (
+              <div key={k} style={{ textAlign: "center", background: "rgba(255,255,255,0.03)", borderRadius: 8, padding: "8px 4px" }}>
+                <div style={{ fontSize: 15, fontWeight: 700, fontFamily: "monospace", color: mine.length ? "#e2e8f0" : "rgba(255,255,255,0.2)" }}>
+                  {mine.filter(x => x.right).length}/{mine.length}
+                </div>
+                <div style={{ fontSize: 9, color: "rgba(255,255,255,0.28)", marginTop: 2 }}>{e.label}</div>
+                {mine.some(x => x.hinted) && <div style={{ fontSize: 9, color: "rgba(255,255,255,0.2)" }}>{mine.filter(x => x.hinted).length} with a hint</div>}
+              </div>
+            );
+          })}
         </div>
-        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
-          <thead>
-            <tr style={{ borderBottom: "1px solid rgba(255,255,255,0.08)" }}>
-              {["Transition", "Tensor", "Formula", "Count"].map(h => (
-                <th key={h} style={{ padding: "6px 12px", textAlign: h === "Count" ? "right" : "left", fontSize: 9, letterSpacing: "0.1em", textTransform: "uppercase", color: "rgba(255,255,255,0.28)", fontWeight: 600 }}>{h}</th>
-              ))}
-            </tr>
-          </thead>
-          <tbody>
-            {breakdown.flatMap(({ layer, nin, nout, W, B }) => [
-              <tr key={`w${layer}`} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)" }}>
-                <td style={{ padding: "7px 12px", fontFamily: "monospace", fontSize: 11, color: "rgba(255,255,255,0.45)", whiteSpace: "nowrap" }}>
-                  <T tex={`l_{${layer - 1}} \\to l_{${layer}}`} />
-                </td>
-                <td style={{ padding: "7px 12px" }}><T tex={`W^{(${layer})}`} /></td>
-                <td style={{ padding: "7px 12px", fontFamily: "monospace", fontSize: 11, color: "rgba(255,255,255,0.38)" }}>
-                  <T tex={`${nout} \\times ${nin}`} />
-                </td>
-                <td style={{ padding: "7px 14px", fontFamily: "monospace", fontSize: 12, fontWeight: 700, color: "#818cf8", textAlign: "right" }}>{W.toLocaleString()}</td>
-              </tr>,
-              <tr key={`b${layer}`} style={{ borderBottom: "1px solid rgba(255,255,255,0.04)", background: "rgba(0,0,0,0.1)" }}>
-                <td style={{ padding: "5px 12px" }} />
-                <td style={{ padding: "5px 12px" }}><T tex={`b^{(${layer})}`} /></td>
-                <td style={{ padding: "5px 12px", fontFamily: "monospace", fontSize: 11, color: "rgba(255,255,255,0.38)" }}>
-                  <T tex={`${nout}`} />
-                </td>
-                <td style={{ padding: "5px 14px", fontFamily: "monospace", fontSize: 11, fontWeight: 600, color: "#a78bfa", textAlign: "right" }}>{B.toLocaleString()}</td>
-              </tr>,
-            ])}
-          </tbody>
-          <tfoot>
-            <tr style={{ borderTop: "1px solid rgba(255,255,255,0.1)" }}>
-              <td colSpan={3} style={{ padding: "9px 12px", fontFamily: "monospace", fontSize: 11, color: "rgba(255,255,255,0.38)" }}>Weights total</td>
-              <td style={{ padding: "9px 14px", fontFamily: "monospace", fontSize: 12, fontWeight: 700, color: "#818cf8", textAlign: "right" }}>{totalW.toLocaleString()}</td>
-            </tr>
-            <tr>
-              <td colSpan={3} style={{ padding: "5px 12px 9px", fontFamily: "monospace", fontSize: 11, color: "rgba(255,255,255,0.38)" }}>Biases total</td>
-              <td style={{ padding: "5px 14px 9px", fontFamily: "monospace", fontSize: 12, fontWeight: 700, color: "#a78bfa", textAlign: "right" }}>{totalB.toLocaleString()}</td>
-            </tr>
-            <tr style={{ borderTop: "2px solid rgba(99,102,241,0.4)", background: "rgba(99,102,241,0.07)" }}>
-              <td colSpan={3} style={{ padding: "10px 12px", fontFamily: "monospace", fontSize: 13, fontWeight: 700, color: "white" }}>Total parameters</td>
-              <td style={{ padding: "10px 14px", fontFamily: "monospace", fontSize: 15, fontWeight: 700, color: "#6366f1", textAlign: "right" }}>{total.toLocaleString()}</td>
-            </tr>
-          </tfoot>
-        </table>
+        {log.length > 0 && (
+          <button onClick={() => setLog([])} style={{ ...pill(false), marginTop: 10, fontSize: 10 }}>reset score</button>
+        )}
       </div>
-    </div>
+    </Modal>
   );
 }
 
 // ─── Network SVG ──────────────────────────────────────────────────────────────
-function NetworkSVG({ layers, selectedLayer, onSelect }) {
-  const W = 540, H = 300, R = 14;
+// Vector layers are columns of neurons; image-shaped layers are a stack of feature maps,
+// the front one shaded by channel 1 of the current values. Columns sit COL_W apart and the
+// view starts fitted to all of them; the wheel zooms and dragging pans.
+const BLOCK = 50, BLOCK_STEP = 5, MAX_MAPS_SHOWN = 4;
+const MAP_CELLS = 14;        // a front map wider than this is shaded in averaged blocks
+const FRAME_W = 540, FRAME_H = 300, COL_W = 64;
+const BUNDLE_EDGES = 64;     // a dense link with more weights draws as one band when sampled
+const SVG_ITEMS    = 1500;   // neurons + edges past this go to a canvas under the SVG
+const CANVAS_EDGES = 20000;  // past this the canvas draws an even sample of the edges
+const RUN_MIN      = 3;      // identical hidden layers in a row that fold into one column
+
+// Runs of RUN_MIN or more identical hidden layers (type, width, shape and activation, no
+// residual skip landing inside) fold into one column { from, to }; runs whose first layer
+// is in open stay unfolded.
+function graphColumns(layers, fold, open) {
+  const sig  = (l) => JSON.stringify([layerType(l), l.nodes, l.shape, l.activation, l.actParams, l.kernel, l.stride, l.padding, l.rate]);
+  const cols = [];
+  for (let i = 0; i < layers.length;) {
+    let j = i;
+    if (fold && i > 0) while (j + 2 < layers.length && layers[j + 1].skip === undefined && sig(layers[j + 1]) === sig(layers[i])) j++;
+    if (j - i + 1 >= RUN_MIN && !open.includes(i)) cols.push({ from: i, to: j });
+    else for (let k = i; k <= Math.max(i, j); k++) cols.push({ from: k, to: k });
+    i = Math.max(i, j) + 1;
+  }
+  return cols;
+}
+
+function NetworkSVG({ layers, selectedLayer, onSelect, values, weights = null, backpropLayer = null }) {
+  const H = FRAME_H, R = 14;
+  const [all, setAll]   = useState(false);
+  const [fold, setFold] = useState(true);
+  const [open, setOpen] = useState([]);
+  const cols  = graphColumns(layers, fold, open);
+  const W     = Math.max(FRAME_W, COL_W * (cols.length + 1));
+  const fit   = () => ({ x: 0, y: (H - (W * H) / FRAME_W) / 2, w: W });
+  const [view, setView] = useState(fit);
+  const svgRef = useRef(null), canvasRef = useRef(null), drag = useRef(null);
+  // Filter ids are document-wide and CompareModal shows two graphs at once. useId's
+  // colons are dropped so the ids read plainly inside url().
+  const uid = useId().replace(/:/g, "");
+
+  // A new column count refits the view.
+  useEffect(() => { setView(fit()); }, [W]);
+
+  const colOf = (li) => cols.findIndex(c => c.from <= li && li <= c.to);
+  const colX  = (ci) => (W / (cols.length + 1)) * (ci + 1);
+  const inCol = (ci, li) => li !== null && cols[ci].from <= li && li <= cols[ci].to;
 
   const nodeColor = (li) => {
     if (li === 0) return "#6366f1";
-    if (li === layers.length - 1) return "#34d399";
-    return ACT[layers[li].activation]?.color ?? "#94a3b8";
+    if (li === layers.length - 1) return ACT[layers[li].activation].color;   // the task head
+    return LAYER_TYPES[layerType(layers[li])].color ?? ACT[layers[li].activation]?.color ?? "#94a3b8";
   };
 
-  const positions = (li, count) => {
-    const x = (W / (layers.length + 1)) * (li + 1);
-    const shown = Math.min(count, MAX_NODES_SHOWN);
+  // Sampled, a column shows MAX_NODES_SHOWN neurons with the last standing for the rest;
+  // with all on, every neuron, shrinking to fit.
+  const positions = (ci, count) => {
+    const x = colX(ci);
+    const shown = all ? count : Math.min(count, MAX_NODES_SHOWN);
+    const pitch = H / (shown + 1);
     return Array.from({ length: shown }, (_, i) => ({
-      x, y: (H / (shown + 1)) * (i + 1),
-      ellipsis: i === MAX_NODES_SHOWN - 1 && count > MAX_NODES_SHOWN,
+      x, y: pitch * (i + 1), r: Math.min(R, pitch * 0.42),
+      ellipsis: !all && i === MAX_NODES_SHOWN - 1 && count > MAX_NODES_SHOWN,
     }));
   };
 
+  // Front feature map of a spatial column: its top-left corner and the side of one cell.
+  const block = (ci) => {
+    const [, h, w] = layers[cols[ci].to].shape;
+    return { x: colX(ci) - BLOCK / 2, y: H / 2 - 12 - BLOCK / 2, cell: BLOCK / Math.max(h, w), h, w };
+  };
+
+  // Channel 1 of a map as shaded squares of step x step cells, each the mean of its block.
+  const mapBlocks = (v, { h, w }) => {
+    const step = Math.ceil(Math.max(h, w) / MAP_CELLS), out = [];
+    for (let i = 0; i < h; i += step) {
+      for (let j = 0; j < w; j += step) {
+        const rows = Math.min(step, h - i), cols = Math.min(step, w - j);
+        let sum = 0;
+        for (let di = 0; di < rows; di++) for (let dj = 0; dj < cols; dj++) sum += v[(i + di) * w + j + dj];
+        out.push({ i, j, rows, cols, v: sum / (rows * cols), step });
+      }
+    }
+    return out;
+  };
+
+  // Where a residual arc leaves or lands: the top of the block or of the first neuron.
+  const anchor = (li) => {
+    const ci = colOf(li);
+    if (layers[li].shape) {
+      const b = block(ci), maps = Math.min(layers[li].shape[0], MAX_MAPS_SHOWN);
+      return { x: colX(ci), y: b.y - (maps - 1) * BLOCK_STEP };
+    }
+    const [p = { x: colX(ci), y: H / 2, r: R }] = positions(ci, layers[li].nodes);
+    return { x: p.x, y: p.y - p.r };
+  };
+
+  const edgeStroke = (li, faint) => {
+    const hi = selectedLayer === li || selectedLayer === li + 1, bp = backpropLayer === li + 1;
+    return {
+      stroke: bp ? "rgba(244,114,182,0.5)" : hi ? "rgba(99,102,241,0.38)" : faint ? "rgba(255,255,255,0.045)" : "rgba(255,255,255,0.14)",
+      strokeWidth: bp || hi ? 1.2 : 0.6,
+    };
+  };
+
+  // Every drawn link between neighbouring columns as { x1, y1, x2, y2, li, w }, w the
+  // weight when known. Spatial pairs and sampled dense bands are drawn separately.
+  const links = [], bands = [], spatial = [];
+  cols.slice(0, -1).forEach((c, ci) => {
+    const li = c.to, layer = layers[li], next = layers[cols[ci + 1].from], type = layerType(next);
+    if (layer.shape && next.shape) { spatial.push([ci, li]); return; }
+    if (layer.shape) {
+      const f = block(ci), to = positions(ci + 1, next.nodes);
+      to.forEach((t, ti) => links.push({ x1: f.x + BLOCK, y1: f.y + (BLOCK * (ti + 0.5)) / to.length, x2: t.x - t.r, y2: t.y, li }));
+      return;
+    }
+    if (next.shape) return;
+    const from = positions(ci, layer.nodes), to = positions(ci + 1, next.nodes);
+    if (type !== "dense") { from.forEach((f, fi) => links.push({ x1: f.x + f.r, y1: f.y, x2: to[fi].x - to[fi].r, y2: to[fi].y, li, dash: type === "dropout" })); return; }
+    if (!all && layer.nodes * next.nodes > BUNDLE_EDGES) { bands.push({ ci, li, from, to, nin: layer.nodes, nout: next.nodes }); return; }
+    const Wl = weights?.[cols[ci + 1].from]?.W;
+    from.forEach((f, fi) => to.forEach((t, ti) => links.push({ x1: f.x + f.r, y1: f.y, x2: t.x - t.r, y2: t.y, li, w: Wl?.[ti]?.[fi] })));
+  });
+  const dots = all ? cols.reduce((acc, c) => acc + (layers[c.to].shape ? 0 : layers[c.to].nodes), 0) : 0;
+  const onCanvas = all && links.length + dots > SVG_ITEMS;
+  const stride   = Math.ceil(links.length / CANVAS_EDGES);
+
+  // Bundled, every link bends through the middle of its gap, pulled towards the centre line.
+  const bend = (e) => [(e.x1 + e.x2) / 2, 0.15 * ((e.y1 + e.y2) / 2) + 0.85 * (H / 2 - 12)];
+
+  useEffect(() => {
+    const cv = canvasRef.current, svg = svgRef.current;
+    if (!cv || !svg || !onCanvas) return;
+    const dpr = window.devicePixelRatio || 1, { width, height } = svg.getBoundingClientRect();
+    cv.width = width * dpr; cv.height = height * dpr;
+    const k = (width / view.w) * dpr;
+    const ctx = cv.getContext("2d");
+    ctx.setTransform(k, 0, 0, k, -view.x * k, -view.y * k);
+    ctx.clearRect(view.x, view.y, view.w, (view.w * H) / FRAME_W);
+    const scale = new Map();
+    links.forEach((e, i) => {
+      if (i % stride) return;
+      if (e.w !== undefined && !scale.has(e.li)) scale.set(e.li, absMax(weights[e.li + 1].W.flat()));
+      const m = e.w === undefined ? 0.3 : Math.abs(e.w) / scale.get(e.li);
+      ctx.strokeStyle = e.w < 0 ? `rgba(${HEAT_NEG},${0.03 + 0.3 * m})` : `rgba(165,180,252,${0.03 + 0.3 * m})`;
+      ctx.lineWidth = 0.5;
+      const [cx, cy] = bend(e);
+      ctx.beginPath(); ctx.moveTo(e.x1, e.y1); ctx.quadraticCurveTo(cx, cy, e.x2, e.y2); ctx.stroke();
+    });
+    cols.forEach((c, ci) => {
+      const layer = layers[c.to];
+      if (layer.shape) return;
+      const vals = values?.[c.to], vmax = vals ? absMax(vals) : 1, col = nodeColor(c.to);
+      positions(ci, layer.nodes).forEach((p, ni) => {
+        ctx.globalAlpha = vals ? 0.2 + 0.8 * Math.abs(vals[ni]) / vmax : 0.6;
+        ctx.fillStyle = vals && vals[ni] < 0 ? "#f87171" : col;
+        ctx.beginPath(); ctx.arc(p.x, p.y, Math.max(p.r, 0.6), 0, 2 * Math.PI); ctx.fill();
+      });
+      ctx.globalAlpha = 1;
+    });
+  }, [layers, fold, open, all, values, weights, view, onCanvas]);   // what links, cols and stride derive from
+
+  // Wheel zoom about the pointer; registered by hand because React's wheel listener is passive.
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const box = svg.getBoundingClientRect(), fx = (e.clientX - box.left) / box.width, fy = (e.clientY - box.top) / box.height;
+      setView(v => {
+        const w = Math.max(FRAME_W / 8, Math.min(W * 1.5, v.w * (e.deltaY > 0 ? 1.15 : 1 / 1.15)));
+        const px = v.x + fx * v.w, py = v.y + (fy * v.w * H) / FRAME_W;
+        return { x: px - fx * w, y: py - (fy * w * H) / FRAME_W, w };
+      });
+    };
+    svg.addEventListener("wheel", onWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", onWheel);
+  }, [W]);
+
+  // Dragging pans; a press that moved more than a few pixels is not a click.
+  const onPointerDown = (e) => {
+    const box = svgRef.current.getBoundingClientRect(), start = { x: e.clientX, y: e.clientY, view };
+    drag.current = { moved: false };
+    const move = (ev) => {
+      const dx = ev.clientX - start.x, dy = ev.clientY - start.y;
+      if (Math.abs(dx) + Math.abs(dy) > 3) drag.current.moved = true;
+      const k = start.view.w / box.width;
+      setView({ ...start.view, x: start.view.x - dx * k, y: start.view.y - dy * k });
+    };
+    const up = () => { window.removeEventListener("pointermove", move); window.removeEventListener("pointerup", up); };
+    window.addEventListener("pointermove", move);
+    window.addEventListener("pointerup", up);
+  };
+  const select = (ci) => {
+    if (drag.current?.moved) return;
+    const c = cols[ci];
+    if (c.to > c.from) setOpen(o => [...o, c.from]);
+    onSelect(c.from);
+  };
+  const zoom = (f) => setView(v => {
+    const w = Math.max(FRAME_W / 8, Math.min(W * 1.5, v.w * f)), cx = v.x + v.w / 2, cy = v.y + (v.w * H) / FRAME_W / 2;
+    return { x: cx - w / 2, y: cy - (w * H) / FRAME_W / 2, w };
+  });
+  const folded = graphColumns(layers, true, []).some(c => c.to > c.from);
+  const pill = (on) => ({
+    background: on ? "rgba(99,102,241,0.18)" : "rgba(7,16,28,0.8)", border: `1px solid ${on ? "rgba(99,102,241,0.4)" : "rgba(255,255,255,0.1)"}`,
+    color: on ? "#a5b4fc" : "rgba(255,255,255,0.45)", borderRadius: 5, padding: "1px 7px", cursor: "pointer", fontSize: 9, fontFamily: "monospace",
+  });
+
   return (
-    <svg width="100%" viewBox={`0 0 ${W} ${H}`} style={{ display: "block" }}>
-      <defs>
-        {layers.map((_, li) => (
-          <filter key={li} id={`glow${li}`}>
-            <feGaussianBlur stdDeviation="3.5" result="blur" />
-            <feMerge><feMergeNode in="blur" /><feMergeNode in="SourceGraphic" /></feMerge>
-          </filter>
-        ))}
-      </defs>
-
-      {/* Edges */}
-      {layers.slice(0, -1).map((layer, li) => {
-        const from = positions(li, layer.nodes);
-        const to   = positions(li + 1, layers[li + 1].nodes);
-        const hi   = selectedLayer === li || selectedLayer === li + 1;
-        return from.flatMap((f, fi) =>
-          to.map((t, ti) => (
-            <line key={`e${li}-${fi}-${ti}`}
-              x1={f.x + R} y1={f.y} x2={t.x - R} y2={t.y}
-              stroke={hi ? "rgba(99,102,241,0.38)" : "rgba(255,255,255,0.045)"}
-              strokeWidth={hi ? 1.2 : 0.6}
-              style={{ transition: "all 0.25s" }} />
-          ))
-        );
-      })}
-
-      {/* Nodes */}
-      {layers.map((layer, li) => {
-        const pts = positions(li, layer.nodes);
-        const col = nodeColor(li);
-        const sel = selectedLayer === li;
-        return pts.map((p, ni) => (
-          <g key={`n${li}-${ni}`} onClick={() => onSelect(li)} style={{ cursor: "pointer" }}>
-            {sel && <circle cx={p.x} cy={p.y} r={R + 7} fill="none" stroke={col} strokeWidth={1} opacity={0.28} />}
-            <circle cx={p.x} cy={p.y} r={R}
-              fill={sel ? col : `${col}88`}
-              filter={sel ? `url(#glow${li})` : undefined}
-              style={{ transition: "all 0.2s" }} />
-            <text x={p.x} y={p.y + 4} textAnchor="middle" fontSize={8} fontFamily="monospace"
-              fill="rgba(255,255,255,0.9)" fontWeight="bold">
-              {p.ellipsis ? "..." : li === 0 ? `x${ni + 1}` : `a${ni + 1}`}
-            </text>
-          </g>
-        ));
-      })}
-
-      {/* Labels */}
-      {layers.map((layer, li) => {
-        const x   = (W / (layers.length + 1)) * (li + 1);
-        const col = nodeColor(li);
-        const sel = selectedLayer === li;
-        return (
-          <g key={`lbl${li}`} onClick={() => onSelect(li)} style={{ cursor: "pointer" }}>
-            <text x={x} y={H - 16} textAnchor="middle" fontSize={9} fontFamily="monospace"
-              fill={sel ? col : "rgba(255,255,255,0.3)"} style={{ transition: "fill 0.2s" }}>
-              {li === 0 ? "Input" : li === layers.length - 1 ? "Output" : `Hidden ${li}`}
-            </text>
-            <text x={x} y={H - 4} textAnchor="middle" fontSize={8} fontFamily="monospace"
-              fill="rgba(255,255,255,0.18)">n={layer.nodes}</text>
-          </g>
-        );
-      })}
-    </svg>
+    <div style={{ position: "relative" }}>
+      {onCanvas && <canvas ref={canvasRef} style={{ position: "absolute", inset: 0, width: "100%", height: "100%", pointerEvents: "none" }} />}
+      <svg ref={svgRef} width="100%" viewBox={`${view.x} ${view.y} ${view.w} ${(view.w * H) / FRAME_W}`} onPointerDown={onPointerDown}
+        style={{ display: "block", position: "relative", cursor: "grab", touchAction: "none" }}>
+        <defs>
+          {layers.map((_, li) => (
+            <filter key={li} id={`${uid}glow${li}`}>
+              <feGaussianBlur stdDeviation="3.5" result="blur" />
+              <feMerge><feMergeNode in="blur" /><feMergeNode in="SourceGraphic" /></feMerge>
+            </filter>
+          ))}
+        </defs>
+
+        {/* Edges: dense layers connect everything, element-wise layers (dropout, norms) one-to-one,
+            conv / pool layers show the receptive field of their first output */}
+        {spatial.map(([ci, li]) => {
+          const next = layers[cols[ci + 1].from], st = edgeStroke(li, false);
+          const f = block(ci), t = block(ci + 1);
+          if (next.kernel === undefined) {
+            return <line key={`e${li}`} x1={f.x + BLOCK} y1={H / 2 - 12} x2={t.x} y2={H / 2 - 12} {...st} strokeDasharray={layerType(next) === "dropout" ? "3 3" : undefined} />;
+          }
+          const lo = -next.padding, hi = next.kernel - next.padding;   // rows / cols of the first window
+          const px = f.x + Math.max(0, lo) * f.cell, py = f.y + Math.max(0, lo) * f.cell;
+          const pw = (Math.min(f.w, hi) - Math.max(0, lo)) * f.cell, ph = (Math.min(f.h, hi) - Math.max(0, lo)) * f.cell;
+          const col = nodeColor(cols[ci + 1].from);
+          return (
+            <g key={`e${li}`} style={{ transition: "all 0.25s" }}>
+              <polygon points={`${px + pw},${py} ${t.x},${t.y} ${t.x},${t.y + t.cell} ${px + pw},${py + ph}`} fill={`${col}22`} stroke={st.stroke} strokeWidth={st.strokeWidth} />
+              <rect x={px} y={py} width={pw} height={ph} fill="none" stroke={col} strokeWidth={1.2} />
+              <rect x={t.x} y={t.y} width={t.cell} height={t.cell} fill="none" stroke={col} strokeWidth={1.2} />
+            </g>
+          );
+        })}
+        {/* Sampled wide dense links: one band narrowing through the gap, labelled with the weight shape */}
+        {bands.map(({ ci, li, from, to, nin, nout }) => {
+          const st = edgeStroke(li, false), x1 = from[0].x + R, x2 = to[0].x - R, xm = (x1 + x2) / 2, ym = H / 2, waist = 5;
+          const [a, b] = [from[0].y - R, from.at(-1).y + R], [c, d] = [to[0].y - R, to.at(-1).y + R];
+          return (
+            <g key={`band${li}`}>
+              <path d={`M ${x1} ${a} C ${xm} ${ym - waist}, ${xm} ${ym - waist}, ${x2} ${c} L ${x2} ${d} C ${xm} ${ym + waist}, ${xm} ${ym + waist}, ${x1} ${b} Z`}
+                fill={st.stroke} stroke="none" opacity={0.7}>
+                <title>{`${nin * nout} weights (${nout}×${nin}), bundled`}</title>
+              </path>
+              <text x={xm} y={ym - waist - 5} textAnchor="middle" fontSize={7} fontFamily="monospace" fill="rgba(255,255,255,0.35)">{nout}&#215;{nin}</text>
+            </g>
+          );
+        })}
+        {!onCanvas && links.map((e, i) => {
+          const st = edgeStroke(e.li, layerType(layers[e.li + 1]) === "dense");
+          const [cx, cy] = bend(e);
+          return all
+            ? <path key={i} d={`M ${e.x1} ${e.y1} Q ${cx} ${cy}, ${e.x2} ${e.y2}`} fill="none" {...st} strokeDasharray={e.dash ? "3 3" : undefined} />
+            : <line key={i} x1={e.x1} y1={e.y1} x2={e.x2} y2={e.y2} {...st} strokeDasharray={e.dash ? "3 3" : undefined} style={{ transition: "all 0.25s" }} />;
+        })}
+
+        {/* Residual skips: an arc over the graph from a^(k) into the summing layer */}
+        {layers.map((layer, li) => {
+          if (layer.skip === undefined || colOf(layer.skip) === colOf(li)) return null;
+          const f = anchor(layer.skip), t = anchor(li);
+          const top = Math.min(f.y, t.y) - 4, peak = Math.max(6, top - 14 - 8 * (colOf(li) - colOf(layer.skip)));
+          return (
+            <g key={`skip${li}`}>
+              <path d={`M ${f.x} ${f.y} C ${f.x} ${peak}, ${t.x} ${peak}, ${t.x} ${t.y - 7}`}
+                fill="none" stroke={SKIP_COLOR} strokeWidth={1.3} strokeDasharray="4 3" opacity={0.8} />
+              <circle cx={t.x} cy={t.y - 7} r={5} fill="#07101c" stroke={SKIP_COLOR} strokeWidth={1.2} />
+              <text x={t.x} y={t.y - 4.5} textAnchor="middle" fontSize={8} fontWeight="bold" fill={SKIP_COLOR}>+</text>
+            </g>
+          );
+        })}
+
+        {/* Nodes, or feature-map stacks for image-shaped layers; a folded run shows its last
+            layer with the others stacked behind it */}
+        {cols.map((c, ci) => {
+          const li  = c.to, layer = layers[li];
+          const col = nodeColor(li);
+          const sel = inCol(ci, selectedLayer), bp = inCol(ci, backpropLayer);
+          const ghosts = Math.min(c.to - c.from, 2);
+          if (layer.shape) {
+            const b = block(ci), maps = Math.min(layer.shape[0], MAX_MAPS_SHOWN);
+            const front = values?.[li]?.slice(0, b.h * b.w);
+            const scale = front ? absMax(front, 1e-9) : 1;
+            return (
+              <g key={`n${ci}`} onClick={() => select(ci)} style={{ cursor: "pointer" }}>
+                {Array.from({ length: maps - 1 }, (_, m) => {
+                  const off = (maps - 1 - m) * BLOCK_STEP;
+                  return <rect key={m} x={b.x + off} y={b.y - off} width={BLOCK} height={BLOCK} rx={2} fill="#0b1424" stroke={`${col}66`} strokeWidth={0.8} />;
+                })}
+                <rect x={b.x} y={b.y} width={BLOCK} height={BLOCK} rx={2} fill="#0b1424"
+                  stroke={sel ? col : `${col}88`} strokeWidth={sel ? 1.6 : 0.8} filter={sel ? `url(#${uid}glow${li})` : undefined} />
+                {front && mapBlocks(front, b).map(({ i, j, rows, cols, v, step }) => (
+                  <rect key={`${i}-${j}`} x={b.x + j * b.cell} y={b.y + i * b.cell} width={cols * b.cell} height={rows * b.cell}
+                    fill={v < 0 ? "#f87171" : col} opacity={0.08 + 0.7 * (Math.abs(v) / scale)}>
+                    <title>{step > 1
+                      ? `channel 1, rows ${i + 1}-${i + rows}, columns ${j + 1}-${j + cols}: mean ${fmtNum(v, 3)}`
+                      : `channel 1, (${i + 1}, ${j + 1}): ${fmtNum(v, 3)}`}</title>
+                  </rect>
+                ))}
+                {bp && (
+                  <rect x={b.x - 4} y={b.y - 4 - (maps - 1) * BLOCK_STEP} width={BLOCK + 8 + (maps - 1) * BLOCK_STEP} height={BLOCK + 8 + (maps - 1) * BLOCK_STEP}
+                    rx={4} fill="none" stroke="#f472b6" strokeWidth={1.5} strokeDasharray="3 2" />
+                )}
+                {ghosts > 0 && <text x={colX(ci)} y={b.y - (maps - 1) * BLOCK_STEP - 6} textAnchor="middle" fontSize={8} fontFamily="monospace" fill={col}>&#215;{c.to - c.from + 1}</text>}
+              </g>
+            );
+          }
+          // Independent sigmoid outputs are shaded by their own probability; softmax ones share one budget.
+          const prob = li === layers.length - 1 && layer.activation === TASKS.multilabel.head && values ? values[li] : null;
+          const pts  = positions(ci, layer.nodes);
+          if (onCanvas) {
+            return (
+              <g key={`n${ci}`} onClick={() => select(ci)} style={{ cursor: "pointer" }}>
+                <rect x={colX(ci) - COL_W * 0.3} y={4} width={COL_W * 0.6} height={H - 34} rx={6} fill="transparent"
+                  stroke={bp ? "#f472b6" : sel ? col : "none"} strokeWidth={1} strokeDasharray={bp ? "3 2" : undefined} opacity={0.6} />
+              </g>
+            );
+          }
+          return (
+            <g key={`n${ci}`} onClick={() => select(ci)} style={{ cursor: "pointer" }}>
+              {Array.from({ length: ghosts }, (_, g) => pts.map((p, ni) => (
+                <circle key={`g${g}-${ni}`} cx={p.x + 4 * (ghosts - g)} cy={p.y - 4 * (ghosts - g)} r={p.r} fill="#0b1424" stroke={`${col}66`} strokeWidth={0.8} />
+              )))}
+              {ghosts > 0 && <text x={colX(ci)} y={pts[0].y - pts[0].r - 12} textAnchor="middle" fontSize={8} fontFamily="monospace" fill={col}>&#215;{c.to - c.from + 1}</text>}
+              {pts.map((p, ni) => (
+                <g key={ni}>
+                  {sel && p.r >= 6 && <circle cx={p.x} cy={p.y} r={p.r + 7} fill="none" stroke={col} strokeWidth={1} opacity={0.28} />}
+                  {bp && <circle cx={p.x} cy={p.y} r={p.r + 4} fill="none" stroke="#f472b6" strokeWidth={1.5} strokeDasharray="3 2" />}
+                  <circle cx={p.x} cy={p.y} r={p.r}
+                    fill={sel || prob ? col : `${col}88`}
+                    fillOpacity={prob && !p.ellipsis ? 0.15 + 0.85 * prob[ni] : undefined}
+                    stroke={prob ? col : undefined} strokeWidth={prob ? 1 : undefined}
+                    filter={sel && p.r >= 6 ? `url(#${uid}glow${li})` : undefined}
+                    style={{ transition: "all 0.2s" }}>
+                    {p.r < 9 && values && <title>{`${li === 0 ? "x" : "a"}${ni + 1} = ${fmtNum(values[li][ni], 3)}`}</title>}
+                  </circle>
+                  {p.r >= 9 && (
+                    <text x={p.x} y={p.y + 4} textAnchor="middle" fontSize={8} fontFamily="monospace"
+                      fill="rgba(255,255,255,0.9)" fontWeight="bold">
+                      {p.ellipsis ? "..." : li === 0 ? `x${ni + 1}` : `a${ni + 1}`}
+                    </text>
+                  )}
+                  {values && !p.ellipsis && p.r >= 9 && (
+                    <text x={p.x} y={p.y + p.r + 9} textAnchor="middle" fontSize={7} fontFamily="monospace"
+                      fill={`${col}cc`}>
+                      {fmtNum(values[li][ni], 2)}
+                    </text>
+                  )}
+                </g>
+              ))}
+            </g>
+          );
+        })}
+
+        {/* Labels */}
+        {cols.map((c, ci) => {
+          const li  = c.from;
+          const x   = colX(ci);
+          const col = nodeColor(c.to);
+          const sel = inCol(ci, selectedLayer);
+          const layer = layers[c.to];
+          return (
+            <g key={`lbl${ci}`} onClick={() => select(ci)} style={{ cursor: "pointer" }}>
+              <text x={x} y={H - 16} textAnchor="middle" fontSize={9} fontFamily="monospace"
+                fill={sel ? col : "rgba(255,255,255,0.3)"} style={{ transition: "fill 0.2s" }}>
+                {li === 0 ? "Input" : li === layers.length - 1 ? "Output" : c.to > c.from ? `Hidden ${c.from}–${c.to}` : `Hidden ${li}`}
+              </text>
+              <text x={x} y={H - 4} textAnchor="middle" fontSize={8} fontFamily="monospace"
+                fill="rgba(255,255,255,0.18)">{li > 0 && layerType(layer) !== "dense" ? `${LAYER_TYPES[layerType(layer)].short} ` : ""}{layer.shape ? sizeLabel(layer) : `n=${layer.nodes}`}</text>
+            </g>
+          );
+        })}
+      </svg>
+
+      {/* View controls */}
+      <div style={{ position: "absolute", top: 0, right: 0, display: "flex", gap: 4, alignItems: "center" }}>
+        {onCanvas && stride > 1 && <span style={{ fontSize: 9, color: "rgba(255,255,255,0.3)", fontFamily: "monospace" }}>1 in {stride} edges drawn</span>}
+        <button onClick={() => setAll(a => !a)} title="Draw every neuron and edge instead of a sample per layer" style={pill(all)}>all neurons</button>
+        {folded && <button onClick={() => { setFold(f => !f); setOpen([]); }} title="Fold runs of identical hidden layers into one column" style={pill(fold && open.length === 0)}>fold repeats</button>}
+        <button onClick={() => zoom(1 / 1.3)} title="Zoom in (or use the wheel)" style={pill(false)}>+</button>
+        <button onClick={() => zoom(1.3)} title="Zoom out" style={pill(false)}>&#8722;</button>
+        <button onClick={() => setView(fit())} title="Fit the whole network" style={pill(false)}>fit</button>
+      </div>
+    </div>
   );
 }
 
 // ─── Layer config card ────────────────────────────────────────────────────────
-function LayerCard({ layer, index, prevNodes, total, isSelected, isAtMinLayers, onSelect, onNodeDelta, onActivation, onRemove }) {
+// skipOptions lists the earlier layers a residual skip may come from (same size).
+// onField(key, v) sets a conv / pool setting; onInputShape(shape) switches the input between
+// a vector (null) and a c x h x w image. error is the layer's shape error, if any.
+function LayerCard({ layer, index, prev, total, isSelected, isAtMinLayers, skipOptions, error, onSelect, onNodeDelta, onActivation, onInit, onType, onRate, onActParam, onField, onInputShape, onSkip, onRemove }) {
   const isInput  = index === 0;
   const isOutput = index === total - 1;
-  const color    = isInput ? "#6366f1" : isOutput ? "#34d399" : ACT[layer.activation]?.color ?? "#94a3b8";
+  const type     = layerType(layer);
+  const lt       = LAYER_TYPES[type];
+  const locked   = !isInput && type !== "dense";
+  const color    = isInput ? "#6366f1" : isOutput ? ACT[layer.activation].color : LAYER_TYPES[type].color ?? ACT[layer.activation]?.color ?? "#94a3b8";
+  const selStyle = { background: "#0d1320", border: "1px solid rgba(255,255,255,0.12)", color: "rgba(255,255,255,0.55)", borderRadius: 6, padding: "2px 7px", fontSize: 10, fontFamily: "monospace", cursor: "pointer" };
 
   return (
     <div onClick={onSelect} style={{
@@ -705,26 +5773,59 @@ function LayerCard({ layer, index, prevNodes, total, isSelected, isAtMinLayers,
             {isInput ? "Input Layer" : isOutput ? "Output Layer" : `Hidden Layer ${index}`}
           </div>
           <div style={{ display: "flex", alignItems: "center", gap: 5, flexWrap: "wrap" }}>
-            <button onClick={e => { e.stopPropagation(); onNodeDelta(-1); }}
-              disabled={layer.nodes <= MIN_NODES}
-              style={{ ...btnSm, opacity: layer.nodes <= MIN_NODES ? 0.25 : 1, cursor: layer.nodes <= MIN_NODES ? "not-allowed" : "pointer" }}>
-              &#8722;
-            </button>
-            <div style={{ display: "flex", flexDirection: "column", alignItems: "center", minWidth: 22 }}>
-              <span style={{ fontSize: 13, fontFamily: "monospace", fontWeight: 700, color, lineHeight: 1 }}>{layer.nodes}</span>
-              {layer.nodes >= MAX_NODES && <span style={{ fontSize: 7, color: `${color}88`, fontFamily: "monospace", marginTop: 1 }}>max</span>}
-              {layer.nodes <= MIN_NODES && <span style={{ fontSize: 7, color: "rgba(255,255,255,0.25)", fontFamily: "monospace", marginTop: 1 }}>min</span>}
-            </div>
-            <button onClick={e => { e.stopPropagation(); onNodeDelta(+1); }}
-              disabled={layer.nodes >= MAX_NODES}
-              style={{ ...btnSm, opacity: layer.nodes >= MAX_NODES ? 0.25 : 1, cursor: layer.nodes >= MAX_NODES ? "not-allowed" : "pointer" }}>
-              +
-            </button>
-            <span style={{ fontSize: 10, color: "rgba(255,255,255,0.26)" }}>neurons</span>
+            {isInput && layer.shape ? <>
+              {[["h", 1, MAX_SPATIAL, 1], ["w", 1, MAX_SPATIAL, 2], ["c", 1, MAX_CHANNELS, 0]].map(([name, min, max, axis]) => (
+                <label key={name} onClick={e => e.stopPropagation()} style={{ display: "flex", alignItems: "center", gap: 3 }}>
+                  <span style={{ fontSize: 10, color: "rgba(255,255,255,0.26)", fontFamily: "monospace" }}>{name}</span>
+                  <select value={layer.shape[axis]} onChange={e => onInputShape(layer.shape.map((d, i) => (i === axis ? Number(e.target.value) : d)))} style={{ ...selStyle, color }}>
+                    {Array.from({ length: max - min + 1 }, (_, i) => <option key={i} value={min + i}>{min + i}</option>)}
+                  </select>
+                </label>
+              ))}
+            </> : layer.shape ? <>
+              <span style={{ fontSize: 13, fontFamily: "monospace", fontWeight: 700, color }}>{sizeLabel(layer)}</span>
+              <span style={{ fontSize: 10, color: "rgba(255,255,255,0.26)" }}>c &#215; h &#215; w</span>
+            </> : <>
+              <button onClick={e => { e.stopPropagation(); onNodeDelta(e.shiftKey ? -10 : -1); }}
+                disabled={locked || layer.nodes <= MIN_NODES}
+                title={locked ? "Width follows the previous layer" : "Shift-click for 10"}
+                style={{ ...btnSm, opacity: locked || layer.nodes <= MIN_NODES ? 0.25 : 1, cursor: locked || layer.nodes <= MIN_NODES ? "not-allowed" : "pointer" }}>
+                &#8722;
+              </button>
+              <div style={{ display: "flex", flexDirection: "column", alignItems: "center", minWidth: 22 }}>
+                {locked
+                  ? <span style={{ fontSize: 13, fontFamily: "monospace", fontWeight: 700, color, lineHeight: 1 }}>{layer.nodes}</span>
+                  : <input key={layer.nodes} defaultValue={layer.nodes} title={`Type a width from ${MIN_NODES} to ${MAX_NODES}`}
+                      onClick={e => e.stopPropagation()}
+                      onBlur={e => {
+                        const v = parseInt(e.target.value, 10);
+                        if (Number.isInteger(v) && v !== layer.nodes) onNodeDelta(v - layer.nodes);
+                        else e.target.value = layer.nodes;
+                      }}
+                      onKeyDown={e => { if (e.key === "Enter") e.currentTarget.blur(); }}
+                      style={{ width: `${String(layer.nodes).length + 1}ch`, minWidth: 22, background: "none", border: "none", outline: "none", padding: 0, textAlign: "center", fontSize: 13, fontFamily: "monospace", fontWeight: 700, color, lineHeight: 1 }} />}
+                {layer.nodes >= MAX_NODES && <span style={{ fontSize: 7, color: `${color}88`, fontFamily: "monospace", marginTop: 1 }}>max</span>}
+                {layer.nodes <= MIN_NODES && <span style={{ fontSize: 7, color: "rgba(255,255,255,0.25)", fontFamily: "monospace", marginTop: 1 }}>min</span>}
+              </div>
+              <button onClick={e => { e.stopPropagation(); onNodeDelta(e.shiftKey ? 10 : 1); }}
+                disabled={locked || layer.nodes >= MAX_NODES}
+                title={locked ? "Width follows the previous layer" : "Shift-click for 10"}
+                style={{ ...btnSm, opacity: locked || layer.nodes >= MAX_NODES ? 0.25 : 1, cursor: locked || layer.nodes >= MAX_NODES ? "not-allowed" : "pointer" }}>
+                +
+              </button>
+              <span style={{ fontSize: 10, color: "rgba(255,255,255,0.26)" }}>neurons</span>
+            </>}
+            {isInput && (
+              <button onClick={e => { e.stopPropagation(); onInputShape(layer.shape ? null : DEFAULT_IMAGE); }}
+                title={layer.shape ? "Use a flat feature vector" : "Use a c x h x w image, for Conv2D and pooling layers"}
+                style={{ ...selStyle, marginLeft: "auto" }}>
+                {layer.shape ? "image" : "vector"} &#8644;
+              </button>
+            )}
 
             {!isInput && (isOutput
-              ? <span style={{ fontSize: 10, fontFamily: "monospace", color: "#34d399", background: "#34d39920", border: "1px solid #34d39940", borderRadius: 5, padding: "2px 8px" }}>Softmax</span>
-              : <select value={layer.activation}
+              ? <span title="The task's output head; switch it in the objective panel" style={{ fontSize: 10, fontFamily: "monospace", color: ACT[layer.activation].color, background: `${ACT[layer.activation].color}20`, border: `1px solid ${ACT[layer.activation].color}40`, borderRadius: 5, padding: "2px 8px" }}>{layer.activation}</span>
+              : (type === "dense" || lt.activates) && <select value={layer.activation}
                   onClick={e => e.stopPropagation()}
                   onChange={e => { e.stopPropagation(); onActivation(e.target.value); }}
                   style={{ background: "#0d1320", border: "1px solid rgba(255,255,255,0.12)", color, borderRadius: 6, padding: "2px 7px", fontSize: 10, fontFamily: "monospace", cursor: "pointer" }}>
@@ -741,13 +5842,213 @@ function LayerCard({ layer, index, prevNodes, total, isSelected, isAtMinLayers,
               </button>
             )}
           </div>
+
+          {!isInput && (
+            <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6, flexWrap: "wrap" }}>
+              {!isOutput && (
+                <select value={type} title="Layer type"
+                  onClick={e => e.stopPropagation()}
+                  onChange={e => { e.stopPropagation(); onType(e.target.value); }}
+                  style={{ ...selStyle, color: lt.color ?? "rgba(255,255,255,0.55)" }}>
+                  {Object.entries(LAYER_TYPES).map(([key, lt]) => <option key={key} value={key}>{lt.label}</option>)}
+                </select>
+              )}
+              {(SLIDE_KEYS[type] ?? []).map(([key, min, max]) => (
+                <label key={key} onClick={e => e.stopPropagation()} style={{ display: "flex", alignItems: "center", gap: 3 }}>
+                  <span style={{ fontSize: 10, color: "rgba(255,255,255,0.26)", fontFamily: "monospace" }}>{key === "filters" ? "filters" : key[0]}</span>
+                  <select value={layer[key]} title={key} onChange={e => onField(key, Number(e.target.value))} style={selStyle}>
+                    {Array.from({ length: max - min + 1 }, (_, i) => <option key={i} value={min + i}>{min + i}</option>)}
+                  </select>
+                </label>
+              ))}
+              {lt.fans && <>
+                <span style={{ fontSize: 10, color: "rgba(255,255,255,0.26)" }}>init</span>
+                <select value={layer.init ?? DEFAULT_INIT}
+                  onClick={e => e.stopPropagation()}
+                  onChange={e => { e.stopPropagation(); onInit(e.target.value); }}
+                  style={selStyle}>
+                  {Object.entries(INITS).map(([key, it]) => <option key={key} value={key}>{it.label}</option>)}
+                </select>
+              </>}
+              {type === "dropout" && (
+                <label onClick={e => e.stopPropagation()} style={{ display: "flex", alignItems: "center", gap: 6, flex: 1 }}>
+                  <span style={{ fontSize: 10, color: "rgba(255,255,255,0.26)", fontFamily: "monospace" }}>p</span>
+                  <input type="range" min={0} max={MAX_DROP} step={0.05} value={layer.rate ?? DEFAULT_DROP}
+                    onChange={e => onRate(parseFloat(e.target.value))} style={{ flex: 1, accentColor: color }} />
+                  <span style={{ fontSize: 10, color, fontFamily: "monospace", minWidth: 26 }}>{(layer.rate ?? DEFAULT_DROP).toFixed(2)}</span>
+                </label>
+              )}
+              {!isOutput && (type === "dense" || lt.activates) && ACT[layer.activation].params.map(p => (
+                <label key={p.key} title={p.label} onClick={e => e.stopPropagation()} style={{ display: "flex", alignItems: "center", gap: 6, flex: 1, minWidth: 120 }}>
+                  <T tex={p.tex} style={{ fontSize: 10, color: "rgba(255,255,255,0.4)" }} />
+                  <input type="range" min={p.min} max={p.max} step={p.step} value={actParams(layer)[p.key]}
+                    onChange={e => onActParam(p.key, parseFloat(e.target.value))} style={{ flex: 1, accentColor: color }} />
+                  <span style={{ fontSize: 10, color, fontFamily: "monospace", minWidth: 26 }}>{actParams(layer)[p.key]}</span>
+                </label>
+              ))}
+            </div>
+          )}
+
+          {error && (
+            <div style={{ marginTop: 6, fontSize: 10, color: "#fca5a5", fontFamily: "monospace", lineHeight: 1.5 }}>&#9888; {lt.label} {error}</div>
+          )}
+
+          {!isInput && !isOutput && (skipOptions.length > 0 || layer.skip !== undefined) && (
+            <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6 }}>
+              <span style={{ fontSize: 10, color: "rgba(255,255,255,0.26)" }}>residual</span>
+              <select value={layer.skip ?? ""} title="Add an earlier activation of the same size to this layer's output"
+                onClick={e => e.stopPropagation()}
+                onChange={e => { e.stopPropagation(); onSkip(e.target.value === "" ? undefined : Number(e.target.value)); }}
+                style={{ ...selStyle, color: layer.skip === undefined ? selStyle.color : SKIP_COLOR }}>
+                <option value="">none</option>
+                {skipOptions.map(k => <option key={k} value={k}>+ a({k}) &middot; {layerName(k, total)}</option>)}
+              </select>
+            </div>
+          )}
         </div>
       </div>
 
       {isSelected && (
         <div style={{ marginTop: 8, paddingTop: 8, borderTop: "1px solid rgba(255,255,255,0.06)", fontSize: 11, color: "rgba(255,255,255,0.28)", fontFamily: "monospace", lineHeight: 1.8 }}>
-          <T tex={`a^{(${index})} \\in \\mathbb{R}^{${layer.nodes}}`} />
-          {index > 0 && <span style={{ marginLeft: 10 }}><T tex={`W^{(${index})} \\in \\mathbb{R}^{${layer.nodes}\\times${prevNodes}}`} /></span>}
+          <T tex={`a^{(${index})} \\in ${spaceTex(layer)}`} />
+          {index > 0 && type === "dense" && <span style={{ marginLeft: 10 }}><T tex={`W^{(${index})} \\in \\mathbb{R}^{${layer.nodes}\\times${prev.nodes}}`} /></span>}
+          {type === "conv2d" && <span style={{ marginLeft: 10 }}><T tex={`K^{(${index})} \\in \\mathbb{R}^{${layer.filters}\\times ${prev.shape?.[0] ?? 1}\\times ${layer.kernel}\\times ${layer.kernel}}`} /></span>}
+          {(type === "batchnorm" || type === "layernorm") && <span style={{ marginLeft: 10 }}><T tex={`\\gamma^{(${index})}, \\beta^{(${index})} \\in \\mathbb{R}^{${layer.nodes}}`} /></span>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Input vector editor ──────────────────────────────────────────────────────
+// With a shape the input is edited as one h x w grid per channel. Past INPUT_CELLS values
+// the grids become heatmaps to paint on (a vector is laid out as a near-square image).
+const INPUT_CELLS = 64;
+
+function InputVector({ values, shape, onChange }) {
+  const setAt = (i, v) => onChange(values.map((x, j) => j === i ? v : x));
+  const cellStyle = { width: "100%", background: "#0d1320", border: "1px solid rgba(255,255,255,0.12)", color: "#a5b4fc", borderRadius: 4, padding: "2px 0", fontSize: 9, fontFamily: "monospace", textAlign: "center" };
+  if (values.length > INPUT_CELLS) {
+    const side = Math.ceil(Math.sqrt(values.length));
+    const [c, h, w] = shape ?? [1, Math.ceil(values.length / side), side];
+    const btn = { background: "none", border: "1px solid rgba(255,255,255,0.12)", color: "rgba(255,255,255,0.45)", borderRadius: 5, padding: "1px 8px", cursor: "pointer", fontSize: 9, fontFamily: "monospace" };
+    return (
+      <div style={{ marginTop: 14, background: "rgba(0,0,0,0.28)", borderRadius: 10, padding: "13px 14px", border: "1px solid rgba(255,255,255,0.05)" }}>
+        <div style={{ ...secLabel, display: "flex", alignItems: "center", gap: 6 }}>
+          <span>Input {shape ? <>image &middot; {sizeLabel({ shape })}</> : <>vector &middot; {values.length} values as {h}&times;{w}</>}</span>
+          <button onClick={() => onChange(values.map(() => 0))} style={{ ...btn, marginLeft: "auto" }}>clear</button>
+          <button onClick={() => onChange(defaultImage([c, h, w]).slice(0, values.length))} style={btn}>cross</button>
+        </div>
+        <div style={{ fontSize: 9, color: "rgba(255,255,255,0.3)", fontFamily: "monospace", marginBottom: 6 }}>drag to paint 1, shift-drag to erase to 0</div>
+        {Array.from({ length: c }, (_, ch) => (
+          <div key={ch} style={{ marginBottom: ch < c - 1 ? 8 : 0 }}>
+            {c > 1 && <div style={{ fontSize: 9, color: "rgba(255,255,255,0.3)", fontFamily: "monospace", marginBottom: 3 }}>channel {ch + 1}</div>}
+            <Heatmap values={Array.from({ length: h * w }, (_, k) => values[ch * h * w + k] ?? 0)} rows={h} cols={w} tint="165,180,252"
+              label={(i, j) => (ch * h * w + i * w + j < values.length ? `x[${shape ? `${ch + 1},${i + 1},${j + 1}` : ch * h * w + i * w + j + 1}] = ${fmtNum(values[ch * h * w + i * w + j], 2)}` : "padding")}
+              onCell={(i, j, e) => {
+                const k = ch * h * w + i * w + j, v = e.shiftKey ? 0 : 1;
+                if (k < values.length && values[k] !== v) setAt(k, v);
+              }} />
+          </div>
+        ))}
+      </div>
+    );
+  }
+  if (shape) {
+    const [c, h, w] = shape;
+    return (
+      <div style={{ marginTop: 14, background: "rgba(0,0,0,0.28)", borderRadius: 10, padding: "13px 14px", border: "1px solid rgba(255,255,255,0.05)" }}>
+        <div style={secLabel}>Input image &middot; {sizeLabel({ shape })}</div>
+        {Array.from({ length: c }, (_, ch) => (
+          <div key={ch} style={{ marginBottom: ch < c - 1 ? 8 : 0 }}>
+            {c > 1 && <div style={{ fontSize: 9, color: "rgba(255,255,255,0.3)", fontFamily: "monospace", marginBottom: 3 }}>channel {ch + 1}</div>}
+            <div style={{ display: "grid", gridTemplateColumns: `repeat(${w}, 1fr)`, gap: 2 }}>
+              {values.slice(ch * h * w, (ch + 1) * h * w).map((v, k) => (
+                <input key={k} type="number" step={0.1} value={v} title={`x[${ch + 1},${Math.floor(k / w) + 1},${(k % w) + 1}]`}
+                  onChange={e => { const v = parseFloat(e.target.value); if (!Number.isNaN(v)) setAt(ch * h * w + k, v); }}
+                  style={cellStyle} />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+    );
+  }
+  return (
+    <div style={{ marginTop: 14, background: "rgba(0,0,0,0.28)", borderRadius: 10, padding: "13px 14px", border: "1px solid rgba(255,255,255,0.05)" }}>
+      <div style={secLabel}>Input vector</div>
+      <div style={{ display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 6 }}>
+        {values.map((v, i) => (
+          <label key={i} style={{ display: "flex", flexDirection: "column", gap: 2 }}>
+            <span style={{ fontSize: 9, color: "rgba(255,255,255,0.3)", fontFamily: "monospace" }}>x{i + 1}</span>
+            <input type="number" step={0.1} value={v}
+              onChange={e => { const v = parseFloat(e.target.value); if (!Number.isNaN(v)) setAt(i, v); }}
+              style={{ width: "100%", background: "#0d1320", border: "1px solid rgba(255,255,255,0.12)", color: "#a5b4fc", borderRadius: 6, padding: "3px 6px", fontSize: 11, fontFamily: "monospace" }} />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ─── Undo history ─────────────────────────────────────────────────────────────
+// useState with undo and redo. set takes a value or an updater like a state setter;
+// changes landing within HISTORY_MERGE_MS of the previous one fold into the same step,
+// so dragging a slider or a burst of ± clicks undoes in one go.
+const HISTORY_MAX      = 100;
+const HISTORY_MERGE_MS = 400;
+
+function useHistory(init) {
+  const [h, setH] = useState(() => ({ past: [], present: typeof init === "function" ? init() : init, future: [], at: 0 }));
+
+  const set = useCallback((next) => {
+    const now = Date.now();
+    setH(s => {
+      const value = typeof next === "function" ? next(s.present) : next;
+      if (value === s.present) return s;
+      const merge = s.past.length > 0 && now - s.at < HISTORY_MERGE_MS;
+      return { past: merge ? s.past : [...s.past, s.present].slice(-HISTORY_MAX), present: value, future: [], at: now };
+    });
+  }, []);
+
+  const undo = useCallback(() => setH(s => s.past.length === 0 ? s
+    : { past: s.past.slice(0, -1), present: s.past[s.past.length - 1], future: [s.present, ...s.future], at: 0 }), []);
+  const redo = useCallback(() => setH(s => s.future.length === 0 ? s
+    : { past: [...s.past, s.present], present: s.future[0], future: s.future.slice(1), at: 0 }), []);
+
+  return [h.present, set, { undo, redo, undos: h.past.length, redos: h.future.length }];
+}
+
+// Undo / redo buttons and the pinned snapshots of the architecture. A snapshot is
+// { name, layers, lossKey }; the one whose layers are on screen is highlighted.
+function HistoryBar({ history, snapshots, layers, onPin, onRestore, onUnpin }) {
+  const [name, setName] = useState("");
+  const pin = () => { onPin(name.trim() || `snapshot ${snapshots.length + 1}`); setName(""); };
+  const btn = (on) => ({
+    background: "none", border: "1px solid rgba(255,255,255,0.1)", color: on ? "rgba(255,255,255,0.55)" : "rgba(255,255,255,0.18)",
+    borderRadius: 5, padding: "1px 7px", cursor: on ? "pointer" : "default", fontSize: 9, fontFamily: "monospace",
+  });
+  return (
+    <div style={{ marginBottom: 10 }}>
+      <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+        <button onClick={history.undo} disabled={!history.undos} title="Undo (Ctrl+Z)" style={btn(history.undos)}>&#8630; undo {history.undos || ""}</button>
+        <button onClick={history.redo} disabled={!history.redos} title="Redo (Ctrl+Shift+Z)" style={btn(history.redos)}>&#8631; redo {history.redos || ""}</button>
+        <input value={name} onChange={e => setName(e.target.value)} onKeyDown={e => { if (e.key === "Enter") pin(); }} placeholder="snapshot name"
+          style={{ flex: 1, minWidth: 0, background: "rgba(0,0,0,0.3)", border: "1px solid rgba(255,255,255,0.08)", borderRadius: 5, color: "#cbd5e1", fontSize: 9, fontFamily: "monospace", padding: "2px 6px" }} />
+        <button onClick={pin} title="Pin the current architecture" style={btn(true)}>&#128204; pin</button>
+      </div>
+      {snapshots.length > 0 && (
+        <div style={{ display: "flex", gap: 4, flexWrap: "wrap", marginTop: 6 }}>
+          {snapshots.map((s, i) => {
+            const on = s.layers === layers;
+            return (
+              <span key={i} style={{ display: "inline-flex", alignItems: "center", border: `1px solid ${on ? "rgba(99,102,241,0.45)" : "rgba(255,255,255,0.1)"}`, background: on ? "rgba(99,102,241,0.12)" : "none", borderRadius: 5, fontSize: 9, fontFamily: "monospace" }}>
+                <span onClick={() => onRestore(i)} title={`${s.layers.length} layers, ${computeParams(s.layers).total.toLocaleString()} parameters -- click to jump back`}
+                  style={{ padding: "1px 6px", cursor: "pointer", color: on ? "#a5b4fc" : "rgba(255,255,255,0.5)" }}>{s.name}</span>
+                <span onClick={() => onUnpin(i)} title="Unpin" style={{ padding: "1px 5px 1px 0", cursor: "pointer", color: "rgba(255,255,255,0.25)" }}>&times;</span>
+              </span>
+            );
+          })}
         </div>
       )}
     </div>
@@ -757,54 +6058,232 @@ function LayerCard({ layer, index, prevNodes, total, isSelected, isAtMinLayers,
 // ─── Main App ─────────────────────────────────────────────────────────────────
 export default function App() {
   const katexLoaded = useKatexLoader();
-  const [layers, setLayers]           = useState(defaultLayers);
-  const [sel, setSel]                 = useState(1);
+  const [boot]                        = useState(readBootSession);
+  const [layers, setLayers, history]  = useHistory(() => boot?.layers ?? defaultLayers());
+  const [selState, setSel]            = useState(() => boot?.sel ?? 1);
+  const [snapshots, setSnapshots]     = useState([]);
   const [showExplainer, setExplainer] = useState(false);
+  const [showCost, setShowCost]       = useState(false);
+  const [showSession, setShowSession] = useState(false);
+  const [showCode, setShowCode]       = useState(false);
+  const [showImport, setShowImport]   = useState(false);
+  const [showExport, setShowExport]   = useState(false);
+  const [showCompare, setShowCompare] = useState(false);
+  const [showQuiz, setShowQuiz]       = useState(false);
+  const [showSignal, setShowSignal]   = useState(false);
+  const graphRef = useRef(null);
+  const [input, setInput]             = useState(() => boot?.input ?? defaultInput());
+  const [lossKey, setLossKey]         = useState(() => boot?.lossKey ?? "ce");
+  const [lossParams, setLossParams]   = useState(() => boot?.lossParams ?? defaultLossParams());
+  const [target, setTarget]           = useState(() => boot?.target ?? 0);
+  const [bpStep, setBpStep]           = useState(null);
+  const [weightState, setWeights]     = useState(() => boot?.weights ?? null);
+  const [seed, setSeed]               = useState(() => boot?.seed ?? 1);
+  const [batch, setBatch]             = useState(32);
+  const [optKey, setOptKey]           = useState("adam");
+  const [optParams, setOptParams]     = useState(defaultOptParams);
+  const [reg, setReg]                 = useState(defaultReg);
+  const [batchView, setBatchView]     = useState(false);
+  const [autosave, setAutosave]       = useState(() => { try { return localStorage.getItem(AUTOSAVE_KEY) === "1"; } catch { return false; } });
+  const [autosaveNote, setAutosaveNote] = useState(null);
 
   const n            = layers.length;
+  // Undo can shorten the stack under the selection before any handler gets to move it.
+  const sel          = Math.min(selState, n - 1);
   const outputNodes  = layers[n - 1].nodes;
   const { totalW, totalB, total } = computeParams(layers);
+  const cost         = computeCost(layers, batch, optKey);
   const isAtMaxLayers = n >= MAX_LAYERS;
   const isAtMinLayers = n <= 3;
 
-  const reset = useCallback(() => { setLayers(defaultLayers()); setSel(1); }, []);
+  const x       = useMemo(() => Array.from({ length: layers[0].nodes }, (_, i) => input[i] ?? 0), [layers, input]);
+  const weights = useMemo(() => fitWeights(layers, weightState, seed), [layers, weightState, seed]);
+  // A stack whose shapes do not line up has no forward pass; the cards show why instead.
+  // Memoised so the graph's canvas only redraws when the pass changes.
+  const shapeErrs = shapeErrors(layers);
+  const fwd       = useMemo(() => (shapeErrs.length ? null : forwardPass(layers, weights, x)), [layers, weights, x]);
+  const acts      = useMemo(() => fwd?.map(f => f.a), [fwd]);
+
+  const L         = n - 1;
+  const task      = taskOf(layers);
+  const t         = TASKS[task].target(target, outputNodes);
+  const yHat      = fwd?.[L].a;
+  const lossValue = fwd ? LOSSES[lossKey].value(yHat, t, lossParams) : NaN;
+  const grads     = bpStep === null || !fwd ? null : backwardPass(layers, weights, fwd, LOSSES[lossKey].grad(yHat, t, lossParams));
+
+  // Any architecture edit invalidates the step position.
+  useEffect(() => { setBpStep(null); }, [n]);
+
+  const session     = serializeSession({ layers, lossKey, lossParams, reg, seed, input: x, target: t, weights: weightState && weights, sel });
+  const sessionJson = JSON.stringify(session);
+
+  const applySession = useCallback((s) => {
+    setLayers(s.layers); setLossKey(s.lossKey); setLossParams(s.lossParams); setReg(s.reg);
+    setSeed(s.seed); setInput(s.input); setTarget(s.target);
+    setWeights(s.weights); setSel(s.sel); setBpStep(null);
+  }, []);
+
+  // Share links pasted into an already-open tab.
+  useEffect(() => {
+    const onHash = () => {
+      try {
+        const s = decodeHash(window.location.hash);
+        if (s) applySession(parseSession(s));
+      } catch (e) {
+        console.warn("Ignoring unreadable share link:", e.message);
+      }
+    };
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, [applySession]);
+
+  useEffect(() => {
+    try { localStorage.setItem(AUTOSAVE_KEY, autosave ? "1" : "0"); } catch { /* storage unavailable */ }
+    if (!autosave) return;
+    const id = setTimeout(() => {
+      const { text, dropped } = trimSession(session, JSON.stringify, AUTOSAVE_MAX);
+      try {
+        localStorage.setItem(STORAGE_KEY, text);
+        setAutosaveNote(dropped ? `Weights not autosaved (${fmtBytes(sessionJson.length)}): a reload regenerates them from seed ${session.seed}. Download the JSON to keep them.` : null);
+      } catch {
+        setAutosaveNote("Autosave failed: this browser's storage is full or disabled. Download the JSON to keep the session.");
+      }
+    }, 500);
+    return () => clearTimeout(id);
+  }, [autosave, sessionJson]);
+
+  const loadPreset = useCallback((key) => {
+    const next = syncLayers(PRESETS[key].layers());
+    setLayers(next); setInput(PRESETS[key].input()); setLossKey(TASKS[taskOf(next)].loss);
+    setWeights(null); setSel(1); setBpStep(null);
+  }, []);
+
+  const reset = useCallback(() => { setLayers(defaultLayers()); setLossKey(TASKS[taskOf(defaultLayers())].loss); setWeights(null); setSel(1); }, []);
+
+  // The task lives in the output layer's head; its loss family comes along with it.
+  const changeTask = useCallback((key) => {
+    setLayers(prev => prev.map((l, i) => i === prev.length - 1 ? { ...l, activation: TASKS[key].head } : l));
+    setLossKey(TASKS[key].loss);
+    setBpStep(null);
+  }, []);
 
   const addLayer = useCallback(() => {
     if (isAtMaxLayers) return;
     setLayers(prev => {
       const next = [...prev];
-      next.splice(prev.length - 1, 0, { nodes: 4, activation: "ReLU" });
+      next.splice(prev.length - 1, 0, { nodes: 4, activation: "ReLU", init: "he" });
       return next;
     });
   }, [isAtMaxLayers]);
 
+  // Skips past the removed layer shift down by one; skips from it disappear.
   const removeLayer = useCallback((idx) => {
-    setLayers(prev => prev.filter((_, i) => i !== idx));
+    setLayers(prev => syncLayers(prev.filter((_, i) => i !== idx).map(l =>
+      l.skip === undefined || l.skip < idx ? l : l.skip === idx ? withoutSkip(l) : { ...l, skip: l.skip - 1 }
+    )));
     setSel(s => Math.max(1, Math.min(s, n - 3)));
   }, [n]);
 
   const updateNodes = useCallback((idx, delta) => {
-    setLayers(prev => prev.map((l, i) =>
+    setLayers(prev => syncLayers(prev.map((l, i) =>
       i === idx ? { ...l, nodes: Math.max(MIN_NODES, Math.min(MAX_NODES, l.nodes + delta)) } : l
-    ));
+    )));
+  }, []);
+
+  // Each type starts from its catalogue defaults; dense layers carry no type key.
+  const updateType = useCallback((idx, type) => {
+    setLayers(prev => syncLayers(prev.map((l, i) => {
+      if (i !== idx) return l;
+      const base = { nodes: l.nodes, ...(l.skip === undefined ? {} : { skip: l.skip }) };
+      return { ...base, ...(type === "dense" ? {} : { type }), ...LAYER_TYPES[type].defaults };
+    })));
+  }, []);
+
+  // Conv / pool settings change the shape of every layer after them.
+  const updateField = useCallback((idx, key, v) => {
+    setLayers(prev => syncLayers(prev.map((l, i) => i === idx ? { ...l, [key]: v } : l)));
+  }, []);
+
+  // Switching between a vector and an image input also swaps in a matching example input.
+  const updateInputShape = useCallback((shape) => {
+    setLayers(prev => syncLayers([withShape({ ...prev[0], nodes: shape ? shape.reduce((a, d) => a * d, 1) : defaultInput().length }, shape), ...prev.slice(1)]));
+    setInput(shape ? defaultImage(shape) : defaultInput());
+  }, []);
+
+  const updateRate = useCallback((idx, rate) => {
+    setLayers(prev => prev.map((l, i) => i === idx ? { ...l, rate } : l));
+  }, []);
+
+  const updateSkip = useCallback((idx, skip) => {
+    setLayers(prev => prev.map((l, i) => i !== idx ? l : skip === undefined ? withoutSkip(l) : { ...l, skip }));
   }, []);
 
+  // Parameters belong to one activation, so switching drops them.
   const updateAct = useCallback((idx, act) => {
-    setLayers(prev => prev.map((l, i) => i === idx ? { ...l, activation: act } : l));
+    setLayers(prev => prev.map((l, i) => {
+      if (i !== idx) return l;
+      const { actParams: _, ...rest } = l;
+      return { ...rest, activation: act };
+    }));
   }, []);
 
-  // Build full composition LaTeX (right-to-left)
-  const compTex = (() => {
-    let inner = "x";
-    for (let i = n - 1; i >= 1; i--) {
-      const ac = layers[i].activation;
-      const fn = ac === "Softmax"
-        ? "\\operatorname{softmax}"
-        : `\\sigma_{\\scriptscriptstyle\\text{${ac}}}`;
-      inner = `${fn}\\!\\bigl(W^{(${i})}${inner} + b^{(${i})}\\bigr)`;
-    }
-    return `f(x) = ${inner}`;
-  })();
+  const updateActParam = useCallback((idx, key, v) => {
+    setLayers(prev => prev.map((l, i) => i === idx ? { ...l, actParams: { ...l.actParams, [key]: v } } : l));
+  }, []);
+
+  // Changing a layer's scheme discards its current weights so they are redrawn.
+  const updateInit = useCallback((idx, init) => {
+    setLayers(prev => prev.map((l, i) => i === idx ? { ...l, init } : l));
+    setWeights(prev => prev && prev.map((w, i) => i === idx ? null : w));
+  }, []);
+
+  // path indexes into the tensor, e.g. [r, c] for W or [o, c, u, v] for a kernel.
+  const editWeight = useCallback((idx, key, path, v) => {
+    setWeights(() => {
+      const next = cloneWeights(weights);
+      path.slice(0, -1).reduce((t, i) => t[i], next[idx][key])[path[path.length - 1]] = v;
+      return next;
+    });
+  }, [weights]);
+
+  const importLayers = useCallback((imported) => {
+    const task = taskOf(imported);
+    setLayers(imported); setWeights(null); setSel(1); setBpStep(null);
+    setLossKey(k => (LOSSES[k].task === task ? k : TASKS[task].loss));
+    if (imported[0].shape) setInput(defaultImage(imported[0].shape));
+  }, []);
+
+  const pinSnapshot = useCallback((name) => {
+    setSnapshots(prev => [...prev, { name, layers, lossKey }]);
+  }, [layers, lossKey]);
+
+  // Jumping to a snapshot is itself an undoable step.
+  const restoreSnapshot = useCallback((i) => {
+    const s = snapshots[i];
+    setLayers(s.layers); setLossKey(s.lossKey); setWeights(null); setBpStep(null);
+    if (s.layers[0].nodes !== layers[0].nodes) setInput(s.layers[0].shape ? defaultImage(s.layers[0].shape) : defaultInput());
+  }, [snapshots, layers]);
+
+  // Text fields keep their own undo; everywhere else the keys step the architecture.
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("textarea, [contenteditable], input:not([type=range]):not([type=checkbox])")) return;
+      const k = e.key.toLowerCase();
+      if (k === "z") { e.preventDefault(); (e.shiftKey ? history.redo : history.undo)(); }
+      else if (k === "y") { e.preventDefault(); history.redo(); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [history.undo, history.redo]);
+
+  const reroll = useCallback(() => {
+    setSeed(Math.floor(Math.random() * 1e6));
+    setWeights(null);
+  }, []);
+
+  const compTex = buildCompTex(layers);
+  const actDefs = actDefsTex(layers);
 
   return (
     <KatexCtx.Provider value={katexLoaded}>
@@ -828,7 +6307,10 @@ export default function App() {
               Neural Net <span style={{ color: "#6366f1" }}>&#215;</span> Matrix Visualizer
             </h1>
             <div style={{ fontSize: 10, color: "rgba(255,255,255,0.28)", marginTop: 2 }}>
-              classification &nbsp;&middot;&nbsp; {n} layers &nbsp;&middot;&nbsp; {total.toLocaleString()} trainable parameters
+              {TASKS[task].label.toLowerCase()} &nbsp;&middot;&nbsp; {n} layers &nbsp;&middot;&nbsp; {total.toLocaleString()} trainable parameters &nbsp;&middot;&nbsp;
+              <span onClick={() => setShowCost(true)} title="Compute and memory per training step" style={{ cursor: "pointer", borderBottom: "1px dotted rgba(255,255,255,0.25)" }}>
+                {fmtSI(cost.fwd + cost.bwd)}FLOPs and {fmtBytes(cost.bytes("fp32"))} fp32 per step at batch {batch}
+              </span>
             </div>
           </div>
           <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
@@ -848,6 +6330,36 @@ export default function App() {
               &#8634; Reset
             </button>
 
+            {/* Session */}
+            <button onClick={() => setShowSession(true)} title="Save, load or share this session"
+              style={{ background: "rgba(255,255,255,0.05)", border: "1px solid rgba(255,255,255,0.12)", color: "rgba(255,255,255,0.45)", padding: "7px 13px", borderRadius: 8, cursor: "pointer", fontSize: 12, fontWeight: 500 }}>
+              &#8645; Session
+            </button>
+
+            {/* Compare */}
+            <button onClick={() => setShowCompare(true)} title="Compare this architecture with a snapshot or preset"
+              style={{ background: "rgba(255,255,255,0.05)", border: "1px solid rgba(255,255,255,0.12)", color: "rgba(255,255,255,0.45)", padding: "7px 13px", borderRadius: 8, cursor: "pointer", fontSize: 12, fontWeight: 500 }}>
+              &#8646; Compare
+            </button>
+
+            {/* Exercises */}
+            <button onClick={() => setShowQuiz(true)} title="Practise shapes, parameter counts, loss gradients and forward steps"
+              style={{ background: "rgba(255,255,255,0.05)", border: "1px solid rgba(255,255,255,0.12)", color: "rgba(255,255,255,0.45)", padding: "7px 13px", borderRadius: 8, cursor: "pointer", fontSize: 12, fontWeight: 500 }}>
+              &#9998; Exercises
+            </button>
+
+            {/* Code export */}
+            <button onClick={() => setShowCode(true)} disabled={!fwd} title={fwd ? "Export the model as PyTorch, Keras or NumPy code" : "Fix the layer shapes first"}
+              style={{ background: "rgba(255,255,255,0.05)", border: "1px solid rgba(255,255,255,0.12)", color: "rgba(255,255,255,0.45)", padding: "7px 13px", borderRadius: 8, cursor: fwd ? "pointer" : "not-allowed", opacity: fwd ? 1 : 0.4, fontSize: 12, fontWeight: 500, fontFamily: "monospace" }}>
+              &lt;/&gt; Code
+            </button>
+
+            {/* Derivation / graph export */}
+            <button onClick={() => setShowExport(true)} disabled={!fwd} title={fwd ? "Export the derivation as LaTeX/Markdown and the graph as SVG/PNG" : "Fix the layer shapes first"}
+              style={{ background: "rgba(255,255,255,0.05)", border: "1px solid rgba(255,255,255,0.12)", color: "rgba(255,255,255,0.45)", padding: "7px 13px", borderRadius: 8, cursor: fwd ? "pointer" : "not-allowed", opacity: fwd ? 1 : 0.4, fontSize: 12, fontWeight: 500 }}>
+              &#8681; Export
+            </button>
+
             {/* Add layer */}
             <button onClick={addLayer} disabled={isAtMaxLayers}
               title={isAtMaxLayers ? `Maximum ${MAX_LAYERS} layers reached` : "Add a hidden layer"}
@@ -863,23 +6375,58 @@ export default function App() {
           {/* Left: config */}
           <div style={{ background: "#0a1525", borderRight: "1px solid rgba(255,255,255,0.06)", overflowY: "auto", padding: 14 }}>
             <div style={secLabel}>Architecture</div>
+            <div style={{ display: "flex", gap: 4, flexWrap: "wrap", alignItems: "center", marginBottom: 10 }}>
+              <span style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", fontFamily: "monospace", marginRight: 2 }}>start from</span>
+              {Object.entries(PRESETS).map(([key, p]) => (
+                <button key={key} onClick={() => loadPreset(key)} title="Replace the architecture, weights and input"
+                  style={{ background: "none", border: "1px solid rgba(255,255,255,0.1)", color: "rgba(255,255,255,0.45)", borderRadius: 5, padding: "1px 7px", cursor: "pointer", fontSize: 9, fontFamily: "monospace" }}>
+                  {p.label}
+                </button>
+              ))}
+            </div>
+            <HistoryBar history={history} snapshots={snapshots} layers={layers} onPin={pinSnapshot} onRestore={restoreSnapshot}
+              onUnpin={i => setSnapshots(prev => prev.filter((_, k) => k !== i))} />
 
             {layers.map((layer, li) => (
               <LayerCard
                 key={li}
                 layer={layer}
                 index={li}
-                prevNodes={li > 0 ? layers[li - 1].nodes : 0}
+                prev={li > 0 ? layers[li - 1] : null}
                 total={n}
                 isSelected={sel === li}
                 isAtMinLayers={isAtMinLayers}
+                skipOptions={layers.slice(0, li).flatMap((l, k) => (sameSize(l, layer) ? [k] : []))}
+                error={shapeErrs.find(e => e.layer === li)?.error}
                 onSelect={() => setSel(li)}
                 onNodeDelta={d => updateNodes(li, d)}
                 onActivation={act => updateAct(li, act)}
+                onInit={init => updateInit(li, init)}
+                onType={type => updateType(li, type)}
+                onRate={rate => updateRate(li, rate)}
+                onActParam={(key, v) => updateActParam(li, key, v)}
+                onField={(key, v) => updateField(li, key, v)}
+                onInputShape={updateInputShape}
+                onSkip={k => updateSkip(li, k)}
                 onRemove={() => removeLayer(li)}
               />
             ))}
 
+            <button onClick={() => setShowImport(true)}
+              style={{ width: "100%", background: "none", border: "1px dashed rgba(255,255,255,0.12)", color: "rgba(255,255,255,0.4)", borderRadius: 7, padding: "6px 0", cursor: "pointer", fontSize: 10, fontFamily: "monospace", marginBottom: 8 }}>
+              import from Keras / ONNX &#8594;
+            </button>
+
+            <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 4 }}>
+              <span style={{ fontSize: 10, color: "rgba(255,255,255,0.3)", fontFamily: "monospace" }}>init seed {seed}</span>
+              <button onClick={reroll} title="Redraw every layer's weights from a new seed"
+                style={{ marginLeft: "auto", background: "rgba(99,102,241,0.1)", border: "1px solid rgba(99,102,241,0.25)", color: "#818cf8", borderRadius: 6, padding: "3px 10px", cursor: "pointer", fontSize: 10, fontFamily: "monospace" }}>
+                &#8634; re-roll weights
+              </button>
+            </div>
+
+            <InputVector values={x} shape={layers[0].shape} onChange={setInput} />
+
             {/* Summary */}
             <div style={{ marginTop: 14, background: "rgba(0,0,0,0.28)", borderRadius: 10, padding: "13px 14px", border: "1px solid rgba(255,255,255,0.05)" }}>
               <div style={secLabel}>Summary</div>
@@ -888,7 +6435,7 @@ export default function App() {
                   { label: "Layers",  val: n,           color: "#6366f1" },
                   { label: "Weights", val: totalW,      color: "#818cf8" },
                   { label: "Biases",  val: totalB,      color: "#a78bfa" },
-                  { label: "Classes", val: outputNodes, color: "#34d399" },
+                  { label: TASKS[task].outputsLabel, val: outputNodes, color: "#34d399" },
                 ].map(({ label, val, color }) => (
                   <div key={label} style={{ textAlign: "center", background: "rgba(255,255,255,0.03)", borderRadius: 8, padding: "8px 4px" }}>
                     <div style={{ fontSize: 16, fontWeight: 700, color, fontFamily: "monospace" }}>{val}</div>
@@ -900,11 +6447,26 @@ export default function App() {
                 style={{ width: "100%", background: "rgba(99,102,241,0.1)", border: "1px solid rgba(99,102,241,0.25)", color: "#818cf8", borderRadius: 7, padding: "7px 0", cursor: "pointer", fontSize: 11, fontFamily: "monospace" }}>
                 how are these computed? &#8594;
               </button>
+              <button onClick={() => setShowSignal(true)}
+                style={{ width: "100%", marginTop: 6, background: "rgba(244,114,182,0.08)", border: "1px solid rgba(244,114,182,0.22)", color: "#f472b6", borderRadius: 7, padding: "7px 0", cursor: "pointer", fontSize: 11, fontFamily: "monospace" }}>
+                do the gradients survive depth? &#8594;
+              </button>
               <div style={{ marginTop: 14, paddingTop: 14, borderTop: "1px solid rgba(255,255,255,0.06)" }}>
                 <div style={secLabel}>Function composition</div>
                 <div style={{ background: "rgba(0,0,0,0.3)", borderRadius: 7, padding: "12px 14px", overflowX: "auto" }}>
                   <T d tex={compTex} />
+                  {actDefs.length > 0 && (
+                    <div style={{ marginTop: 8 }}><T d tex={`\\begin{aligned} ${actDefs.map(d => d.replace("=", "&=")).join(" \\\\ ")} \\end{aligned}`} /></div>
+                  )}
                 </div>
+                {fwd && (
+                  <div style={{ marginTop: 6, background: "rgba(0,0,0,0.3)", borderRadius: 7, padding: "10px 14px", overflowX: "auto" }}>
+                    <T d tex={`f(x) = ${vecTex(yHat)}`} />
+                    <div style={{ fontSize: 9, color: "rgba(255,255,255,0.25)", fontFamily: "monospace", marginTop: 6 }}>
+                      evaluated with the current weights and input
+                    </div>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -913,32 +6475,73 @@ export default function App() {
           <div style={{ display: "grid", gridTemplateRows: "auto 1fr", overflow: "hidden" }}>
 
             {/* SVG graph */}
-            <div style={{ padding: "12px 20px", borderBottom: "1px solid rgba(255,255,255,0.06)", background: "rgba(0,0,0,0.13)" }}>
+            <div ref={graphRef} style={{ padding: "12px 20px", borderBottom: "1px solid rgba(255,255,255,0.06)", background: "rgba(0,0,0,0.13)" }}>
               <div style={secLabel}>Network Graph &middot; click a layer to inspect</div>
-              <NetworkSVG layers={layers} selectedLayer={sel} onSelect={setSel} />
+              <NetworkSVG layers={layers} selectedLayer={sel} onSelect={setSel} values={acts} weights={fwd && weights} backpropLayer={bpStep || null} />
             </div>
 
             {/* Transform cards + loss */}
             <div style={{ overflowY: "auto", padding: "14px 20px" }}>
-              <div style={secLabel}>Layer Transformations &middot; expand to show reasoning and weight matrix</div>
-
-              {layers.slice(1).map((layer, li) => (
-                <TransformCard
-                  key={`tc-${li}`}
-                  fromLayer={layers[li]}
-                  toLayer={layer}
-                  layerIdx={li + 1}
-                  isLast={li === n - 2}
-                  startOpen={li + 1 === sel}
-                />
-              ))}
+              {shapeErrs.length > 0 && (
+                <Callout icon="&#9888;" color="#f87171" title="The layer shapes do not line up">
+                  {shapeErrs.map(({ layer, error }) => (
+                    <div key={layer}>{layerName(layer, n)} ({LAYER_TYPES[layerType(layers[layer])].label}): {error}.</div>
+                  ))}
+                  <div style={{ marginTop: 6 }}>The forward pass, gradients and training resume once every layer receives an input it can handle.</div>
+                </Callout>
+              )}
+              {fwd && <>
+                <BackpropPanel layers={layers} K={outputNodes} L={L} task={task} target={t} onTarget={setTarget}
+                  lossKey={lossKey} lossValue={lossValue} step={bpStep} onStep={setBpStep} />
+
+                <div style={secLabel}>Layer Transformations &middot; expand to show reasoning and weight matrix</div>
+                <BatchControl batched={batchView} batch={batch} onBatched={setBatchView} onBatch={setBatch} />
+
+                {layers.slice(1).map((layer, li) => (
+                  <TransformCard
+                    key={`tc-${li}`}
+                    fromLayer={layers[li]}
+                    toLayer={layer}
+                    layerIdx={li + 1}
+                    isLast={li === n - 2}
+                    startOpen={li + 1 === sel}
+                    weights={weights[li + 1]}
+                    fwdIn={fwd[li]}
+                    fwdOut={fwd[li + 1]}
+                    grads={grads && li + 1 >= bpStep ? grads[li + 1] : null}
+                    upstream={li + 1 < L ? upstreamTex(layers, li + 1) : null}
+                    active={bpStep === li + 1}
+                    B={batchView ? batch : null}
+                    onEditWeight={(key, path, v) => editWeight(li + 1, key, path, v)}
+                  />
+                ))}
 
-              <LossPanel K={outputNodes} />
+                <LossPanel K={outputNodes} task={task} onTask={changeTask} lossKey={lossKey} setLossKey={setLossKey} params={lossParams} setParams={setLossParams}
+                  layers={layers} reg={reg} setReg={setReg} batch={batchView ? batch : null} />
+                <OptimizerPanel layers={layers} weights={weights} x={x} target={t} lossKey={lossKey} lossParams={lossParams} reg={reg}
+                  optKey={optKey} setOptKey={setOptKey} params={optParams} setParams={setOptParams} onWeights={setWeights} />
+                <TrainingPanel layers={layers} weights={weights} onWeights={setWeights} task={task} lossKey={lossKey} lossParams={lossParams} reg={reg} />
+              </>}
             </div>
           </div>
         </div>
 
         {showExplainer && <ParamExplainer layers={layers} onClose={() => setExplainer(false)} />}
+        {showCost && <CostExplainer layers={layers} batch={batch} onBatch={setBatch} optKey={optKey} onOpt={setOptKey} onClose={() => setShowCost(false)} />}
+        {showCompare && <CompareModal layers={layers} snapshots={snapshots} batch={batch} optKey={optKey} onClose={() => setShowCompare(false)} />}
+        {showSignal && <SignalModal layers={layers} onClose={() => setShowSignal(false)} />}
+        {showQuiz && <ExerciseModal onClose={() => setShowQuiz(false)} />}
+        {showImport && <ImportModal onApply={importLayers} onClose={() => setShowImport(false)} />}
+        {showExport && (
+          <ExportModal layers={layers} lossKey={lossKey} lossParams={lossParams} reg={reg} graphRef={graphRef} onClose={() => setShowExport(false)} />
+        )}
+        {showCode && (
+          <CodeModal layers={layers} lossKey={lossKey} lossParams={lossParams} reg={reg} opt={{ key: optKey, params: optParams }} weights={weights} onClose={() => setShowCode(false)} />
+        )}
+        {showSession && (
+          <SessionModal session={session} onLoad={applySession}
+            autosave={autosave} onAutosave={setAutosave} autosaveNote={autosaveNote} onClose={() => setShowSession(false)} />
+        )}
       </div>
     </KatexCtx.Provider>
   );